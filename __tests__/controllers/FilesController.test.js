@@ -3,8 +3,17 @@
  * Tests for file management endpoints
  */
 
+const { Readable } = require("stream");
 const request = require("supertest");
+const sharp = require("sharp");
 const File = require("../../models/File");
+const Job = require("../../models/Job");
+const ProgressTracker = require("../../services/ProgressTracker");
+const ExportService = require("../../services/ExportService");
+const SignedUrlService = require("../../services/SignedUrlService");
+const ImageRenderService = require("../../services/ImageRenderService");
+const { readZip } = require("../helpers/zip");
+const { createJpeg } = require("../helpers/images");
 
 // Mock dependencies
 jest.mock("../../services/ServiceContainer");
@@ -17,7 +26,10 @@ describe("FilesController", () => {
   let app;
   let mockFileRepository;
   let mockUploadService;
-  let mockSupabaseClient;
+  let mockStorageProvider;
+  let mockJobQueue;
+  let progressTracker;
+  let mockWebhookService;
 
   beforeAll(() => {
     process.env.NODE_ENV = "test";
@@ -41,20 +53,43 @@ describe("FilesController", () => {
       analyzeExistingFile: jest.fn(),
     };
 
-    // Mock Supabase Client
-    mockSupabaseClient = {
-      storage: {
-        from: jest.fn().mockReturnValue({
-          download: jest.fn(),
-        }),
-      },
+    // Mock StorageProvider
+    mockStorageProvider = {
+      getReadStream: jest.fn(),
+      downloadFile: jest.fn(),
+      getPublicUrl: jest.fn(
+        async (path, { expiresIn }) =>
+          `https://storage.example/${path}?expires_in=${expiresIn}`
+      ),
+    };
+    const signedUrls = new Map();
+    const renderCache = new Map();
+
+    // Mock JobQueue
+    mockJobQueue = {
+      getLatestJobForFile: jest.fn().mockResolvedValue(null),
+    };
+
+    progressTracker = new ProgressTracker();
+
+    // Mock WebhookService
+    mockWebhookService = {
+      emit: jest.fn().mockResolvedValue(0),
     };
 
     // Mock ServiceContainer
     ServiceContainer.mockImplementation(() => ({
       getFileRepository: () => mockFileRepository,
       getUploadService: () => mockUploadService,
-      getSupabaseClient: () => mockSupabaseClient,
+      getStorageProvider: () => mockStorageProvider,
+      getExportService: () => new ExportService(mockStorageProvider),
+      getSignedUrlService: () =>
+        new SignedUrlService(mockStorageProvider, signedUrls),
+      getImageRenderService: () =>
+        new ImageRenderService(mockStorageProvider, renderCache),
+      getJobQueue: () => mockJobQueue,
+      getProgressTracker: () => progressTracker,
+      getWebhookService: () => mockWebhookService,
     }));
 
     // Mock auth middleware
@@ -341,6 +376,63 @@ describe("FilesController", () => {
     });
   });
 
+  describe("GET /api/files/:id/status", () => {
+    it("should return the file status with its latest job", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({ id: "file-123", status: "processing" })
+      );
+      mockJobQueue.getLatestJobForFile.mockResolvedValue(
+        new Job({
+          id: "job-1",
+          type: "analyze_file",
+          file_id: "file-123",
+          status: "running",
+          attempts: 1,
+        })
+      );
+
+      const response = await request(app)
+        .get("/api/files/file-123/status")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        fileId: "file-123",
+        status: "processing",
+        hasAIAnalysis: false,
+        job: { id: "job-1", status: "running", attempts: 1 },
+      });
+      expect(mockJobQueue.getLatestJobForFile).toHaveBeenCalledWith(
+        "file-123",
+        "user-123"
+      );
+    });
+
+    it("should return null job when the file was never queued", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({ id: "file-123", status: "uploaded" })
+      );
+
+      const response = await request(app)
+        .get("/api/files/file-123/status")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.job).toBeNull();
+    });
+
+    it("should return 400 for a missing file", async () => {
+      mockFileRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/api/files/missing/status")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(400);
+      expect(mockJobQueue.getLatestJobForFile).not.toHaveBeenCalled();
+    });
+  });
+
   describe("GET /api/files/:id", () => {
     it("should get single file successfully", async () => {
       const mockFile = new File({
@@ -364,6 +456,47 @@ describe("FilesController", () => {
       );
     });
 
+    it("should sign a short-lived URL on read and reuse it", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-123",
+          file_path: "user-123/test.jpg",
+          public_url: "https://storage.example/stored-one-year-url",
+        })
+      );
+
+      const first = await request(app)
+        .get("/api/files/file-123")
+        .set("Authorization", "Bearer mock-token");
+      const second = await request(app)
+        .get("/api/files/file-123")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(first.body.data.publicUrl).toBe(
+        "https://storage.example/user-123/test.jpg?expires_in=3600"
+      );
+      expect(second.body.data.publicUrl).toBe(first.body.data.publicUrl);
+      expect(mockStorageProvider.getPublicUrl).toHaveBeenCalledTimes(1);
+      expect(mockFileRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("should return stored language variants", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-123",
+          translations: { fr: { description: "Une photo", tags: ["photo"] } },
+        })
+      );
+
+      const response = await request(app)
+        .get("/api/files/file-123")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.translations.fr.description).toBe("Une photo");
+      expect(response.body.data.languages).toEqual(["fr"]);
+    });
+
     it("should return 400 for non-existent file", async () => {
       mockFileRepository.findById.mockResolvedValue(null);
 
@@ -438,6 +571,67 @@ describe("FilesController", () => {
 
       expect(response.status).toBe(200);
       expect(response.body.data.description).toBe("New description");
+      expect(mockWebhookService.emit).toHaveBeenCalledWith(
+        "user-123",
+        "file.updated",
+        {
+          file: expect.objectContaining({ id: "file-123" }),
+          changes: ["description", "tags"],
+        }
+      );
+    });
+
+    it("should merge caption edits and remove null captions", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-123",
+          captions: { altText: "A dog", x: "Dog day #dogs" },
+        })
+      );
+      mockFileRepository.update.mockResolvedValue(new File({ id: "file-123" }));
+
+      const response = await request(app)
+        .patch("/api/files/file-123")
+        .set("Authorization", "Bearer mock-token")
+        .send({ captions: { linkedin: "Meet our office dog.", x: null } });
+
+      expect(response.status).toBe(200);
+      expect(mockFileRepository.update).toHaveBeenCalledWith(
+        "file-123",
+        "user-123",
+        expect.objectContaining({
+          captions: { altText: "A dog", linkedin: "Meet our office dog." },
+        })
+      );
+    });
+
+    it("should reject unknown caption formats", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({ id: "file-123" })
+      );
+
+      const response = await request(app)
+        .patch("/api/files/file-123")
+        .set("Authorization", "Bearer mock-token")
+        .send({ captions: { tiktok: "hi" } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("Unknown caption format");
+      expect(mockFileRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("should reject captions over the platform limit", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({ id: "file-123" })
+      );
+
+      const response = await request(app)
+        .patch("/api/files/file-123")
+        .set("Authorization", "Bearer mock-token")
+        .send({ captions: { altText: "a".repeat(125) } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("at most 124 characters");
     });
 
     it("should return 400 for non-existent file", async () => {
@@ -544,7 +738,43 @@ describe("FilesController", () => {
       expect(mockUploadService.analyzeExistingFile).toHaveBeenCalledWith(
         "file-123",
         "user-123",
-        "descriptive"
+        "descriptive",
+        {}
+      );
+    });
+
+    it("should pass the requested AI provider to the service container", async () => {
+      mockUploadService.analyzeExistingFile.mockResolvedValue({
+        file: new File({ id: "file-123" }),
+      });
+
+      const response = await request(app)
+        .post("/api/files/file-123/regenerate")
+        .set("Authorization", "Bearer mock-token")
+        .send({ provider: "mock" });
+
+      expect(response.status).toBe(200);
+      expect(ServiceContainer).toHaveBeenCalledWith("mock-token", {
+        aiProvider: "mock",
+      });
+    });
+
+    it("should pass the requested language to the service", async () => {
+      mockUploadService.analyzeExistingFile.mockResolvedValue({
+        file: new File({ id: "file-123" }),
+      });
+
+      const response = await request(app)
+        .post("/api/files/file-123/regenerate")
+        .set("Authorization", "Bearer mock-token")
+        .send({ language: "fr" });
+
+      expect(response.status).toBe(200);
+      expect(mockUploadService.analyzeExistingFile).toHaveBeenCalledWith(
+        "file-123",
+        "user-123",
+        "neutral",
+        { language: "fr" }
       );
     });
 
@@ -564,7 +794,8 @@ describe("FilesController", () => {
       expect(mockUploadService.analyzeExistingFile).toHaveBeenCalledWith(
         "file-123",
         "user-123",
-        "neutral"
+        "neutral",
+        {}
       );
     });
   });
@@ -644,6 +875,39 @@ describe("FilesController", () => {
       expect(response.body.success).toBe(false);
       expect(response.body.data.totalFailed).toBe(2);
     });
+
+    it("should publish per-file progress for the batch", async () => {
+      const batchId = "7d444840-9dc0-11d1-b245-5ffdce74fad2";
+      mockUploadService.analyzeExistingFile
+        .mockResolvedValueOnce({ file: new File({ id: "file-1" }) })
+        .mockRejectedValueOnce(new Error("AI down"));
+
+      const response = await request(app)
+        .post("/api/files/regenerate")
+        .set("Authorization", "Bearer mock-token")
+        .send({ ids: ["file-1", "file-2"], batchId });
+
+      expect(response.status).toBe(207);
+      expect(response.body.data.batchId).toBe(batchId);
+
+      const events = [];
+      progressTracker.subscribe(batchId, "user-123", (event) =>
+        events.push(event)
+      );
+      expect(events.map((event) => event.event)).toEqual([
+        "started",
+        "analyzing",
+        "analyzing",
+        "completed",
+        "failed",
+        "done",
+      ]);
+      expect(events[4]).toMatchObject({
+        index: 1,
+        fileId: "file-2",
+        error: "AI down",
+      });
+    });
   });
 
   describe("PATCH /api/files (bulk update)", () => {
@@ -754,13 +1018,10 @@ describe("FilesController", () => {
 
       mockFileRepository.findById.mockResolvedValue(mockFile);
 
-      // Mock storage download
-      const mockBuffer = Buffer.from("fake-image-data");
-      const mockBlob = new Blob([mockBuffer]);
-      mockSupabaseClient.storage.from().download.mockResolvedValue({
-        data: mockBlob,
-        error: null,
-      });
+      // Mock storage stream
+      mockStorageProvider.getReadStream.mockResolvedValue(
+        Readable.from([Buffer.from("fake-image-data")])
+      );
 
       const response = await request(app)
         .get("/api/files/file-123/download")
@@ -769,7 +1030,36 @@ describe("FilesController", () => {
       expect(response.status).toBe(200);
       expect(response.headers["content-type"]).toBe("image/jpeg");
       expect(response.headers["content-disposition"]).toContain("test.jpg");
-      expect(mockSupabaseClient.storage.from).toHaveBeenCalledWith("uploads");
+      expect(response.body.toString()).toBe("fake-image-data");
+      expect(mockStorageProvider.getReadStream).toHaveBeenCalledWith(
+        "user-123/test.jpg"
+      );
+    });
+
+    it("should embed the description and tags when requested", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-123",
+          filename: "test.jpg",
+          mime_type: "image/jpeg",
+          file_path: "user-123/test.jpg",
+          description: "A test image",
+          tags: ["test"],
+        })
+      );
+      mockStorageProvider.getReadStream.mockResolvedValue(
+        Readable.from([createJpeg()])
+      );
+
+      const response = await request(app)
+        .get("/api/files/file-123/download?embed=true")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      const body = response.body.toString("utf8");
+      expect(body).toContain("http://ns.adobe.com/xap/1.0/");
+      expect(body).toContain("A test image");
+      expect(body).toContain("<rdf:li>test</rdf:li>");
     });
 
     it("should return 400 for non-existent file", async () => {
@@ -792,10 +1082,9 @@ describe("FilesController", () => {
 
       mockFileRepository.findById.mockResolvedValue(mockFile);
 
-      mockSupabaseClient.storage.from().download.mockResolvedValue({
-        data: null,
-        error: { message: "Storage error" },
-      });
+      mockStorageProvider.getReadStream.mockRejectedValue(
+        new Error("Storage download failed: Object not found")
+      );
 
       const response = await request(app)
         .get("/api/files/file-123/download")
@@ -804,6 +1093,119 @@ describe("FilesController", () => {
       expect(response.status).toBe(400);
       expect(response.body.error).toContain("Failed to download");
     });
+
+    it("should return 409 for pending direct uploads", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-123",
+          filename: "test.jpg",
+          file_path: "user-123/test.jpg",
+          status: "pending",
+        })
+      );
+
+      const response = await request(app)
+        .get("/api/files/file-123/download")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(409);
+      expect(mockStorageProvider.getReadStream).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/files/:id/render", () => {
+    const image = new File({
+      id: "file-123",
+      filename: "test.png",
+      mime_type: "image/png",
+      file_path: "user-123/test.png",
+    });
+
+    beforeEach(async () => {
+      mockFileRepository.findById.mockResolvedValue(image);
+      mockStorageProvider.downloadFile.mockResolvedValue(
+        await sharp({
+          create: { width: 600, height: 300, channels: 3, background: "red" },
+        })
+          .png()
+          .toBuffer()
+      );
+    });
+
+    it("should return the transformed image with caching headers", async () => {
+      const response = await request(app)
+        .get("/api/files/file-123/render?width=120&height=120&format=webp")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toBe("image/webp");
+      expect(response.headers["cache-control"]).toBe("private, max-age=86400");
+      expect(response.headers.etag).toBeDefined();
+      const metadata = await sharp(response.body).metadata();
+      expect([metadata.width, metadata.height]).toEqual([120, 120]);
+    });
+
+    it("should answer 304 without rendering when the ETag matches", async () => {
+      const first = await request(app)
+        .get("/api/files/file-123/render?width=50")
+        .set("Authorization", "Bearer mock-token");
+      mockStorageProvider.downloadFile.mockClear();
+
+      const response = await request(app)
+        .get("/api/files/file-123/render?width=50")
+        .set("Authorization", "Bearer mock-token")
+        .set("If-None-Match", first.headers.etag);
+
+      expect(response.status).toBe(304);
+      expect(mockStorageProvider.downloadFile).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 for invalid parameters", async () => {
+      const response = await request(app)
+        .get("/api/files/file-123/render?format=gif")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("Invalid format");
+    });
+
+    it("should return 400 for files that are not images", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({ id: "file-123", mime_type: "application/pdf" })
+      );
+
+      const response = await request(app)
+        .get("/api/files/file-123/render?width=50")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("not an image");
+    });
+
+    it("should return 409 for pending direct uploads", async () => {
+      mockFileRepository.findById.mockResolvedValue(
+        new File({ ...image.toDatabase(), status: "pending" })
+      );
+
+      const response = await request(app)
+        .get("/api/files/file-123/render?width=50")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain("not complete");
+      expect(mockStorageProvider.downloadFile).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 for non-existent file", async () => {
+      mockFileRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/api/files/nonexistent/render")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("File not found");
+    });
   });
 
   describe("POST /api/files/download (bulk)", () => {
@@ -857,28 +1259,24 @@ describe("FilesController", () => {
         .mockResolvedValueOnce(mockFiles[0])
         .mockResolvedValueOnce(mockFiles[1]);
 
-      // Mock storage downloads
-      const mockBuffer1 = Buffer.from("image-1");
-      const mockBuffer2 = Buffer.from("image-2");
-      mockSupabaseClient.storage
-        .from()
-        .download.mockResolvedValueOnce({
-          data: new Blob([mockBuffer1]),
-          error: null,
-        })
-        .mockResolvedValueOnce({
-          data: new Blob([mockBuffer2]),
-          error: null,
-        });
+      // Mock storage streams
+      mockStorageProvider.getReadStream
+        .mockResolvedValueOnce(Readable.from([Buffer.from("image-1")]))
+        .mockResolvedValueOnce(Readable.from([Buffer.from("image-2")]));
 
       const response = await request(app)
         .post("/api/files/download")
         .set("Authorization", "Bearer mock-token")
+        .responseType("blob")
         .send({ ids: ["file-1", "file-2"] });
 
       expect(response.status).toBe(200);
       expect(response.headers["content-type"]).toBe("application/zip");
       expect(response.headers["content-disposition"]).toContain(".zip");
+
+      const entries = readZip(response.body);
+      expect(entries.get("test1.jpg").toString()).toBe("image-1");
+      expect(entries.get("test2.jpg").toString()).toBe("image-2");
     });
 
     it("should handle files that don't exist", async () => {
@@ -895,6 +1293,56 @@ describe("FilesController", () => {
       expect(response.body.error).toContain("No valid files found");
     });
 
+    it("should leave pending uploads out of the archive", async () => {
+      mockFileRepository.findById
+        .mockResolvedValueOnce(
+          new File({
+            id: "file-1",
+            filename: "test1.jpg",
+            file_path: "user-123/test1.jpg",
+          })
+        )
+        .mockResolvedValueOnce(
+          new File({
+            id: "file-2",
+            filename: "test2.jpg",
+            file_path: "user-123/test2.jpg",
+            status: "pending",
+          })
+        );
+      mockStorageProvider.getReadStream.mockResolvedValueOnce(
+        Readable.from([Buffer.from("image-1")])
+      );
+
+      const response = await request(app)
+        .post("/api/files/download")
+        .set("Authorization", "Bearer mock-token")
+        .responseType("blob")
+        .send({ ids: ["file-1", "file-2"] });
+
+      expect(response.status).toBe(200);
+      expect([...readZip(response.body).keys()]).toEqual(["test1.jpg"]);
+      expect(mockStorageProvider.getReadStream).toHaveBeenCalledTimes(1);
+      expect(mockStorageProvider.getReadStream).toHaveBeenCalledWith(
+        "user-123/test1.jpg"
+      );
+    });
+
+    it("should reject a download of pending uploads only", async () => {
+      mockFileRepository.findById.mockResolvedValueOnce(
+        new File({ id: "file-1", filename: "a.jpg", status: "pending" })
+      );
+
+      const response = await request(app)
+        .post("/api/files/download")
+        .set("Authorization", "Bearer mock-token")
+        .send({ ids: ["file-1"] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("No valid files found");
+      expect(mockStorageProvider.getReadStream).not.toHaveBeenCalled();
+    });
+
     it("should handle partial download failures", async () => {
       const mockFile1 = new File({
         id: "file-1",
@@ -912,25 +1360,25 @@ describe("FilesController", () => {
         .mockResolvedValueOnce(mockFile2);
 
       // First download succeeds, second fails
-      mockSupabaseClient.storage
-        .from()
-        .download.mockResolvedValueOnce({
-          data: new Blob([Buffer.from("image-1")]),
-          error: null,
-        })
-        .mockResolvedValueOnce({
-          data: null,
-          error: { message: "Download failed" },
-        });
+      mockStorageProvider.getReadStream
+        .mockResolvedValueOnce(Readable.from([Buffer.from("image-1")]))
+        .mockRejectedValueOnce(new Error("Download failed"));
 
       const response = await request(app)
         .post("/api/files/download")
         .set("Authorization", "Bearer mock-token")
+        .responseType("blob")
         .send({ ids: ["file-1", "file-2"] });
 
       expect(response.status).toBe(200);
       expect(response.headers["content-type"]).toBe("application/zip");
-      // ZIP should still be created with at least the successful file
+
+      // ZIP still contains the successful file and an error summary
+      const entries = readZip(response.body);
+      expect([...entries.keys()]).toEqual(["test1.jpg", "download-errors.txt"]);
+      expect(entries.get("download-errors.txt").toString()).toContain(
+        "- test2.jpg: Download failed"
+      );
     });
 
     it("should handle filename collisions", async () => {
@@ -951,24 +1399,76 @@ describe("FilesController", () => {
         .mockResolvedValueOnce(mockFiles[0])
         .mockResolvedValueOnce(mockFiles[1]);
 
-      mockSupabaseClient.storage
-        .from()
-        .download.mockResolvedValueOnce({
-          data: new Blob([Buffer.from("image-1")]),
-          error: null,
-        })
-        .mockResolvedValueOnce({
-          data: new Blob([Buffer.from("image-2")]),
-          error: null,
-        });
+      mockStorageProvider.getReadStream
+        .mockResolvedValueOnce(Readable.from([Buffer.from("image-1")]))
+        .mockResolvedValueOnce(Readable.from([Buffer.from("image-2")]));
 
       const response = await request(app)
         .post("/api/files/download")
         .set("Authorization", "Bearer mock-token")
+        .responseType("blob")
         .send({ ids: ["file-1", "file-2"] });
 
       expect(response.status).toBe(200);
-      // Should create ZIP with renamed files (test.jpg and test-1.jpg)
+      expect([...readZip(response.body).keys()]).toEqual([
+        "test.jpg",
+        "test-1.jpg",
+      ]);
+    });
+
+    it("should add sidecars and a manifest when requested", async () => {
+      mockFileRepository.findById.mockResolvedValueOnce(
+        new File({
+          id: "file-1",
+          filename: "test.jpg",
+          file_path: "user-123/test.jpg",
+          status: "completed",
+          description: "A test image",
+          tags: ["test"],
+        })
+      );
+      mockStorageProvider.getReadStream.mockResolvedValueOnce(
+        Readable.from([Buffer.from("image-1")])
+      );
+
+      const response = await request(app)
+        .post("/api/files/download")
+        .set("Authorization", "Bearer mock-token")
+        .responseType("blob")
+        .send({ ids: ["file-1"], sidecars: ["txt", "xmp"], manifest: "csv" });
+
+      expect(response.status).toBe(200);
+      const entries = readZip(response.body);
+      expect([...entries.keys()]).toEqual([
+        "test.jpg",
+        "test.txt",
+        "test.xmp",
+        "manifest.csv",
+      ]);
+      expect(entries.get("test.txt").toString()).toBe("A test image");
+    });
+
+    it("should reject a non-boolean embed option", async () => {
+      const response = await request(app)
+        .post("/api/files/download")
+        .set("Authorization", "Bearer mock-token")
+        .send({ ids: ["file-1"], embed: "yes" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Embed must be a boolean");
+    });
+
+    it("should reject unknown sidecar formats", async () => {
+      const response = await request(app)
+        .post("/api/files/download")
+        .set("Authorization", "Bearer mock-token")
+        .send({ ids: ["file-1"], sidecars: ["docx"] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "Sidecars must be one or more of: txt, json, xmp"
+      );
+      expect(mockFileRepository.findById).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,111 @@
+/**
+ * JobsController Tests
+ * Tests for background job status endpoints
+ */
+
+const request = require("supertest");
+const Job = require("../../models/Job");
+
+// Mock dependencies
+jest.mock("../../services/ServiceContainer");
+jest.mock("@supabase/supabase-js");
+jest.mock("../../middleware/auth");
+
+const ServiceContainer = require("../../services/ServiceContainer");
+
+describe("JobsController", () => {
+  let app;
+  let mockJobQueue;
+
+  beforeAll(() => {
+    process.env.NODE_ENV = "test";
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Mock JobQueue
+    mockJobQueue = {
+      getJob: jest.fn(),
+    };
+
+    // Mock ServiceContainer
+    ServiceContainer.mockImplementation(() => ({
+      getJobQueue: () => mockJobQueue,
+    }));
+
+    // Mock auth middleware
+    const authMock = require("../../middleware/auth");
+    authMock.authenticateUser = (req, res, next) => {
+      req.user = { id: "user-123", email: "test@example.com" };
+      req.token = "mock-token";
+      next();
+    };
+
+    // Load app
+    delete require.cache[require.resolve("../../server")];
+    app = require("../../server");
+  });
+
+  describe("GET /api/jobs/:id", () => {
+    it("should return the job status", async () => {
+      mockJobQueue.getJob.mockResolvedValue(
+        new Job({
+          id: "job-1",
+          type: "analyze_file",
+          user_id: "user-123",
+          file_id: "file-1",
+          status: "completed",
+          attempts: 1,
+          payload: { tagStyle: "neutral" },
+          result: { fileId: "file-1", status: "completed" },
+        })
+      );
+
+      const response = await request(app)
+        .get("/api/jobs/job-1")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({
+        id: "job-1",
+        fileId: "file-1",
+        status: "completed",
+        isFinished: true,
+        result: { fileId: "file-1", status: "completed" },
+      });
+      expect(response.body.data.payload).toBeUndefined();
+      expect(mockJobQueue.getJob).toHaveBeenCalledWith("job-1", "user-123");
+    });
+
+    it("should return 404 for unknown or foreign jobs", async () => {
+      mockJobQueue.getJob.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/api/jobs/job-404")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+
+    it("should not expose webhook delivery jobs", async () => {
+      mockJobQueue.getJob.mockResolvedValue(
+        new Job({
+          id: "job-2",
+          type: "deliver_webhook",
+          user_id: "user-123",
+          status: "failed",
+          payload: { webhookId: "hook-1", deliveryId: "delivery-1" },
+        })
+      );
+
+      const response = await request(app)
+        .get("/api/jobs/job-2")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * StorageController Tests
+ * Tests for signed downloads and uploads on the local disk storage provider
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const LocalDiskStorageProvider = require("../../services/implementations/LocalDiskStorageProvider");
+
+// Mock dependencies
+jest.mock("../../services/ServiceContainer");
+jest.mock("@supabase/supabase-js");
+
+const ServiceContainer = require("../../services/ServiceContainer");
+const { createClient } = require("@supabase/supabase-js");
+
+/**
+ * Supabase stand-in that applies row level security to uploaded_files:
+ * only the service-role key sees other users' rows
+ */
+function createSupabaseStub(rows) {
+  return (url, key) => ({
+    from: () => {
+      const filters = [];
+      const query = {
+        select: () => query,
+        eq: (column, value) => {
+          filters.push([column, value]);
+          return query;
+        },
+        then: (resolve) => {
+          const visible = key === process.env.SUPABASE_SERVICE_KEY ? rows : [];
+          const count = visible.filter((row) =>
+            filters.every(([column, value]) => row[column] === value)
+          ).length;
+          resolve({ count, error: null });
+        },
+      };
+      return query;
+    },
+  });
+}
+
+describe("StorageController", () => {
+  let app;
+  let rootDir;
+  let storageProvider;
+  let fileRepository;
+
+  // Path and query of a signed URL, as requested from this server
+  const relative = (url) => {
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+  };
+
+  beforeAll(() => {
+    process.env.NODE_ENV = "test";
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-route-"));
+    storageProvider = new LocalDiskStorageProvider({
+      rootDir,
+      signingSecret: "test-signing-secret",
+    });
+    await storageProvider.uploadFile(
+      Buffer.from("png-bytes"),
+      "images/user-123/photo.png"
+    );
+
+    fileRepository = {
+      hasPendingUpload: jest.fn(async () => true),
+    };
+
+    // Mock ServiceContainer
+    ServiceContainer.mockImplementation(() => ({
+      getStorageProvider: () => storageProvider,
+      getAdminFileRepository: () => fileRepository,
+    }));
+
+    // Load app
+    delete require.cache[require.resolve("../../server")];
+    app = require("../../server");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe("GET /storage/*", () => {
+    it("should serve the file for a valid signature", async () => {
+      const url = await storageProvider.getPublicUrl(
+        "images/user-123/photo.png"
+      );
+
+      const response = await request(app).get(relative(url));
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toBe("image/png");
+      expect(response.headers["cross-origin-resource-policy"]).toBe(
+        "cross-origin"
+      );
+      expect(response.body.toString()).toBe("png-bytes");
+    });
+
+    it("should reject a missing or invalid signature", async () => {
+      const unsigned = await request(app).get(
+        "/storage/images/user-123/photo.png"
+      );
+      const url = storageProvider.createSignedUrl("images/user-123/photo.png");
+      const tampered = await request(app).get(
+        relative(url).replace("user-123", "user-456")
+      );
+
+      expect(unsigned.status).toBe(403);
+      expect(tampered.status).toBe(403);
+    });
+
+    it("should reject an expired signature", async () => {
+      const url = storageProvider.createSignedUrl(
+        "images/user-123/photo.png",
+        -1
+      );
+
+      const response = await request(app).get(relative(url));
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("Invalid or expired signature");
+    });
+
+    it("should return 404 for a deleted file", async () => {
+      const url = storageProvider.createSignedUrl("images/user-123/photo.png");
+      await storageProvider.deleteFile("images/user-123/photo.png");
+
+      const response = await request(app).get(relative(url));
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should return 404 when another storage provider is configured", async () => {
+      const url = storageProvider.createSignedUrl("images/user-123/photo.png");
+      ServiceContainer.mockImplementation(() => ({
+        getStorageProvider: () => ({}),
+      }));
+
+      const response = await request(app).get(relative(url));
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("PUT /storage/*", () => {
+    const uploadUrl = async (filePath) =>
+      relative(
+        (
+          await storageProvider.createUploadUrl(filePath, {
+            contentType: "image/jpeg",
+          })
+        ).url
+      );
+
+    it("should store the request body for a valid upload signature", async () => {
+      const response = await request(app)
+        .put(await uploadUrl("images/user-123/direct.jpg"))
+        .set("Content-Type", "image/jpeg")
+        .send(Buffer.from("jpeg-bytes"));
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({
+        path: "images/user-123/direct.jpg",
+        size: 10,
+      });
+      expect(
+        fs.readFileSync(
+          path.join(rootDir, "images/user-123/direct.jpg"),
+          "utf8"
+        )
+      ).toBe("jpeg-bytes");
+    });
+
+    it("should not let an upload URL replace the stored file", async () => {
+      const url = await uploadUrl("images/user-123/direct.jpg");
+      await request(app)
+        .put(url)
+        .set("Content-Type", "image/jpeg")
+        .send(Buffer.from("jpeg-bytes"));
+
+      const response = await request(app)
+        .put(url)
+        .set("Content-Type", "image/jpeg")
+        .send(Buffer.from("<svg onload=alert(1)>"));
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("Upload URL has already been used");
+      expect(
+        fs.readFileSync(
+          path.join(rootDir, "images/user-123/direct.jpg"),
+          "utf8"
+        )
+      ).toBe("jpeg-bytes");
+    });
+
+    it("should stop accepting uploads once the file is no longer pending", async () => {
+      fileRepository.hasPendingUpload.mockResolvedValue(false);
+
+      const response = await request(app)
+        .put(await uploadUrl("images/user-123/direct.jpg"))
+        .set("Content-Type", "image/jpeg")
+        .send(Buffer.from("jpeg-bytes"));
+
+      expect(response.status).toBe(409);
+      expect(fileRepository.hasPendingUpload).toHaveBeenCalledWith(
+        "images/user-123/direct.jpg"
+      );
+      expect(
+        await storageProvider.fileExists("images/user-123/direct.jpg")
+      ).toBe(false);
+    });
+
+    it("should find the pending record without a user token", async () => {
+      createClient.mockImplementation(
+        createSupabaseStub([
+          {
+            user_id: "user-123",
+            file_path: "images/user-123/direct.jpg",
+            status: "pending",
+          },
+        ])
+      );
+      // The real container and repository, on the stubbed client
+      const RealServiceContainer = jest.requireActual(
+        "../../services/ServiceContainer"
+      );
+      ServiceContainer.mockImplementation(() => {
+        const container = new RealServiceContainer();
+        container.getStorageProvider = () => storageProvider;
+        return container;
+      });
+
+      const response = await request(app)
+        .put(await uploadUrl("images/user-123/direct.jpg"))
+        .set("Content-Type", "image/jpeg")
+        .send(Buffer.from("jpeg-bytes"));
+
+      expect(response.status).toBe(201);
+      expect(createClient).toHaveBeenCalledWith(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_KEY
+      );
+    });
+
+    it("should not accept a download signature", async () => {
+      const url = storageProvider.createSignedUrl("images/user-123/photo.png");
+
+      const response = await request(app)
+        .put(relative(url))
+        .set("Content-Type", "image/png")
+        .send(Buffer.from("overwritten"));
+
+      expect(response.status).toBe(403);
+      expect(
+        fs.readFileSync(path.join(rootDir, "images/user-123/photo.png"), "utf8")
+      ).toBe("png-bytes");
+    });
+
+    it("should reject files over the upload limit", async () => {
+      const response = await request(app)
+        .put(await uploadUrl("images/user-123/big.jpg"))
+        .set("Content-Type", "image/jpeg")
+        .send(Buffer.alloc(10 * 1024 * 1024 + 1));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("File size exceeds limit");
+      expect(await storageProvider.fileExists("images/user-123/big.jpg")).toBe(
+        false
+      );
+    });
+  });
+});
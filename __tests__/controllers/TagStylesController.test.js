@@ -0,0 +1,284 @@
+/**
+ * TagStylesController Tests
+ * Tests for custom tag style endpoints
+ */
+
+const request = require("supertest");
+const TagStyle = require("../../models/TagStyle");
+
+// Mock dependencies
+jest.mock("../../services/ServiceContainer");
+jest.mock("@supabase/supabase-js");
+jest.mock("../../middleware/auth");
+
+const ServiceContainer = require("../../services/ServiceContainer");
+
+describe("TagStylesController", () => {
+  let app;
+  let mockTagStyleRepository;
+
+  const brandStyle = new TagStyle({
+    id: "style-1",
+    user_id: "user-123",
+    name: "brand",
+    instruction: "Use our brand vocabulary.",
+    tag_count: 3,
+    examples: ["acme", "rocket"],
+  });
+
+  beforeAll(() => {
+    process.env.NODE_ENV = "test";
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Mock TagStyleRepository
+    mockTagStyleRepository = {
+      findByUserId: jest.fn(),
+      findById: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+    };
+
+    // Mock ServiceContainer
+    ServiceContainer.mockImplementation(() => ({
+      getTagStyleRepository: () => mockTagStyleRepository,
+    }));
+
+    // Mock auth middleware
+    const authMock = require("../../middleware/auth");
+    authMock.authenticateUser = (req, res, next) => {
+      req.user = { id: "user-123", email: "test@example.com" };
+      req.token = "mock-token";
+      next();
+    };
+
+    // Load app
+    delete require.cache[require.resolve("../../server")];
+    app = require("../../server");
+  });
+
+  describe("GET /api/tag-styles", () => {
+    it("should list built-in and custom styles", async () => {
+      mockTagStyleRepository.findByUserId.mockResolvedValue([brandStyle]);
+
+      const response = await request(app)
+        .get("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map((s) => s.name)).toEqual([
+        "neutral",
+        "playful",
+        "seo",
+        "brand",
+      ]);
+      expect(response.body.data[3].isCustom).toBe(true);
+      expect(response.body.summary).toEqual({ built_in: 3, custom: 1 });
+    });
+  });
+
+  describe("GET /api/tag-styles/:id", () => {
+    it("should return a custom style", async () => {
+      mockTagStyleRepository.findById.mockResolvedValue(brandStyle);
+
+      const response = await request(app)
+        .get("/api/tag-styles/style-1")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.tagCount).toBe(3);
+      expect(mockTagStyleRepository.findById).toHaveBeenCalledWith(
+        "style-1",
+        "user-123"
+      );
+    });
+
+    it("should return 404 for missing styles", async () => {
+      mockTagStyleRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/api/tag-styles/missing")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("Tag style not found");
+    });
+  });
+
+  describe("POST /api/tag-styles", () => {
+    it("should create a style with normalized input", async () => {
+      mockTagStyleRepository.create.mockResolvedValue(brandStyle);
+
+      const response = await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({
+          name: " Brand ",
+          instruction: " Use our brand vocabulary. ",
+          tagCount: 3,
+          examples: ["acme ", "rocket"],
+        });
+
+      expect(response.status).toBe(201);
+      expect(mockTagStyleRepository.create).toHaveBeenCalledWith({
+        name: "brand",
+        instruction: "Use our brand vocabulary.",
+        tag_count: 3,
+        examples: ["acme", "rocket"],
+        user_id: "user-123",
+      });
+    });
+
+    it("should default tag count and examples", async () => {
+      mockTagStyleRepository.create.mockResolvedValue(brandStyle);
+
+      await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({ name: "brand", instruction: "Use brand words." });
+
+      expect(mockTagStyleRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ tag_count: 5, examples: [] })
+      );
+    });
+
+    it("should reject invalid names", async () => {
+      const response = await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({ name: "no spaces!", instruction: "Use brand words." });
+
+      expect(response.status).toBe(400);
+      expect(mockTagStyleRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should reject built-in names", async () => {
+      const response = await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({ name: "seo", instruction: "Use brand words." });
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should reject out-of-range tag counts", async () => {
+      const response = await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({ name: "brand", instruction: "Use brand words.", tagCount: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("Tag count");
+    });
+
+    it("should reject malformed examples", async () => {
+      const response = await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({
+          name: "brand",
+          instruction: "Use brand words.",
+          examples: "a",
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("Examples");
+    });
+
+    it("should require an instruction", async () => {
+      const response = await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({ name: "brand" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("Instruction");
+    });
+
+    it("should return 409 for duplicate names", async () => {
+      mockTagStyleRepository.create.mockRejectedValue({
+        code: "23505",
+        message: "duplicate key",
+      });
+
+      const response = await request(app)
+        .post("/api/tag-styles")
+        .set("Authorization", "Bearer mock-token")
+        .send({ name: "brand", instruction: "Use brand words." });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toContain("already exists");
+    });
+  });
+
+  describe("PATCH /api/tag-styles/:id", () => {
+    it("should update only provided fields", async () => {
+      mockTagStyleRepository.findById.mockResolvedValue(brandStyle);
+      mockTagStyleRepository.update.mockResolvedValue(brandStyle);
+
+      const response = await request(app)
+        .patch("/api/tag-styles/style-1")
+        .set("Authorization", "Bearer mock-token")
+        .send({ tagCount: 8 });
+
+      expect(response.status).toBe(200);
+      expect(mockTagStyleRepository.update).toHaveBeenCalledWith(
+        "style-1",
+        "user-123",
+        { tag_count: 8, updated_at: expect.any(String) }
+      );
+    });
+
+    it("should reject empty updates", async () => {
+      const response = await request(app)
+        .patch("/api/tag-styles/style-1")
+        .set("Authorization", "Bearer mock-token")
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("No updates provided");
+    });
+
+    it("should return 404 for missing styles", async () => {
+      mockTagStyleRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch("/api/tag-styles/missing")
+        .set("Authorization", "Bearer mock-token")
+        .send({ tagCount: 4 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /api/tag-styles/:id", () => {
+    it("should delete a custom style", async () => {
+      mockTagStyleRepository.findById.mockResolvedValue(brandStyle);
+      mockTagStyleRepository.delete.mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete("/api/tag-styles/style-1")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(mockTagStyleRepository.delete).toHaveBeenCalledWith(
+        "style-1",
+        "user-123"
+      );
+    });
+
+    it("should return 404 for missing styles", async () => {
+      mockTagStyleRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete("/api/tag-styles/missing")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(404);
+      expect(mockTagStyleRepository.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -5,6 +5,10 @@
 
 const request = require("supertest");
 const File = require("../../models/File");
+const ProgressTracker = require("../../services/ProgressTracker");
+const Job = require("../../models/Job");
+const SignedUrlService = require("../../services/SignedUrlService");
+const { ValidationError, ConflictError } = require("../../utils/errorHandler");
 
 // Mock dependencies
 jest.mock("../../services/ServiceContainer");
@@ -16,6 +20,8 @@ const ServiceContainer = require("../../services/ServiceContainer");
 describe("UploadController", () => {
   let app;
   let mockUploadService;
+  let progressTracker;
+  let userMetadata;
 
   beforeAll(() => {
     process.env.NODE_ENV = "test";
@@ -23,23 +29,52 @@ describe("UploadController", () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    userMetadata = {};
 
     // Mock UploadService
     mockUploadService = {
       uploadAndProcess: jest.fn(),
       bulkUploadAndProcess: jest.fn(),
       analyzeExistingFile: jest.fn(),
+      createDirectUpload: jest.fn(),
+      completeDirectUpload: jest.fn(),
+      createUploadSession: jest.fn(),
+      getUploadSession: jest.fn(),
+      appendToUploadSession: jest.fn(),
+      cancelUploadSession: jest.fn().mockResolvedValue(true),
+      queueAnalysisOrFail: jest.fn(async (file) => ({
+        job: new Job({ id: "job-123", status: "queued" }),
+        file,
+        error: null,
+      })),
     };
 
     // Mock ServiceContainer
+    progressTracker = new ProgressTracker();
+
+    const storageProvider = {
+      getPublicUrl: jest.fn(
+        async (path) => `https://storage.example/${path}?token=short`
+      ),
+    };
+    const signedUrls = new Map();
+
     ServiceContainer.mockImplementation(() => ({
       getUploadService: () => mockUploadService,
+      getProgressTracker: () => progressTracker,
+      getUploadSessionStore: () => ({ maxSize: 100 * 1024 * 1024 }),
+      getSignedUrlService: () =>
+        new SignedUrlService(storageProvider, signedUrls),
     }));
 
     // Mock auth middleware
     const authMock = require("../../middleware/auth");
     authMock.authenticateUser = (req, res, next) => {
-      req.user = { id: "user-123", email: "test@example.com" };
+      req.user = {
+        id: "user-123",
+        email: "test@example.com",
+        user_metadata: userMetadata,
+      };
       req.token = "mock-token";
       next();
     };
@@ -85,7 +120,27 @@ describe("UploadController", () => {
       expect(mockUploadService.uploadAndProcess).toHaveBeenCalledWith(
         expect.any(Object),
         "user-123",
-        { tagStyle: "neutral", analyzeWithAI: false }
+        { tagStyle: "neutral", analyzeWithAI: false, stripMetadata: false }
+      );
+    });
+
+    it("should strip metadata when the user has turned it on", async () => {
+      userMetadata = { strip_metadata: true };
+      mockUploadService.uploadAndProcess.mockResolvedValue({
+        file: new File({ id: "file-123", filename: "test.jpg" }),
+        aiResult: null,
+      });
+
+      const response = await request(app)
+        .post("/api/upload/image")
+        .set("Authorization", "Bearer mock-token")
+        .attach("image", Buffer.from("fake-image-data"), "test.jpg");
+
+      expect(response.status).toBe(200);
+      expect(mockUploadService.uploadAndProcess).toHaveBeenCalledWith(
+        expect.any(Object),
+        "user-123",
+        expect.objectContaining({ stripMetadata: true })
       );
     });
 
@@ -110,7 +165,11 @@ describe("UploadController", () => {
       expect(mockUploadService.uploadAndProcess).toHaveBeenCalledWith(
         expect.any(Object),
         "user-123",
-        { tagStyle: "descriptive", analyzeWithAI: false }
+        {
+          tagStyle: "descriptive",
+          analyzeWithAI: false,
+          stripMetadata: false,
+        }
       );
     });
 
@@ -139,7 +198,7 @@ describe("UploadController", () => {
       expect(response.body.error).toContain("No image file provided");
     });
 
-    it("should upload and analyze image successfully", async () => {
+    it("should upload the image and queue its analysis", async () => {
       const mockFile = new File({
         id: "file-123",
         filename: "test.jpg",
@@ -158,27 +217,40 @@ describe("UploadController", () => {
         .set("Authorization", "Bearer mock-token")
         .attach("image", Buffer.from("fake-image-data"), "test.jpg");
 
-      expect(response.status).toBe(200);
+      expect(response.status).toBe(202);
       expect(response.body.success).toBe(true);
-      expect(response.body.message).toContain("analyzed successfully");
-      expect(response.body.data).toHaveProperty("analysis");
-      expect(response.body.data.analysis.success).toBe(true);
+      expect(response.body.message).toContain("analysis queued");
+      expect(response.body.data.analysis).toEqual({
+        jobId: "job-123",
+        status: "queued",
+      });
       expect(mockUploadService.uploadAndProcess).toHaveBeenCalledWith(
         expect.any(Object),
         "user-123",
-        { tagStyle: "neutral", analyzeWithAI: true }
+        {
+          tagStyle: "neutral",
+          analyzeWithAI: true,
+          stripMetadata: false,
+          deferAnalysis: true,
+        }
+      );
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledWith(
+        mockFile,
+        "user-123",
+        { tagStyle: "neutral" },
+        { userToken: "mock-token" }
       );
     });
 
-    it("should handle AI analysis failure", async () => {
-      const mockFile = new File({
-        id: "file-123",
-        filename: "test.jpg",
-      });
-
+    it("should return the stored file when analysis cannot be queued", async () => {
+      const failedFile = new File({ id: "file-123", status: "failed" });
       mockUploadService.uploadAndProcess.mockResolvedValue({
-        file: mockFile,
-        aiResult: { success: false, error: "AI service unavailable" },
+        file: new File({ id: "file-123", status: "processing" }),
+      });
+      mockUploadService.queueAnalysisOrFail.mockResolvedValue({
+        job: null,
+        file: failedFile,
+        error: "Analysis could not be queued",
       });
 
       const response = await request(app)
@@ -187,8 +259,32 @@ describe("UploadController", () => {
         .attach("image", Buffer.from("fake-image-data"), "test.jpg");
 
       expect(response.status).toBe(200);
-      expect(response.body.data.analysis.success).toBe(false);
-      expect(response.body.data.analysis.error).toBe("AI service unavailable");
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toContain("could not be queued");
+      expect(response.body.data).toMatchObject({
+        id: "file-123",
+        status: "failed",
+        analysis: {
+          jobId: null,
+          status: "failed",
+          error: "Analysis could not be queued",
+        },
+      });
+    });
+
+    it("should not queue analysis when the upload is rejected", async () => {
+      mockUploadService.uploadAndProcess.mockRejectedValue(
+        new ValidationError("Unknown tag style")
+      );
+
+      const response = await request(app)
+        .post("/api/upload/upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .field("tagStyle", "missing")
+        .attach("image", Buffer.from("fake-image-data"), "test.jpg");
+
+      expect(response.status).toBe(400);
+      expect(mockUploadService.queueAnalysisOrFail).not.toHaveBeenCalled();
     });
 
     it("should use custom tagStyle", async () => {
@@ -205,12 +301,149 @@ describe("UploadController", () => {
         .field("tagStyle", "seo-optimized")
         .attach("image", Buffer.from("fake-image-data"), "test.jpg");
 
+      expect(response.status).toBe(202);
+      expect(mockUploadService.uploadAndProcess).toHaveBeenCalledWith(
+        expect.any(Object),
+        "user-123",
+        {
+          tagStyle: "seo-optimized",
+          analyzeWithAI: true,
+          stripMetadata: false,
+          deferAnalysis: true,
+        }
+      );
+    });
+
+    it("should pass the requested AI provider to the service container", async () => {
+      mockUploadService.uploadAndProcess.mockResolvedValue({
+        file: new File({ id: "file-123" }),
+        aiResult: { success: true },
+      });
+
+      const response = await request(app)
+        .post("/api/upload/upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .field("provider", "anthropic")
+        .attach("image", Buffer.from("fake-image-data"), "test.jpg");
+
+      expect(response.status).toBe(202);
+      expect(ServiceContainer).toHaveBeenCalledWith("mock-token", {
+        aiProvider: "anthropic",
+      });
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledWith(
+        expect.any(File),
+        "user-123",
+        { tagStyle: "neutral", provider: "anthropic" },
+        { userToken: "mock-token" }
+      );
+    });
+
+    it("should pass the requested language to the service", async () => {
+      mockUploadService.uploadAndProcess.mockResolvedValue({
+        file: new File({ id: "file-123" }),
+        aiResult: { success: true },
+      });
+
+      const response = await request(app)
+        .post("/api/upload/upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .field("language", "de")
+        .attach("image", Buffer.from("fake-image-data"), "test.jpg");
+
+      expect(response.status).toBe(202);
+      expect(mockUploadService.uploadAndProcess).toHaveBeenCalledWith(
+        expect.any(Object),
+        "user-123",
+        {
+          tagStyle: "neutral",
+          analyzeWithAI: true,
+          language: "de",
+          stripMetadata: false,
+          deferAnalysis: true,
+        }
+      );
+    });
+
+    it("should return a duplicate without queueing analysis", async () => {
+      const original = new File({
+        id: "file-0",
+        filename: "test.jpg",
+        status: "completed",
+        description: "AI generated description",
+      });
+      mockUploadService.uploadAndProcess.mockResolvedValue({
+        file: original,
+        aiResult: null,
+        duplicate: { action: "return", fileId: "file-0" },
+      });
+
+      const response = await request(app)
+        .post("/api/upload/upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .field("onDuplicate", "return")
+        .attach("image", Buffer.from("fake-image-data"), "test.jpg");
+
       expect(response.status).toBe(200);
+      expect(response.body.data.id).toBe("file-0");
+      expect(response.body.data.duplicate).toEqual({
+        action: "return",
+        fileId: "file-0",
+      });
       expect(mockUploadService.uploadAndProcess).toHaveBeenCalledWith(
         expect.any(Object),
         "user-123",
-        { tagStyle: "seo-optimized", analyzeWithAI: true }
+        expect.objectContaining({ onDuplicate: "return" })
       );
+      expect(mockUploadService.queueAnalysisOrFail).not.toHaveBeenCalled();
+    });
+
+    it("should queue analysis for a link to an unanalyzed original", async () => {
+      const linked = new File({
+        id: "file-1",
+        filename: "test.jpg",
+        status: "processing",
+      });
+      mockUploadService.uploadAndProcess.mockResolvedValue({
+        file: linked,
+        aiResult: null,
+        duplicate: { action: "link", fileId: "file-0" },
+        analysisRequired: true,
+      });
+
+      const response = await request(app)
+        .post("/api/upload/upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .attach("image", Buffer.from("fake-image-data"), "test.jpg");
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.duplicate).toEqual({
+        action: "link",
+        fileId: "file-0",
+      });
+      expect(response.body.data.analysis.jobId).toBe("job-123");
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledWith(
+        linked,
+        "user-123",
+        expect.any(Object),
+        expect.any(Object)
+      );
+    });
+
+    it("should return 409 when duplicates are rejected", async () => {
+      mockUploadService.uploadAndProcess.mockRejectedValue(
+        new ConflictError("File has already been uploaded", {
+          fileId: "file-0",
+        })
+      );
+
+      const response = await request(app)
+        .post("/api/upload/upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .field("onDuplicate", "reject")
+        .attach("image", Buffer.from("fake-image-data"), "test.jpg");
+
+      expect(response.status).toBe(409);
+      expect(response.body.details).toEqual({ fileId: "file-0" });
     });
   });
 
@@ -246,7 +479,36 @@ describe("UploadController", () => {
       expect(response.body.success).toBe(false);
     });
 
-    it("should upload and analyze multiple files successfully", async () => {
+    it("should not queue analysis for duplicates in a batch", async () => {
+      mockUploadService.bulkUploadAndProcess.mockResolvedValue({
+        results: [
+          { file: new File({ id: "file-1" }), index: 0, duplicate: null },
+          {
+            file: new File({ id: "file-2", status: "completed" }),
+            index: 1,
+            duplicate: { action: "link", fileId: "file-0" },
+          },
+        ],
+        errors: [],
+      });
+
+      const response = await request(app)
+        .post("/api/upload/bulk-upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .attach("images", Buffer.from("image1"), "test1.jpg")
+        .attach("images", Buffer.from("image2"), "test2.jpg");
+
+      expect(response.status).toBe(202);
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledTimes(1);
+      expect(response.body.data.results[0].analysis.jobId).toBe("job-123");
+      expect(response.body.data.results[1].analysis).toBeNull();
+      expect(response.body.data.results[1].duplicate).toEqual({
+        action: "link",
+        fileId: "file-0",
+      });
+    });
+
+    it("should upload multiple files and queue their analysis", async () => {
       const mockFiles = [
         new File({ id: "file-1", filename: "test1.jpg" }),
         new File({ id: "file-2", filename: "test2.jpg" }),
@@ -266,13 +528,18 @@ describe("UploadController", () => {
         .attach("images", Buffer.from("image1"), "test1.jpg")
         .attach("images", Buffer.from("image2"), "test2.jpg");
 
-      expect(response.status).toBe(200);
+      expect(response.status).toBe(202);
       expect(response.body.success).toBe(true);
       expect(response.body.data.successfulUploads).toBe(2);
       expect(response.body.data.totalAttempts).toBe(2);
       expect(response.body.data.results).toHaveLength(2);
+      expect(response.body.data.results[0].analysis).toEqual({
+        jobId: "job-123",
+        status: "queued",
+      });
       expect(response.body.data.errors).toHaveLength(0);
       expect(response.body.data).toHaveProperty("processingTimeSeconds");
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledTimes(2);
     });
 
     it("should handle partial failures with 207 status", async () => {
@@ -291,11 +558,47 @@ describe("UploadController", () => {
 
       expect(response.status).toBe(207);
       expect(response.body.success).toBe(true);
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledTimes(1);
       expect(response.body.data.successfulUploads).toBe(1);
       expect(response.body.data.totalAttempts).toBe(2);
       expect(response.body.data.errors).toHaveLength(1);
     });
 
+    it("should only fail the files whose analysis cannot be queued", async () => {
+      const mockFiles = [
+        new File({ id: "file-1", filename: "test1.jpg" }),
+        new File({ id: "file-2", filename: "test2.jpg" }),
+      ];
+      mockUploadService.bulkUploadAndProcess.mockResolvedValue({
+        results: [
+          { file: mockFiles[0], index: 0 },
+          { file: mockFiles[1], index: 1 },
+        ],
+        errors: [],
+      });
+      mockUploadService.queueAnalysisOrFail.mockResolvedValueOnce({
+        job: null,
+        file: new File({ id: "file-1", status: "failed" }),
+        error: "Analysis could not be queued",
+      });
+
+      const response = await request(app)
+        .post("/api/upload/bulk-upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .attach("images", Buffer.from("image1"), "test1.jpg")
+        .attach("images", Buffer.from("image2"), "test2.jpg");
+
+      expect(response.status).toBe(207);
+      expect(response.body.success).toBe(true);
+      const [failed, queued] = response.body.data.results;
+      expect(failed).toMatchObject({
+        id: "file-1",
+        status: "failed",
+        analysis: { jobId: null, status: "failed" },
+      });
+      expect(queued.analysis).toEqual({ jobId: "job-123", status: "queued" });
+    });
+
     it("should return 500 if all uploads fail", async () => {
       mockUploadService.bulkUploadAndProcess.mockResolvedValue({
         results: [],
@@ -330,15 +633,347 @@ describe("UploadController", () => {
         .field("tagStyle", "creative")
         .attach("images", Buffer.from("image1"), "test1.jpg");
 
-      expect(response.status).toBe(200);
+      expect(response.status).toBe(202);
       expect(mockUploadService.bulkUploadAndProcess).toHaveBeenCalledWith(
         expect.any(Array),
         "user-123",
-        { tagStyle: "creative", analyzeWithAI: true }
+        {
+          tagStyle: "creative",
+          analyzeWithAI: true,
+          stripMetadata: false,
+          deferAnalysis: true,
+          batchId: expect.any(String),
+        }
       );
     });
   });
 
+  describe("bulk upload progress", () => {
+    const batchId = "7d444840-9dc0-11d1-b245-5ffdce74fad2";
+
+    // Collect the raw event stream until the server ends it
+    const readStream = (res, callback) => {
+      let body = "";
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => callback(null, body));
+    };
+
+    it("should start a batch with the client's batchId", async () => {
+      mockUploadService.bulkUploadAndProcess.mockResolvedValue({
+        results: [
+          { file: new File({ id: "file-1" }), aiResult: null, index: 1 },
+        ],
+        errors: [{ filename: "test1.jpg", error: "Upload failed" }],
+      });
+
+      const response = await request(app)
+        .post("/api/upload/bulk-upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .field("batchId", batchId)
+        .attach("images", Buffer.from("image1"), "test1.jpg")
+        .attach("images", Buffer.from("image2"), "test2.jpg");
+
+      expect(response.status).toBe(207);
+      expect(response.body.data.batchId).toBe(batchId);
+      expect(mockUploadService.bulkUploadAndProcess).toHaveBeenCalledWith(
+        expect.any(Array),
+        "user-123",
+        expect.objectContaining({ batchId })
+      );
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledWith(
+        expect.any(File),
+        "user-123",
+        { tagStyle: "neutral", batchId, batchIndex: 1 },
+        { userToken: "mock-token" }
+      );
+    });
+
+    it("should reject a batchId that is not a UUID", async () => {
+      const response = await request(app)
+        .post("/api/upload/bulk-upload-and-analyze")
+        .set("Authorization", "Bearer mock-token")
+        .field("batchId", "not-a-uuid")
+        .attach("images", Buffer.from("image1"), "test1.jpg");
+
+      expect(response.status).toBe(400);
+      expect(mockUploadService.bulkUploadAndProcess).not.toHaveBeenCalled();
+    });
+
+    it("should stream per-file events and end when the batch is done", async () => {
+      progressTracker.start(batchId, "user-123", { type: "upload", total: 2 });
+      progressTracker.publish(batchId, {
+        event: "uploaded",
+        index: 0,
+        fileId: "file-1",
+      });
+      progressTracker.publish(batchId, {
+        event: "failed",
+        index: 1,
+        filename: "broken.jpg",
+        error: "Upload failed",
+      });
+      progressTracker.publish(batchId, {
+        event: "analyzing",
+        index: 0,
+        fileId: "file-1",
+      });
+      progressTracker.publish(batchId, {
+        event: "completed",
+        index: 0,
+        fileId: "file-1",
+      });
+
+      const response = await request(app)
+        .get(`/api/upload/progress/${batchId}`)
+        .set("Authorization", "Bearer mock-token")
+        .buffer(true)
+        .parse(readStream);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/event-stream");
+
+      const events = response.body
+        .split("\n")
+        .filter((line) => line.startsWith("event: "))
+        .map((line) => line.substring(7));
+      expect(events).toEqual([
+        "started",
+        "uploaded",
+        "failed",
+        "analyzing",
+        "completed",
+        "done",
+      ]);
+      expect(response.body).toContain('"error":"Upload failed"');
+      expect(response.body).toContain('"completed":1,"failed":1');
+    });
+
+    it("should resume after Last-Event-ID", async () => {
+      progressTracker.start(batchId, "user-123", { type: "upload", total: 1 });
+      progressTracker.publish(batchId, { event: "failed", index: 0 });
+
+      const response = await request(app)
+        .get(`/api/upload/progress/${batchId}`)
+        .set("Authorization", "Bearer mock-token")
+        .set("Last-Event-ID", "2")
+        .buffer(true)
+        .parse(readStream);
+
+      expect(response.body).not.toContain("event: started");
+      expect(response.body).not.toContain("event: failed");
+      expect(response.body).toContain("id: 3\nevent: done");
+    });
+
+    it("should stream with a token instead of a Bearer header", async () => {
+      const tokenResponse = await request(app)
+        .post(`/api/upload/progress/${batchId}/token`)
+        .set("Authorization", "Bearer mock-token");
+      expect(tokenResponse.status).toBe(201);
+      const { token } = tokenResponse.body.data;
+
+      progressTracker.start(batchId, "user-123", { type: "upload", total: 1 });
+      progressTracker.publish(batchId, { event: "completed", index: 0 });
+
+      const response = await request(app)
+        .get(`/api/upload/progress/${batchId}`)
+        .query({ token })
+        .buffer(true)
+        .parse(readStream);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toContain("event: done");
+    });
+
+    it("should reject invalid stream tokens", async () => {
+      progressTracker.open(batchId, "user-123");
+
+      const response = await request(app)
+        .get(`/api/upload/progress/${batchId}`)
+        .query({ token: "123.forged" });
+
+      expect(response.status).toBe(401);
+    });
+
+    it("should end the stream when the batch expires", async () => {
+      progressTracker = new ProgressTracker({ ttlMs: 50 });
+
+      const response = await request(app)
+        .get(`/api/upload/progress/${batchId}`)
+        .set("Authorization", "Bearer mock-token")
+        .buffer(true)
+        .parse(readStream);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toBe(": connected\n\n");
+    });
+
+    it("should not stream another user's batch", async () => {
+      progressTracker.start(batchId, "user-456", { type: "upload", total: 1 });
+
+      const response = await request(app)
+        .get(`/api/upload/progress/${batchId}`)
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST /api/upload/presign", () => {
+    it("should return a pending file and its upload target", async () => {
+      const upload = {
+        method: "PUT",
+        url: "https://storage.example/upload/images/user-123/a.jpg",
+        headers: { "Content-Type": "image/jpeg" },
+        expiresAt: "2026-01-01T00:15:00.000Z",
+      };
+      mockUploadService.createDirectUpload.mockResolvedValue({
+        file: new File({
+          id: "file-123",
+          filename: "beach.jpg",
+          file_path: "images/user-123/a.jpg",
+          status: "pending",
+        }),
+        upload,
+      });
+
+      const response = await request(app)
+        .post("/api/upload/presign")
+        .set("Authorization", "Bearer mock-token")
+        .send({ filename: "beach.jpg", mimeType: "image/jpeg", size: 2048 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.status).toBe("pending");
+      expect(response.body.data.upload).toEqual(upload);
+      expect(mockUploadService.createDirectUpload).toHaveBeenCalledWith(
+        { filename: "beach.jpg", mimeType: "image/jpeg", size: 2048 },
+        "user-123"
+      );
+    });
+
+    it("should return validation errors", async () => {
+      mockUploadService.createDirectUpload.mockRejectedValue(
+        new ValidationError("Invalid file type", { mimeType: "text/html" })
+      );
+
+      const response = await request(app)
+        .post("/api/upload/presign")
+        .set("Authorization", "Bearer mock-token")
+        .send({ filename: "a.jpg", mimeType: "text/html", size: 10 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Invalid file type");
+    });
+  });
+
+  describe("POST /api/upload/complete", () => {
+    const uploadedFile = (status) =>
+      new File({
+        id: "file-123",
+        file_path: "images/user-123/a.jpg",
+        mime_type: "image/jpeg",
+        status,
+      });
+
+    it("should complete the upload without analysis by default", async () => {
+      mockUploadService.completeDirectUpload.mockResolvedValue({
+        file: uploadedFile("uploaded"),
+      });
+
+      const response = await request(app)
+        .post("/api/upload/complete")
+        .set("Authorization", "Bearer mock-token")
+        .send({ fileId: "file-123" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe("uploaded");
+      expect(response.body.data.publicUrl).toBe(
+        "https://storage.example/images/user-123/a.jpg?token=short"
+      );
+      expect(mockUploadService.completeDirectUpload).toHaveBeenCalledWith(
+        "file-123",
+        "user-123",
+        {
+          analyzeWithAI: false,
+          tagStyle: "neutral",
+          language: undefined,
+          onDuplicate: undefined,
+          stripMetadata: false,
+        }
+      );
+      expect(mockUploadService.queueAnalysisOrFail).not.toHaveBeenCalled();
+    });
+
+    it("should not queue analysis for a duplicate", async () => {
+      const file = uploadedFile("completed");
+      file.description = "A photo";
+      mockUploadService.completeDirectUpload.mockResolvedValue({
+        file,
+        duplicate: { action: "link", fileId: "file-0" },
+      });
+
+      const response = await request(app)
+        .post("/api/upload/complete")
+        .set("Authorization", "Bearer mock-token")
+        .send({ fileId: "file-123", analyze: true, onDuplicate: "link" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe("Image was already uploaded");
+      expect(response.body.data.duplicate).toEqual({
+        action: "link",
+        fileId: "file-0",
+      });
+      expect(mockUploadService.queueAnalysisOrFail).not.toHaveBeenCalled();
+    });
+
+    it("should queue analysis when requested", async () => {
+      const file = uploadedFile("processing");
+      mockUploadService.completeDirectUpload.mockResolvedValue({ file });
+
+      const response = await request(app)
+        .post("/api/upload/complete")
+        .set("Authorization", "Bearer mock-token")
+        .send({
+          fileId: "file-123",
+          analyze: true,
+          tagStyle: "seo",
+          provider: "mock",
+          language: "fr",
+        });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.analysis).toEqual({
+        jobId: "job-123",
+        status: "queued",
+      });
+      expect(ServiceContainer).toHaveBeenCalledWith("mock-token", {
+        aiProvider: "mock",
+      });
+      expect(mockUploadService.queueAnalysisOrFail).toHaveBeenCalledWith(
+        file,
+        "user-123",
+        { tagStyle: "seo", language: "fr", provider: "mock" },
+        { userToken: "mock-token" }
+      );
+    });
+
+    it("should validate the request body", async () => {
+      const missingId = await request(app)
+        .post("/api/upload/complete")
+        .set("Authorization", "Bearer mock-token")
+        .send({});
+      const badAnalyze = await request(app)
+        .post("/api/upload/complete")
+        .set("Authorization", "Bearer mock-token")
+        .send({ fileId: "file-123", analyze: "yes" });
+
+      expect(missingId.status).toBe(400);
+      expect(missingId.body.error).toBe("File ID is required");
+      expect(badAnalyze.status).toBe(400);
+      expect(badAnalyze.body.error).toBe("Analyze must be a boolean");
+      expect(mockUploadService.completeDirectUpload).not.toHaveBeenCalled();
+    });
+  });
+
   describe("POST /api/upload/analyze/:id", () => {
     it("should analyze existing file successfully", async () => {
       const mockFile = new File({
@@ -367,7 +1002,8 @@ describe("UploadController", () => {
       expect(mockUploadService.analyzeExistingFile).toHaveBeenCalledWith(
         "file-123",
         "user-123",
-        "neutral"
+        "neutral",
+        {}
       );
     });
 
@@ -388,7 +1024,8 @@ describe("UploadController", () => {
       expect(mockUploadService.analyzeExistingFile).toHaveBeenCalledWith(
         "file-123",
         "user-123",
-        "neutral"
+        "neutral",
+        {}
       );
     });
 
@@ -409,7 +1046,8 @@ describe("UploadController", () => {
       expect(mockUploadService.analyzeExistingFile).toHaveBeenCalledWith(
         "file-123",
         "user-123",
-        "professional"
+        "professional",
+        {}
       );
     });
 
@@ -426,4 +1064,184 @@ describe("UploadController", () => {
       expect(response.status).toBe(500);
     });
   });
+
+  describe("resumable uploads (tus)", () => {
+    const sessionId = "5b0c2f0e-9d1a-4c59-8f3e-0a4c1d2e3f40";
+    const session = {
+      id: sessionId,
+      status: "active",
+      filename: "large.jpg",
+      offset: 0,
+      length: 2048,
+      fileId: null,
+      jobId: null,
+      expiresAt: "2026-01-02T00:00:00.000Z",
+    };
+    const b64 = (value) => Buffer.from(value).toString("base64");
+
+    it("should require the tus protocol version", async () => {
+      const response = await request(app)
+        .post("/api/upload/resumable")
+        .set("Authorization", "Bearer mock-token")
+        .set("Upload-Length", "2048");
+
+      expect(response.status).toBe(412);
+      expect(response.headers["tus-version"]).toBe("1.0.0");
+      expect(mockUploadService.createUploadSession).not.toHaveBeenCalled();
+    });
+
+    it("should create a session from Upload-Length and Upload-Metadata", async () => {
+      mockUploadService.createUploadSession.mockResolvedValue(session);
+
+      const response = await request(app)
+        .post("/api/upload/resumable")
+        .set("Authorization", "Bearer mock-token")
+        .set("Tus-Resumable", "1.0.0")
+        .set("Upload-Length", "2048")
+        .set(
+          "Upload-Metadata",
+          `filename ${b64("large.jpg")},filetype ${b64("image/jpeg")},` +
+            `analyze ${b64("true")},language ${b64("fr")}`
+        );
+
+      expect(response.status).toBe(201);
+      expect(response.headers.location).toBe(
+        `/api/upload/resumable/${sessionId}`
+      );
+      expect(response.headers["tus-resumable"]).toBe("1.0.0");
+      expect(response.headers["upload-offset"]).toBe("0");
+      expect(response.headers["tus-max-size"]).toBe(String(100 * 1024 * 1024));
+      expect(mockUploadService.createUploadSession).toHaveBeenCalledWith(
+        { filename: "large.jpg", mimeType: "image/jpeg", size: 2048 },
+        "user-123",
+        {
+          analyzeWithAI: true,
+          tagStyle: undefined,
+          language: "fr",
+          provider: undefined,
+          stripMetadata: false,
+        }
+      );
+    });
+
+    it("should reject a malformed Upload-Length", async () => {
+      const response = await request(app)
+        .post("/api/upload/resumable")
+        .set("Authorization", "Bearer mock-token")
+        .set("Tus-Resumable", "1.0.0")
+        .set("Upload-Length", "-1");
+
+      expect(response.status).toBe(400);
+      expect(mockUploadService.createUploadSession).not.toHaveBeenCalled();
+    });
+
+    it("should report the offset to resume from", async () => {
+      mockUploadService.getUploadSession.mockResolvedValue({
+        ...session,
+        offset: 1024,
+      });
+
+      const response = await request(app)
+        .head(`/api/upload/resumable/${sessionId}`)
+        .set("Authorization", "Bearer mock-token")
+        .set("Tus-Resumable", "1.0.0");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["upload-offset"]).toBe("1024");
+      expect(response.headers["upload-length"]).toBe("2048");
+      expect(response.headers["cache-control"]).toBe("no-store");
+    });
+
+    it("should append a chunk and return the new offset", async () => {
+      mockUploadService.appendToUploadSession.mockImplementation(
+        async (id, userId, offset, stream) => {
+          let received = 0;
+          for await (const chunk of stream) received += chunk.length;
+          return { ...session, offset: offset + received };
+        }
+      );
+
+      const response = await request(app)
+        .patch(`/api/upload/resumable/${sessionId}`)
+        .set("Authorization", "Bearer mock-token")
+        .set("Tus-Resumable", "1.0.0")
+        .set("Upload-Offset", "1024")
+        .set("Content-Type", "application/offset+octet-stream")
+        .send(Buffer.alloc(512));
+
+      expect(response.status).toBe(204);
+      expect(response.headers["upload-offset"]).toBe("1536");
+      const [id, userId, offset, , context] =
+        mockUploadService.appendToUploadSession.mock.calls[0];
+      expect([id, userId, offset]).toEqual([sessionId, "user-123", 1024]);
+      expect(context).toEqual({ userToken: "mock-token" });
+    });
+
+    it("should reject chunks with another content type", async () => {
+      const response = await request(app)
+        .patch(`/api/upload/resumable/${sessionId}`)
+        .set("Authorization", "Bearer mock-token")
+        .set("Tus-Resumable", "1.0.0")
+        .set("Upload-Offset", "0")
+        .set("Content-Type", "image/jpeg")
+        .send(Buffer.alloc(16));
+
+      expect(response.status).toBe(415);
+      expect(mockUploadService.appendToUploadSession).not.toHaveBeenCalled();
+    });
+
+    it("should return 409 for a stale offset", async () => {
+      mockUploadService.appendToUploadSession.mockRejectedValue(
+        new ConflictError("Upload-Offset does not match the session")
+      );
+
+      const response = await request(app)
+        .patch(`/api/upload/resumable/${sessionId}`)
+        .set("Authorization", "Bearer mock-token")
+        .set("Tus-Resumable", "1.0.0")
+        .set("Upload-Offset", "0")
+        .set("Content-Type", "application/offset+octet-stream")
+        .send(Buffer.alloc(16));
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should cancel a session", async () => {
+      const response = await request(app)
+        .delete(`/api/upload/resumable/${sessionId}`)
+        .set("Authorization", "Bearer mock-token")
+        .set("Tus-Resumable", "1.0.0");
+
+      expect(response.status).toBe(204);
+      expect(mockUploadService.cancelUploadSession).toHaveBeenCalledWith(
+        sessionId,
+        "user-123"
+      );
+    });
+
+    it("should return the file and job of a completed session", async () => {
+      mockUploadService.getUploadSession.mockResolvedValue({
+        ...session,
+        userId: "user-123",
+        options: { analyzeWithAI: true },
+        status: "completed",
+        offset: 2048,
+        fileId: "file-123",
+        jobId: "job-123",
+      });
+
+      const response = await request(app)
+        .get(`/api/upload/resumable/${sessionId}`)
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({
+        ...session,
+        status: "completed",
+        offset: 2048,
+        fileId: "file-123",
+        jobId: "job-123",
+      });
+    });
+  });
 });
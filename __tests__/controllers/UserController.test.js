@@ -173,6 +173,7 @@ describe("UserController", () => {
         lastName: "Doe",
         fullName: "John Doe",
         avatarUrl: "https://example.com/avatar.jpg",
+        stripMetadata: false,
         createdAt: "2024-01-01T00:00:00Z",
         updatedAt: "2024-01-02T00:00:00Z",
         lastSignInAt: "2024-01-03T00:00:00Z",
@@ -433,6 +434,58 @@ describe("UserController", () => {
       expect(response.status).toBe(200);
     });
 
+    it("should turn metadata stripping on without touching the name", async () => {
+      mockSupabase.auth.getUser.mockResolvedValueOnce({
+        data: {
+          user: { user_metadata: { first_name: "John", full_name: "John" } },
+        },
+      });
+
+      mockSupabaseAdmin.auth.admin.updateUserById.mockResolvedValueOnce({
+        data: {
+          user: {
+            id: "user-123",
+            email: "test@example.com",
+            user_metadata: {
+              first_name: "John",
+              full_name: "John",
+              strip_metadata: true,
+            },
+            updated_at: "2024-01-03T00:00:00Z",
+          },
+        },
+        error: null,
+      });
+
+      const response = await request(app)
+        .post("/api/user/update-profile")
+        .set("Authorization", "Bearer mock-token")
+        .send({ stripMetadata: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.stripMetadata).toBe(true);
+      expect(mockSupabaseAdmin.auth.admin.updateUserById).toHaveBeenCalledWith(
+        "user-123",
+        {
+          user_metadata: {
+            first_name: "John",
+            full_name: "John",
+            strip_metadata: true,
+          },
+        }
+      );
+    });
+
+    it("should reject a stripMetadata that is not a boolean", async () => {
+      const response = await request(app)
+        .post("/api/user/update-profile")
+        .set("Authorization", "Bearer mock-token")
+        .send({ stripMetadata: "yes" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("stripMetadata must be a boolean");
+    });
+
     it("should reject request with no fields to update", async () => {
       const response = await request(app)
         .post("/api/user/update-profile")
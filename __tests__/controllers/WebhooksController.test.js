@@ -0,0 +1,330 @@
+/**
+ * WebhooksController Tests
+ * Tests for webhook registration, delivery log and test ping endpoints
+ */
+
+const request = require("supertest");
+const Webhook = require("../../models/Webhook");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+const { ValidationError } = require("../../utils/errorHandler");
+
+// Mock dependencies
+jest.mock("../../services/ServiceContainer");
+jest.mock("@supabase/supabase-js");
+jest.mock("../../middleware/auth");
+
+const ServiceContainer = require("../../services/ServiceContainer");
+
+describe("WebhooksController", () => {
+  let app;
+  let mockWebhookRepository;
+  let mockWebhookService;
+
+  const webhook = new Webhook({
+    id: "hook-1",
+    user_id: "user-123",
+    url: "https://example.com/hooks",
+    secret: "whsec_abc",
+    events: ["file.uploaded"],
+  });
+
+  beforeAll(() => {
+    process.env.NODE_ENV = "test";
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Mock WebhookRepository
+    mockWebhookRepository = {
+      findByUserId: jest.fn(),
+      findById: jest.fn(),
+      create: jest.fn(async (data) => new Webhook({ id: "hook-1", ...data })),
+      update: jest.fn(
+        async (id, userId, data) =>
+          new Webhook({ ...webhook.toDatabase(), ...data })
+      ),
+      delete: jest.fn().mockResolvedValue(true),
+      findDeliveries: jest.fn(),
+    };
+
+    // Mock WebhookService
+    mockWebhookService = {
+      ping: jest.fn(),
+      validateUrl: jest.fn().mockResolvedValue(),
+    };
+
+    // Mock ServiceContainer
+    ServiceContainer.mockImplementation(() => ({
+      getWebhookRepository: () => mockWebhookRepository,
+      getWebhookService: () => mockWebhookService,
+    }));
+
+    // Mock auth middleware
+    const authMock = require("../../middleware/auth");
+    authMock.authenticateUser = (req, res, next) => {
+      req.user = { id: "user-123", email: "test@example.com" };
+      req.token = "mock-token";
+      next();
+    };
+
+    // Load app
+    delete require.cache[require.resolve("../../server")];
+    app = require("../../server");
+  });
+
+  describe("POST /api/webhooks", () => {
+    it("should create a webhook for all events and return its secret", async () => {
+      const response = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", "Bearer mock-token")
+        .send({ url: "https://example.com/hooks", description: " CMS sync " });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+      expect(response.body.data.events).toEqual([
+        "file.uploaded",
+        "file.analysis_completed",
+        "file.analysis_failed",
+        "file.updated",
+        "file.deleted",
+      ]);
+      expect(mockWebhookRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user_id: "user-123",
+          url: "https://example.com/hooks",
+          description: "CMS sync",
+        })
+      );
+      expect(mockWebhookService.validateUrl).toHaveBeenCalledWith(
+        "https://example.com/hooks"
+      );
+    });
+
+    it("should reject URLs that do not resolve to a public address", async () => {
+      mockWebhookService.validateUrl.mockRejectedValue(
+        new ValidationError("URL must resolve to a public address")
+      );
+
+      const response = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", "Bearer mock-token")
+        .send({ url: "http://169.254.169.254/latest/meta-data" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("public address");
+      expect(mockWebhookRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should reject invalid URLs", async () => {
+      const response = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", "Bearer mock-token")
+        .send({ url: "ftp://example.com/hooks" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("URL must be a valid");
+      expect(mockWebhookRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown events", async () => {
+      const response = await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", "Bearer mock-token")
+        .send({ url: "https://example.com/hooks", events: ["file.renamed"] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("Events must be");
+    });
+  });
+
+  describe("GET /api/webhooks", () => {
+    it("should list webhooks without their secrets", async () => {
+      mockWebhookRepository.findByUserId.mockResolvedValue([webhook]);
+
+      const response = await request(app)
+        .get("/api/webhooks")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].secret).toBeUndefined();
+      expect(response.body.events).toContain("file.deleted");
+    });
+  });
+
+  describe("PATCH /api/webhooks/:id", () => {
+    it("should update events and disable the webhook", async () => {
+      mockWebhookRepository.findById.mockResolvedValue(webhook);
+
+      const response = await request(app)
+        .patch("/api/webhooks/hook-1")
+        .set("Authorization", "Bearer mock-token")
+        .send({ events: ["file.deleted"], active: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.active).toBe(false);
+      expect(mockWebhookRepository.update).toHaveBeenCalledWith(
+        "hook-1",
+        "user-123",
+        expect.objectContaining({ events: ["file.deleted"], active: false })
+      );
+      expect(mockWebhookService.validateUrl).not.toHaveBeenCalled();
+    });
+
+    it("should check a changed URL before saving it", async () => {
+      mockWebhookRepository.findById.mockResolvedValue(webhook);
+      mockWebhookService.validateUrl.mockRejectedValue(
+        new ValidationError("URL must resolve to a public address")
+      );
+
+      const response = await request(app)
+        .patch("/api/webhooks/hook-1")
+        .set("Authorization", "Bearer mock-token")
+        .send({ url: "http://localhost:8080/hooks" });
+
+      expect(response.status).toBe(400);
+      expect(mockWebhookService.validateUrl).toHaveBeenCalledWith(
+        "http://localhost:8080/hooks"
+      );
+      expect(mockWebhookRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for unknown webhooks", async () => {
+      mockWebhookRepository.findById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch("/api/webhooks/missing")
+        .set("Authorization", "Bearer mock-token")
+        .send({ active: false });
+
+      expect(response.status).toBe(404);
+    });
+
+    it("should reject empty updates", async () => {
+      const response = await request(app)
+        .patch("/api/webhooks/hook-1")
+        .set("Authorization", "Bearer mock-token")
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain("No updates provided");
+    });
+  });
+
+  describe("DELETE /api/webhooks/:id", () => {
+    it("should delete the webhook", async () => {
+      mockWebhookRepository.findById.mockResolvedValue(webhook);
+
+      const response = await request(app)
+        .delete("/api/webhooks/hook-1")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(mockWebhookRepository.delete).toHaveBeenCalledWith(
+        "hook-1",
+        "user-123"
+      );
+    });
+  });
+
+  describe("GET /api/webhooks/:id/deliveries", () => {
+    it("should return the paginated delivery log", async () => {
+      mockWebhookRepository.findById.mockResolvedValue(webhook);
+      mockWebhookRepository.findDeliveries.mockResolvedValue({
+        deliveries: [
+          new WebhookDelivery({
+            id: "delivery-1",
+            webhook_id: "hook-1",
+            event: "file.uploaded",
+            status: "failed",
+            attempts: 5,
+            response_status: 500,
+            error: "Receiver responded with HTTP 500",
+          }),
+        ],
+        total: 21,
+      });
+
+      const response = await request(app)
+        .get("/api/webhooks/hook-1/deliveries?page=2&per_page=10&status=failed")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toMatchObject({
+        id: "delivery-1",
+        status: "failed",
+        responseStatus: 500,
+      });
+      expect(response.body.pagination).toMatchObject({
+        current_page: 2,
+        per_page: 10,
+        total_pages: 3,
+        has_next_page: true,
+      });
+      expect(mockWebhookRepository.findDeliveries).toHaveBeenCalledWith(
+        "hook-1",
+        "user-123",
+        { page: 2, perPage: 10, status: "failed" }
+      );
+    });
+
+    it("should reject unknown statuses", async () => {
+      const response = await request(app)
+        .get("/api/webhooks/hook-1/deliveries?status=lost")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("POST /api/webhooks/:id/test", () => {
+    it("should ping the webhook and return the delivery", async () => {
+      mockWebhookRepository.findById.mockResolvedValue(webhook);
+      mockWebhookService.ping.mockResolvedValue(
+        new WebhookDelivery({
+          id: "delivery-1",
+          event: "ping",
+          status: "succeeded",
+          attempts: 1,
+          response_status: 204,
+        })
+      );
+
+      const response = await request(app)
+        .post("/api/webhooks/hook-1/test")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({
+        id: "delivery-1",
+        event: "ping",
+        status: "succeeded",
+      });
+      expect(mockWebhookService.ping).toHaveBeenCalledWith(webhook);
+    });
+
+    it("should report a failed ping", async () => {
+      mockWebhookRepository.findById.mockResolvedValue(webhook);
+      mockWebhookService.ping.mockResolvedValue(
+        new WebhookDelivery({
+          id: "delivery-1",
+          event: "ping",
+          status: "failed",
+          error: "Receiver responded with HTTP 404",
+        })
+      );
+
+      const response = await request(app)
+        .post("/api/webhooks/hook-1/test")
+        .set("Authorization", "Bearer mock-token");
+
+      expect(response.body.success).toBe(false);
+      // The receiver's response is not disclosed
+      expect(response.body.message).toBe("Test event failed");
+      expect(response.body.data.responseStatus).toBeUndefined();
+      expect(response.body.data.error).toBeUndefined();
+    });
+  });
+});
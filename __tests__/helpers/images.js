@@ -0,0 +1,110 @@
+/**
+ * Image test helper
+ * Builds minimal JPEG, PNG and WebP files with just enough structure for
+ * metadata parsing; their image data is placeholder bytes
+ */
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c;
+    });
+  }
+
+  let crc = -1;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * @param {number} marker - e.g. 0xe1 for APP1
+ * @param {Buffer} data - Segment payload without the length field
+ */
+function jpegSegment(marker, data) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+const SCAN = Buffer.from("ffda0008010100003f00abcdefffd9", "hex");
+
+/**
+ * JPEG with a JFIF header, the given extra segments and a placeholder scan
+ * @param {Buffer[]} segments - Complete segments (see jpegSegment)
+ */
+function createJpeg(segments = []) {
+  return Buffer.concat([
+    Buffer.from("ffd8", "hex"),
+    jpegSegment(0xe0, Buffer.from("4a46494600010100000100010000", "hex")),
+    ...segments,
+    jpegSegment(0xdb, Buffer.alloc(65)),
+    SCAN,
+  ]);
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 1x1 PNG with the given extra chunks before its image data
+ * @param {Buffer[]} chunks - Complete chunks (see pngChunk)
+ */
+function createPng(chunks = []) {
+  const header = Buffer.from("00000001000000010806000000", "hex");
+  return Buffer.concat([
+    Buffer.from("89504e470d0a1a0a", "hex"),
+    pngChunk("IHDR", header),
+    ...chunks,
+    pngChunk("IDAT", Buffer.from("789c6300010000050001", "hex")),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Simple-format lossless WebP
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} alpha
+ */
+function createWebp(width = 3, height = 2, alpha = true) {
+  const image = Buffer.alloc(9);
+  image[0] = 0x2f;
+  image.writeUInt32LE(
+    ((width - 1) | ((height - 1) << 14) | ((alpha ? 1 : 0) << 28)) >>> 0,
+    1
+  );
+
+  const chunk = Buffer.alloc(8);
+  chunk.write("VP8L", 0, "latin1");
+  chunk.writeUInt32LE(image.length, 4);
+
+  const riff = Buffer.alloc(12);
+  riff.write("RIFF", 0, "latin1");
+  riff.writeUInt32LE(4 + chunk.length + image.length + 1, 4);
+  riff.write("WEBP", 8, "latin1");
+
+  return Buffer.concat([riff, chunk, image, Buffer.alloc(1)]);
+}
+
+module.exports = {
+  crc32,
+  createJpeg,
+  createPng,
+  createWebp,
+  jpegSegment,
+  pngChunk,
+};
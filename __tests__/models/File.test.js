@@ -14,6 +14,7 @@ describe("File Model", () => {
         file_path: "images/user/test.jpg",
         file_size: 1024000,
         mime_type: "image/jpeg",
+        content_hash: "abc123",
         public_url: "https://example.com/test.jpg",
         user_id: "user-123",
         status: "completed",
@@ -30,6 +31,7 @@ describe("File Model", () => {
       expect(file.filePath).toBe("images/user/test.jpg");
       expect(file.fileSize).toBe(1024000);
       expect(file.mimeType).toBe("image/jpeg");
+      expect(file.contentHash).toBe("abc123");
     });
   });
 
@@ -80,6 +82,12 @@ describe("File Model", () => {
   });
 
   describe("status methods", () => {
+    it("isPending() should return true for direct uploads not yet completed", () => {
+      const file = new File({ status: "pending" });
+      expect(file.isPending()).toBe(true);
+      expect(file.isProcessing()).toBe(false);
+    });
+
     it("isProcessing() should return true for processing status", () => {
       const file = new File({ status: "processing" });
       expect(file.isProcessing()).toBe(true);
@@ -121,5 +129,56 @@ describe("File Model", () => {
       expect(json.hasAIAnalysis).toBe(true);
       expect(json.isImage).toBe(true);
     });
+
+    it("should expose renditions and never persist their URLs", () => {
+      const file = new File({
+        renditions: {
+          preview: {
+            path: "images/a.preview.webp",
+            width: 1024,
+            height: 768,
+            mimeType: "image/webp",
+          },
+        },
+      });
+
+      file.renditions.preview.url = "https://storage.example/signed";
+
+      expect(file.getRenditionPaths()).toEqual(["images/a.preview.webp"]);
+      expect(file.toDatabase().renditions.preview).not.toHaveProperty("url");
+      expect(file.toJSON().renditions).toEqual({
+        preview: {
+          url: "https://storage.example/signed",
+          width: 1024,
+          height: 768,
+          mimeType: "image/webp",
+        },
+      });
+    });
+
+    it("should expose and persist image metadata", () => {
+      const metadata = {
+        camera: { make: "Canon", model: "EOS R5" },
+        capturedAt: "2024-05-01T18:30:05",
+        gps: null,
+      };
+      const file = new File({ metadata });
+
+      expect(file.toJSON().metadata).toEqual(metadata);
+      expect(file.toDatabase().metadata).toEqual(metadata);
+      expect(new File({}).toJSON().metadata).toEqual({});
+    });
+
+    it("should include language variants", () => {
+      const file = new File({
+        translations: { fr: { description: "Une photo", tags: ["photo"] } },
+      });
+
+      const json = file.toJSON();
+
+      expect(json.translations.fr.description).toBe("Une photo");
+      expect(json.languages).toEqual(["fr"]);
+      expect(new File({}).toJSON().languages).toEqual([]);
+    });
   });
 });
@@ -0,0 +1,348 @@
+/**
+ * ExportService Tests
+ * Streams ZIP archives from a fake storage provider
+ */
+
+const { PassThrough, Readable } = require("stream");
+const ExportService = require("../../services/ExportService");
+const File = require("../../models/File");
+const { readZip } = require("../helpers/zip");
+const { createJpeg } = require("../helpers/images");
+
+/**
+ * Storage stand-in that tracks how many read streams are open at once
+ */
+function createStorage(contents) {
+  const storage = {
+    opened: [],
+    open: 0,
+    maxOpen: 0,
+    getReadStream: jest.fn(async (path) => {
+      if (!(path in contents)) {
+        throw new Error("Storage download failed: Object not found");
+      }
+
+      storage.opened.push(path);
+      storage.open++;
+      storage.maxOpen = Math.max(storage.maxOpen, storage.open);
+
+      const stream = Readable.from(
+        (async function* () {
+          await new Promise((resolve) => setImmediate(resolve));
+          if (contents[path] instanceof Error) throw contents[path];
+          yield Buffer.from(contents[path]);
+        })()
+      );
+      stream.once("close", () => storage.open--);
+      return stream;
+    }),
+  };
+  return storage;
+}
+
+const makeFiles = (names) =>
+  names.map(
+    (name, i) =>
+      new File({
+        id: `file-${i + 1}`,
+        filename: name,
+        file_path: `images/user-123/${i + 1}-${name}`,
+      })
+  );
+
+/**
+ * Run writeZip into a buffer
+ */
+async function exportZip(service, files) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  const result = await service.writeZip(files, output);
+  return { result, output, buffer: Buffer.concat(chunks) };
+}
+
+describe("ExportService", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should stream every file into the archive in order", async () => {
+    const files = makeFiles(["a.jpg", "b.png", "c.gif"]);
+    const storage = createStorage({
+      [files[0].filePath]: "image-a",
+      [files[1].filePath]: "image-b",
+      [files[2].filePath]: "image-c",
+    });
+
+    const { result, buffer } = await exportZip(
+      new ExportService(storage),
+      files
+    );
+
+    expect(result).toEqual({ added: 3, errors: [], aborted: false });
+    const entries = readZip(buffer);
+    expect([...entries.keys()]).toEqual(["a.jpg", "b.png", "c.gif"]);
+    expect(entries.get("b.png").toString()).toBe("image-b");
+  });
+
+  it("should rename duplicate filenames", async () => {
+    const files = makeFiles(["photo.jpg", "photo.jpg", "photo.jpg", "README"]);
+    files[3].filename = "README";
+    const storage = createStorage(
+      Object.fromEntries(files.map((f) => [f.filePath, f.id]))
+    );
+
+    const { buffer } = await exportZip(new ExportService(storage), [
+      ...files,
+      files[3],
+    ]);
+
+    expect([...readZip(buffer).keys()]).toEqual([
+      "photo.jpg",
+      "photo-1.jpg",
+      "photo-2.jpg",
+      "README",
+      "README-1",
+    ]);
+  });
+
+  it("should keep no more than `prefetch` reads open", async () => {
+    const files = makeFiles(
+      Array.from({ length: 10 }, (_, i) => `image-${i}.jpg`)
+    );
+    const storage = createStorage(
+      Object.fromEntries(files.map((f) => [f.filePath, f.id]))
+    );
+
+    const { result } = await exportZip(
+      new ExportService(storage, { prefetch: 3 }),
+      files
+    );
+
+    expect(result.added).toBe(10);
+    expect(storage.maxOpen).toBe(3);
+    expect(storage.opened).toEqual(files.map((f) => f.filePath));
+  });
+
+  it("should list unreadable files in download-errors.txt", async () => {
+    const files = makeFiles(["a.jpg", "missing.jpg"]);
+    const storage = createStorage({ [files[0].filePath]: "image-a" });
+
+    const { result, buffer } = await exportZip(
+      new ExportService(storage),
+      files
+    );
+
+    expect(result.added).toBe(1);
+    expect(result.errors).toEqual([
+      {
+        id: "file-2",
+        filename: "missing.jpg",
+        error: "Storage download failed: Object not found",
+      },
+    ]);
+    const summary = readZip(buffer).get("download-errors.txt").toString();
+    expect(summary).toContain("Successful: 1 files");
+    expect(summary).toContain("- missing.jpg: Storage download failed");
+  });
+
+  describe("sidecars and manifest", () => {
+    const analyzed = () => {
+      const files = makeFiles(["beach.jpg", "beach.png", "draft.jpg"]);
+      Object.assign(files[0], {
+        status: "completed",
+        description: 'Sunset over the "bay", calm',
+        tags: ["sunset", "beach"],
+        captions: { altText: "Orange sunset above a calm bay" },
+        translations: { fr: { description: "Coucher de soleil" } },
+      });
+      Object.assign(files[1], {
+        status: "completed",
+        description: "=HYPERLINK(evil)",
+        tags: ["beach"],
+      });
+      return files;
+    };
+
+    async function exportAnalyzed(options) {
+      const files = analyzed();
+      const storage = createStorage(
+        Object.fromEntries(files.map((f) => [f.filePath, f.id]))
+      );
+      const output = new PassThrough();
+      const chunks = [];
+      output.on("data", (chunk) => chunks.push(chunk));
+      const result = await new ExportService(storage).writeZip(
+        files,
+        output,
+        options
+      );
+      return { result, entries: readZip(Buffer.concat(chunks)) };
+    }
+
+    it("should write sidecars next to each image", async () => {
+      const { result, entries } = await exportAnalyzed({
+        sidecars: ["txt", "json", "xmp"],
+      });
+
+      expect(result.added).toBe(3);
+      // beach.png is renamed so its sidecars do not collide with beach.jpg's
+      expect([...entries.keys()]).toEqual([
+        "beach.jpg",
+        "beach.txt",
+        "beach.json",
+        "beach.xmp",
+        "beach-1.png",
+        "beach-1.txt",
+        "beach-1.json",
+        "beach-1.xmp",
+        "draft.jpg",
+        "draft.txt",
+        "draft.json",
+        "draft.xmp",
+      ]);
+
+      expect(entries.get("beach.txt").toString()).toBe(
+        'Sunset over the "bay", calm'
+      );
+      expect(JSON.parse(entries.get("beach-1.json"))).toMatchObject({
+        id: "file-2",
+        filename: "beach-1.png",
+        originalFilename: "beach.png",
+        tags: ["beach"],
+        status: "completed",
+      });
+      expect(entries.get("draft.txt").toString()).toBe("");
+
+      const xmp = entries.get("beach.xmp").toString();
+      expect(xmp).toContain(
+        '<rdf:li xml:lang="x-default">Sunset over the &quot;bay&quot;, calm</rdf:li>'
+      );
+      expect(xmp).toContain('<rdf:li xml:lang="fr">Coucher de soleil</rdf:li>');
+      expect(xmp).toContain("<rdf:li>sunset</rdf:li>");
+      expect(xmp).toContain("<Iptc4xmpCore:AltTextAccessibility>");
+    });
+
+    it("should list every exported file in CSV and JSON manifests", async () => {
+      const { entries } = await exportAnalyzed({ manifest: ["csv", "json"] });
+
+      expect([...entries.keys()]).toEqual([
+        "beach.jpg",
+        "beach.png",
+        "draft.jpg",
+        "manifest.csv",
+        "manifest.json",
+      ]);
+
+      expect(entries.get("manifest.csv").toString().split("\r\n")).toEqual([
+        "id,filename,description,tags,status",
+        'file-1,beach.jpg,"Sunset over the ""bay"", calm","sunset, beach",completed',
+        "file-2,beach.png,'=HYPERLINK(evil),beach,completed",
+        "file-3,draft.jpg,,,uploaded",
+        "",
+      ]);
+
+      const manifest = JSON.parse(entries.get("manifest.json"));
+      expect(manifest.count).toBe(3);
+      expect(manifest.files[2]).toEqual({
+        id: "file-3",
+        filename: "draft.jpg",
+        description: null,
+        tags: [],
+        status: "uploaded",
+      });
+    });
+  });
+
+  describe("embedded metadata", () => {
+    const xmpHeader = "http://ns.adobe.com/xap/1.0/";
+
+    it("should write captions into supported images", async () => {
+      const files = makeFiles(["photo.jpg", "clip.gif"]);
+      Object.assign(files[0], {
+        mimeType: "image/jpeg",
+        description: "Harbour at dawn",
+        tags: ["harbour"],
+      });
+      Object.assign(files[1], { mimeType: "image/gif", tags: ["clip"] });
+      const storage = createStorage({
+        [files[0].filePath]: createJpeg(),
+        [files[1].filePath]: "GIF89a",
+      });
+
+      const output = new PassThrough();
+      const chunks = [];
+      output.on("data", (chunk) => chunks.push(chunk));
+      const result = await new ExportService(storage).writeZip(files, output, {
+        embed: true,
+      });
+
+      expect(result.added).toBe(2);
+      const entries = readZip(Buffer.concat(chunks));
+      const photo = entries.get("photo.jpg");
+      expect(photo.length).toBeGreaterThan(createJpeg().length);
+      expect(photo.toString("utf8")).toContain(xmpHeader);
+      expect(photo.toString("utf8")).toContain("Harbour at dawn");
+      // GIF has no supported metadata block and is exported as stored
+      expect(entries.get("clip.gif").toString()).toBe("GIF89a");
+    });
+
+    it("should send images it cannot parse as stored", async () => {
+      const [file] = makeFiles(["broken.jpg"]);
+      Object.assign(file, { mimeType: "image/jpeg", description: "Broken" });
+      const storage = createStorage({ [file.filePath]: "not a jpeg" });
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const stream = await new ExportService(storage).openFile(file, {
+        embed: true,
+      });
+
+      expect(Buffer.concat(await stream.toArray()).toString()).toBe(
+        "not a jpeg"
+      );
+    });
+  });
+
+  it("should abort the output when a read fails mid-stream", async () => {
+    const files = makeFiles(["a.jpg", "b.jpg", "c.jpg"]);
+    const storage = createStorage({
+      [files[0].filePath]: "image-a",
+      [files[1].filePath]: new Error("Connection reset"),
+      [files[2].filePath]: "image-c",
+    });
+
+    const { result, output } = await exportZip(
+      new ExportService(storage, { prefetch: 1 }),
+      files
+    );
+
+    expect(result.aborted).toBe(true);
+    expect(result.added).toBe(1);
+    expect(output.destroyed).toBe(true);
+    expect(storage.opened).not.toContain(files[2].filePath);
+  });
+
+  it("should stop reading when the client disconnects", async () => {
+    const files = makeFiles(
+      Array.from({ length: 10 }, (_, i) => `image-${i}.jpg`)
+    );
+    const storage = createStorage(
+      Object.fromEntries(files.map((f) => [f.filePath, f.id]))
+    );
+    const output = new PassThrough();
+    output.once("data", () => output.destroy());
+
+    const result = await new ExportService(storage, {
+      prefetch: 2,
+    }).writeZip(files, output);
+
+    expect(result.aborted).toBe(true);
+    expect(storage.opened.length).toBeLessThan(files.length);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(storage.open).toBe(0);
+  });
+});
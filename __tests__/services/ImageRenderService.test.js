@@ -0,0 +1,203 @@
+/**
+ * ImageRenderService Tests
+ * Renders real images with sharp against a stub storage provider
+ */
+
+const sharp = require("sharp");
+const ImageRenderService = require("../../services/ImageRenderService");
+const File = require("../../models/File");
+const { ValidationError } = require("../../utils/errorHandler");
+
+describe("ImageRenderService", () => {
+  let original;
+  let storageProvider;
+  let cache;
+  let service;
+
+  const file = new File({
+    id: "file-1",
+    file_path: "images/user-123/a.png",
+    mime_type: "image/png",
+  });
+
+  beforeAll(async () => {
+    original = await sharp({
+      create: {
+        width: 800,
+        height: 400,
+        channels: 4,
+        background: { r: 0, g: 128, b: 255, alpha: 0.5 },
+      },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  beforeEach(() => {
+    storageProvider = {
+      downloadFile: jest.fn(async () => original),
+    };
+    cache = new Map();
+    service = new ImageRenderService(storageProvider, cache);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("parseOptions()", () => {
+    it("should default to the original format, cover and quality 80", () => {
+      expect(service.parseOptions({ width: "200" }, file)).toEqual({
+        width: 200,
+        height: null,
+        fit: "cover",
+        format: "png",
+        quality: 80,
+      });
+      expect(
+        service.parseOptions({}, new File({ mime_type: "image/gif" })).format
+      ).toBe("jpeg");
+    });
+
+    it.each([
+      [{ width: "0" }, "Width must be an integer from 1 to 4096"],
+      [{ width: "5000" }, "Width must be an integer from 1 to 4096"],
+      [{ height: "12.5" }, "Height must be an integer"],
+      [{ quality: "101" }, "Quality must be an integer from 1 to 100"],
+      [{ fit: "stretch" }, "Invalid fit"],
+      [{ format: "gif" }, "Invalid format"],
+    ])("should reject %o", (query, message) => {
+      expect(() => service.parseOptions(query, file)).toThrow(message);
+    });
+
+    it("should honour a configured maximum dimension", () => {
+      service = new ImageRenderService(storageProvider, cache, {
+        maxDimension: "1000",
+      });
+
+      expect(() => service.parseOptions({ width: "1001" }, file)).toThrow(
+        "from 1 to 1000"
+      );
+    });
+  });
+
+  describe("render()", () => {
+    it("should resize and convert the image", async () => {
+      const options = service.parseOptions(
+        { width: "200", height: "200", format: "webp", quality: "60" },
+        file
+      );
+
+      const rendered = await service.render(file, options);
+
+      expect(rendered).toMatchObject({
+        width: 200,
+        height: 200,
+        mimeType: "image/webp",
+      });
+      expect((await sharp(rendered.buffer).metadata()).format).toBe("webp");
+    });
+
+    it("should letterbox with contain and flatten JPEG output", async () => {
+      const options = service.parseOptions(
+        { width: "300", height: "300", fit: "contain", format: "jpeg" },
+        file
+      );
+
+      const rendered = await service.render(file, options);
+      const metadata = await sharp(rendered.buffer).metadata();
+
+      expect([rendered.width, rendered.height]).toEqual([300, 300]);
+      expect(metadata.format).toBe("jpeg");
+      expect(metadata.hasAlpha).toBe(false);
+    });
+
+    it("should not enlarge the original", async () => {
+      const rendered = await service.render(
+        file,
+        service.parseOptions({ width: "2000" }, file)
+      );
+
+      expect([rendered.width, rendered.height]).toEqual([800, 400]);
+    });
+
+    it("should rasterize SVG originals to PNG by default", async () => {
+      const svg = new File({
+        id: "file-2",
+        file_path: "images/user-123/b.svg",
+        mime_type: "image/svg+xml",
+      });
+      storageProvider.downloadFile.mockResolvedValue(
+        Buffer.from(
+          '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20">' +
+            '<rect width="40" height="20" fill="red"/></svg>'
+        )
+      );
+
+      const rendered = await service.render(
+        svg,
+        service.parseOptions({ width: "200" }, svg)
+      );
+
+      expect(rendered).toMatchObject({
+        width: 200,
+        height: 100,
+        mimeType: "image/png",
+      });
+    });
+
+    it("should reuse cached and in-flight renders", async () => {
+      const options = service.parseOptions({ width: "100" }, file);
+
+      const [first, second] = await Promise.all([
+        service.render(file, options),
+        service.render(file, options),
+      ]);
+      const third = await new ImageRenderService(storageProvider, cache).render(
+        file,
+        options
+      );
+
+      expect(second).toBe(first);
+      expect(third).toBe(first);
+      expect(storageProvider.downloadFile).toHaveBeenCalledTimes(1);
+    });
+
+    it("should drop the least recently used renders over budget", async () => {
+      service = new ImageRenderService(storageProvider, cache, {
+        cacheMaxMB: 1,
+      });
+      const small = service.parseOptions({ width: "10" }, file);
+      const large = service.parseOptions({ format: "png" }, file);
+      jest.spyOn(Buffer.prototype, "length", "get").mockReturnValue(600 * 1024);
+
+      await service.render(file, small);
+      await service.render(file, large);
+
+      expect(cache.size).toBe(1);
+      expect(cache.has(service._cacheKey(file, large))).toBe(true);
+    });
+
+    it("should not cache failures", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      storageProvider.downloadFile.mockResolvedValueOnce(
+        Buffer.from("not an image")
+      );
+      const options = service.parseOptions({ width: "100" }, file);
+
+      await expect(service.render(file, options)).rejects.toThrow(
+        ValidationError
+      );
+      expect(cache.size).toBe(0);
+      await expect(service.render(file, options)).resolves.toBeDefined();
+    });
+  });
+
+  it("should give each render its own ETag", () => {
+    const a = service.getETag(file, service.parseOptions({ width: "1" }, file));
+    const b = service.getETag(file, service.parseOptions({ width: "2" }, file));
+
+    expect(a).toMatch(/^"[\w-]+"$/);
+    expect(a).not.toBe(b);
+  });
+});
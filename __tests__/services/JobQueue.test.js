@@ -0,0 +1,350 @@
+/**
+ * JobQueue Tests
+ * Tests for the in-process job queue with the memory job store
+ */
+
+const JobQueue = require("../../services/JobQueue");
+const MemoryJobStore = require("../../services/implementations/MemoryJobStore");
+const { ValidationError } = require("../../utils/errorHandler");
+
+describe("JobQueue", () => {
+  let store;
+  let queue;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    store = new MemoryJobStore();
+    queue = new JobQueue(store, {
+      concurrency: 2,
+      maxAttempts: 3,
+      backoffMs: 1,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should run a job and store its result", async () => {
+    const handler = jest.fn().mockResolvedValue({ ok: true });
+    queue.register("echo", handler);
+
+    const job = await queue.enqueue(
+      "echo",
+      { userId: "user-123", fileId: "file-1", payload: { n: 1 } },
+      { userToken: "secret-token" }
+    );
+    expect(job.status).toBe("queued");
+
+    await queue.onIdle();
+
+    const finished = await queue.getJob(job.id, "user-123");
+    expect(finished.status).toBe("completed");
+    expect(finished.attempts).toBe(1);
+    expect(finished.result).toEqual({ ok: true });
+    expect(finished.completedAt).toBeDefined();
+    expect(handler).toHaveBeenCalledWith(
+      expect.objectContaining({ id: job.id, payload: { n: 1 } }),
+      { userToken: "secret-token" }
+    );
+  });
+
+  it("should never persist the job context", async () => {
+    queue.register("echo", async () => null);
+
+    const job = await queue.enqueue(
+      "echo",
+      { userId: "user-123" },
+      { userToken: "secret-token" }
+    );
+    await queue.onIdle();
+
+    expect(JSON.stringify(store.jobs.get(job.id))).not.toContain(
+      "secret-token"
+    );
+    expect(queue.contexts.size).toBe(0);
+  });
+
+  it("should limit how many jobs run at once", async () => {
+    let active = 0;
+    let peak = 0;
+    queue.register("slow", async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+    });
+
+    await Promise.all(
+      [1, 2, 3, 4, 5].map(() => queue.enqueue("slow", { userId: "user-123" }))
+    );
+    await queue.onIdle();
+
+    expect(peak).toBe(2);
+  });
+
+  it("should retry failed attempts with exponential backoff", async () => {
+    const handler = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("flaky"))
+      .mockRejectedValueOnce(new Error("flaky"))
+      .mockResolvedValueOnce({ ok: true });
+    queue.register("flaky", handler);
+    const schedule = jest.spyOn(queue, "_schedule");
+
+    const job = await queue.enqueue("flaky", { userId: "user-123" });
+    await queue.onIdle();
+
+    const finished = await store.findById(job.id);
+    expect(finished.status).toBe("completed");
+    expect(finished.attempts).toBe(3);
+    expect(finished.error).toBeNull();
+    expect(schedule.mock.calls.map(([, delay]) => delay)).toEqual([0, 1, 2]);
+  });
+
+  it("should fail the job after the last attempt", async () => {
+    const handler = jest.fn().mockRejectedValue(new Error("AI down"));
+    queue.register("broken", handler);
+
+    const job = await queue.enqueue("broken", { userId: "user-123" });
+    await queue.onIdle();
+
+    const finished = await store.findById(job.id);
+    expect(finished.status).toBe("failed");
+    expect(finished.error).toBe("AI down");
+    expect(finished.isFinished()).toBe(true);
+    expect(handler).toHaveBeenCalledTimes(3);
+  });
+
+  it("should not retry client errors", async () => {
+    const handler = jest
+      .fn()
+      .mockRejectedValue(new ValidationError("File not found"));
+    queue.register("missing", handler);
+
+    const job = await queue.enqueue("missing", { userId: "user-123" });
+    await queue.onIdle();
+
+    expect((await store.findById(job.id)).status).toBe("failed");
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("should not retry non-retryable job errors", async () => {
+    const handler = jest
+      .fn()
+      .mockRejectedValue(
+        new JobQueue.NonRetryableJobError("Job context unavailable")
+      );
+    queue.register("contextless", handler);
+
+    const job = await queue.enqueue("contextless", { userId: "user-123" });
+    await queue.onIdle();
+
+    const failed = await store.findById(job.id);
+    expect(failed.status).toBe("failed");
+    expect(failed.error).toBe("Job context unavailable");
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("should call onFail once a job fails for good", async () => {
+    const onFail = jest.fn();
+    queue.register("flaky", jest.fn().mockRejectedValue(new Error("AI down")), {
+      onFail,
+    });
+    queue.register(
+      "contextless",
+      jest
+        .fn()
+        .mockRejectedValue(
+          new JobQueue.NonRetryableJobError("Job context unavailable")
+        ),
+      { onFail }
+    );
+
+    const flaky = await queue.enqueue("flaky", { userId: "user-123" });
+    const contextless = await queue.enqueue("contextless", {
+      userId: "user-123",
+    });
+    await queue.onIdle();
+
+    expect(onFail).toHaveBeenCalledTimes(2);
+    expect(onFail).toHaveBeenCalledWith(
+      expect.objectContaining({ id: flaky.id, attempts: 3 }),
+      expect.objectContaining({ message: "AI down" })
+    );
+    expect(onFail).toHaveBeenCalledWith(
+      expect.objectContaining({ id: contextless.id, attempts: 1 }),
+      expect.objectContaining({ message: "Job context unavailable" })
+    );
+  });
+
+  it("should keep failing the job when onFail throws", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    queue.register("broken", jest.fn().mockRejectedValue(new Error("nope")), {
+      maxAttempts: 1,
+      onFail: jest.fn().mockRejectedValue(new Error("hook down")),
+    });
+
+    const job = await queue.enqueue("broken", { userId: "user-123" });
+    await queue.onIdle();
+
+    expect((await store.findById(job.id)).status).toBe("failed");
+    expect(queue.contexts.size).toBe(0);
+  });
+
+  it("should drop a job whose store update fails and recover it later", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const onFail = jest.fn();
+    const handler = jest.fn();
+    queue.leaseMs = 1;
+    queue.register("echo", handler, { onFail });
+    jest
+      .spyOn(store, "update")
+      .mockRejectedValueOnce(new Error("store unavailable"));
+
+    const job = await queue.enqueue("echo", { userId: "user-123" });
+    await queue.onIdle();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(queue.contexts.size).toBe(0);
+    expect(queue.heartbeat).toBeNull();
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    expect(await queue.recover()).toBe(1);
+    expect((await store.findById(job.id)).status).toBe("failed");
+    expect(onFail).toHaveBeenCalledWith(
+      expect.objectContaining({ id: job.id }),
+      expect.objectContaining({ message: "Interrupted by server restart" })
+    );
+  });
+
+  it("should apply per-type attempts and backoff", async () => {
+    const handler = jest.fn().mockRejectedValue(new Error("receiver down"));
+    queue.register("webhook", handler, { maxAttempts: 4, backoffMs: 2 });
+    const schedule = jest.spyOn(queue, "_schedule");
+
+    const job = await queue.enqueue("webhook", { userId: "user-123" });
+    expect(job.maxAttempts).toBe(4);
+    await queue.onIdle();
+
+    expect(handler).toHaveBeenCalledTimes(4);
+    expect(schedule.mock.calls.map(([, delay]) => delay)).toEqual([0, 2, 4, 8]);
+  });
+
+  it("should reject unknown job types", async () => {
+    await expect(
+      queue.enqueue("unknown", { userId: "user-123" })
+    ).rejects.toThrow("No handler registered for job type: unknown");
+  });
+
+  it("should only return jobs owned by the user", async () => {
+    queue.register("echo", async () => null);
+    const job = await queue.enqueue("echo", { userId: "user-123" });
+
+    expect(await queue.getJob(job.id, "user-456")).toBeNull();
+    expect(await queue.getJob("missing", "user-123")).toBeNull();
+    expect((await queue.getJob(job.id, "user-123")).id).toBe(job.id);
+    await queue.onIdle();
+  });
+
+  it("should find the latest job for a file", async () => {
+    queue.register("echo", async () => null);
+    await queue.enqueue("echo", { userId: "user-123", fileId: "file-1" });
+    const latest = await queue.enqueue("echo", {
+      userId: "user-123",
+      fileId: "file-1",
+    });
+    await queue.onIdle();
+
+    expect((await queue.getLatestJobForFile("file-1", "user-123")).id).toBe(
+      latest.id
+    );
+    expect(await queue.getLatestJobForFile("file-1", "user-456")).toBeNull();
+  });
+
+  it("should fail orphaned jobs on recovery", async () => {
+    const orphan = await store.create({
+      type: "echo",
+      user_id: "user-123",
+      status: "running",
+      attempts: 1,
+      max_attempts: 3,
+      owner_id: "stopped-instance",
+      lease_expires_at: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    const onFail = jest.fn();
+    queue.register("echo", async () => null, { onFail });
+
+    const recovered = await queue.recover();
+
+    expect(recovered).toBe(1);
+    expect(onFail).toHaveBeenCalledWith(
+      expect.objectContaining({ id: orphan.id, fileId: null }),
+      expect.objectContaining({ message: "Interrupted by server restart" })
+    );
+    const job = await store.findById(orphan.id);
+    expect(job.status).toBe("failed");
+    expect(job.error).toBe("Interrupted by server restart");
+  });
+
+  it("should leave jobs held by other live instances on recovery", async () => {
+    const other = new JobQueue(store, { backoffMs: 1 });
+    let release;
+    other.register("slow", () => new Promise((resolve) => (release = resolve)));
+    const job = await other.enqueue("slow", { userId: "user-123" });
+
+    expect(await queue.recover()).toBe(0);
+    expect((await store.findById(job.id)).status).not.toBe("failed");
+
+    release();
+    await other.onIdle();
+    expect((await store.findById(job.id)).status).toBe("completed");
+  });
+
+  it("should not fail its own jobs on recovery", async () => {
+    queue.leaseMs = 1;
+    let release;
+    queue.register("slow", () => new Promise((resolve) => (release = resolve)));
+    const job = await queue.enqueue("slow", { userId: "user-123" });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect(await queue.recover()).toBe(0);
+
+    release();
+    await queue.onIdle();
+    expect((await store.findById(job.id)).status).toBe("completed");
+  });
+
+  it("should renew the lease while a job runs", async () => {
+    const leased = new JobQueue(store, { leaseMs: 30 });
+    let initialLease;
+    leased.register("slow", async (job) => {
+      initialLease = job.leaseExpiresAt;
+      await new Promise((resolve) => setTimeout(resolve, 60));
+    });
+
+    const job = await leased.enqueue("slow", { userId: "user-123" });
+    expect(job.ownerId).toBe(leased.instanceId);
+    await leased.onIdle();
+
+    const finished = await store.findById(job.id);
+    expect(new Date(finished.leaseExpiresAt).getTime()).toBeGreaterThan(
+      new Date(initialLease).getTime()
+    );
+    // The heartbeat stops once the queue holds no jobs
+    expect(leased.heartbeat).toBeNull();
+  });
+
+  it("should fall back to defaults for invalid options", () => {
+    const defaults = new JobQueue(store, {
+      concurrency: "0",
+      maxAttempts: "abc",
+      backoffMs: "-5",
+    });
+
+    expect(defaults.concurrency).toBe(2);
+    expect(defaults.maxAttempts).toBe(3);
+    expect(defaults.backoffMs).toBe(1000);
+  });
+});
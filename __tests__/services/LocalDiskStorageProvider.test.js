@@ -0,0 +1,246 @@
+/**
+ * LocalDiskStorageProvider Tests
+ * Stores files in a temporary directory and checks signed URLs
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const LocalDiskStorageProvider = require("../../services/implementations/LocalDiskStorageProvider");
+
+describe("LocalDiskStorageProvider", () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+    storage = new LocalDiskStorageProvider({
+      rootDir,
+      baseUrl: "http://localhost:3000/",
+      signingSecret: "test-signing-secret",
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it("should require a signing secret", () => {
+    expect(() => new LocalDiskStorageProvider({ rootDir })).toThrow(
+      "LOCAL_STORAGE_SIGNING_SECRET"
+    );
+  });
+
+  describe("uploadFile()", () => {
+    it("should write the file without signing a URL", async () => {
+      const result = await storage.uploadFile(
+        Buffer.from("image"),
+        "images/user-123/photo.jpg",
+        { contentType: "image/jpeg" }
+      );
+
+      expect(result).toEqual({ path: "images/user-123/photo.jpg" });
+      expect(
+        fs.readFileSync(path.join(rootDir, "images/user-123/photo.jpg"), "utf8")
+      ).toBe("image");
+    });
+
+    it("should not overwrite existing files unless upsert is set", async () => {
+      await storage.uploadFile(Buffer.from("first"), "images/a.jpg");
+
+      await expect(
+        storage.uploadFile(Buffer.from("second"), "images/a.jpg")
+      ).rejects.toThrow("Storage upload failed: The resource already exists");
+
+      await storage.uploadFile(Buffer.from("second"), "images/a.jpg", {
+        upsert: true,
+      });
+      expect((await storage.downloadFile("images/a.jpg")).toString()).toBe(
+        "second"
+      );
+    });
+
+    it("should reject paths outside the root directory", async () => {
+      await expect(
+        storage.uploadFile(Buffer.from("x"), "../escape.jpg")
+      ).rejects.toThrow("Invalid storage path");
+      expect(fs.existsSync(path.join(rootDir, "..", "escape.jpg"))).toBe(false);
+    });
+  });
+
+  describe("downloadFile()", () => {
+    it("should report missing files", async () => {
+      await expect(storage.downloadFile("images/missing.jpg")).rejects.toThrow(
+        "Storage download failed: Object not found"
+      );
+    });
+  });
+
+  describe("getReadStream()", () => {
+    it("should stream the file contents", async () => {
+      await storage.uploadFile(Buffer.from("streamed"), "images/a.jpg");
+
+      const chunks = [];
+      for await (const chunk of await storage.getReadStream("images/a.jpg")) {
+        chunks.push(chunk);
+      }
+
+      expect(Buffer.concat(chunks).toString()).toBe("streamed");
+    });
+
+    it("should reject missing files before streaming", async () => {
+      await expect(storage.getReadStream("images/missing.jpg")).rejects.toThrow(
+        "Storage download failed: Object not found"
+      );
+    });
+  });
+
+  describe("deleteFile() / deleteFiles()", () => {
+    it("should delete files and ignore missing ones", async () => {
+      await storage.uploadFile(Buffer.from("a"), "images/a.jpg");
+      await storage.uploadFile(Buffer.from("b"), "images/b.jpg");
+
+      await expect(storage.deleteFile("images/a.jpg")).resolves.toBe(true);
+      await expect(
+        storage.deleteFiles(["images/b.jpg", "images/missing.jpg"])
+      ).resolves.toBe(true);
+
+      expect(await storage.fileExists("images/a.jpg")).toBe(false);
+      expect(await storage.fileExists("images/b.jpg")).toBe(false);
+    });
+  });
+
+  describe("writeStream()", () => {
+    it("should write a stream and report its size", async () => {
+      const result = await storage.writeStream(
+        "images/user-123/direct.jpg",
+        Readable.from([Buffer.from("part-1"), Buffer.from("part-2")])
+      );
+
+      expect(result).toEqual({ path: "images/user-123/direct.jpg", size: 12 });
+      expect(await storage.getFileInfo("images/user-123/direct.jpg")).toEqual({
+        size: 12,
+        contentType: null,
+      });
+    });
+
+    it("should not replace an existing file", async () => {
+      await storage.uploadFile(Buffer.from("checked"), "images/a.jpg");
+
+      await expect(
+        storage.writeStream(
+          "images/a.jpg",
+          Readable.from([Buffer.from("replaced")])
+        )
+      ).rejects.toThrow("Storage upload failed: The resource already exists");
+
+      expect((await storage.downloadFile("images/a.jpg")).toString()).toBe(
+        "checked"
+      );
+      expect(fs.readdirSync(path.join(rootDir, "images"))).toEqual(["a.jpg"]);
+    });
+
+    it("should discard streams larger than maxBytes", async () => {
+      await expect(
+        storage.writeStream(
+          "images/big.jpg",
+          Readable.from([Buffer.alloc(8), Buffer.alloc(8)]),
+          { maxBytes: 10 }
+        )
+      ).rejects.toThrow("Storage upload failed: File size exceeds limit");
+
+      expect(await storage.fileExists("images/big.jpg")).toBe(false);
+      // No partial file is left behind
+      expect(fs.readdirSync(path.join(rootDir, "images"))).toEqual([]);
+    });
+  });
+
+  describe("getFileInfo()", () => {
+    it("should return null for missing files", async () => {
+      expect(await storage.getFileInfo("images/missing.jpg")).toBeNull();
+    });
+  });
+
+  describe("verifySignedUrl()", () => {
+    const parse = (url) => {
+      const { pathname, searchParams } = new URL(url);
+      return [
+        decodeURIComponent(pathname.replace(/^\/storage\//, "")),
+        searchParams.get("expires"),
+        searchParams.get("signature"),
+      ];
+    };
+
+    it("should accept URLs it signed", async () => {
+      const url = await storage.getPublicUrl("images/user 1/photo.jpg");
+
+      expect(url).toContain("/storage/images/user%201/photo.jpg?");
+      expect(storage.verifySignedUrl(...parse(url))).toBe(true);
+    });
+
+    it("should sign URLs for a requested lifetime", async () => {
+      const url = await storage.getPublicUrl("images/photo.jpg", {
+        expiresIn: 300,
+      });
+
+      const expires = Number(new URL(url).searchParams.get("expires"));
+      expect(expires - Math.floor(Date.now() / 1000)).toBeLessThanOrEqual(300);
+      expect(storage.verifySignedUrl(...parse(url))).toBe(true);
+    });
+
+    it("should reject tampered paths and signatures", () => {
+      const [, expires, signature] = parse(
+        storage.createSignedUrl("images/a.jpg")
+      );
+
+      expect(storage.verifySignedUrl("images/b.jpg", expires, signature)).toBe(
+        false
+      );
+      expect(storage.verifySignedUrl("images/a.jpg", expires, "abc")).toBe(
+        false
+      );
+      expect(
+        storage.verifySignedUrl("images/a.jpg", Number(expires) + 1, signature)
+      ).toBe(false);
+    });
+
+    it("should sign upload URLs for PUT only", async () => {
+      const target = await storage.createUploadUrl("images/a.jpg", {
+        contentType: "image/png",
+      });
+
+      expect(target.method).toBe("PUT");
+      expect(target.headers).toEqual({ "Content-Type": "image/png" });
+      expect(Date.parse(target.expiresAt) - Date.now()).toBeLessThanOrEqual(
+        900 * 1000
+      );
+      expect(storage.verifySignedUrl(...parse(target.url), "PUT")).toBe(true);
+      // An upload URL cannot be used to download, nor the reverse
+      expect(storage.verifySignedUrl(...parse(target.url))).toBe(false);
+      expect(
+        storage.verifySignedUrl(
+          ...parse(storage.createSignedUrl("images/a.jpg")),
+          "PUT"
+        )
+      ).toBe(false);
+    });
+
+    it("should reject expired URLs", () => {
+      const url = storage.createSignedUrl("images/a.jpg", -1);
+
+      expect(storage.verifySignedUrl(...parse(url))).toBe(false);
+    });
+
+    it("should reject URLs signed with another secret", () => {
+      const other = new LocalDiskStorageProvider({
+        rootDir,
+        signingSecret: "other-secret",
+      });
+
+      expect(
+        storage.verifySignedUrl(...parse(other.createSignedUrl("images/a.jpg")))
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * LocalModelService Tests
+ * Runs the local model client against a stub HTTP server
+ */
+
+const http = require("http");
+const LocalModelService = require("../../services/implementations/LocalModelService");
+const ServiceContainer = require("../../services/ServiceContainer");
+
+const AI_RESPONSE = JSON.stringify({
+  description: "A locally captioned image",
+  tags: ["local", "offline", "private", "model", "test"],
+  captions: {
+    altText: "A laptop on a desk",
+    instagram: "Offline and private #local",
+    x: "Runs locally #offline",
+    linkedin: "Local models keep images private.",
+  },
+});
+
+describe("LocalModelService", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respondWith;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body ? JSON.parse(body) : null,
+        });
+
+        const { status, payload } = respondWith(req.url);
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respondWith = (url) =>
+      url === "/api/chat"
+        ? { status: 200, payload: { message: { content: AI_RESPONSE } } }
+        : {
+            status: 200,
+            payload: { choices: [{ message: { content: AI_RESPONSE } }] },
+          };
+  });
+
+  const imageBase64 = Buffer.from("fake-image-bytes").toString("base64");
+  const imageDataUrl = `data:image/jpeg;base64,${imageBase64}`;
+
+  it("should caption images through an Ollama endpoint", async () => {
+    const service = new LocalModelService({ baseUrl, model: "llava" });
+
+    const result = await service.analyzeImage(imageDataUrl, "seo");
+
+    expect(result).toEqual({
+      success: true,
+      description: "A locally captioned image",
+      tags: ["local", "offline", "private", "model", "test"],
+      captions: JSON.parse(AI_RESPONSE).captions,
+      tagStyle: "seo",
+    });
+
+    const chat = requests.find((r) => r.url === "/api/chat");
+    expect(chat.body.model).toBe("llava");
+    expect(chat.body.stream).toBe(false);
+    expect(chat.body.messages[0].content).toContain("SEO-friendly tags");
+    expect(chat.body.messages[0].images).toEqual([imageBase64]);
+    expect(chat.body.format.required).toEqual([
+      "description",
+      "tags",
+      "captions",
+    ]);
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should caption images through an OpenAI-compatible endpoint", async () => {
+    const service = new LocalModelService({
+      baseUrl: `${baseUrl}/v1/`,
+      model: "qwen2-vl",
+      apiStyle: "openai",
+      apiKey: "local-key",
+    });
+
+    const result = await service.analyzeImage(imageDataUrl, "neutral");
+
+    expect(result.success).toBe(true);
+    const chat = requests.find((r) => r.url === "/v1/chat/completions");
+    expect(chat.headers.authorization).toBe("Bearer local-key");
+    expect(chat.body.model).toBe("qwen2-vl");
+    expect(chat.body.messages[0].content[1].image_url.url).toBe(imageDataUrl);
+    expect(chat.body.response_format.type).toBe("json_schema");
+  });
+
+  it("should return failure shape when the server errors", async () => {
+    respondWith = () => ({ status: 500, payload: { error: "boom" } });
+    const service = new LocalModelService({ baseUrl });
+
+    const result = await service.analyzeImage(imageDataUrl);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("Local model request failed: HTTP 500");
+  });
+
+  it("should reject unsupported API styles", () => {
+    expect(() => new LocalModelService({ apiStyle: "grpc" })).toThrow(
+      "Unsupported local AI API style: grpc"
+    );
+  });
+
+  it("should be selectable through ServiceContainer", () => {
+    const container = new ServiceContainer("token", { aiProvider: "local" });
+    expect(container.getAIService()).toBeInstanceOf(LocalModelService);
+  });
+});
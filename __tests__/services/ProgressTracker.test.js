@@ -0,0 +1,192 @@
+/**
+ * ProgressTracker Tests
+ * Tests for batch progress events, replay and ownership
+ */
+
+const ProgressTracker = require("../../services/ProgressTracker");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+} = require("../../utils/errorHandler");
+
+describe("ProgressTracker", () => {
+  const batchId = "7d444840-9dc0-11d1-b245-5ffdce74fad2";
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new ProgressTracker();
+  });
+
+  const collect = (userId = "user-123", options) => {
+    const events = [];
+    const unsubscribe = tracker.subscribe(
+      batchId,
+      userId,
+      (event) => events.push(event),
+      options
+    );
+    return { events, unsubscribe };
+  };
+
+  it("should generate a batch id when none is given", () => {
+    const id = tracker.start(undefined, "user-123", {
+      type: "upload",
+      total: 1,
+    });
+
+    expect(id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it("should reject batch ids that are not UUIDs", () => {
+    expect(() => tracker.open("../etc", "user-123")).toThrow(ValidationError);
+  });
+
+  it("should not start the same batch twice", () => {
+    tracker.start(batchId, "user-123", { type: "upload", total: 1 });
+
+    expect(() =>
+      tracker.start(batchId, "user-123", { type: "upload", total: 1 })
+    ).toThrow(ConflictError);
+  });
+
+  it("should hide batches from other users", () => {
+    tracker.start(batchId, "user-123", { type: "upload", total: 1 });
+
+    expect(() => collect("user-456")).toThrow(NotFoundError);
+  });
+
+  it("should deliver events to subscribers who connect before the start", () => {
+    const { events } = collect();
+
+    tracker.start(batchId, "user-123", { type: "regenerate", total: 2 });
+    tracker.publish(batchId, { event: "analyzing", index: 0, fileId: "a" });
+    tracker.publish(batchId, { event: "completed", index: 0, fileId: "a" });
+    tracker.publish(batchId, { event: "failed", index: 1, error: "AI down" });
+
+    expect(events.map((event) => event.event)).toEqual([
+      "started",
+      "analyzing",
+      "completed",
+      "failed",
+      "done",
+    ]);
+    expect(events.map((event) => event.seq)).toEqual([1, 2, 3, 4, 5]);
+    expect(events[4]).toMatchObject({ total: 2, completed: 1, failed: 1 });
+  });
+
+  it("should replay history to late subscribers", () => {
+    tracker.start(batchId, "user-123", { type: "upload", total: 2 });
+    tracker.publish(batchId, { event: "uploaded", index: 0, fileId: "a" });
+
+    const { events } = collect("user-123", { after: 1 });
+    tracker.publish(batchId, { event: "failed", index: 1 });
+
+    expect(events.map((event) => event.event)).toEqual(["uploaded", "failed"]);
+  });
+
+  it("should stop delivering after unsubscribe", () => {
+    tracker.start(batchId, "user-123", { type: "upload", total: 2 });
+    const { events, unsubscribe } = collect();
+
+    unsubscribe();
+    tracker.publish(batchId, { event: "uploaded", index: 0 });
+
+    expect(events).toHaveLength(1);
+  });
+
+  it("should ignore events for unknown, unstarted or finished batches", () => {
+    tracker.publish("missing", { event: "uploaded", index: 0 });
+
+    tracker.open(batchId, "user-123");
+    tracker.publish(batchId, { event: "completed", index: 0 });
+    expect(tracker.batches.get(batchId).events).toHaveLength(0);
+
+    tracker.start(batchId, "user-123", { type: "upload", total: 1 });
+    tracker.publish(batchId, { event: "completed", index: 0 });
+    tracker.publish(batchId, { event: "failed", index: 0 });
+
+    const { events } = collect();
+    expect(events.map((event) => event.event)).toEqual([
+      "started",
+      "completed",
+      "done",
+    ]);
+  });
+
+  it("should count a retried file once", () => {
+    tracker.start(batchId, "user-123", { type: "upload", total: 2 });
+    tracker.publish(batchId, { event: "analyzing", index: 0, attempt: 1 });
+    tracker.publish(batchId, { event: "analyzing", index: 0, attempt: 2 });
+    tracker.publish(batchId, { event: "completed", index: 0 });
+
+    expect(tracker.batches.get(batchId).done).toBe(false);
+  });
+
+  it("should limit the unfinished batches a user may open", () => {
+    tracker = new ProgressTracker({ maxOpenBatches: 2 });
+    tracker.open(undefined, "user-123");
+    tracker.start(batchId, "user-123", { type: "upload", total: 1 });
+
+    expect(() => tracker.open(undefined, "user-123")).toThrow(RateLimitError);
+    expect(() => tracker.open(undefined, "user-456")).not.toThrow();
+
+    // Finished batches no longer count
+    tracker.publish(batchId, { event: "completed", index: 0 });
+    expect(() => tracker.open(undefined, "user-123")).not.toThrow();
+  });
+
+  it("should notify subscribers when an unfinished batch expires", async () => {
+    tracker = new ProgressTracker({ ttlMs: 10 });
+    const onExpire = jest.fn();
+    tracker.subscribe(batchId, "user-123", () => {}, { onExpire });
+
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    expect(onExpire).toHaveBeenCalledTimes(1);
+    expect(tracker.batches.has(batchId)).toBe(false);
+  });
+
+  describe("stream tokens", () => {
+    it("should accept a token for the batch it was issued for", () => {
+      const { token, expiresAt } = tracker.createStreamToken(
+        batchId,
+        "user-123"
+      );
+
+      expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(tracker.verifyStreamToken(batchId, token)).toBe("user-123");
+    });
+
+    it("should reject tokens for other batches, forged or expired", () => {
+      const otherId = "0b6c0a6e-1d7f-4a63-9c1e-3f1b0f3e5a11";
+      const { token } = tracker.createStreamToken(batchId, "user-123");
+      tracker.open(otherId, "user-123");
+      const [expires, signature] = token.split(".");
+
+      expect(tracker.verifyStreamToken(otherId, token)).toBeNull();
+      expect(tracker.verifyStreamToken("missing", token)).toBeNull();
+      expect(
+        tracker.verifyStreamToken(
+          batchId,
+          `${Number(expires) + 1}.${signature}`
+        )
+      ).toBeNull();
+      expect(tracker.verifyStreamToken(batchId, "garbage")).toBeNull();
+      expect(tracker.verifyStreamToken(batchId, undefined)).toBeNull();
+
+      tracker.tokenTtlMs = -1;
+      const expired = tracker.createStreamToken(batchId, "user-123");
+      expect(tracker.verifyStreamToken(batchId, expired.token)).toBeNull();
+    });
+
+    it("should not issue tokens for another user's batch", () => {
+      tracker.open(batchId, "user-456");
+
+      expect(() => tracker.createStreamToken(batchId, "user-123")).toThrow(
+        NotFoundError
+      );
+    });
+  });
+});
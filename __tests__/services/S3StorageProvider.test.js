@@ -0,0 +1,328 @@
+/**
+ * S3StorageProvider Tests
+ * Runs the S3 provider against a MinIO-style stand-in HTTP server
+ */
+
+const http = require("http");
+const { S3Client } = require("@aws-sdk/client-s3");
+const S3StorageProvider = require("../../services/implementations/S3StorageProvider");
+
+const BUCKET = "uploads";
+
+/**
+ * Minimal path-style S3 server: PUT/GET/HEAD/DELETE objects and DeleteObjects
+ */
+function createS3StandIn() {
+  const objects = new Map();
+  const requests = [];
+  const failDeletes = new Set();
+
+  const sendError = (res, status, code) => {
+    res.writeHead(status, { "Content-Type": "application/xml" });
+    res.end(
+      `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`
+    );
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const [, bucket, ...keyParts] = url.pathname.split("/");
+      const key = keyParts.map(decodeURIComponent).join("/");
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, key, url, headers: req.headers });
+
+      if (bucket !== BUCKET) return sendError(res, 404, "NoSuchBucket");
+
+      // Every request must be signed, by header or presigned query
+      if (
+        !req.headers.authorization &&
+        !url.searchParams.has("X-Amz-Signature")
+      ) {
+        return sendError(res, 403, "AccessDenied");
+      }
+
+      if (req.method === "POST" && url.searchParams.has("delete")) {
+        const keys = [...body.toString().matchAll(/<Key>(.*?)<\/Key>/g)].map(
+          (match) => match[1]
+        );
+        const errors = keys
+          .filter((k) => failDeletes.has(k))
+          .map(
+            (k) =>
+              `<Error><Key>${k}</Key><Code>AccessDenied</Code><Message>Access Denied</Message></Error>`
+          );
+        keys
+          .filter((k) => !failDeletes.has(k))
+          .forEach((k) => objects.delete(k));
+        res.writeHead(200, { "Content-Type": "application/xml" });
+        return res.end(
+          `<?xml version="1.0" encoding="UTF-8"?><DeleteResult>${errors.join("")}</DeleteResult>`
+        );
+      }
+
+      const object = objects.get(key);
+      switch (req.method) {
+        case "PUT":
+          if (req.headers["if-none-match"] === "*" && object) {
+            return sendError(res, 412, "PreconditionFailed");
+          }
+          objects.set(key, {
+            body,
+            contentType: req.headers["content-type"],
+            cacheControl: req.headers["cache-control"],
+          });
+          res.writeHead(200, { ETag: '"etag"' });
+          return res.end();
+        case "GET":
+          if (!object) return sendError(res, 404, "NoSuchKey");
+          res.writeHead(200, {
+            "Content-Type": object.contentType,
+            "Content-Length": object.body.length,
+          });
+          return res.end(object.body);
+        case "HEAD":
+          if (!object) {
+            res.writeHead(404);
+            return res.end();
+          }
+          res.writeHead(200, {
+            "Content-Type": object.contentType,
+            "Content-Length": object.body.length,
+          });
+          return res.end();
+        case "DELETE":
+          objects.delete(key);
+          res.writeHead(204);
+          return res.end();
+        default:
+          return sendError(res, 405, "MethodNotAllowed");
+      }
+    });
+  });
+
+  return { server, objects, requests, failDeletes };
+}
+
+describe("S3StorageProvider", () => {
+  let standIn;
+  let s3Client;
+  let storage;
+
+  beforeAll(async () => {
+    standIn = createS3StandIn();
+    await new Promise((resolve) =>
+      standIn.server.listen(0, "127.0.0.1", resolve)
+    );
+    s3Client = new S3Client({
+      region: "us-east-1",
+      endpoint: `http://127.0.0.1:${standIn.server.address().port}`,
+      forcePathStyle: true,
+      credentials: { accessKeyId: "test", secretAccessKey: "test" },
+    });
+  });
+
+  afterAll(async () => {
+    s3Client.destroy();
+    await new Promise((resolve) => standIn.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    standIn.objects.clear();
+    standIn.requests.length = 0;
+    standIn.failDeletes.clear();
+    storage = new S3StorageProvider(s3Client, BUCKET, { urlExpiresIn: 3600 });
+  });
+
+  it("should require a bucket name", () => {
+    expect(() => new S3StorageProvider(s3Client)).toThrow("S3_BUCKET");
+  });
+
+  it("should cap presigned URL lifetime at 7 days", () => {
+    const provider = new S3StorageProvider(s3Client, BUCKET, {
+      urlExpiresIn: 31536000,
+    });
+
+    expect(provider.urlExpiresIn).toBe(604800);
+  });
+
+  describe("uploadFile()", () => {
+    it("should store the object without presigning a URL", async () => {
+      const result = await storage.uploadFile(
+        Buffer.from("jpeg-bytes"),
+        "images/user-123/photo.jpg",
+        { contentType: "image/jpeg", cacheControl: "3600" }
+      );
+
+      const stored = standIn.objects.get("images/user-123/photo.jpg");
+      expect(stored.body.toString()).toBe("jpeg-bytes");
+      expect(stored.contentType).toBe("image/jpeg");
+      expect(stored.cacheControl).toBe("max-age=3600");
+
+      expect(result).toEqual({ path: "images/user-123/photo.jpg" });
+    });
+
+    it("should not overwrite existing objects unless upsert is set", async () => {
+      await storage.uploadFile(Buffer.from("first"), "images/a.jpg");
+
+      await expect(
+        storage.uploadFile(Buffer.from("second"), "images/a.jpg")
+      ).rejects.toThrow("Storage upload failed: The resource already exists");
+
+      await storage.uploadFile(Buffer.from("second"), "images/a.jpg", {
+        upsert: true,
+      });
+      expect((await storage.downloadFile("images/a.jpg")).toString()).toBe(
+        "second"
+      );
+    });
+  });
+
+  describe("getPublicUrl()", () => {
+    it("should presign a GET URL for an hour by default", async () => {
+      await storage.uploadFile(Buffer.from("jpeg-bytes"), "images/photo.jpg");
+
+      const signed = await new S3StorageProvider(s3Client, BUCKET).getPublicUrl(
+        "images/photo.jpg"
+      );
+      const url = new URL(signed);
+      expect(url.pathname).toBe(`/${BUCKET}/images/photo.jpg`);
+      expect(url.searchParams.get("X-Amz-Expires")).toBe("3600");
+
+      // The presigned URL works without any other credentials
+      const response = await fetch(signed);
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe("jpeg-bytes");
+    });
+  });
+
+  describe("downloadFile()", () => {
+    it("should report missing objects", async () => {
+      await expect(storage.downloadFile("images/missing.jpg")).rejects.toThrow(
+        "Storage download failed: Object not found"
+      );
+    });
+  });
+
+  describe("getReadStream()", () => {
+    it("should stream the object body", async () => {
+      await storage.uploadFile(Buffer.from("streamed"), "images/a.jpg");
+
+      const chunks = [];
+      for await (const chunk of await storage.getReadStream("images/a.jpg")) {
+        chunks.push(chunk);
+      }
+
+      expect(Buffer.concat(chunks).toString()).toBe("streamed");
+    });
+
+    it("should reject missing objects", async () => {
+      await expect(storage.getReadStream("images/missing.jpg")).rejects.toThrow(
+        "Storage download failed: Object not found"
+      );
+    });
+  });
+
+  describe("fileExists()", () => {
+    it("should check objects with HEAD", async () => {
+      await storage.uploadFile(Buffer.from("a"), "images/a.jpg");
+
+      expect(await storage.fileExists("images/a.jpg")).toBe(true);
+      expect(await storage.fileExists("images/missing.jpg")).toBe(false);
+      expect(
+        standIn.requests.filter((r) => r.method === "HEAD").map((r) => r.key)
+      ).toEqual(["images/a.jpg", "images/missing.jpg"]);
+    });
+  });
+
+  describe("createUploadUrl() / getFileInfo()", () => {
+    it("should presign a PUT the client can send the file with", async () => {
+      const target = await storage.createUploadUrl("images/direct.png", {
+        contentType: "image/png",
+      });
+
+      expect(target.method).toBe("PUT");
+      expect(target.headers).toEqual({
+        "Content-Type": "image/png",
+        "If-None-Match": "*",
+      });
+      const url = new URL(target.url);
+      expect(url.searchParams.get("X-Amz-Expires")).toBe("900");
+      expect(url.searchParams.get("X-Amz-SignedHeaders")).toBe(
+        "content-type;host;if-none-match"
+      );
+
+      const response = await fetch(target.url, {
+        method: target.method,
+        headers: target.headers,
+        body: Buffer.from("png-bytes"),
+      });
+      expect(response.status).toBe(200);
+
+      expect(await storage.getFileInfo("images/direct.png")).toEqual({
+        size: 9,
+        contentType: "image/png",
+      });
+    });
+
+    it("should not let the upload URL replace the object", async () => {
+      const target = await storage.createUploadUrl("images/direct.png", {
+        contentType: "image/png",
+      });
+      const put = (body) =>
+        fetch(target.url, {
+          method: target.method,
+          headers: target.headers,
+          body: Buffer.from(body),
+        });
+
+      expect((await put("png-bytes")).status).toBe(200);
+      expect((await put("replaced")).status).toBe(412);
+      expect(standIn.objects.get("images/direct.png").body.toString()).toBe(
+        "png-bytes"
+      );
+    });
+
+    it("should return null for missing objects", async () => {
+      expect(await storage.getFileInfo("images/missing.png")).toBeNull();
+    });
+  });
+
+  describe("deleteFile() / deleteFiles()", () => {
+    it("should delete a single object", async () => {
+      await storage.uploadFile(Buffer.from("a"), "images/a.jpg");
+
+      await expect(storage.deleteFile("images/a.jpg")).resolves.toBe(true);
+      expect(standIn.objects.has("images/a.jpg")).toBe(false);
+    });
+
+    it("should delete many objects in one batch request", async () => {
+      await storage.uploadFile(Buffer.from("a"), "images/a.jpg");
+      await storage.uploadFile(Buffer.from("b"), "images/b.jpg");
+      standIn.requests.length = 0;
+
+      await expect(
+        storage.deleteFiles(["images/a.jpg", "images/b.jpg"])
+      ).resolves.toBe(true);
+
+      expect(standIn.objects.size).toBe(0);
+      expect(standIn.requests).toHaveLength(1);
+      expect(standIn.requests[0].method).toBe("POST");
+    });
+
+    it("should fail when some objects could not be deleted", async () => {
+      await storage.uploadFile(Buffer.from("a"), "images/a.jpg");
+      await storage.uploadFile(Buffer.from("b"), "images/b.jpg");
+      standIn.failDeletes.add("images/b.jpg");
+
+      await expect(
+        storage.deleteFiles(["images/a.jpg", "images/b.jpg"])
+      ).rejects.toThrow(
+        "Bulk storage delete failed: 1 object(s) not deleted (images/b.jpg: Access Denied)"
+      );
+      expect(standIn.objects.has("images/a.jpg")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * SignedUrlService Tests
+ * On-demand signed URLs and the cache shared between requests
+ */
+
+const SignedUrlService = require("../../services/SignedUrlService");
+const File = require("../../models/File");
+
+describe("SignedUrlService", () => {
+  let storageProvider;
+  let cache;
+  let service;
+  let signed;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    signed = 0;
+    storageProvider = {
+      getPublicUrl: jest.fn(async (path, { expiresIn }) => {
+        signed++;
+        return `https://storage.example/${path}?ttl=${expiresIn}&n=${signed}`;
+      }),
+    };
+    cache = new Map();
+    service = new SignedUrlService(storageProvider, cache, {
+      expiresIn: "600",
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("should sign with the configured lifetime", async () => {
+    const url = await service.getUrl("images/a.jpg");
+
+    expect(url).toBe("https://storage.example/images/a.jpg?ttl=600&n=1");
+    expect(storageProvider.getPublicUrl).toHaveBeenCalledWith("images/a.jpg", {
+      expiresIn: 600,
+    });
+  });
+
+  it("should reuse a URL until half its lifetime has passed", async () => {
+    const first = await service.getUrl("images/a.jpg");
+
+    jest.advanceTimersByTime(299 * 1000);
+    // Another request, same process-wide cache
+    const again = await new SignedUrlService(storageProvider, cache, {
+      expiresIn: 600,
+    }).getUrl("images/a.jpg");
+    expect(again).toBe(first);
+
+    jest.advanceTimersByTime(2 * 1000);
+    expect(await service.getUrl("images/a.jpg")).not.toBe(first);
+    expect(storageProvider.getPublicUrl).toHaveBeenCalledTimes(2);
+  });
+
+  it("should share one signing call between concurrent requests", async () => {
+    const urls = await Promise.all([
+      service.getUrl("images/a.jpg"),
+      service.getUrl("images/a.jpg"),
+    ]);
+
+    expect(urls[0]).toBe(urls[1]);
+    expect(storageProvider.getPublicUrl).toHaveBeenCalledTimes(1);
+  });
+
+  it("should drop the oldest URL when the cache is full", async () => {
+    service = new SignedUrlService(storageProvider, cache, { maxEntries: 2 });
+
+    await service.getUrl("a.jpg");
+    await service.getUrl("b.jpg");
+    await service.getUrl("c.jpg");
+
+    expect([...cache.keys()]).toEqual(["b.jpg", "c.jpg"]);
+  });
+
+  it("should not cache failures and leave unsigned files without a URL", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    storageProvider.getPublicUrl.mockRejectedValueOnce(
+      new Error("Failed to generate signed URL: Object not found")
+    );
+    const files = [
+      new File({ id: "file-1", file_path: "images/missing.jpg" }),
+      new File({ id: "file-2", file_path: "images/b.jpg" }),
+    ];
+
+    await service.attachUrls(files);
+
+    expect(files[0].publicUrl).toBeNull();
+    expect(files[1].publicUrl).toContain("images/b.jpg");
+    expect(cache.has("images/missing.jpg")).toBe(false);
+  });
+
+  it("should sign each rendition of a file", async () => {
+    const file = new File({
+      id: "file-1",
+      file_path: "images/a.jpg",
+      renditions: {
+        thumbnail: {
+          path: "images/a.thumbnail.webp",
+          width: 256,
+          height: 171,
+          mimeType: "image/webp",
+        },
+      },
+    });
+
+    await service.attachUrls([file]);
+
+    expect(file.toJSON().renditions).toEqual({
+      thumbnail: {
+        url: expect.stringContaining("images/a.thumbnail.webp?ttl=600"),
+        width: 256,
+        height: 171,
+        mimeType: "image/webp",
+      },
+    });
+    expect(file.publicUrl).toContain("images/a.jpg");
+  });
+});
@@ -0,0 +1,1765 @@
+/**
+ * UploadService Tests
+ * Tests for upload business logic with mocked dependencies
+ */
+
+const fs = require("fs");
+const os = require("os");
+const nodePath = require("path");
+const { Readable } = require("stream");
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+const UploadService = require("../../services/UploadService");
+const UploadSessionStore = require("../../services/UploadSessionStore");
+const File = require("../../models/File");
+const Job = require("../../models/Job");
+const TagStyle = require("../../models/TagStyle");
+const FileService = require("../../utils/fileService");
+const { createPng } = require("../helpers/images");
+const { ValidationError, ConflictError } = require("../../utils/errorHandler");
+
+describe("UploadService", () => {
+  let storageProvider;
+  let aiService;
+  let fileRepository;
+  let tagStyleRepository;
+  let jobQueue;
+  let progressTracker;
+  let webhookService;
+  let uploadSessions;
+  let uploadService;
+
+  // JPEG magic bytes followed by placeholder data
+  const imageBuffer = Buffer.concat([
+    Buffer.from("ffd8ffe0", "hex"),
+    Buffer.from("fake-image-bytes"),
+  ]);
+  const upload = {
+    originalname: "photo.jpg",
+    size: imageBuffer.length,
+    mimetype: "image/jpeg",
+    buffer: imageBuffer,
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    storageProvider = {
+      uploadFile: jest
+        .fn()
+        .mockResolvedValue({ path: "images/user-123/a.jpg" }),
+      downloadFile: jest.fn().mockResolvedValue(imageBuffer),
+      getPublicUrl: jest
+        .fn()
+        .mockResolvedValue("https://storage.example/signed/fresh.jpg"),
+      deleteFile: jest.fn().mockResolvedValue(true),
+      deleteFiles: jest.fn().mockResolvedValue(true),
+      createUploadUrl: jest.fn(async (path) => ({
+        method: "PUT",
+        url: `https://storage.example/upload/${path}`,
+        headers: { "Content-Type": "image/jpeg" },
+        expiresAt: "2026-01-01T00:15:00.000Z",
+      })),
+      fileExists: jest.fn().mockResolvedValue(true),
+      getFileInfo: jest
+        .fn()
+        .mockResolvedValue({ size: 2048, contentType: "image/jpeg" }),
+    };
+
+    aiService = {
+      analyzeImage: jest.fn().mockResolvedValue({
+        success: true,
+        description: "A photo",
+        tags: ["photo"],
+        captions: { altText: "A photo on a table" },
+        tagStyle: "neutral",
+      }),
+    };
+
+    fileRepository = {
+      create: jest.fn(async (data) => new File({ id: "file-1", ...data })),
+      findById: jest.fn(),
+      findByContentHash: jest.fn().mockResolvedValue(null),
+      countByPath: jest.fn().mockResolvedValue(1),
+      update: jest.fn(
+        async (id, userId, data) => new File({ id, user_id: userId, ...data })
+      ),
+      delete: jest.fn().mockResolvedValue(true),
+      bulkDelete: jest.fn().mockResolvedValue(true),
+    };
+
+    tagStyleRepository = {
+      findByName: jest.fn().mockResolvedValue(null),
+    };
+
+    jobQueue = {
+      enqueue: jest.fn(async (type, data) => new Job({ id: "job-1", type })),
+    };
+
+    progressTracker = { publish: jest.fn() };
+    webhookService = { emit: jest.fn().mockResolvedValue(0) };
+    uploadSessions = new UploadSessionStore({
+      directory: fs.mkdtempSync(nodePath.join(os.tmpdir(), "sessions-test-")),
+    });
+
+    uploadService = new UploadService(
+      storageProvider,
+      aiService,
+      fileRepository,
+      tagStyleRepository,
+      jobQueue,
+      progressTracker,
+      webhookService,
+      uploadSessions
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadSessions.directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe("uploadAndProcess()", () => {
+    it("should send the uploaded bytes to the AI as a data URL", async () => {
+      const { file, aiResult } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123",
+        { tagStyle: "seo" }
+      );
+
+      expect(aiService.analyzeImage).toHaveBeenCalledWith(
+        `data:image/jpeg;base64,${imageBuffer.toString("base64")}`,
+        expect.objectContaining({ key: "seo", custom: false }),
+        { language: null }
+      );
+      expect(aiResult.success).toBe(true);
+      expect(file.status).toBe("completed");
+      expect(file.description).toBe("A photo");
+      expect(file.captions).toEqual({ altText: "A photo on a table" });
+    });
+
+    it("should send a scaled-down copy of large images", async () => {
+      const large = await sharp({
+        create: { width: 3000, height: 2000, channels: 3, background: "#abc" },
+      })
+        .jpeg()
+        .toBuffer();
+
+      await uploadService.uploadAndProcess(
+        { ...upload, size: large.length, buffer: large },
+        "user-123"
+      );
+
+      const [dataUrl] = aiService.analyzeImage.mock.calls[0];
+      expect(dataUrl).toMatch(/^data:image\/webp;base64,/);
+      const sent = Buffer.from(dataUrl.split(",")[1], "base64");
+      expect(await sharp(sent).metadata()).toMatchObject({
+        width: 1568,
+        height: 1045,
+      });
+      expect(storageProvider.uploadFile.mock.calls[0][0]).toBe(large);
+    });
+
+    it("should not persist a signed URL", async () => {
+      await uploadService.uploadAndProcess(upload, "user-123");
+
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.not.objectContaining({ public_url: expect.anything() })
+      );
+      expect(storageProvider.getPublicUrl).not.toHaveBeenCalled();
+    });
+
+    it("should notify webhooks of the upload and analysis", async () => {
+      await uploadService.uploadAndProcess(upload, "user-123");
+
+      expect(webhookService.emit.mock.calls.map(([, event]) => event)).toEqual([
+        "file.uploaded",
+        "file.analysis_completed",
+      ]);
+      expect(webhookService.emit).toHaveBeenCalledWith(
+        "user-123",
+        "file.analysis_completed",
+        { file: expect.objectContaining({ id: "file-1", status: "completed" }) }
+      );
+    });
+
+    it("should skip AI analysis when not requested", async () => {
+      const { file, aiResult } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123",
+        { analyzeWithAI: false }
+      );
+
+      expect(aiService.analyzeImage).not.toHaveBeenCalled();
+      expect(aiResult).toBeNull();
+      expect(file.status).toBe("uploaded");
+    });
+
+    it("should leave analysis to a job when deferred", async () => {
+      const { file, aiResult } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123",
+        { deferAnalysis: true }
+      );
+
+      expect(aiService.analyzeImage).not.toHaveBeenCalled();
+      expect(aiResult).toBeNull();
+      expect(file.status).toBe("processing");
+    });
+
+    it("should mark the file failed when analysis fails", async () => {
+      aiService.analyzeImage.mockResolvedValue({
+        success: false,
+        error: "AI down",
+      });
+
+      const { file } = await uploadService.uploadAndProcess(upload, "user-123");
+
+      expect(file.status).toBe("failed");
+      expect(fileRepository.update).toHaveBeenCalledWith("file-1", "user-123", {
+        status: "failed",
+      });
+    });
+
+    it("should store the analysis as a language variant", async () => {
+      const { file } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123",
+        {
+          language: "fr",
+        }
+      );
+
+      expect(aiService.analyzeImage).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ key: "neutral" }),
+        { language: "fr" }
+      );
+      expect(file.translations).toEqual({
+        fr: {
+          description: "A photo",
+          tags: ["photo"],
+          captions: { altText: "A photo on a table" },
+          tagStyle: "neutral",
+          updatedAt: expect.any(String),
+        },
+      });
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({ translations: file.translations })
+      );
+    });
+
+    it("should reject unsupported languages before uploading", async () => {
+      await expect(
+        uploadService.uploadAndProcess(upload, "user-123", {
+          language: "klingon!",
+        })
+      ).rejects.toThrow("Unsupported language");
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it("should reject invalid extensions", async () => {
+      await expect(
+        uploadService.uploadAndProcess(
+          { ...upload, originalname: "script.exe" },
+          "user-123"
+        )
+      ).rejects.toThrow(ValidationError);
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it("should reject content that is not the image it claims to be", async () => {
+      await expect(
+        uploadService.uploadAndProcess(
+          {
+            originalname: "cat.png",
+            size: 28,
+            mimetype: "image/png",
+            buffer: Buffer.from("<html><script></script></html>"),
+          },
+          "user-123"
+        )
+      ).rejects.toThrow("File content is not a supported image type");
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('"message":"file_content_mismatch"')
+      );
+    });
+
+    it("should record the type detected from the bytes", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      const png = createPng();
+
+      await uploadService.uploadAndProcess(
+        {
+          originalname: "photo.jpg",
+          size: png.length,
+          mimetype: "image/jpeg",
+          buffer: png,
+        },
+        "user-123",
+        { analyzeWithAI: false }
+      );
+
+      expect(storageProvider.uploadFile).toHaveBeenCalledWith(
+        png,
+        expect.any(String),
+        expect.objectContaining({ contentType: "image/png" })
+      );
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ mime_type: "image/png" })
+      );
+    });
+  });
+
+  describe("renditions", () => {
+    let photo;
+
+    beforeAll(async () => {
+      const buffer = await sharp({
+        create: { width: 2048, height: 1536, channels: 3, background: "#fff" },
+      })
+        .jpeg()
+        .toBuffer();
+      photo = { ...upload, size: buffer.length, buffer };
+    });
+
+    it("should store a thumbnail and a preview next to the original", async () => {
+      const { file } = await uploadService.uploadAndProcess(photo, "user-123", {
+        analyzeWithAI: false,
+      });
+
+      const [
+        [, original],
+        [thumbBuffer, thumbPath, thumbOptions],
+        [, previewPath],
+      ] = storageProvider.uploadFile.mock.calls;
+      const base = original.replace(/\.jpg$/, "");
+      expect(thumbPath).toBe(`${base}.thumbnail.webp`);
+      expect(previewPath).toBe(`${base}.preview.webp`);
+      expect(thumbOptions.contentType).toBe("image/webp");
+      expect((await sharp(thumbBuffer).metadata()).width).toBe(256);
+
+      expect(file.renditions).toEqual({
+        thumbnail: {
+          path: thumbPath,
+          width: 256,
+          height: 192,
+          mimeType: "image/webp",
+        },
+        preview: {
+          path: previewPath,
+          width: 1024,
+          height: 768,
+          mimeType: "image/webp",
+        },
+      });
+    });
+
+    it("should upload without renditions when the image cannot be rendered", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const { file } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123",
+        {
+          analyzeWithAI: false,
+        }
+      );
+
+      expect(storageProvider.uploadFile).toHaveBeenCalledTimes(1);
+      expect(file.renditions).toEqual({});
+    });
+
+    it("should remove stored renditions when one fails to upload", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      storageProvider.uploadFile
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error("Bucket full"));
+
+      const { file } = await uploadService.uploadAndProcess(photo, "user-123", {
+        analyzeWithAI: false,
+      });
+
+      const thumbPath = storageProvider.uploadFile.mock.calls[1][1];
+      expect(storageProvider.deleteFiles).toHaveBeenCalledWith([thumbPath]);
+      expect(file.renditions).toEqual({});
+    });
+
+    it("should render direct uploads on completion", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          mime_type: "image/jpeg",
+          user_id: "user-123",
+          status: "pending",
+        })
+      );
+      storageProvider.downloadFile.mockResolvedValue(photo.buffer);
+
+      await uploadService.completeDirectUpload("file-1", "user-123");
+
+      expect(storageProvider.downloadFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({
+          renditions: expect.objectContaining({
+            thumbnail: expect.objectContaining({
+              path: "images/user-123/a.thumbnail.webp",
+            }),
+          }),
+        })
+      );
+    });
+
+    it("should delete renditions with the original", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          renditions: {
+            thumbnail: { path: "images/user-123/a.thumbnail.webp" },
+            preview: { path: "images/user-123/a.preview.webp" },
+          },
+        })
+      );
+
+      await uploadService.deleteFile("file-1", "user-123");
+
+      expect(storageProvider.deleteFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(storageProvider.deleteFiles).toHaveBeenCalledWith([
+        "images/user-123/a.thumbnail.webp",
+        "images/user-123/a.preview.webp",
+      ]);
+    });
+
+    it("should delete renditions in bulk deletes", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          renditions: {
+            thumbnail: { path: "images/user-123/a.thumbnail.webp" },
+          },
+        })
+      );
+
+      await uploadService.bulkDeleteFiles(["file-1"], "user-123");
+
+      expect(storageProvider.deleteFiles).toHaveBeenCalledWith([
+        "images/user-123/a.jpg",
+        "images/user-123/a.thumbnail.webp",
+      ]);
+    });
+  });
+
+  describe("image metadata", () => {
+    let photo;
+
+    const gpsOf = async (buffer) =>
+      exifReader((await sharp(buffer).metadata()).exif).GPSInfo;
+
+    beforeAll(async () => {
+      const buffer = await sharp({
+        create: { width: 320, height: 240, channels: 3, background: "#000" },
+      })
+        .jpeg()
+        .withExif({
+          IFD0: { Make: "FUJIFILM", Model: "X-T5" },
+          IFD2: { DateTimeOriginal: "2025:03:14 09:26:53" },
+          IFD3: {
+            GPSLatitudeRef: "N",
+            GPSLatitude: "51/1 30/1 0/1",
+            GPSLongitudeRef: "W",
+            GPSLongitude: "0/1 7/1 30/1",
+          },
+        })
+        .toBuffer();
+      photo = { ...upload, size: buffer.length, buffer };
+    });
+
+    it("should record EXIF metadata on the file", async () => {
+      const { file } = await uploadService.uploadAndProcess(photo, "user-123", {
+        analyzeWithAI: false,
+      });
+
+      expect(file.metadata).toMatchObject({
+        camera: { make: "FUJIFILM", model: "X-T5" },
+        capturedAt: "2025-03-14T09:26:53",
+        width: 320,
+        height: 240,
+        gps: { latitude: 51.5, longitude: -0.125 },
+      });
+      const [[stored]] = storageProvider.uploadFile.mock.calls;
+      expect(stored).toBe(photo.buffer);
+    });
+
+    it("should store a copy without GPS when the owner asks", async () => {
+      const { file } = await uploadService.uploadAndProcess(photo, "user-123", {
+        analyzeWithAI: false,
+        stripMetadata: true,
+      });
+
+      const [[stored]] = storageProvider.uploadFile.mock.calls;
+      expect(await gpsOf(stored)).toEqual({});
+      expect(file.metadata.gps).toBeNull();
+      expect(file.metadata.camera).toEqual({ make: "FUJIFILM", model: "X-T5" });
+      // Duplicates are matched on the bytes actually stored
+      expect(fileRepository.findByContentHash).toHaveBeenCalledWith(
+        "user-123",
+        FileService.computeContentHash(stored)
+      );
+    });
+
+    it("should reject images too malformed to strip", async () => {
+      await expect(
+        uploadService.uploadAndProcess(upload, "user-123", {
+          analyzeWithAI: false,
+          stripMetadata: true,
+        })
+      ).rejects.toThrow("Image metadata could not be removed");
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it("should replace a direct upload with a stripped copy", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          mime_type: "image/jpeg",
+          user_id: "user-123",
+          status: "pending",
+        })
+      );
+      storageProvider.downloadFile.mockResolvedValue(photo.buffer);
+
+      await uploadService.completeDirectUpload("file-1", "user-123", {
+        stripMetadata: true,
+      });
+
+      const [[stored, path, options]] = storageProvider.uploadFile.mock.calls;
+      expect(path).toBe("images/user-123/a.jpg");
+      expect(options).toMatchObject({
+        contentType: "image/jpeg",
+        upsert: true,
+      });
+      expect(await gpsOf(stored)).toEqual({});
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({
+          file_size: stored.length,
+          metadata: expect.objectContaining({ gps: null }),
+        })
+      );
+    });
+
+    it("should keep a direct upload pending when it cannot be read to strip", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          mime_type: "image/jpeg",
+          user_id: "user-123",
+          status: "pending",
+        })
+      );
+      storageProvider.downloadFile.mockRejectedValue(new Error("Timeout"));
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123", {
+          stripMetadata: true,
+        })
+      ).rejects.toThrow("Timeout");
+      expect(fileRepository.update).not.toHaveBeenCalled();
+      expect(fileRepository.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("camera, archive and vector formats", () => {
+    const svg = Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20" onload="alert(1)">' +
+        "<script>alert(document.cookie)</script>" +
+        '<rect width="40" height="20" fill="red"/></svg>'
+    );
+    let tiff;
+
+    beforeAll(async () => {
+      tiff = await sharp({
+        create: { width: 60, height: 40, channels: 3, background: "green" },
+      })
+        .tiff()
+        .toBuffer();
+    });
+
+    const pendingFile = (mimeType) =>
+      new File({
+        id: "file-1",
+        file_path: "images/user-123/a.svg",
+        mime_type: mimeType,
+        user_id: "user-123",
+        status: "pending",
+      });
+
+    it("should keep a TIFF original and analyze a JPEG copy", async () => {
+      await uploadService.uploadAndProcess(
+        {
+          originalname: "scan.tiff",
+          size: tiff.length,
+          mimetype: "image/tiff",
+          buffer: tiff,
+        },
+        "user-123"
+      );
+
+      const [original, thumbnail] = storageProvider.uploadFile.mock.calls;
+      expect(original[0]).toBe(tiff);
+      expect(original[2]).toMatchObject({ contentType: "image/tiff" });
+      expect(thumbnail[2]).toMatchObject({ contentType: "image/webp" });
+      expect(aiService.analyzeImage.mock.calls[0][0]).toMatch(
+        /^data:image\/jpeg;base64,/
+      );
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          mime_type: "image/tiff",
+          renditions: expect.objectContaining({
+            preview: expect.objectContaining({ width: 60, height: 40 }),
+          }),
+        })
+      );
+    });
+
+    it("should store SVG without its scripts", async () => {
+      await uploadService.uploadAndProcess(
+        {
+          originalname: "logo.svg",
+          size: svg.length,
+          mimetype: "image/svg+xml",
+          buffer: svg,
+        },
+        "user-123",
+        { analyzeWithAI: false }
+      );
+
+      const [[stored, , options]] = storageProvider.uploadFile.mock.calls;
+      expect(stored.toString("utf8")).not.toMatch(/script|onload/);
+      expect(stored.toString("utf8")).toContain('<rect width="40"');
+      expect(options).toMatchObject({ contentType: "image/svg+xml" });
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          file_size: stored.length,
+          content_hash: FileService.computeContentHash(stored),
+        })
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('"message":"svg_sanitized"')
+      );
+    });
+
+    it("should sanitize SVG uploaded straight to storage", async () => {
+      fileRepository.findById.mockResolvedValue(pendingFile("image/svg+xml"));
+      storageProvider.getFileInfo.mockResolvedValue({
+        size: svg.length,
+        contentType: "image/svg+xml",
+      });
+      storageProvider.downloadFile.mockResolvedValue(svg);
+
+      await uploadService.completeDirectUpload("file-1", "user-123");
+
+      const [[stored, path, options]] = storageProvider.uploadFile.mock.calls;
+      expect(path).toBe("images/user-123/a.svg");
+      expect(stored.toString("utf8")).not.toContain("script");
+      expect(options).toMatchObject({
+        contentType: "image/svg+xml",
+        upsert: true,
+      });
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({ file_size: stored.length })
+      );
+    });
+
+    it("should analyze stored files through the converted copy", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.tiff",
+          mime_type: "image/tiff",
+          user_id: "user-123",
+        })
+      );
+      storageProvider.downloadFile.mockResolvedValue(tiff);
+
+      await uploadService.analyzeExistingFile("file-1", "user-123");
+
+      expect(aiService.analyzeImage.mock.calls[0][0]).toMatch(
+        /^data:image\/jpeg;base64,/
+      );
+    });
+
+    it("should fall back to the original when conversion fails", async () => {
+      const broken = Buffer.from("II*\0broken");
+
+      const { file } = await uploadService.uploadAndProcess(
+        {
+          originalname: "scan.tif",
+          size: broken.length,
+          mimetype: "image/tiff",
+          buffer: broken,
+        },
+        "user-123"
+      );
+
+      expect(file.renditions).toEqual({});
+      expect(aiService.analyzeImage.mock.calls[0][0]).toMatch(
+        /^data:image\/tiff;base64,/
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('"message":"image_conversion_failed"')
+      );
+    });
+  });
+
+  describe("duplicate uploads", () => {
+    const contentHash = require("crypto")
+      .createHash("sha256")
+      .update(imageBuffer)
+      .digest("hex");
+    const analyzed = new File({
+      id: "file-0",
+      filename: "original.jpg",
+      file_path: "images/user-123/original.jpg",
+      file_size: imageBuffer.length,
+      mime_type: "image/jpeg",
+      content_hash: contentHash,
+      user_id: "user-123",
+      status: "completed",
+      description: "A photo",
+      tags: ["photo"],
+      captions: { altText: "A photo" },
+    });
+
+    it("should store the content hash of new files", async () => {
+      await uploadService.uploadAndProcess(upload, "user-123", {
+        analyzeWithAI: false,
+      });
+
+      expect(fileRepository.findByContentHash).toHaveBeenCalledWith(
+        "user-123",
+        contentHash
+      );
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ content_hash: contentHash })
+      );
+    });
+
+    it("should link a new record to the stored object by default", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(analyzed);
+
+      const { file, duplicate } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123"
+      );
+
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+      expect(aiService.analyzeImage).not.toHaveBeenCalled();
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filename: "photo.jpg",
+          file_path: "images/user-123/original.jpg",
+          content_hash: contentHash,
+          status: "completed",
+          description: "A photo",
+          tags: ["photo"],
+        })
+      );
+      expect(file.status).toBe("completed");
+      expect(duplicate).toEqual({ action: "link", fileId: "file-0" });
+    });
+
+    const unanalyzed = () =>
+      new File({
+        ...analyzed.toDatabase(),
+        status: "failed",
+        tags: [],
+        description: null,
+      });
+
+    it("should link an unanalyzed original as uploaded", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(unanalyzed());
+
+      const { file, analysisRequired } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123",
+        { analyzeWithAI: false }
+      );
+
+      expect(file.status).toBe("uploaded");
+      expect(analysisRequired).toBe(false);
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.not.objectContaining({ description: expect.anything() })
+      );
+    });
+
+    it("should leave a link to an unanalyzed original for analysis", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(unanalyzed());
+
+      const { file, duplicate, analysisRequired } =
+        await uploadService.uploadAndProcess(upload, "user-123", {
+          deferAnalysis: true,
+        });
+
+      expect(duplicate).toEqual({ action: "link", fileId: "file-0" });
+      expect(analysisRequired).toBe(true);
+      expect(file.status).toBe("processing");
+      expect(aiService.analyzeImage).not.toHaveBeenCalled();
+    });
+
+    it("should analyze a link to an unanalyzed original right away", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(unanalyzed());
+
+      const { file, aiResult, analysisRequired } =
+        await uploadService.uploadAndProcess(upload, "user-123");
+
+      expect(aiService.analyzeImage).toHaveBeenCalledTimes(1);
+      expect(aiResult.success).toBe(true);
+      expect(analysisRequired).toBe(false);
+      expect(file.status).toBe("completed");
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({ description: "A photo", status: "completed" })
+      );
+    });
+
+    it("should return the existing file", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(analyzed);
+
+      const { file, duplicate } = await uploadService.uploadAndProcess(
+        upload,
+        "user-123",
+        { onDuplicate: "return" }
+      );
+
+      expect(file).toBe(analyzed);
+      expect(duplicate).toEqual({ action: "return", fileId: "file-0" });
+      expect(fileRepository.create).not.toHaveBeenCalled();
+      expect(webhookService.emit).not.toHaveBeenCalled();
+    });
+
+    it("should reject with a ConflictError", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(analyzed);
+
+      const error = await uploadService
+        .uploadAndProcess(upload, "user-123", { onDuplicate: "reject" })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.details).toEqual({ fileId: "file-0" });
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it("should reject an unknown onDuplicate option", async () => {
+      await expect(
+        uploadService.uploadAndProcess(upload, "user-123", {
+          onDuplicate: "merge",
+        })
+      ).rejects.toThrow("Invalid onDuplicate option");
+      expect(fileRepository.findByContentHash).not.toHaveBeenCalled();
+    });
+
+    it("should leave unanalyzed duplicates in a batch for analysis", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(unanalyzed());
+
+      const { results } = await uploadService.bulkUploadAndProcess(
+        [upload],
+        "user-123",
+        { deferAnalysis: true, batchId: "batch-1" }
+      );
+
+      expect(results[0].analysisRequired).toBe(true);
+      expect(progressTracker.publish).toHaveBeenLastCalledWith(
+        "batch-1",
+        expect.objectContaining({ event: "uploaded" })
+      );
+    });
+
+    it("should finish duplicates in a batch without analysis", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(analyzed);
+
+      const { results } = await uploadService.bulkUploadAndProcess(
+        [upload],
+        "user-123",
+        { deferAnalysis: true, batchId: "batch-1" }
+      );
+
+      expect(results[0].duplicate).toEqual({
+        action: "link",
+        fileId: "file-0",
+      });
+      expect(progressTracker.publish).toHaveBeenLastCalledWith("batch-1", {
+        event: "completed",
+        index: 0,
+        fileId: "file-1",
+        duplicate: { action: "link", fileId: "file-0" },
+      });
+    });
+  });
+
+  describe("resolveTagStyle()", () => {
+    it("should resolve built-in styles without a lookup", async () => {
+      const style = await uploadService.resolveTagStyle("neutral", "user-123");
+
+      expect(style.key).toBe("neutral");
+      expect(tagStyleRepository.findByName).not.toHaveBeenCalled();
+    });
+
+    it("should resolve the user's custom styles", async () => {
+      tagStyleRepository.findByName.mockResolvedValue(
+        new TagStyle({
+          name: "brand",
+          instruction: "Use brand words.",
+          tag_count: 3,
+          examples: ["acme"],
+        })
+      );
+
+      const style = await uploadService.resolveTagStyle("Brand", "user-123");
+
+      expect(tagStyleRepository.findByName).toHaveBeenCalledWith(
+        "user-123",
+        "brand"
+      );
+      expect(style).toEqual({
+        key: "brand",
+        name: "brand",
+        instruction: "Use brand words.",
+        tagCount: 3,
+        examples: ["acme"],
+        custom: true,
+      });
+    });
+
+    it("should reject unknown styles before uploading", async () => {
+      await expect(
+        uploadService.uploadAndProcess(upload, "user-123", {
+          tagStyle: "missing",
+        })
+      ).rejects.toThrow("Unknown tag style");
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown styles once for a bulk upload", async () => {
+      await expect(
+        uploadService.bulkUploadAndProcess([upload, upload], "user-123", {
+          tagStyle: "missing",
+        })
+      ).rejects.toThrow(ValidationError);
+      expect(tagStyleRepository.findByName).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("bulkUploadAndProcess()", () => {
+    it("should publish an event per file when part of a batch", async () => {
+      storageProvider.uploadFile
+        .mockResolvedValueOnce({ path: "images/user-123/a.jpg" })
+        .mockRejectedValueOnce(new Error("Bucket full"));
+
+      const { results, errors } = await uploadService.bulkUploadAndProcess(
+        [upload, { ...upload, originalname: "second.jpg" }],
+        "user-123",
+        { deferAnalysis: true, batchId: "batch-1" }
+      );
+
+      expect(results).toHaveLength(1);
+      expect(results[0].index).toBe(0);
+      expect(errors).toEqual([
+        { filename: "second.jpg", error: "Bucket full" },
+      ]);
+      expect(progressTracker.publish).toHaveBeenCalledWith("batch-1", {
+        event: "uploaded",
+        index: 0,
+        fileId: "file-1",
+        filename: "photo.jpg",
+      });
+      expect(progressTracker.publish).toHaveBeenCalledWith("batch-1", {
+        event: "failed",
+        index: 1,
+        filename: "second.jpg",
+        error: "Bucket full",
+      });
+    });
+
+    it("should not publish events without a batch", async () => {
+      await uploadService.bulkUploadAndProcess([upload], "user-123", {
+        deferAnalysis: true,
+      });
+
+      expect(progressTracker.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createDirectUpload()", () => {
+    it("should create a pending record and an upload URL", async () => {
+      const { file, upload: target } = await uploadService.createDirectUpload(
+        { filename: "beach.jpg", mimeType: "image/JPEG", size: 2048 },
+        "user-123"
+      );
+
+      const [path, options] = storageProvider.createUploadUrl.mock.calls[0];
+      expect(path).toMatch(/^images\/user-123\/\d+-\w+\.jpg$/);
+      expect(options).toEqual({ contentType: "image/jpeg" });
+      expect(fileRepository.create).toHaveBeenCalledWith({
+        filename: "beach.jpg",
+        file_path: path,
+        file_size: 2048,
+        mime_type: "image/jpeg",
+        user_id: "user-123",
+        status: "pending",
+      });
+      expect(file.isPending()).toBe(true);
+      expect(target.url).toBe(`https://storage.example/upload/${path}`);
+      // Nothing is announced until the upload is completed
+      expect(webhookService.emit).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      [{ mimeType: "image/jpeg", size: 10 }, "Filename is required"],
+      [
+        { filename: "a.exe", mimeType: "image/jpeg", size: 10 },
+        "Invalid file extension",
+      ],
+      [
+        { filename: "a.jpg", mimeType: "text/html", size: 10 },
+        "Invalid file type",
+      ],
+      [
+        { filename: "a.jpg", mimeType: "image/jpeg", size: "10" },
+        "Size must be a positive integer",
+      ],
+      [
+        { filename: "a.jpg", mimeType: "image/jpeg", size: 11 * 1024 * 1024 },
+        "File size exceeds limit",
+      ],
+    ])("should reject %o", async (declared, message) => {
+      await expect(
+        uploadService.createDirectUpload(declared, "user-123")
+      ).rejects.toThrow(message);
+      expect(storageProvider.createUploadUrl).not.toHaveBeenCalled();
+      expect(fileRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("completeDirectUpload()", () => {
+    const pendingFile = () =>
+      new File({
+        id: "file-1",
+        user_id: "user-123",
+        file_path: "images/user-123/a.jpg",
+        file_size: 1000,
+        mime_type: "image/jpeg",
+        status: "pending",
+      });
+
+    beforeEach(() => {
+      fileRepository.findById.mockResolvedValue(pendingFile());
+    });
+
+    it("should record the stored size and announce the upload", async () => {
+      const { file } = await uploadService.completeDirectUpload(
+        "file-1",
+        "user-123"
+      );
+
+      expect(storageProvider.fileExists).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({ file_size: 2048, status: "uploaded" })
+      );
+      expect(file.status).toBe("uploaded");
+      expect(webhookService.emit).toHaveBeenCalledWith(
+        "user-123",
+        "file.uploaded",
+        expect.objectContaining({
+          file: expect.objectContaining({ id: "file-1" }),
+        })
+      );
+    });
+
+    it("should record the stored bytes' content hash", async () => {
+      await uploadService.completeDirectUpload("file-1", "user-123");
+
+      const contentHash = FileService.computeContentHash(imageBuffer);
+      expect(fileRepository.findByContentHash).toHaveBeenCalledWith(
+        "user-123",
+        contentHash
+      );
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({ content_hash: contentHash })
+      );
+    });
+
+    it("should link a duplicate to the stored original", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(
+        new File({
+          id: "file-0",
+          file_path: "images/user-123/original.jpg",
+          content_hash: "abc",
+          status: "completed",
+          description: "A photo",
+          tags: ["photo"],
+        })
+      );
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          filename: "again.jpg",
+          user_id: "user-123",
+          file_path: "images/user-123/a.jpg",
+          mime_type: "image/jpeg",
+          status: "pending",
+        })
+      );
+
+      const { file, duplicate } = await uploadService.completeDirectUpload(
+        "file-1",
+        "user-123"
+      );
+
+      expect(duplicate).toEqual({ action: "link", fileId: "file-0" });
+      expect(storageProvider.deleteFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(fileRepository.delete).toHaveBeenCalledWith("file-1", "user-123");
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filename: "again.jpg",
+          file_path: "images/user-123/original.jpg",
+          description: "A photo",
+        })
+      );
+      expect(file.filePath).toBe("images/user-123/original.jpg");
+      expect(fileRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("should reject a duplicate when asked to", async () => {
+      fileRepository.findByContentHash.mockResolvedValue(
+        new File({ id: "file-0", file_path: "images/user-123/original.jpg" })
+      );
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123", {
+          onDuplicate: "reject",
+        })
+      ).rejects.toThrow(ConflictError);
+      expect(storageProvider.deleteFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(fileRepository.create).not.toHaveBeenCalled();
+    });
+
+    it("should leave the file processing when analysis follows", async () => {
+      const { file } = await uploadService.completeDirectUpload(
+        "file-1",
+        "user-123",
+        { analyzeWithAI: true, tagStyle: "seo" }
+      );
+
+      expect(file.status).toBe("processing");
+      // Analysis is queued by the caller
+      expect(aiService.analyzeImage).not.toHaveBeenCalled();
+    });
+
+    it("should keep the record pending until the object exists", async () => {
+      storageProvider.fileExists.mockResolvedValue(false);
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123")
+      ).rejects.toThrow("File has not been uploaded");
+      expect(fileRepository.update).not.toHaveBeenCalled();
+      expect(fileRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it("should discard objects larger than the limit", async () => {
+      storageProvider.getFileInfo.mockResolvedValue({
+        size: 50 * 1024 * 1024,
+        contentType: "image/jpeg",
+      });
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123")
+      ).rejects.toThrow("File size exceeds limit");
+      expect(storageProvider.deleteFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(fileRepository.delete).toHaveBeenCalledWith("file-1", "user-123");
+      expect(webhookService.emit).not.toHaveBeenCalled();
+    });
+
+    it("should apply the configured size limit", async () => {
+      storageProvider.getFileInfo.mockResolvedValue({
+        size: 6 * 1024 * 1024,
+        contentType: "image/jpeg",
+      });
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123", {
+          maxSizeMB: 5,
+        })
+      ).rejects.toMatchObject({
+        message: "File size exceeds limit",
+        details: { maxSize: "5MB" },
+      });
+    });
+
+    it("should discard objects stored with another content type", async () => {
+      storageProvider.getFileInfo.mockResolvedValue({
+        size: 2048,
+        contentType: "text/html",
+      });
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123")
+      ).rejects.toThrow("Invalid file type");
+      expect(fileRepository.delete).toHaveBeenCalledWith("file-1", "user-123");
+    });
+
+    it("should discard objects whose bytes are not an image", async () => {
+      storageProvider.downloadFile.mockResolvedValue(Buffer.from("<html>"));
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123")
+      ).rejects.toThrow("File content is not a supported image type");
+      expect(storageProvider.deleteFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(fileRepository.delete).toHaveBeenCalledWith("file-1", "user-123");
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('"message":"file_content_mismatch"')
+      );
+    });
+
+    it("should rewrite an object stored under the wrong type", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      const png = createPng();
+      storageProvider.downloadFile.mockResolvedValue(png);
+
+      await uploadService.completeDirectUpload("file-1", "user-123");
+
+      expect(storageProvider.uploadFile).toHaveBeenCalledWith(
+        png,
+        "images/user-123/a.jpg",
+        expect.objectContaining({ contentType: "image/png", upsert: true })
+      );
+      expect(fileRepository.update).toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        expect.objectContaining({ mime_type: "image/png" })
+      );
+    });
+
+    it("should keep the record pending when the object cannot be read", async () => {
+      storageProvider.downloadFile.mockRejectedValue(new Error("Timeout"));
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123")
+      ).rejects.toThrow("Timeout");
+      expect(fileRepository.update).not.toHaveBeenCalled();
+      expect(fileRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it("should trust the declared type when storage keeps none", async () => {
+      storageProvider.getFileInfo.mockResolvedValue({
+        size: 2048,
+        contentType: null,
+      });
+
+      const { file } = await uploadService.completeDirectUpload(
+        "file-1",
+        "user-123"
+      );
+
+      expect(file.status).toBe("uploaded");
+    });
+
+    it("should refuse to complete an upload twice", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({ ...pendingFile().toDatabase(), status: "uploaded" })
+      );
+
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123")
+      ).rejects.toThrow(ConflictError);
+      expect(storageProvider.fileExists).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown tag styles before checking storage", async () => {
+      await expect(
+        uploadService.completeDirectUpload("file-1", "user-123", {
+          analyzeWithAI: true,
+          tagStyle: "nope",
+        })
+      ).rejects.toThrow("Unknown tag style");
+      expect(storageProvider.fileExists).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("resumable uploads", () => {
+    const declared = { filename: "large.jpg", mimeType: "image/jpeg", size: 8 };
+
+    it("should start a session with the session size limit", async () => {
+      const session = await uploadService.createUploadSession(
+        { ...declared, size: 50 * 1024 * 1024 },
+        "user-123",
+        { analyzeWithAI: true, tagStyle: "seo", language: "fr" }
+      );
+
+      expect(session).toMatchObject({
+        offset: 0,
+        length: 50 * 1024 * 1024,
+        options: {
+          analyzeWithAI: true,
+          tagStyle: "seo",
+          language: "fr",
+          provider: null,
+        },
+      });
+
+      await expect(
+        uploadService.createUploadSession(
+          { ...declared, size: 101 * 1024 * 1024 },
+          "user-123"
+        )
+      ).rejects.toThrow("File size exceeds limit");
+    });
+
+    it("should reject unknown analysis options before starting", async () => {
+      await expect(
+        uploadService.createUploadSession(declared, "user-123", {
+          analyzeWithAI: true,
+          tagStyle: "nope",
+        })
+      ).rejects.toThrow("Unknown tag style");
+      expect(fs.readdirSync(uploadSessions.directory)).toEqual([]);
+    });
+
+    it("should store the file and queue analysis on the last chunk", async () => {
+      const session = await uploadService.createUploadSession(
+        declared,
+        "user-123",
+        { analyzeWithAI: true, provider: "mock" }
+      );
+
+      const partial = await uploadService.appendToUploadSession(
+        session.id,
+        "user-123",
+        0,
+        Readable.from([imageBuffer.subarray(0, 4)])
+      );
+      expect(partial.offset).toBe(4);
+      expect(storageProvider.uploadFile).not.toHaveBeenCalled();
+
+      const completed = await uploadService.appendToUploadSession(
+        session.id,
+        "user-123",
+        4,
+        Readable.from([imageBuffer.subarray(4, 8)]),
+        { userToken: "token" }
+      );
+
+      const [buffer] = storageProvider.uploadFile.mock.calls[0];
+      expect(buffer).toEqual(imageBuffer.subarray(0, 8));
+      expect(fileRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filename: "large.jpg",
+          file_size: 8,
+          status: "processing",
+        })
+      );
+      expect(aiService.analyzeImage).not.toHaveBeenCalled();
+      expect(jobQueue.enqueue).toHaveBeenCalledWith(
+        "analyze_file",
+        expect.objectContaining({
+          fileId: "file-1",
+          payload: expect.objectContaining({ provider: "mock" }),
+        }),
+        { userToken: "token" }
+      );
+      expect(completed).toMatchObject({
+        status: "completed",
+        offset: 8,
+        fileId: "file-1",
+        jobId: "job-1",
+      });
+    });
+
+    it("should keep the bytes when storing fails so the upload can be retried", async () => {
+      const session = await uploadService.createUploadSession(
+        declared,
+        "user-123"
+      );
+      storageProvider.uploadFile.mockRejectedValueOnce(
+        new Error("Storage unavailable")
+      );
+
+      await expect(
+        uploadService.appendToUploadSession(
+          session.id,
+          "user-123",
+          0,
+          Readable.from([imageBuffer.subarray(0, 8)])
+        )
+      ).rejects.toThrow("Storage");
+
+      const retried = await uploadService.appendToUploadSession(
+        session.id,
+        "user-123",
+        8,
+        Readable.from([])
+      );
+      expect(retried.status).toBe("completed");
+      expect(retried.jobId).toBeNull();
+      expect(jobQueue.enqueue).not.toHaveBeenCalled();
+    });
+
+    it("should cancel a session", async () => {
+      const session = await uploadService.createUploadSession(
+        declared,
+        "user-123"
+      );
+
+      await uploadService.cancelUploadSession(session.id, "user-123");
+
+      await expect(
+        uploadService.getUploadSession(session.id, "user-123")
+      ).rejects.toThrow("Upload session not found");
+    });
+  });
+
+  describe("analyzeExistingFile()", () => {
+    it("should download the stored bytes instead of sharing a URL", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          mime_type: "image/png",
+        })
+      );
+
+      const { aiResult } = await uploadService.analyzeExistingFile(
+        "file-1",
+        "user-123",
+        "playful"
+      );
+
+      expect(storageProvider.downloadFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(aiService.analyzeImage).toHaveBeenCalledWith(
+        `data:image/png;base64,${imageBuffer.toString("base64")}`,
+        expect.objectContaining({ key: "playful" }),
+        { language: null }
+      );
+      expect(aiResult.success).toBe(true);
+    });
+
+    it("should merge a new language into existing variants", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          mime_type: "image/jpeg",
+          translations: {
+            fr: { description: "Une photo", tags: ["photo"] },
+          },
+        })
+      );
+
+      const { file } = await uploadService.analyzeExistingFile(
+        "file-1",
+        "user-123",
+        "neutral",
+        { language: "es" }
+      );
+
+      expect(file.getLanguages()).toEqual(["fr", "es"]);
+      expect(file.translations.fr.description).toBe("Une photo");
+      expect(file.translations.es.description).toBe("A photo");
+    });
+
+    it("should reject non-image files", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({ id: "file-1", mime_type: "application/pdf" })
+      );
+
+      await expect(
+        uploadService.analyzeExistingFile("file-1", "user-123")
+      ).rejects.toThrow("File is not an image");
+    });
+  });
+
+  describe("queueAnalysis()", () => {
+    it("should enqueue an analysis job with the token as context", async () => {
+      const job = await uploadService.queueAnalysis(
+        new File({ id: "file-1" }),
+        "user-123",
+        { tagStyle: "seo", language: "fr" },
+        { userToken: "token" }
+      );
+
+      expect(job.id).toBe("job-1");
+      expect(jobQueue.enqueue).toHaveBeenCalledWith(
+        "analyze_file",
+        {
+          userId: "user-123",
+          fileId: "file-1",
+          payload: {
+            tagStyle: "seo",
+            language: "fr",
+            provider: null,
+            batch: null,
+          },
+        },
+        { userToken: "token" }
+      );
+    });
+  });
+
+  describe("queueAnalysisOrFail()", () => {
+    const file = new File({ id: "file-1", status: "processing" });
+
+    it("should return the queued job", async () => {
+      const queued = await uploadService.queueAnalysisOrFail(file, "user-123");
+
+      expect(queued).toEqual({ job: expect.any(Job), file, error: null });
+      expect(fileRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("should fail the file when the job cannot be queued", async () => {
+      jobQueue.enqueue.mockRejectedValue(new Error("relation does not exist"));
+      fileRepository.update.mockResolvedValue(
+        new File({ id: "file-1", status: "failed" })
+      );
+
+      const queued = await uploadService.queueAnalysisOrFail(file, "user-123", {
+        batchId: "batch-1",
+        batchIndex: 2,
+      });
+
+      expect(queued.job).toBeNull();
+      expect(queued.file.status).toBe("failed");
+      expect(queued.error).toBe("Analysis could not be queued");
+      expect(fileRepository.update).toHaveBeenCalledWith("file-1", "user-123", {
+        status: "failed",
+      });
+      expect(progressTracker.publish).toHaveBeenCalledWith("batch-1", {
+        event: "failed",
+        index: 2,
+        fileId: "file-1",
+        error: "Analysis could not be queued",
+      });
+      expect(webhookService.emit).toHaveBeenCalledWith(
+        "user-123",
+        "file.analysis_failed",
+        expect.objectContaining({ error: "Analysis could not be queued" })
+      );
+      expect(console.log).toHaveBeenCalledWith(
+        expect.stringContaining('"message":"analysis_queue_failed"')
+      );
+    });
+  });
+
+  describe("runAnalysisJob()", () => {
+    const jobFor = (attempts, batch = null) =>
+      new Job({
+        id: "job-1",
+        type: "analyze_file",
+        user_id: "user-123",
+        file_id: "file-1",
+        payload: { tagStyle: "neutral", language: null, batch },
+        attempts,
+        max_attempts: 3,
+      });
+
+    beforeEach(() => {
+      fileRepository.findById.mockResolvedValue(
+        new File({
+          id: "file-1",
+          file_path: "images/user-123/a.jpg",
+          mime_type: "image/jpeg",
+        })
+      );
+    });
+
+    it("should analyze the file and return its status", async () => {
+      const result = await uploadService.runAnalysisJob(jobFor(1));
+
+      expect(result).toEqual({ fileId: "file-1", status: "completed" });
+    });
+
+    it("should leave the file processing while retries remain", async () => {
+      aiService.analyzeImage.mockResolvedValue({
+        success: false,
+        error: "AI down",
+      });
+
+      await expect(uploadService.runAnalysisJob(jobFor(1))).rejects.toThrow();
+      expect(fileRepository.update).not.toHaveBeenCalledWith(
+        "file-1",
+        "user-123",
+        { status: "failed" }
+      );
+    });
+
+    it("should publish analyzing and completed events for a batch", async () => {
+      await uploadService.runAnalysisJob(
+        jobFor(1, { id: "batch-1", index: 2 })
+      );
+
+      expect(progressTracker.publish.mock.calls).toEqual([
+        [
+          "batch-1",
+          { event: "analyzing", index: 2, fileId: "file-1", attempt: 1 },
+        ],
+        ["batch-1", { event: "completed", index: 2, fileId: "file-1" }],
+      ]);
+    });
+
+    it("should leave failure reporting to the queue", async () => {
+      aiService.analyzeImage.mockResolvedValue({
+        success: false,
+        error: "AI down",
+      });
+
+      await expect(
+        uploadService.runAnalysisJob(jobFor(3, { id: "batch-1", index: 0 }))
+      ).rejects.toThrow();
+      expect(progressTracker.publish).not.toHaveBeenCalledWith(
+        "batch-1",
+        expect.objectContaining({ event: "failed" })
+      );
+      expect(webhookService.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("failAnalysisJob()", () => {
+    const job = new Job({
+      id: "job-1",
+      type: "analyze_file",
+      user_id: "user-123",
+      file_id: "file-1",
+      payload: { batch: { id: "batch-1", index: 0 } },
+    });
+
+    it("should mark the file failed and report it", async () => {
+      fileRepository.update.mockResolvedValue(
+        new File({ id: "file-1", status: "failed" })
+      );
+
+      await uploadService.failAnalysisJob(job, new Error("AI: AI down"));
+
+      expect(fileRepository.update).toHaveBeenCalledWith("file-1", "user-123", {
+        status: "failed",
+      });
+      expect(progressTracker.publish).toHaveBeenCalledWith("batch-1", {
+        event: "failed",
+        index: 0,
+        fileId: "file-1",
+        error: "AI: AI down",
+      });
+      expect(webhookService.emit).toHaveBeenCalledWith(
+        "user-123",
+        "file.analysis_failed",
+        {
+          file: expect.objectContaining({ id: "file-1", status: "failed" }),
+          error: "AI: AI down",
+        }
+      );
+    });
+
+    it("should still report the failure when the file is gone", async () => {
+      fileRepository.update.mockRejectedValue(new Error("No rows"));
+
+      await uploadService.failAnalysisJob(
+        job,
+        new Error("Interrupted by server restart")
+      );
+
+      expect(webhookService.emit).toHaveBeenCalledWith(
+        "user-123",
+        "file.analysis_failed",
+        { file: { id: "file-1" }, error: "Interrupted by server restart" }
+      );
+    });
+  });
+
+  describe("deleteFile()", () => {
+    it("should notify webhooks of the deletion", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({ id: "file-1", file_path: "images/user-123/a.jpg" })
+      );
+
+      await uploadService.deleteFile("file-1", "user-123");
+
+      expect(storageProvider.deleteFile).toHaveBeenCalledWith(
+        "images/user-123/a.jpg"
+      );
+      expect(webhookService.emit).toHaveBeenCalledWith(
+        "user-123",
+        "file.deleted",
+        { file: expect.objectContaining({ id: "file-1" }) }
+      );
+    });
+
+    it("should keep a stored object that a linked duplicate uses", async () => {
+      fileRepository.findById.mockResolvedValue(
+        new File({ id: "file-1", file_path: "images/user-123/a.jpg" })
+      );
+      fileRepository.countByPath.mockResolvedValue(2);
+
+      await uploadService.deleteFile("file-1", "user-123");
+
+      expect(storageProvider.deleteFile).not.toHaveBeenCalled();
+      expect(fileRepository.delete).toHaveBeenCalledWith("file-1", "user-123");
+    });
+  });
+
+  describe("bulkDeleteFiles()", () => {
+    it("should only delete objects no remaining file links to", async () => {
+      const files = {
+        "file-1": new File({ id: "file-1", file_path: "images/shared.jpg" }),
+        "file-2": new File({ id: "file-2", file_path: "images/shared.jpg" }),
+        "file-3": new File({ id: "file-3", file_path: "images/linked.jpg" }),
+      };
+      fileRepository.findById.mockImplementation(async (id) => files[id]);
+      fileRepository.countByPath.mockImplementation(async (userId, path) =>
+        path === "images/shared.jpg" ? 2 : 3
+      );
+
+      const count = await uploadService.bulkDeleteFiles(
+        ["file-1", "file-2", "file-3"],
+        "user-123"
+      );
+
+      expect(count).toBe(3);
+      expect(storageProvider.deleteFiles).toHaveBeenCalledWith([
+        "images/shared.jpg",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * UploadSessionStore Tests
+ * Keeps resumable upload sessions in a temporary directory
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const UploadSessionStore = require("../../services/UploadSessionStore");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../../utils/errorHandler");
+
+describe("UploadSessionStore", () => {
+  let directory;
+  let store;
+
+  const upload = {
+    length: 10,
+    filename: "large.jpg",
+    mimeType: "image/jpeg",
+    options: { analyzeWithAI: true, tagStyle: "neutral" },
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-test-"));
+    store = new UploadSessionStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should default to a 100MB limit and a 24 hour lifetime", () => {
+    expect(store.maxSizeMB).toBe(100);
+    expect(store.maxSize).toBe(100 * 1024 * 1024);
+    expect(store.expiresIn).toBe(86400);
+    expect(
+      new UploadSessionStore({ maxSizeMB: "500", expiresIn: "60" })
+    ).toMatchObject({ maxSizeMB: 500, expiresIn: 60 });
+  });
+
+  it("should create a session at offset 0", async () => {
+    const session = await store.create("user-123", upload);
+
+    expect(session).toMatchObject({
+      userId: "user-123",
+      length: 10,
+      filename: "large.jpg",
+      status: "active",
+      offset: 0,
+    });
+    expect(await store.get(session.id, "user-123")).toEqual(session);
+  });
+
+  it("should hide other users' and unknown sessions", async () => {
+    const session = await store.create("user-123", upload);
+
+    await expect(store.get(session.id, "user-456")).rejects.toThrow(
+      NotFoundError
+    );
+    await expect(store.get("../../etc/passwd", "user-123")).rejects.toThrow(
+      NotFoundError
+    );
+    await expect(
+      store.get("00000000-0000-4000-8000-000000000000", "user-123")
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  it("should hide expired sessions", async () => {
+    store = new UploadSessionStore({ directory, expiresIn: 1 });
+    const session = await store.create("user-123", upload);
+
+    jest.spyOn(Date, "now").mockReturnValue(Date.now() + 2000);
+
+    await expect(store.get(session.id, "user-123")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  describe("append()", () => {
+    it("should append chunks and report the new offset", async () => {
+      let session = await store.create("user-123", upload);
+
+      session = await store.append(session, 0, Readable.from(["abcd"]));
+      expect(session.offset).toBe(4);
+
+      session = await store.append(session, 4, Readable.from(["efghij"]));
+      expect(session.offset).toBe(10);
+      expect((await store.readData(session)).toString()).toBe("abcdefghij");
+    });
+
+    it("should reject a chunk at the wrong offset", async () => {
+      let session = await store.create("user-123", upload);
+      session = await store.append(session, 0, Readable.from(["abcd"]));
+
+      await expect(
+        store.append(session, 0, Readable.from(["abcd"]))
+      ).rejects.toThrow(ConflictError);
+    });
+
+    it("should reject bytes past the declared length", async () => {
+      const session = await store.create("user-123", upload);
+
+      await expect(
+        store.append(session, 0, Readable.from(["abcdefghijk"]))
+      ).rejects.toThrow(ValidationError);
+    });
+
+    it("should keep the bytes received before a disconnect", async () => {
+      const session = await store.create("user-123", upload);
+      const stream = new Readable({ read() {} });
+      stream.push("abcd");
+      setTimeout(() => stream.destroy(new Error("aborted")), 50);
+
+      await expect(store.append(session, 0, stream)).rejects.toThrow(
+        "aborted"
+      );
+
+      const resumed = await store.get(session.id, "user-123");
+      expect(resumed.offset).toBe(4);
+    });
+  });
+
+  it("should allow one request per session at a time", async () => {
+    const release = store.lock("session-1");
+
+    expect(() => store.lock("session-1")).toThrow(ConflictError);
+    release();
+    expect(() => store.lock("session-1")).not.toThrow();
+  });
+
+  it("should keep a completed session readable without its data", async () => {
+    let session = await store.create("user-123", upload);
+    session = await store.append(session, 0, Readable.from(["abcdefghij"]));
+
+    await store.complete(session, { fileId: "file-1", jobId: "job-1" });
+
+    const completed = await store.get(session.id, "user-123");
+    expect(completed).toMatchObject({
+      status: "completed",
+      offset: 10,
+      fileId: "file-1",
+      jobId: "job-1",
+    });
+    expect(fs.existsSync(path.join(directory, `${session.id}.bin`))).toBe(
+      false
+    );
+    await expect(
+      store.append(completed, 10, Readable.from([]))
+    ).rejects.toThrow("already complete");
+  });
+
+  it("should sweep expired sessions", async () => {
+    store = new UploadSessionStore({ directory, expiresIn: 1 });
+    await store.create("user-123", upload);
+
+    const now = Date.now() + 60 * 60 * 1000;
+    jest.spyOn(Date, "now").mockReturnValue(now);
+
+    expect(await store.sweep()).toBe(1);
+    expect(fs.readdirSync(directory)).toEqual([]);
+    // Sweeps are throttled
+    expect(await store.sweep()).toBe(0);
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * WebhookService Tests
+ * Delivers signed events to a local HTTP receiver through the job queue
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const WebhookService = require("../../services/WebhookService");
+const JobQueue = require("../../services/JobQueue");
+const MemoryJobStore = require("../../services/implementations/MemoryJobStore");
+const Webhook = require("../../models/Webhook");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+
+/**
+ * In-memory stand-in for WebhookRepository
+ */
+function createRepository(webhooks) {
+  const deliveries = new Map();
+
+  return {
+    deliveries,
+    findSubscribed: jest.fn(async (userId, event) =>
+      webhooks.filter((w) => w.userId === userId && w.subscribesTo(event))
+    ),
+    findById: jest.fn(
+      async (id, userId) =>
+        webhooks.find((w) => w.id === id && w.userId === userId) || null
+    ),
+    createDelivery: jest.fn(async (data) => {
+      const row = { ...data, created_at: new Date().toISOString() };
+      deliveries.set(data.id, row);
+      return new WebhookDelivery(row);
+    }),
+    findDeliveryById: jest.fn(async (id) =>
+      deliveries.has(id) ? new WebhookDelivery(deliveries.get(id)) : null
+    ),
+    updateDelivery: jest.fn(async (id, userId, updates) => {
+      const row = { ...deliveries.get(id), ...updates };
+      deliveries.set(id, row);
+      return new WebhookDelivery(row);
+    }),
+  };
+}
+
+describe("WebhookService", () => {
+  let server;
+  let receiverUrl;
+  let received;
+  let respondWith;
+  let webhook;
+  let repository;
+  let jobQueue;
+  let webhookService;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(respondWith(received.length));
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    received = [];
+    respondWith = () => 200;
+
+    webhook = new Webhook({
+      id: "hook-1",
+      user_id: "user-123",
+      url: receiverUrl,
+      secret: "whsec_test",
+      events: ["file.uploaded", "file.deleted"],
+    });
+    repository = createRepository([webhook]);
+
+    jobQueue = new JobQueue(new MemoryJobStore());
+    // The local receiver is on loopback
+    webhookService = new WebhookService(repository, jobQueue, {
+      userToken: "token",
+      timeoutMs: 2000,
+      allowPrivateNetworks: true,
+    });
+    jobQueue.register(
+      WebhookService.DELIVERY_JOB,
+      (job) => webhookService.runDeliveryJob(job),
+      { maxAttempts: 3, backoffMs: 1 }
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should POST a signed event to subscribed webhooks", async () => {
+    const queued = await webhookService.emit("user-123", "file.uploaded", {
+      file: { id: "file-1" },
+    });
+    await jobQueue.onIdle();
+
+    expect(queued).toBe(1);
+    expect(received).toHaveLength(1);
+
+    const { url, headers, body } = received[0];
+    expect(url).toBe("/hooks");
+    expect(headers["x-webhook-event"]).toBe("file.uploaded");
+    expect(headers["content-type"]).toBe("application/json");
+
+    const expected = crypto
+      .createHmac("sha256", "whsec_test")
+      .update(`${headers["x-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    expect(headers["x-webhook-signature"]).toBe(`sha256=${expected}`);
+
+    const payload = JSON.parse(body);
+    expect(payload).toMatchObject({
+      id: headers["x-webhook-id"],
+      event: "file.uploaded",
+      data: { file: { id: "file-1" } },
+    });
+
+    const delivery = repository.deliveries.get(payload.id);
+    expect(delivery).toMatchObject({
+      status: "succeeded",
+      attempts: 1,
+      response_status: 200,
+      error: null,
+    });
+  });
+
+  it("should skip webhooks that are not subscribed to the event", async () => {
+    const queued = await webhookService.emit("user-123", "file.updated", {});
+    await jobQueue.onIdle();
+
+    expect(queued).toBe(0);
+    expect(received).toHaveLength(0);
+  });
+
+  it("should retry failed deliveries until the receiver accepts", async () => {
+    respondWith = (count) => (count < 3 ? 503 : 204);
+
+    await webhookService.emit("user-123", "file.deleted", {});
+    await jobQueue.onIdle();
+
+    expect(received).toHaveLength(3);
+    const [delivery] = repository.deliveries.values();
+    expect(delivery).toMatchObject({
+      status: "succeeded",
+      attempts: 3,
+      response_status: 204,
+    });
+  });
+
+  it("should fail the delivery after the last attempt", async () => {
+    respondWith = () => 500;
+
+    await webhookService.emit("user-123", "file.deleted", {});
+    await jobQueue.onIdle();
+
+    expect(received).toHaveLength(3);
+    const [delivery] = repository.deliveries.values();
+    expect(delivery).toMatchObject({
+      status: "failed",
+      attempts: 3,
+      response_status: 500,
+      error: "Receiver responded with HTTP 500",
+    });
+  });
+
+  it("should record unreachable receivers", async () => {
+    webhook.url = "http://127.0.0.1:1/unreachable";
+
+    const delivery = await webhookService.ping(webhook);
+
+    expect(delivery.status).toBe("failed");
+    expect(delivery.responseStatus).toBeNull();
+    expect(delivery.error).toMatch(/^Request failed: /);
+  });
+
+  it("should not follow redirects", async () => {
+    respondWith = () => 302;
+
+    const delivery = await webhookService.ping(webhook);
+
+    expect(delivery.status).toBe("failed");
+    expect(delivery.error).toBe("Receiver responded with HTTP 302");
+    expect(received).toHaveLength(1);
+  });
+
+  it("should record receivers that do not respond in time", async () => {
+    const slowService = new WebhookService(repository, jobQueue, {
+      timeoutMs: 50,
+      allowPrivateNetworks: true,
+    });
+    const hang = http.createServer(() => {});
+    await new Promise((resolve) => hang.listen(0, "127.0.0.1", resolve));
+    webhook.url = `http://127.0.0.1:${hang.address().port}/hooks`;
+
+    const delivery = await slowService.ping(webhook);
+    hang.closeAllConnections();
+    await new Promise((resolve) => hang.close(resolve));
+
+    expect(delivery.status).toBe("failed");
+    expect(delivery.error).toBe("Receiver did not respond within 50 ms");
+  });
+
+  it("should send a ping once without queueing it", async () => {
+    const delivery = await webhookService.ping(webhook);
+
+    expect(delivery.isSucceeded()).toBe(true);
+    expect(delivery.event).toBe("ping");
+    expect(received).toHaveLength(1);
+    expect(received[0].headers["x-webhook-event"]).toBe("ping");
+    expect(jobQueue.contexts.size).toBe(0);
+  });
+
+  it("should not deliver to disabled webhooks", async () => {
+    // Disabled between the event and its delivery
+    repository.findById.mockResolvedValue(
+      new Webhook({ ...webhook.toDatabase(), active: false })
+    );
+
+    await webhookService.emit("user-123", "file.uploaded", {});
+    await jobQueue.onIdle();
+
+    expect(received).toHaveLength(0);
+    const [delivery] = repository.deliveries.values();
+    expect(delivery).toMatchObject({
+      status: "failed",
+      error: "Webhook is disabled",
+    });
+  });
+
+  it("should never throw from emit", async () => {
+    repository.findSubscribed.mockRejectedValue(new Error("DB down"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(
+      webhookService.emit("user-123", "file.uploaded", {})
+    ).resolves.toBe(0);
+  });
+
+  describe("private networks", () => {
+    beforeEach(() => {
+      webhookService = new WebhookService(repository, jobQueue, {
+        timeoutMs: 2000,
+      });
+    });
+
+    it.each([
+      "http://127.0.0.1/hooks",
+      "http://localhost/hooks",
+      "http://169.254.169.254/latest/meta-data",
+      "http://10.0.0.5/hooks",
+      "http://[::1]/hooks",
+      "http://[::ffff:192.168.1.1]/hooks",
+    ])("should reject %s", async (url) => {
+      await expect(webhookService.validateUrl(url)).rejects.toThrow(
+        "URL must resolve to a public address"
+      );
+    });
+
+    it("should accept public addresses", async () => {
+      await expect(
+        webhookService.validateUrl("https://93.184.216.34/hooks")
+      ).resolves.toBeUndefined();
+    });
+
+    it("should refuse to deliver to private addresses", async () => {
+      const delivery = await webhookService.ping(webhook);
+
+      expect(delivery.status).toBe("failed");
+      expect(delivery.error).toBe("Request failed: Address is not public");
+      expect(received).toHaveLength(0);
+    });
+
+    it("should check the resolved address when connecting", async () => {
+      // A host that passed registration but now resolves to loopback
+      webhook.url = receiverUrl.replace("127.0.0.1", "localhost");
+
+      const delivery = await webhookService.ping(webhook);
+
+      expect(delivery.status).toBe("failed");
+      expect(delivery.error).toBe("Request failed: Address is not public");
+      expect(received).toHaveLength(0);
+    });
+  });
+
+  it("should generate distinct signing secrets", () => {
+    const secret = WebhookService.generateSecret();
+
+    expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(WebhookService.generateSecret()).not.toBe(secret);
+  });
+});
@@ -0,0 +1,576 @@
+/**
+ * AI Provider Tests
+ * Tests for the provider registry and IAIService implementations
+ */
+
+jest.mock("openai");
+jest.mock("@anthropic-ai/sdk");
+
+const OpenAI = require("openai");
+const Anthropic = require("@anthropic-ai/sdk");
+const ProviderRegistry = require("../../services/ProviderRegistry");
+const ServiceContainer = require("../../services/ServiceContainer");
+const OpenAIService = require("../../services/implementations/OpenAIService");
+const AnthropicService = require("../../services/implementations/AnthropicService");
+const MockAIService = require("../../services/implementations/MockAIService");
+const {
+  resolveLanguage,
+  resolveTagStyle,
+  buildAnalysisPrompt,
+  normalizeCaptions,
+  parseAnalysisResponse,
+  validateAnalysis,
+} = require("../../services/aiPrompts");
+const { ValidationError } = require("../../utils/errorHandler");
+
+const IMAGE_BASE64 = Buffer.from("fake-image-bytes").toString("base64");
+const IMAGE_DATA_URL = `data:image/jpeg;base64,${IMAGE_BASE64}`;
+const CAPTIONS = {
+  altText: "A test pattern",
+  instagram: "Testing, testing #test",
+  x: "Test post #test",
+  linkedin: "A test image for the suite.",
+};
+const AI_RESPONSE = JSON.stringify({
+  description: "A test image",
+  tags: ["one", "two", "three", "four", "five"],
+  captions: CAPTIONS,
+});
+
+describe("ProviderRegistry", () => {
+  it("should create registered providers case-insensitively", () => {
+    const registry = new ProviderRegistry("AI").register("Mock", () => "mock");
+
+    expect(registry.has("MOCK")).toBe(true);
+    expect(registry.create("mock")).toBe("mock");
+    expect(registry.list()).toEqual(["mock"]);
+  });
+
+  it("should throw ValidationError for unknown providers", () => {
+    const registry = new ProviderRegistry("AI").register("mock", () => "mock");
+
+    expect(() => registry.create("gemini")).toThrow(ValidationError);
+    expect(() => registry.create("gemini")).toThrow("Unknown AI provider");
+    expect(registry.has(undefined)).toBe(false);
+  });
+});
+
+describe("ServiceContainer.getAIService()", () => {
+  const originalProvider = process.env.AI_PROVIDER;
+
+  afterEach(() => {
+    process.env.AI_PROVIDER = originalProvider;
+  });
+
+  it("should default to OpenAI", () => {
+    delete process.env.AI_PROVIDER;
+    const container = new ServiceContainer("token");
+    expect(container.getAIService()).toBeInstanceOf(OpenAIService);
+  });
+
+  it("should use AI_PROVIDER from configuration", () => {
+    process.env.AI_PROVIDER = "mock";
+    const container = new ServiceContainer("token");
+    expect(container.getAIService()).toBeInstanceOf(MockAIService);
+  });
+
+  it("should prefer the per-request provider", () => {
+    process.env.AI_PROVIDER = "mock";
+    const container = new ServiceContainer("token", {
+      aiProvider: "anthropic",
+    });
+    expect(container.getAIService()).toBeInstanceOf(AnthropicService);
+  });
+
+  it("should reject unknown providers", () => {
+    const container = new ServiceContainer("token", { aiProvider: "nope" });
+    expect(() => container.getAIService()).toThrow(ValidationError);
+  });
+
+  it("should expose registered provider names", () => {
+    expect(ServiceContainer.aiProviders.list()).toEqual(
+      expect.arrayContaining(["openai", "anthropic", "mock"])
+    );
+  });
+});
+
+describe("MockAIService", () => {
+  it("should return deterministic results", async () => {
+    const service = new MockAIService();
+
+    const first = await service.analyzeImage(IMAGE_DATA_URL, "seo");
+    const second = await service.analyzeImage(IMAGE_DATA_URL, "seo");
+
+    expect(first).toEqual(second);
+    expect(first.success).toBe(true);
+    expect(first.tagStyle).toBe("seo");
+    expect(first.tags).toHaveLength(5);
+    expect(new Set(first.tags).size).toBe(5);
+  });
+
+  it("should fail for unknown styles instead of falling back", async () => {
+    const result = await new MockAIService().analyzeImage(
+      IMAGE_DATA_URL,
+      "weird"
+    );
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("Unknown tag style: weird");
+  });
+
+  it("should honour the tag count of custom styles", async () => {
+    const result = await new MockAIService().analyzeImage(IMAGE_DATA_URL, {
+      name: "brand",
+      instruction: "Use brand vocabulary.",
+      tagCount: 3,
+      examples: ["acme"],
+    });
+    expect(result.success).toBe(true);
+    expect(result.tagStyle).toBe("brand");
+    expect(result.tags).toHaveLength(3);
+  });
+
+  it("should produce more tags than its vocabulary when asked", async () => {
+    const result = await new MockAIService().analyzeImage(IMAGE_DATA_URL, {
+      name: "long",
+      instruction: "Many tags.",
+      tagCount: 20,
+    });
+    expect(result.success).toBe(true);
+    expect(new Set(result.tags).size).toBe(20);
+  });
+
+  it("should return failure shape for missing image data", async () => {
+    const result = await new MockAIService().analyzeImage(null);
+    expect(result).toEqual({
+      success: false,
+      error: "Invalid image data",
+      description: null,
+      tags: [],
+    });
+  });
+
+  it("should refuse remote URLs and non-image data", async () => {
+    const service = new MockAIService();
+
+    const remote = await service.analyzeImage(
+      "https://test.supabase.co/storage/v1/object/sign/uploads/a.jpg"
+    );
+    const text = await service.analyzeImage("data:text/html;base64,PGgxPg==");
+
+    expect(remote.error).toBe("Invalid image data");
+    expect(text.error).toBe("Invalid image data");
+  });
+
+  it("should vary results with the image bytes", async () => {
+    const service = new MockAIService();
+
+    const first = await service.analyzeImage(IMAGE_DATA_URL);
+    const second = await service.analyzeImage(
+      `data:image/png;base64,${Buffer.from("other").toString("base64")}`
+    );
+
+    expect(first.description).not.toBe(second.description);
+  });
+
+  it("should support generateTags and generateDescription", async () => {
+    const service = new MockAIService();
+
+    const tags = await service.generateTags(IMAGE_DATA_URL, "playful");
+    const description = await service.generateDescription(IMAGE_DATA_URL);
+
+    expect(tags.success).toBe(true);
+    expect(tags.tags).toHaveLength(5);
+    expect(description.description).toContain("mock");
+  });
+
+  it("should report the requested language", async () => {
+    const result = await new MockAIService().analyzeImage(
+      IMAGE_DATA_URL,
+      "neutral",
+      { language: "pt-br" }
+    );
+    expect(result.success).toBe(true);
+    expect(result.language).toBe("pt-BR");
+  });
+
+  it("should fail for unsupported languages", async () => {
+    const result = await new MockAIService().analyzeImage(
+      IMAGE_DATA_URL,
+      "neutral",
+      { language: "not a language" }
+    );
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("Unsupported language: not a language");
+  });
+});
+
+describe("aiPrompts caption formats", () => {
+  it("should ask for every platform caption", () => {
+    const prompt = buildAnalysisPrompt(resolveTagStyle("neutral"));
+
+    expect(prompt).toContain("altText:");
+    expect(prompt).toContain("Max 279 characters.");
+    expect(prompt).toContain('"linkedin": "..."');
+  });
+
+  it("should keep known formats and enforce platform limits", () => {
+    const captions = normalizeCaptions({
+      altText: `  ${"word ".repeat(40)}`,
+      x: " Short post ",
+      tiktok: "ignored",
+      linkedin: 42,
+    });
+
+    expect(Object.keys(captions)).toEqual(["altText", "x"]);
+    expect(captions.altText.length).toBeLessThan(125);
+    expect(captions.altText.endsWith("…")).toBe(true);
+    expect(captions.x).toBe("Short post");
+  });
+
+  it("should truncate between words", () => {
+    const captions = normalizeCaptions({
+      x: `${"a".repeat(274)} #sunset`,
+      altText: `${"b".repeat(120)} word`,
+      linkedin: "c".repeat(3100),
+    });
+
+    expect(captions.x).toBe(`${"a".repeat(274)}…`);
+    expect(captions.altText).toBe(`${"b".repeat(120)}…`);
+    expect(captions.linkedin).toBe(`${"c".repeat(2999)}…`);
+  });
+
+  it("should report missing and over-long captions", () => {
+    const { problems } = validateAnalysis(
+      {
+        description: "A photo",
+        tags: ["one", "two", "three", "four", "five"],
+        captions: { ...CAPTIONS, instagram: " ", x: "x".repeat(280) },
+      },
+      resolveTagStyle("neutral")
+    );
+
+    expect(problems).toEqual([
+      '"captions.instagram" must be a non-empty string',
+      '"captions.x" must be at most 279 characters',
+    ]);
+    expect(() =>
+      parseAnalysisResponse(JSON.stringify({ description: "x", tags: ["a"] }), {
+        key: "neutral",
+        tagCount: 1,
+      })
+    ).toThrow('"captions" must be an object');
+  });
+
+  it("should drop and truncate captions when asked to", () => {
+    const result = parseAnalysisResponse(
+      JSON.stringify({
+        description: "A test image",
+        tags: ["one", "two", "three", "four", "five"],
+        captions: { altText: "word ".repeat(40) },
+      }),
+      resolveTagStyle("neutral"),
+      { truncateCaptions: true }
+    );
+
+    expect(Object.keys(result.captions)).toEqual(["altText"]);
+    expect(result.captions.altText.endsWith("…")).toBe(true);
+  });
+
+  it("should generate captions from the mock provider", async () => {
+    const result = await new MockAIService().analyzeImage(IMAGE_DATA_URL);
+
+    expect(Object.keys(result.captions)).toEqual([
+      "altText",
+      "instagram",
+      "x",
+      "linkedin",
+    ]);
+    expect(result.captions.instagram).toContain("#");
+  });
+});
+
+describe("aiPrompts response validation", () => {
+  const neutral = resolveTagStyle("neutral");
+
+  it("should parse fenced JSON and JSON embedded in prose", () => {
+    const fenced = parseAnalysisResponse(
+      "```json\n" + AI_RESPONSE + "\n```",
+      neutral
+    );
+    const prose = parseAnalysisResponse(
+      `Sure! ${AI_RESPONSE} Let me know {if} you need more.`,
+      neutral
+    );
+
+    expect(fenced.tags).toHaveLength(5);
+    expect(prose.description).toBe("A test image");
+  });
+
+  it("should lowercase, dedupe and trim tags to the style count", () => {
+    const { value, problems } = validateAnalysis(
+      {
+        description: "  A photo ",
+        tags: ["Sky", "sky ", "Blue  Sky", "sea", "sand", "sun", "surf", "x"],
+        captions: CAPTIONS,
+      },
+      neutral
+    );
+
+    expect(problems).toEqual([]);
+    expect(value.description).toBe("A photo");
+    expect(value.tags).toEqual(["sky", "blue sky", "sea", "sand", "sun"]);
+  });
+
+  it("should report every schema violation", () => {
+    const { problems } = validateAnalysis(
+      { description: 42, tags: ["a", 7, "b".repeat(60)], captions: CAPTIONS },
+      neutral
+    );
+
+    expect(problems).toEqual([
+      '"description" must be a non-empty string',
+      '"tags" must only contain strings',
+      `tags must be at most 50 characters: ${"b".repeat(60)}`,
+      "expected 5 unique tags, got 2",
+    ]);
+  });
+
+  it("should reject non-object output", () => {
+    expect(() => parseAnalysisResponse("[1, 2]", neutral)).toThrow(
+      "Invalid AI response: response is not a valid JSON object"
+    );
+    expect(() =>
+      parseAnalysisResponse('{"description": "x", "tags": "a,b"}', neutral)
+    ).toThrow('"tags" must be an array of strings');
+  });
+});
+
+describe("BaseAIService repair loop", () => {
+  const invalid = JSON.stringify({ description: "Too few", tags: ["one"] });
+
+  it("should ask the model to repair invalid output", async () => {
+    const service = new MockAIService();
+    service.requestAnalysis = jest
+      .fn()
+      .mockResolvedValueOnce(invalid)
+      .mockResolvedValueOnce(AI_RESPONSE);
+
+    const result = await service.analyzeImage(IMAGE_DATA_URL);
+
+    expect(result.success).toBe(true);
+    expect(service.requestAnalysis).toHaveBeenCalledTimes(2);
+    const [repairPrompt, image, schema] = service.requestAnalysis.mock.calls[1];
+    expect(repairPrompt).toContain("- expected 5 unique tags, got 1");
+    expect(repairPrompt).toContain(invalid);
+    expect(image.base64).toBe(IMAGE_BASE64);
+    expect(schema.properties.tags.maxItems).toBe(5);
+  });
+
+  it("should ask for captions before truncating them", async () => {
+    const longCaptions = JSON.stringify({
+      ...JSON.parse(AI_RESPONSE),
+      captions: { ...CAPTIONS, altText: "word ".repeat(40) },
+    });
+    const service = new MockAIService({ maxRepairAttempts: "1" });
+    service.requestAnalysis = jest.fn().mockResolvedValue(longCaptions);
+
+    const result = await service.analyzeImage(IMAGE_DATA_URL);
+
+    expect(service.requestAnalysis).toHaveBeenCalledTimes(2);
+    expect(service.requestAnalysis.mock.calls[1][0]).toContain(
+      '- "captions.altText" must be at most 124 characters'
+    );
+    expect(result.success).toBe(true);
+    expect(result.captions.altText.length).toBeLessThanOrEqual(124);
+    expect(result.captions.x).toBe(CAPTIONS.x);
+  });
+
+  it("should fail after the configured number of repair attempts", async () => {
+    const service = new MockAIService({ maxRepairAttempts: "1" });
+    service.requestAnalysis = jest.fn().mockResolvedValue(invalid);
+
+    const result = await service.analyzeImage(IMAGE_DATA_URL);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe(
+      "Invalid AI response: expected 5 unique tags, got 1"
+    );
+    expect(service.requestAnalysis).toHaveBeenCalledTimes(2);
+  });
+
+  it("should not retry provider errors", async () => {
+    const service = new MockAIService();
+    service.requestAnalysis = jest.fn().mockRejectedValue(new Error("down"));
+
+    const result = await service.analyzeImage(IMAGE_DATA_URL);
+
+    expect(result.error).toBe("down");
+    expect(service.requestAnalysis).toHaveBeenCalledTimes(1);
+  });
+
+  it("should default to two repair attempts", () => {
+    expect(new MockAIService().maxRepairAttempts).toBe(2);
+    expect(
+      new MockAIService({ maxRepairAttempts: "0" }).maxRepairAttempts
+    ).toBe(0);
+    expect(
+      new MockAIService({ maxRepairAttempts: "x" }).maxRepairAttempts
+    ).toBe(2);
+  });
+});
+
+describe("aiPrompts tag styles", () => {
+  it("should resolve built-in styles in any case", () => {
+    expect(resolveTagStyle("Neutral")).toMatchObject({
+      key: "neutral",
+      custom: false,
+    });
+    expect(resolveTagStyle(" SEO ").key).toBe("seo");
+  });
+
+  it("should not resolve unknown names", () => {
+    expect(resolveTagStyle("Constructor")).toBeNull();
+    expect(resolveTagStyle("gothic")).toBeNull();
+    expect(resolveTagStyle(42)).toBeNull();
+  });
+});
+
+describe("aiPrompts language support", () => {
+  it("should canonicalize and name languages", () => {
+    expect(resolveLanguage("FR")).toEqual({ code: "fr", name: "French" });
+    expect(resolveLanguage("pt-br")).toEqual({
+      code: "pt-BR",
+      name: "Brazilian Portuguese",
+    });
+  });
+
+  it("should reject malformed or unknown languages", () => {
+    expect(resolveLanguage("")).toBeNull();
+    expect(resolveLanguage("english please")).toBeNull();
+    expect(resolveLanguage("zz")).toBeNull();
+  });
+
+  it("should only add a language line when requested", () => {
+    const style = resolveTagStyle("neutral");
+
+    expect(buildAnalysisPrompt(style)).not.toContain("Write the description");
+    expect(
+      buildAnalysisPrompt(style, { language: resolveLanguage("de") })
+    ).toContain(
+      "Write the description, every tag and every caption in German (de)."
+    );
+  });
+});
+
+describe("OpenAIService", () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn();
+    OpenAI.mockImplementation(() => ({ chat: { completions: { create } } }));
+  });
+
+  it("should send the prompt and inline image to the configured model", async () => {
+    create.mockResolvedValue({
+      choices: [{ message: { content: AI_RESPONSE } }],
+    });
+
+    const service = new OpenAIService("key", { model: "gpt-test" });
+    const result = await service.analyzeImage(IMAGE_DATA_URL, "neutral");
+
+    expect(result).toEqual({
+      success: true,
+      description: "A test image",
+      tags: ["one", "two", "three", "four", "five"],
+      captions: CAPTIONS,
+      tagStyle: "neutral",
+    });
+    const request = create.mock.calls[0][0];
+    expect(request.model).toBe("gpt-test");
+    expect(request.messages[0].content[1].image_url.url).toBe(IMAGE_DATA_URL);
+    expect(request.response_format.type).toBe("json_schema");
+    expect(request.response_format.json_schema.schema.properties.tags).toEqual(
+      expect.objectContaining({ minItems: 5, maxItems: 5 })
+    );
+  });
+
+  it("should return failure shape when the API errors", async () => {
+    create.mockRejectedValue(new Error("Rate limited"));
+
+    const result = await new OpenAIService("key").analyzeImage(IMAGE_DATA_URL);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("Rate limited");
+  });
+});
+
+describe("AnthropicService", () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn();
+    Anthropic.mockImplementation(() => ({ messages: { create } }));
+  });
+
+  it("should send the image as a base64 source and parse text blocks", async () => {
+    create.mockResolvedValue({
+      content: [{ type: "text", text: `Here you go:\n${AI_RESPONSE}` }],
+    });
+
+    const service = new AnthropicService("key");
+    const result = await service.analyzeImage(IMAGE_DATA_URL, "playful");
+
+    expect(result.success).toBe(true);
+    expect(result.tagStyle).toBe("playful");
+    expect(result.tags).toHaveLength(5);
+    const request = create.mock.calls[0][0];
+    expect(request.model).toBe("claude-haiku-4-5");
+    expect(request.messages[0].content[0].source).toEqual({
+      type: "base64",
+      media_type: "image/jpeg",
+      data: IMAGE_BASE64,
+    });
+  });
+
+  it("should read the analysis from the forced tool call", async () => {
+    create.mockResolvedValue({
+      content: [
+        {
+          type: "tool_use",
+          name: "record_image_analysis",
+          input: JSON.parse(AI_RESPONSE),
+        },
+      ],
+    });
+
+    const result = await new AnthropicService("key").analyzeImage(
+      IMAGE_DATA_URL
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.description).toBe("A test image");
+    const request = create.mock.calls[0][0];
+    expect(request.tool_choice).toEqual({
+      type: "tool",
+      name: "record_image_analysis",
+    });
+    expect(request.tools[0].input_schema.required).toContain("tags");
+  });
+
+  it("should return failure shape for unparseable output", async () => {
+    create.mockResolvedValue({
+      content: [{ type: "text", text: "I cannot see the image." }],
+    });
+
+    const result = await new AnthropicService("key").analyzeImage(
+      IMAGE_DATA_URL
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe(
+      "Invalid AI response: response is not a valid JSON object"
+    );
+    // Initial request plus the default two repair attempts
+    expect(create).toHaveBeenCalledTimes(3);
+  });
+});
@@ -93,6 +93,12 @@ describe("Error Classes", () => {
 
       expect(error.message).toBe("Resource conflict");
     });
+
+    it("should accept details", () => {
+      const error = new ConflictError("Already exists", { id: "file-1" });
+
+      expect(error.details).toEqual({ id: "file-1" });
+    });
   });
 
   describe("RateLimitError", () => {
@@ -4,6 +4,7 @@
  */
 
 const FileService = require("../../utils/fileService");
+const { createJpeg, createPng, createWebp } = require("../helpers/images");
 
 describe("FileService", () => {
   describe("sanitizeFilename()", () => {
@@ -38,6 +39,12 @@ describe("FileService", () => {
       expect(FileService.validateFileExtension("webp")).toBe(true);
     });
 
+    it("should accept camera, archive and vector formats", () => {
+      for (const extension of ["heic", "heif", "avif", "tif", "tiff", "svg"]) {
+        expect(FileService.validateFileExtension(extension)).toBe(true);
+      }
+    });
+
     it("should handle case-insensitive extensions", () => {
       expect(FileService.validateFileExtension("JPG")).toBe(true);
       expect(FileService.validateFileExtension("PNG")).toBe(true);
@@ -51,6 +58,106 @@ describe("FileService", () => {
     });
   });
 
+  describe("validateMimeType()", () => {
+    it("should accept image types in any case", () => {
+      expect(FileService.validateMimeType("image/png")).toBe(true);
+      expect(FileService.validateMimeType("IMAGE/WEBP")).toBe(true);
+      expect(FileService.validateMimeType("image/heic")).toBe(true);
+      expect(FileService.validateMimeType("image/svg+xml")).toBe(true);
+    });
+
+    it("should reject other or missing types", () => {
+      expect(FileService.validateMimeType("text/html")).toBe(false);
+      expect(FileService.validateMimeType(undefined)).toBe(false);
+    });
+  });
+
+  describe("detectMimeType()", () => {
+    it("should detect accepted image formats from their bytes", () => {
+      expect(FileService.detectMimeType(createJpeg())).toBe("image/jpeg");
+      expect(FileService.detectMimeType(createPng())).toBe("image/png");
+      expect(FileService.detectMimeType(createWebp())).toBe("image/webp");
+      expect(FileService.detectMimeType(Buffer.from("GIF89a\x01\x00"))).toBe(
+        "image/gif"
+      );
+    });
+
+    it("should detect TIFF in either byte order", () => {
+      expect(FileService.detectMimeType(Buffer.from("II*\0\x08\0\0\0"))).toBe(
+        "image/tiff"
+      );
+      expect(FileService.detectMimeType(Buffer.from("MM\0*\0\0\0\x08"))).toBe(
+        "image/tiff"
+      );
+    });
+
+    it("should tell HEIC and AVIF apart by their brands", () => {
+      const ftyp = (...brands) => {
+        const box = Buffer.alloc(8 + brands.length * 4 + 4);
+        box.writeUInt32BE(box.length);
+        box.write("ftyp", 4, "latin1");
+        const [major, ...compatible] = brands;
+        box.write(major, 8, "latin1");
+        compatible.forEach((brand, i) =>
+          box.write(brand, 16 + i * 4, "latin1")
+        );
+        return Buffer.concat([box, Buffer.from("meta")]);
+      };
+
+      expect(FileService.detectMimeType(ftyp("heic", "mif1", "heic"))).toBe(
+        "image/heic"
+      );
+      expect(FileService.detectMimeType(ftyp("avif", "mif1", "miaf"))).toBe(
+        "image/avif"
+      );
+      expect(FileService.detectMimeType(ftyp("mif1", "avif"))).toBe(
+        "image/avif"
+      );
+      expect(FileService.detectMimeType(ftyp("mif1", "miaf"))).toBe(
+        "image/heif"
+      );
+      // An MP4 video is ISO-BMFF too
+      expect(FileService.detectMimeType(ftyp("isom", "mp41"))).toBeNull();
+    });
+
+    it("should detect SVG documents behind a declaration and comments", () => {
+      const svg = [
+        '\uFEFF<?xml version="1.0" encoding="UTF-8"?>',
+        "<!-- Generator: Adobe Illustrator -->",
+        '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "svg11.dtd">',
+        '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+      ].join("\n");
+
+      expect(FileService.detectMimeType(Buffer.from(svg))).toBe(
+        "image/svg+xml"
+      );
+      expect(FileService.detectMimeType(Buffer.from("<svg/>"))).toBe(
+        "image/svg+xml"
+      );
+      // Entity declarations are refused outright
+      expect(
+        FileService.detectMimeType(
+          Buffer.from('<!DOCTYPE svg [<!ENTITY a "a">]><svg>&a;</svg>')
+        )
+      ).toBeNull();
+      expect(
+        FileService.detectMimeType(Buffer.from("<html><svg></svg></html>"))
+      ).toBeNull();
+    });
+
+    it("should not detect other content", () => {
+      expect(
+        FileService.detectMimeType(Buffer.from("<html><script></script>"))
+      ).toBeNull();
+      // RIFF alone is not enough: WAV and AVI share it
+      expect(
+        FileService.detectMimeType(Buffer.from("RIFF\0\0\0\0WAVE"))
+      ).toBeNull();
+      expect(FileService.detectMimeType(Buffer.alloc(0))).toBeNull();
+      expect(FileService.detectMimeType(undefined)).toBeNull();
+    });
+  });
+
   describe("validateFileSize()", () => {
     it("should accept files under 10MB limit", () => {
       expect(FileService.validateFileSize(1024 * 1024)).toBe(true); // 1MB
@@ -114,6 +221,31 @@ describe("FileService", () => {
     });
   });
 
+  describe("computeContentHash()", () => {
+    it("should return the hex SHA-256 of the bytes", () => {
+      expect(FileService.computeContentHash(Buffer.from("abc"))).toBe(
+        "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+      );
+    });
+  });
+
+  describe("toDataUrl() / parseDataUrl()", () => {
+    it("should round-trip a buffer through a data URL", () => {
+      const dataUrl = FileService.toDataUrl(Buffer.from("abc"), "image/png");
+
+      expect(dataUrl).toBe("data:image/png;base64,YWJj");
+      expect(FileService.parseDataUrl(dataUrl)).toEqual({
+        mimeType: "image/png",
+        base64: "YWJj",
+      });
+    });
+
+    it("should return null for non data URLs", () => {
+      expect(FileService.parseDataUrl("https://example.com/a.png")).toBeNull();
+      expect(FileService.parseDataUrl(undefined)).toBeNull();
+    });
+  });
+
   describe("getFileMetadata()", () => {
     it("should extract file metadata", () => {
       const mockFile = {
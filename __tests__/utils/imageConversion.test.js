@@ -0,0 +1,137 @@
+/**
+ * Image Conversion Tests
+ * Web-friendly copies of HEIC, AVIF, TIFF and SVG uploads, and SVG sanitizing
+ */
+
+jest.mock("heic-decode", () => jest.fn());
+
+const sharp = require("sharp");
+const decodeHeic = require("heic-decode");
+const {
+  isWebFriendly,
+  toWebFriendly,
+  sanitizeSvg,
+} = require("../../utils/imageConversion");
+
+const solid = (channels = 3, background = "red") =>
+  sharp({ create: { width: 30, height: 20, channels, background } });
+
+describe("toWebFriendly()", () => {
+  it("should return browser formats as they are", async () => {
+    const jpeg = await solid().jpeg().toBuffer();
+
+    expect(isWebFriendly("image/webp")).toBe(true);
+    expect(isWebFriendly("image/tiff")).toBe(false);
+    await expect(toWebFriendly(jpeg, "image/jpeg")).resolves.toEqual({
+      buffer: jpeg,
+      mimeType: "image/jpeg",
+    });
+  });
+
+  it("should convert a TIFF to an upright JPEG", async () => {
+    const tiff = await solid()
+      .withMetadata({ orientation: 6 })
+      .tiff()
+      .toBuffer();
+
+    const { buffer, mimeType } = await toWebFriendly(tiff, "image/tiff");
+    const metadata = await sharp(buffer).metadata();
+
+    expect(mimeType).toBe("image/jpeg");
+    expect(metadata).toMatchObject({ format: "jpeg", width: 20, height: 30 });
+    expect(metadata.orientation).toBeUndefined();
+  });
+
+  it("should keep transparency as PNG", async () => {
+    const avif = await solid(4, { r: 0, g: 0, b: 255, alpha: 0.5 })
+      .avif()
+      .toBuffer();
+
+    const { mimeType } = await toWebFriendly(avif, "image/avif");
+
+    expect(mimeType).toBe("image/png");
+  });
+
+  it("should decode HEIC with libheif", async () => {
+    decodeHeic.mockResolvedValue({
+      width: 2,
+      height: 1,
+      data: new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255]),
+    });
+    const heic = Buffer.from("....ftypheic");
+
+    const { buffer, mimeType } = await toWebFriendly(heic, "image/heic");
+
+    expect(decodeHeic).toHaveBeenCalledWith({ buffer: heic });
+    expect(mimeType).toBe("image/jpeg");
+    expect(await sharp(buffer).metadata()).toMatchObject({
+      width: 2,
+      height: 1,
+    });
+  });
+
+  it("should rasterize small drawings at preview size", async () => {
+    const svg = Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="12">' +
+        '<rect width="24" height="12" fill="red"/></svg>'
+    );
+
+    const { buffer, mimeType } = await toWebFriendly(svg, "image/svg+xml");
+
+    expect(mimeType).toBe("image/jpeg");
+    expect(await sharp(buffer).metadata()).toMatchObject({
+      width: 1024,
+      height: 512,
+    });
+  });
+
+  it("should reject images it cannot decode", async () => {
+    await expect(
+      toWebFriendly(Buffer.from("II*\0broken"), "image/tiff")
+    ).rejects.toThrow();
+  });
+});
+
+describe("sanitizeSvg()", () => {
+  it("should remove scripts, handlers and outside references", () => {
+    const svg = Buffer.from(
+      [
+        '<?xml version="1.0"?>',
+        '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 10 10" onload="alert(1)">',
+        "<script>alert(document.cookie)</script>",
+        '<a href="javascript:alert(1)"><rect id="box" width="5" height="5"/></a>',
+        '<image xlink:href="file:///etc/passwd"/>',
+        '<image href="https://tracker.example/pixel.png"/>',
+        '<image href="data:image/png;base64,iVBORw0KGgo="/>',
+        '<foreignObject><iframe src="https://example.com"></iframe></foreignObject>',
+        '<circle cx="5" cy="5" r="2" fill="url(#fade)"/>',
+        "</svg>",
+      ].join("")
+    );
+
+    const { buffer, removed } = sanitizeSvg(svg);
+    const output = buffer.toString("utf8");
+
+    expect(output).toMatch(/^<svg /);
+    expect(output).not.toMatch(/script|onload|javascript|passwd|tracker/);
+    expect(output).not.toContain("foreignObject");
+    expect(output).toContain('<rect id="box" width="5" height="5">');
+    expect(output).toContain('href="data:image/png;base64,iVBORw0KGgo="');
+    expect(output).toContain('fill="url(#fade)"');
+    expect(removed).toBeGreaterThanOrEqual(6);
+  });
+
+  it("should report nothing removed from a clean drawing", () => {
+    const { removed } = sanitizeSvg(
+      Buffer.from('<svg viewBox="0 0 1 1"><path d="M0 0h1v1z"/></svg>')
+    );
+
+    expect(removed).toBe(0);
+  });
+
+  it("should refuse documents that are not a drawing", () => {
+    expect(() =>
+      sanitizeSvg(Buffer.from("<html><body><p>Hello</p></body></html>"))
+    ).toThrow("SVG has no drawing left after sanitizing");
+  });
+});
@@ -0,0 +1,555 @@
+/**
+ * Image Metadata Writer Tests
+ * Embeds captions into JPEG, PNG and WebP files and reads them back
+ */
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+const {
+  canEmbedMetadata,
+  embedMetadata,
+  canStripMetadata,
+  stripIdentifyingMetadata,
+} = require("../../utils/imageMetadata");
+const {
+  crc32,
+  createJpeg,
+  createPng,
+  createWebp,
+  jpegSegment,
+  pngChunk,
+} = require("../helpers/images");
+
+const file = {
+  description: "Sunset over the bay — calm",
+  tags: ["sunset", "beach"],
+  captions: { altText: "Orange sunset" },
+};
+
+function jpegSegments(buffer) {
+  const segments = [];
+  let offset = 2;
+  while (buffer[offset + 1] !== 0xda) {
+    const length = buffer.readUInt16BE(offset + 2);
+    segments.push({
+      marker: buffer[offset + 1],
+      data: buffer.subarray(offset + 4, offset + 2 + length),
+    });
+    offset += 2 + length;
+  }
+  return segments;
+}
+
+const appSegment = (segments, marker, prefix) =>
+  segments.find(
+    (segment) =>
+      segment.marker === marker &&
+      segment.data.toString("latin1", 0, prefix.length) === prefix
+  );
+
+/**
+ * IFD0 entries of a TIFF block as tag → raw value bytes
+ */
+function readIfd0(tiff) {
+  const little = tiff.toString("latin1", 0, 2) === "II";
+  const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 7: 1 };
+
+  const ifd = u32(4);
+  const entries = new Map();
+  for (let i = 0; i < u16(ifd); i++) {
+    const at = ifd + 2 + i * 12;
+    const size = sizes[u16(at + 2)] * u32(at + 4);
+    const valueAt = size <= 4 ? at + 8 : u32(at + 8);
+    entries.set(u16(at), tiff.subarray(valueAt, valueAt + size));
+  }
+  return entries;
+}
+
+const asciiValue = (bytes) => bytes.subarray(0, -1).toString("utf8");
+
+/**
+ * IPTC datasets of a Photoshop APP13 payload as "record:dataset" → values
+ */
+function readIptc(app13) {
+  let offset = "Photoshop 3.0\0".length;
+  const resources = new Map();
+  while (offset < app13.length) {
+    const id = app13.readUInt16BE(offset + 4);
+    const nameSize = (app13[offset + 6] + 2) & ~1;
+    const size = app13.readUInt32BE(offset + 6 + nameSize);
+    const start = offset + 10 + nameSize;
+    resources.set(id, app13.subarray(start, start + size));
+    offset = start + size + (size % 2);
+  }
+
+  const iptc = resources.get(0x0404);
+  const datasets = new Map();
+  for (let at = 0; at < iptc.length;) {
+    const key = `${iptc[at + 1]}:${iptc[at + 2]}`;
+    const size = iptc.readUInt16BE(at + 3);
+    datasets.set(key, [
+      ...(datasets.get(key) || []),
+      iptc.toString("utf8", at + 5, at + 5 + size),
+    ]);
+    at += 5 + size;
+  }
+  return { resources, datasets };
+}
+
+function iptcDataset(record, dataset, text) {
+  const value = Buffer.from(text, "utf8");
+  const header = Buffer.from([0x1c, record, dataset, 0, 0]);
+  header.writeUInt16BE(value.length, 3);
+  return Buffer.concat([header, value]);
+}
+
+function photoshopResource(id, value) {
+  const header = Buffer.alloc(12);
+  header.write("8BIM", 0, "latin1");
+  header.writeUInt16BE(id, 4);
+  header.writeUInt32BE(value.length, 8);
+  return Buffer.concat([header, value, Buffer.alloc(value.length % 2)]);
+}
+
+describe("imageMetadata", () => {
+  describe("canEmbedMetadata()", () => {
+    it("should support JPEG, PNG and WebP only", () => {
+      expect(canEmbedMetadata("image/jpeg")).toBe(true);
+      expect(canEmbedMetadata("image/png")).toBe(true);
+      expect(canEmbedMetadata("image/webp")).toBe(true);
+      expect(canEmbedMetadata("image/gif")).toBe(false);
+      expect(canEmbedMetadata("toString")).toBe(false);
+    });
+  });
+
+  describe("JPEG", () => {
+    it("should add EXIF, XMP and IPTC after the JFIF header", () => {
+      const original = createJpeg();
+      const output = embedMetadata(original, "image/jpeg", file);
+      const segments = jpegSegments(output);
+
+      expect(segments.map(({ marker }) => marker)).toEqual([
+        0xe0, 0xe1, 0xe1, 0xed, 0xdb,
+      ]);
+      // Image data is untouched
+      expect(output.subarray(-15)).toEqual(original.subarray(-15));
+
+      const exif = appSegment(segments, 0xe1, "Exif\0\0").data.subarray(6);
+      expect(asciiValue(readIfd0(exif).get(0x010e))).toBe(file.description);
+
+      const xmp = appSegment(
+        segments,
+        0xe1,
+        "http://ns.adobe.com/xap/1.0/"
+      ).data.toString("utf8");
+      expect(xmp).toContain(
+        '<rdf:li xml:lang="x-default">Sunset over the bay — calm</rdf:li>'
+      );
+      expect(xmp).toContain("<rdf:li>beach</rdf:li>");
+
+      const { datasets } = readIptc(
+        appSegment(segments, 0xed, "Photoshop 3.0").data
+      );
+      expect(datasets.get("1:90")).toEqual(["\x1b%G"]);
+      expect(datasets.get("2:120")).toEqual([file.description]);
+      expect(datasets.get("2:25")).toEqual(["sunset", "beach"]);
+    });
+
+    it("should keep existing EXIF fields and their offsets", () => {
+      // Little-endian IFD0: Make (out-of-line) and an old ImageDescription
+      const tiff = Buffer.alloc(72);
+      tiff.write("II*\0", 0, "latin1");
+      tiff.writeUInt32LE(8, 4);
+      tiff.writeUInt16LE(2, 8);
+      [
+        [0x010e, 16, 40],
+        [0x010f, 6, 56],
+      ].forEach(([tag, count, offset], i) => {
+        const at = 10 + i * 12;
+        tiff.writeUInt16LE(tag, at);
+        tiff.writeUInt16LE(2, at + 2);
+        tiff.writeUInt32LE(count, at + 4);
+        tiff.writeUInt32LE(offset, at + 8);
+      });
+      tiff.writeUInt32LE(0, 34);
+      tiff.write("Old description\0", 40, "latin1");
+      tiff.write("Canon\0", 56, "latin1");
+
+      const output = embedMetadata(
+        createJpeg([
+          jpegSegment(0xe1, Buffer.concat([Buffer.from("Exif\0\0"), tiff])),
+        ]),
+        "image/jpeg",
+        file
+      );
+
+      const segments = jpegSegments(output);
+      expect(segments.filter(({ marker }) => marker === 0xe1)).toHaveLength(2);
+      const entries = readIfd0(
+        appSegment(segments, 0xe1, "Exif\0\0").data.subarray(6)
+      );
+      expect([...entries.keys()]).toEqual([0x010e, 0x010f]);
+      expect(asciiValue(entries.get(0x010e))).toBe(file.description);
+      expect(asciiValue(entries.get(0x010f))).toBe("Canon");
+    });
+
+    it("should replace captions in existing IPTC and keep other fields", () => {
+      const iptc = Buffer.concat([
+        iptcDataset(2, 80, "Jane Photographer"),
+        iptcDataset(2, 120, "Old caption"),
+        iptcDataset(2, 25, "old"),
+      ]);
+      const app13 = Buffer.concat([
+        Buffer.from("Photoshop 3.0\0", "latin1"),
+        photoshopResource(0x03ed, Buffer.alloc(16, 1)),
+        photoshopResource(0x0404, iptc),
+        photoshopResource(0x0425, Buffer.alloc(16)),
+      ]);
+
+      const output = embedMetadata(
+        createJpeg([jpegSegment(0xed, app13)]),
+        "image/jpeg",
+        { description: "", tags: ["new"] }
+      );
+
+      const segments = jpegSegments(output);
+      const { resources, datasets } = readIptc(
+        appSegment(segments, 0xed, "Photoshop 3.0").data
+      );
+      expect(datasets.get("2:80")).toEqual(["Jane Photographer"]);
+      // Without a description the existing caption stays
+      expect(datasets.get("2:120")).toEqual(["Old caption"]);
+      expect(datasets.get("2:25")).toEqual(["new"]);
+      expect(resources.get(0x03ed)).toEqual(Buffer.alloc(16, 1));
+      expect(resources.get(0x0425)).toEqual(
+        crypto.createHash("md5").update(resources.get(0x0404)).digest()
+      );
+      expect(appSegment(segments, 0xe1, "Exif\0\0")).toBeUndefined();
+    });
+
+    it("should cut long captions to the IPTC limit on a character boundary", () => {
+      const output = embedMetadata(createJpeg(), "image/jpeg", {
+        description: "é".repeat(1500),
+        tags: [],
+      });
+
+      const { datasets } = readIptc(
+        appSegment(jpegSegments(output), 0xed, "Photoshop 3.0").data
+      );
+      expect(datasets.get("2:120")).toEqual(["é".repeat(1000)]);
+    });
+
+    it("should reject files that are not JPEGs", () => {
+      expect(() =>
+        embedMetadata(Buffer.from("<html></html>"), "image/jpeg", file)
+      ).toThrow("Not a JPEG image");
+    });
+  });
+
+  describe("PNG", () => {
+    const textChunks = (buffer) => {
+      const chunks = [];
+      for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString("latin1", offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        expect(buffer.readUInt32BE(offset + 8 + length)).toBe(
+          crc32(buffer.subarray(offset + 4, offset + 8 + length))
+        );
+        chunks.push({ type, data });
+        offset += 12 + length;
+      }
+      return chunks;
+    };
+
+    it("should write XMP and Description before the image data", () => {
+      const output = embedMetadata(
+        createPng([
+          pngChunk("iTXt", Buffer.from("XML:com.adobe.xmp\0\0\0\0\0<old/>")),
+          pngChunk("tEXt", Buffer.from("Author\0Jane")),
+        ]),
+        "image/png",
+        file
+      );
+
+      const chunks = textChunks(output);
+      expect(chunks.map(({ type }) => type)).toEqual([
+        "IHDR",
+        "tEXt",
+        "iTXt",
+        "iTXt",
+        "IDAT",
+        "IEND",
+      ]);
+      expect(chunks[2].data.toString("utf8")).toContain(
+        "<rdf:li>sunset</rdf:li>"
+      );
+      expect(chunks[2].data.toString("utf8")).not.toContain("<old/>");
+      expect(chunks[3].data.toString("utf8")).toBe(
+        `Description\0\0\0\0\0${file.description}`
+      );
+    });
+  });
+
+  describe("WebP", () => {
+    it("should add an extended header with EXIF and XMP to simple files", () => {
+      const output = embedMetadata(createWebp(3, 2, true), "image/webp", file);
+
+      expect(output.toString("latin1", 0, 4)).toBe("RIFF");
+      expect(output.readUInt32LE(4)).toBe(output.length - 8);
+
+      const chunks = [];
+      for (let offset = 12; offset < output.length;) {
+        const size = output.readUInt32LE(offset + 4);
+        chunks.push({
+          type: output.toString("latin1", offset, offset + 4),
+          data: output.subarray(offset + 8, offset + 8 + size),
+        });
+        offset += 8 + size + (size % 2);
+      }
+
+      expect(chunks.map(({ type }) => type)).toEqual([
+        "VP8X",
+        "VP8L",
+        "EXIF",
+        "XMP ",
+      ]);
+      const [vp8x] = chunks;
+      expect(vp8x.data[0]).toBe(0x10 | 0x08 | 0x04);
+      expect(vp8x.data.readUIntLE(4, 3)).toBe(2);
+      expect(vp8x.data.readUIntLE(7, 3)).toBe(1);
+      expect(asciiValue(readIfd0(chunks[2].data).get(0x010e))).toBe(
+        file.description
+      );
+      expect(chunks[3].data.toString("utf8")).toContain("<dc:subject>");
+    });
+  });
+
+  it("should refuse unsupported formats", () => {
+    expect(() =>
+      embedMetadata(Buffer.from("GIF89a"), "image/gif", file)
+    ).toThrow("Cannot embed metadata in image/gif files");
+  });
+
+  describe("stripIdentifyingMetadata()", () => {
+    const EXIF = {
+      IFD0: { Make: "Canon", Model: "EOS R5", Artist: "Jane Doe" },
+      IFD2: { LensModel: "RF 24-70mm", BodySerialNumber: "012345678" },
+      IFD3: {
+        GPSLatitudeRef: "N",
+        GPSLatitude: "48/1 51/1 2964/100",
+        GPSLongitudeRef: "E",
+        GPSLongitude: "2/1 17/1 4000/100",
+      },
+    };
+    const XMP = [
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF>',
+      '<rdf:Description exif:GPSLatitude="48,51.494N" xmp:Rating="5">',
+      "<dc:creator><rdf:Seq><rdf:li>Jane Doe</rdf:li></rdf:Seq></dc:creator>",
+      "<exif:GPSLongitude>2,17.667E</exif:GPSLongitude>",
+      "<dc:subject><rdf:Bag><rdf:li>paris</rdf:li></rdf:Bag></dc:subject>",
+      "</rdf:Description></rdf:RDF></x:xmpmeta>",
+    ].join("");
+
+    let exif;
+
+    beforeAll(async () => {
+      const image = await sharp({
+        create: { width: 4, height: 4, channels: 3, background: "red" },
+      })
+        .jpeg()
+        .withExif(EXIF)
+        .toBuffer();
+      // "Exif\0\0" followed by the TIFF block
+      ({ exif } = await sharp(image).metadata());
+    });
+
+    it("should support JPEG, PNG, WebP, TIFF and HEIF", () => {
+      expect(canStripMetadata("image/jpeg")).toBe(true);
+      expect(canStripMetadata("image/png")).toBe(true);
+      expect(canStripMetadata("image/webp")).toBe(true);
+      expect(canStripMetadata("image/tiff")).toBe(true);
+      expect(canStripMetadata("image/heic")).toBe(true);
+      expect(canStripMetadata("image/avif")).toBe(true);
+      expect(canStripMetadata("image/gif")).toBe(false);
+      expect(() =>
+        stripIdentifyingMetadata(Buffer.from("GIF89a"), "image/gif")
+      ).toThrow("Cannot strip metadata from image/gif files");
+    });
+
+    it("should blank GPS and identifying fields of a JPEG in place", () => {
+      const original = createJpeg([
+        jpegSegment(0xe1, exif),
+        jpegSegment(
+          0xe1,
+          Buffer.from(`http://ns.adobe.com/xap/1.0/\0${XMP}`, "latin1")
+        ),
+        jpegSegment(
+          0xed,
+          Buffer.concat([
+            Buffer.from("Photoshop 3.0\0", "latin1"),
+            photoshopResource(
+              0x0404,
+              Buffer.concat([
+                iptcDataset(2, 80, "Jane Doe"),
+                iptcDataset(2, 90, "Paris"),
+                iptcDataset(2, 120, "Eiffel Tower at dusk"),
+              ])
+            ),
+          ])
+        ),
+      ]);
+      const copy = Buffer.from(original);
+
+      const output = stripIdentifyingMetadata(original, "image/jpeg");
+
+      expect(original).toEqual(copy);
+      expect(output.length).toBe(original.length);
+
+      const segments = jpegSegments(output);
+      const parsed = exifReader(appSegment(segments, 0xe1, "Exif").data);
+      expect(parsed.Image).toMatchObject({ Make: "Canon", Model: "EOS R5" });
+      expect(parsed.Image.Artist).toMatch(/^\0*$/);
+      expect(parsed.Photo.LensModel).toBe("RF 24-70mm");
+      expect(parsed.Photo.BodySerialNumber).toMatch(/^\0*$/);
+      expect(parsed.GPSInfo).toEqual({});
+
+      const xmp = appSegment(
+        segments,
+        0xe1,
+        "http://ns.adobe.com/xap/1.0/"
+      ).data.toString("utf8");
+      expect(xmp).not.toContain("GPS");
+      expect(xmp).not.toContain("Jane Doe");
+      expect(xmp).toContain('xmp:Rating="5"');
+      expect(xmp).toContain("<rdf:li>paris</rdf:li>");
+
+      const { datasets } = readIptc(
+        appSegment(segments, 0xed, "Photoshop").data
+      );
+      expect(datasets.get("2:80")[0].trim()).toBe("");
+      expect(datasets.get("2:90")[0].trim()).toBe("");
+      expect(datasets.get("2:120")).toEqual(["Eiffel Tower at dusk"]);
+    });
+
+    it("should zero EXIF too damaged to walk", () => {
+      const corrupt = Buffer.from("Exif\0\0MM\0\x2a\0\0\xff\xffGPS", "latin1");
+      const output = stripIdentifyingMetadata(
+        createJpeg([jpegSegment(0xe1, corrupt)]),
+        "image/jpeg"
+      );
+
+      const { data } = appSegment(jpegSegments(output), 0xe1, "Exif");
+      expect(data.subarray(6)).toEqual(Buffer.alloc(corrupt.length - 6));
+    });
+
+    it("should scrub PNG chunks, keeping their CRCs valid", () => {
+      const xmpChunk = pngChunk(
+        "iTXt",
+        Buffer.from(`XML:com.adobe.xmp\0\0\0\0\0${XMP}`, "latin1")
+      );
+      const output = stripIdentifyingMetadata(
+        createPng([
+          pngChunk("eXIf", exif.subarray(6)),
+          xmpChunk,
+          pngChunk("zTXt", Buffer.from("Raw profile type exif\0\0xyz")),
+        ]),
+        "image/png"
+      );
+
+      const chunks = [];
+      for (let offset = 8; offset < output.length;) {
+        const length = output.readUInt32BE(offset);
+        const body = output.subarray(offset + 4, offset + 8 + length);
+        expect(output.readUInt32BE(offset + 8 + length)).toBe(crc32(body));
+        chunks.push({
+          type: body.toString("latin1", 0, 4),
+          data: body.subarray(4),
+        });
+        offset += 12 + length;
+      }
+
+      expect(chunks.map(({ type }) => type)).toEqual([
+        "IHDR",
+        "eXIf",
+        "iTXt",
+        "IDAT",
+        "IEND",
+      ]);
+      expect(exifReader(chunks[1].data).GPSInfo).toEqual({});
+      expect(chunks[2].data.toString("utf8")).not.toContain("GPS");
+    });
+
+    it("should scrub WebP EXIF", async () => {
+      const webp = await sharp({
+        create: { width: 4, height: 4, channels: 3, background: "red" },
+      })
+        .webp()
+        .withExif(EXIF)
+        .toBuffer();
+
+      const output = stripIdentifyingMetadata(webp, "image/webp");
+      const parsed = exifReader((await sharp(output).metadata()).exif);
+
+      expect(parsed.Image.Make).toBe("Canon");
+      expect(parsed.GPSInfo).toEqual({});
+    });
+
+    it("should scrub a TIFF's own tags and XMP in place", async () => {
+      // An EXIF block is laid out like a TIFF file
+      const tags = stripIdentifyingMetadata(exif.subarray(6), "image/tiff");
+      const parsed = exifReader(tags);
+      expect(parsed.Image.Make).toBe("Canon");
+      expect(parsed.Image.Artist).toMatch(/^\0*$/);
+      expect(parsed.GPSInfo).toEqual({});
+
+      const tiff = await sharp({
+        create: { width: 4, height: 4, channels: 3, background: "red" },
+      })
+        .tiff()
+        .withXmp(XMP)
+        .toBuffer();
+
+      const output = stripIdentifyingMetadata(tiff, "image/tiff");
+      const { xmp, width } = await sharp(output).metadata();
+
+      expect(output.length).toBe(tiff.length);
+      expect(width).toBe(4);
+      expect(xmp.toString("utf8")).not.toContain("GPS");
+      expect(xmp.toString("utf8")).toContain('xmp:Rating="5"');
+    });
+
+    it("should refuse a TIFF too damaged to walk", () => {
+      expect(() =>
+        stripIdentifyingMetadata(
+          Buffer.from("II*\0\xff\xff\0\0pixels", "latin1"),
+          "image/tiff"
+        )
+      ).toThrow("Corrupt EXIF IFD");
+    });
+
+    it("should scrub the Exif and XMP items of HEIF images", async () => {
+      const avif = await sharp({
+        create: { width: 4, height: 4, channels: 3, background: "red" },
+      })
+        .avif()
+        .withExif(EXIF)
+        .withXmp(XMP)
+        .toBuffer();
+
+      const output = stripIdentifyingMetadata(avif, "image/avif");
+      const metadata = await sharp(output).metadata();
+      const parsed = exifReader(metadata.exif);
+
+      expect(output.length).toBe(avif.length);
+      expect(parsed.Image.Make).toBe("Canon");
+      expect(parsed.Photo.BodySerialNumber).toMatch(/^\0*$/);
+      expect(parsed.GPSInfo).toEqual({});
+      expect(metadata.xmp.toString("utf8")).not.toContain("GPS");
+      await expect(sharp(output).raw().toBuffer()).resolves.toHaveLength(48);
+    });
+  });
+});
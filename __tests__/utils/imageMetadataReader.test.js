@@ -0,0 +1,93 @@
+/**
+ * Image Metadata Reader Tests
+ * Reads camera, capture, location and caption fields from real images
+ */
+
+const sharp = require("sharp");
+const { embedMetadata } = require("../../utils/imageMetadata");
+const { readImageMetadata } = require("../../utils/imageMetadataReader");
+
+const blank = (format = "jpeg") =>
+  sharp({
+    create: { width: 60, height: 40, channels: 3, background: "blue" },
+  })[format]();
+
+describe("readImageMetadata()", () => {
+  it("should read camera, capture and location fields from EXIF", async () => {
+    const image = await blank()
+      .withMetadata({ orientation: 6 })
+      .withExif({
+        IFD0: { Make: "Canon", Model: "EOS R5" },
+        IFD2: {
+          LensModel: "RF 24-70mm F2.8",
+          DateTimeOriginal: "2024:05:01 18:30:05",
+          OffsetTimeOriginal: "+02:00",
+        },
+        IFD3: {
+          GPSLatitudeRef: "S",
+          GPSLatitude: "33/1 51/1 5400/100",
+          GPSLongitudeRef: "E",
+          GPSLongitude: "151/1 12/1 3600/100",
+          GPSAltitude: "25/1",
+        },
+      })
+      .toBuffer();
+
+    expect(await readImageMetadata(image)).toEqual({
+      camera: { make: "Canon", model: "EOS R5" },
+      lens: "RF 24-70mm F2.8",
+      capturedAt: "2024-05-01T18:30:05+02:00",
+      width: 60,
+      height: 40,
+      orientation: 6,
+      gps: { latitude: -33.865, longitude: 151.21, altitude: 25 },
+      caption: null,
+      keywords: [],
+    });
+  });
+
+  it("should read captions and keywords written by other tools", async () => {
+    const image = embedMetadata(await blank().toBuffer(), "image/jpeg", {
+      description: "Harbour at night",
+      tags: ["harbour", "night"],
+    });
+
+    const metadata = await readImageMetadata(image);
+
+    expect(metadata.caption).toBe("Harbour at night");
+    expect(metadata.keywords).toEqual(["harbour", "night"]);
+    expect(metadata.camera).toBeNull();
+    expect(metadata.gps).toBeNull();
+  });
+
+  it("should read dimensions of images without metadata", async () => {
+    const metadata = await readImageMetadata(await blank("png").toBuffer());
+
+    expect(metadata).toMatchObject({
+      width: 60,
+      height: 40,
+      capturedAt: null,
+      gps: null,
+    });
+  });
+
+  it("should skip a malformed EXIF block", async () => {
+    const image = await blank().toBuffer();
+    const corrupt = Buffer.concat([
+      image.subarray(0, 2),
+      Buffer.from("ffe1000c457869660000ffff0000", "hex"),
+      image.subarray(2),
+    ]);
+
+    const metadata = await readImageMetadata(corrupt);
+
+    expect(metadata.camera).toBeNull();
+    expect(metadata.width).toBe(60);
+  });
+
+  it("should reject data that is not an image", async () => {
+    await expect(
+      readImageMetadata(Buffer.from("<html></html>"))
+    ).rejects.toThrow();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Image Renditions Tests
+ * Renders real images with sharp and checks sizes, format and orientation
+ */
+
+const sharp = require("sharp");
+const {
+  RENDITIONS,
+  ANALYSIS_SIZE,
+  renditionPath,
+  renderRenditions,
+  renderForAnalysis,
+} = require("../../utils/imageRenditions");
+
+const createImage = (width, height, options = {}) =>
+  sharp({
+    create: { width, height, channels: 3, background: "#336699" },
+  })
+    .jpeg()
+    .withMetadata(options)
+    .toBuffer();
+
+describe("imageRenditions", () => {
+  describe("renditionPath()", () => {
+    it("should place renditions next to the original", () => {
+      expect(renditionPath("images/user-1/123-abc.jpg", "thumbnail")).toBe(
+        "images/user-1/123-abc.thumbnail.webp"
+      );
+      expect(renditionPath("images/user.1/photo", "preview")).toBe(
+        "images/user.1/photo.preview.webp"
+      );
+    });
+  });
+
+  describe("renderRenditions()", () => {
+    it("should render every rendition as WebP within its size", async () => {
+      const renditions = await renderRenditions(await createImage(2000, 1000));
+
+      expect(renditions.map((r) => r.name)).toEqual(Object.keys(RENDITIONS));
+      expect(renditions[0]).toMatchObject({
+        name: "thumbnail",
+        width: 256,
+        height: 128,
+        mimeType: "image/webp",
+      });
+      expect(renditions[1]).toMatchObject({ width: 1024, height: 512 });
+
+      const metadata = await sharp(renditions[0].buffer).metadata();
+      expect(metadata.format).toBe("webp");
+      expect(metadata.width).toBe(256);
+    });
+
+    it("should not enlarge small images", async () => {
+      const renditions = await renderRenditions(await createImage(300, 200));
+
+      expect(renditions[0]).toMatchObject({ width: 256, height: 171 });
+      expect(renditions[1]).toMatchObject({ width: 300, height: 200 });
+    });
+
+    it("should apply the EXIF orientation", async () => {
+      // Orientation 6: stored landscape, displayed portrait
+      const image = await createImage(400, 200, { orientation: 6 });
+
+      const [thumbnail] = await renderRenditions(image);
+
+      expect(thumbnail).toMatchObject({ width: 128, height: 256 });
+    });
+
+    it("should reject bytes that are not an image", async () => {
+      await expect(
+        renderRenditions(Buffer.from("not an image"))
+      ).rejects.toThrow();
+    });
+  });
+
+  describe("renderForAnalysis()", () => {
+    it("should scale large images down to WebP", async () => {
+      const { buffer, mimeType } = await renderForAnalysis(
+        await createImage(4000, 2000),
+        "image/jpeg"
+      );
+
+      expect(mimeType).toBe("image/webp");
+      const metadata = await sharp(buffer).metadata();
+      expect(metadata).toMatchObject({
+        format: "webp",
+        width: ANALYSIS_SIZE,
+        height: ANALYSIS_SIZE / 2,
+      });
+    });
+
+    it("should return small images as they are", async () => {
+      const image = await createImage(800, 600);
+
+      const copy = await renderForAnalysis(image, "image/jpeg");
+
+      expect(copy).toEqual({ buffer: image, mimeType: "image/jpeg" });
+    });
+
+    it("should apply the EXIF orientation when scaling", async () => {
+      const image = await createImage(3200, 1600, { orientation: 6 });
+
+      const { buffer } = await renderForAnalysis(image, "image/jpeg");
+
+      const metadata = await sharp(buffer).metadata();
+      expect(metadata).toMatchObject({ width: 784, height: ANALYSIS_SIZE });
+    });
+  });
+});
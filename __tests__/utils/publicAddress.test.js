@@ -0,0 +1,107 @@
+/**
+ * Public Address Tests
+ * Tests for the address checks used by outbound webhook requests
+ */
+
+const dns = require("dns");
+const {
+  isPublicAddress,
+  assertPublicHost,
+  publicLookup,
+} = require("../../utils/publicAddress");
+
+describe("publicAddress", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("isPublicAddress", () => {
+    it.each([
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "224.0.0.1",
+      "::",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "::ffff:127.0.0.1",
+      "::ffff:169.254.169.254",
+      "not-an-ip",
+    ])("should reject %s", (address) => {
+      expect(isPublicAddress(address)).toBe(false);
+    });
+
+    it.each(["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111"])(
+      "should accept %s",
+      (address) => {
+        expect(isPublicAddress(address)).toBe(true);
+      }
+    );
+  });
+
+  describe("assertPublicHost", () => {
+    it("should check IP literals without resolving them", async () => {
+      const lookup = jest.spyOn(dns.promises, "lookup");
+
+      await expect(assertPublicHost("93.184.216.34")).resolves.toBeUndefined();
+      await expect(assertPublicHost("[::1]")).rejects.toThrow(
+        "Address is not public"
+      );
+      expect(lookup).not.toHaveBeenCalled();
+    });
+
+    it("should reject hosts with any private address", async () => {
+      jest.spyOn(dns.promises, "lookup").mockResolvedValue([
+        { address: "93.184.216.34", family: 4 },
+        { address: "10.0.0.1", family: 4 },
+      ]);
+
+      await expect(assertPublicHost("mixed.example.com")).rejects.toThrow(
+        "Address is not public"
+      );
+    });
+
+    it("should accept hosts that only resolve to public addresses", async () => {
+      jest
+        .spyOn(dns.promises, "lookup")
+        .mockResolvedValue([{ address: "93.184.216.34", family: 4 }]);
+
+      await expect(assertPublicHost("example.com")).resolves.toBeUndefined();
+    });
+  });
+
+  describe("publicLookup", () => {
+    it("should pass public addresses through", (done) => {
+      jest
+        .spyOn(dns, "lookup")
+        .mockImplementation((host, options, callback) =>
+          callback(null, "93.184.216.34", 4)
+        );
+
+      publicLookup("example.com", {}, (error, address, family) => {
+        expect(error).toBeNull();
+        expect(address).toBe("93.184.216.34");
+        expect(family).toBe(4);
+        done();
+      });
+    });
+
+    it("should refuse private addresses from an all-addresses lookup", (done) => {
+      jest
+        .spyOn(dns, "lookup")
+        .mockImplementation((host, options, callback) =>
+          callback(null, [{ address: "127.0.0.1", family: 4 }])
+        );
+
+      publicLookup("example.com", { all: true }, (error) => {
+        expect(error.message).toBe("Address is not public");
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * S3 Configuration
+ * Centralized client for S3-compatible object stores (AWS S3, MinIO, R2)
+ */
+
+const { S3Client } = require("@aws-sdk/client-s3");
+
+let s3Client = null;
+
+/**
+ * Get the shared S3 client (reused so connections are pooled)
+ * Credentials fall back to the AWS default chain when keys are not set
+ */
+function getS3Client() {
+  if (!s3Client) {
+    const { S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY } = process.env;
+
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted stores need bucket-in-path URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials:
+        S3_ACCESS_KEY_ID && S3_SECRET_ACCESS_KEY
+          ? {
+              accessKeyId: S3_ACCESS_KEY_ID,
+              secretAccessKey: S3_SECRET_ACCESS_KEY,
+            }
+          : undefined,
+    });
+  }
+  return s3Client;
+}
+
+module.exports = {
+  getS3Client,
+};
@@ -24,16 +24,16 @@ function getSupabaseClient(accessToken) {
 
 /**
  * Create an admin Supabase client (no user context)
+ * Reads SUPABASE_SERVICE_KEY, as documented in env.template
  */
 function getSupabaseAdmin() {
-  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  const serviceKey =
+    process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!process.env.SUPABASE_URL || !serviceKey) {
     throw new Error("Missing Supabase admin configuration");
   }
 
-  return createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_SERVICE_ROLE_KEY
-  );
+  return createClient(process.env.SUPABASE_URL, serviceKey);
 }
 
 module.exports = {
@@ -5,8 +5,68 @@
  */
 
 const ServiceContainer = require("../services/ServiceContainer");
-const { asyncHandler, ValidationError } = require("../utils/errorHandler");
-const archiver = require("archiver");
+const ExportService = require("../services/ExportService");
+const { CAPTION_FORMATS } = require("../services/aiPrompts");
+const Logger = require("../utils/logger");
+const {
+  asyncHandler,
+  ValidationError,
+  ConflictError,
+} = require("../utils/errorHandler");
+const { pipeline } = require("stream");
+
+/**
+ * Validate caption edits and merge them into the existing captions
+ * A null value removes that caption
+ */
+function mergeCaptions(existing, captions) {
+  if (!captions || typeof captions !== "object" || Array.isArray(captions)) {
+    throw new ValidationError("Captions must be an object");
+  }
+
+  const merged = { ...(existing || {}) };
+
+  for (const [key, value] of Object.entries(captions)) {
+    const format = CAPTION_FORMATS[key];
+    if (!format) {
+      throw new ValidationError(`Unknown caption format: ${key}`, {
+        formats: Object.keys(CAPTION_FORMATS),
+      });
+    }
+
+    if (value === null) {
+      delete merged[key];
+      continue;
+    }
+
+    if (typeof value !== "string" || value.length > format.maxLength) {
+      throw new ValidationError(
+        `${format.name} caption must be a string of at most ${format.maxLength} characters`
+      );
+    }
+    merged[key] = value;
+  }
+
+  return merged;
+}
+
+/**
+ * Normalize an export format option ("xmp" or ["txt", "json"]) to a list
+ */
+function parseFormats(value, allowed, label) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+
+  const formats = Array.isArray(value) ? value : [value];
+  if (formats.some((format) => !allowed.includes(format))) {
+    throw new ValidationError(
+      `${label} must be one or more of: ${allowed.join(", ")}`
+    );
+  }
+
+  return [...new Set(formats)];
+}
 
 class FilesController {
   /**
@@ -38,6 +98,8 @@ class FilesController {
     const perPageNum = parseInt(per_page);
     const totalPages = Math.ceil(total / perPageNum);
 
+    await container.getSignedUrlService().attachUrls(files);
+
     res.json({
       success: true,
       data: files.map((f) => f.toJSON()),
@@ -92,6 +154,8 @@ class FilesController {
     const images = files.filter((f) => f.isImage());
     const imageCount = total; // This should be refined if needed
 
+    await container.getSignedUrlService().attachUrls(images);
+
     res.json({
       success: true,
       data: images.map((f) => f.toJSON()),
@@ -182,6 +246,8 @@ class FilesController {
     const offset = (pageNum - 1) * perPageNum;
     const paginatedFiles = files.slice(offset, offset + perPageNum);
 
+    await container.getSignedUrlService().attachUrls(paginatedFiles);
+
     res.json({
       success: true,
       data: paginatedFiles.map((f) => f.toJSON()),
@@ -216,18 +282,49 @@ class FilesController {
       throw new ValidationError("File not found");
     }
 
+    await container.getSignedUrlService().attachUrls([file]);
+
     res.json({
       success: true,
       data: file.toJSON(),
     });
   });
 
+  /**
+   * GET /api/files/:id/status - Get processing status and latest job
+   */
+  static getFileStatus = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const fileRepository = container.getFileRepository();
+
+    const file = await fileRepository.findById(id, userId);
+    if (!file) {
+      throw new ValidationError("File not found");
+    }
+
+    const job = await container.getJobQueue().getLatestJobForFile(id, userId);
+
+    res.json({
+      success: true,
+      data: {
+        fileId: file.id,
+        status: file.status,
+        hasAIAnalysis: file.hasAIAnalysis(),
+        job: job ? job.toJSON() : null,
+      },
+    });
+  });
+
   /**
    * PATCH /api/files/:id - Update file metadata
    */
   static updateFile = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { filename, description, tags } = req.body;
+    const { filename, description, tags, captions } = req.body;
     const userId = req.user.id;
     const userToken = req.token;
 
@@ -235,7 +332,8 @@ class FilesController {
     if (
       filename === undefined &&
       description === undefined &&
-      tags === undefined
+      tags === undefined &&
+      captions === undefined
     ) {
       throw new ValidationError("No updates provided");
     }
@@ -263,9 +361,19 @@ class FilesController {
     }
     if (description !== undefined) updateData.description = description;
     if (tags !== undefined) updateData.tags = tags;
+    if (captions !== undefined) {
+      updateData.captions = mergeCaptions(file.captions, captions);
+    }
 
     const updatedFile = await fileRepository.update(id, userId, updateData);
 
+    await container.getWebhookService().emit(userId, "file.updated", {
+      file: updatedFile.toJSON(),
+      changes: Object.keys(updateData).filter((key) => key !== "updated_at"),
+    });
+
+    await container.getSignedUrlService().attachUrls([updatedFile]);
+
     res.json({
       success: true,
       message: "File metadata updated successfully",
@@ -326,13 +434,14 @@ class FilesController {
 
   /**
    * GET /api/files/:id/download - Download single file
+   * `?embed=true` writes the description and tags into the image metadata
    */
   static downloadFile = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
     const userToken = req.token;
+    const embed = req.query.embed === "true";
     const container = new ServiceContainer(userToken);
-    const supabase = container.getSupabaseClient();
     const fileRepository = container.getFileRepository();
 
     // Get file and verify ownership
@@ -341,31 +450,80 @@ class FilesController {
       throw new ValidationError("File not found or access denied");
     }
 
-    // Download from storage
-    const { data: fileData, error } = await supabase.storage
-      .from("uploads")
-      .download(file.filePath);
+    // Direct uploads have no checked bytes until they are completed
+    if (file.isPending()) {
+      throw new ConflictError("File upload is not complete");
+    }
 
-    if (error) {
+    // Open from storage before any headers are sent
+    let fileStream;
+    try {
+      fileStream = await container.getExportService().openFile(file, { embed });
+    } catch (error) {
       throw new ValidationError(`Failed to download file: ${error.message}`);
     }
 
-    // Convert blob to buffer
-    const buffer = Buffer.from(await fileData.arrayBuffer());
-
     // Set headers
     res.setHeader("Content-Type", file.mimeType || "application/octet-stream");
     res.setHeader(
       "Content-Disposition",
       `attachment; filename="${encodeURIComponent(file.filename)}"`
     );
-    res.setHeader("Content-Length", buffer.length);
 
-    res.send(buffer);
+    // The status is already sent, so a failure mid-stream can only abort the response
+    pipeline(fileStream, res, (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        Logger.error("file_download_failed", error, { userId, fileId: id });
+      }
+    });
+  });
+
+  /**
+   * GET /api/files/:id/render - Resized / re-encoded image
+   * Query: width, height, fit (cover, contain, fill, inside, outside),
+   * format (jpeg, png, webp, avif) and quality (1-100). Answers 304 when the
+   * client's If-None-Match matches, without rendering.
+   */
+  static renderFile = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+    const container = new ServiceContainer(userToken);
+
+    const file = await container.getFileRepository().findById(id, userId);
+    if (!file) {
+      throw new ValidationError("File not found or access denied");
+    }
+
+    if (file.isPending()) {
+      throw new ConflictError("File upload is not complete");
+    }
+
+    if (!file.isImage()) {
+      throw new ValidationError("File is not an image");
+    }
+
+    const renderService = container.getImageRenderService();
+    const options = renderService.parseOptions(req.query, file);
+
+    res.setHeader("ETag", renderService.getETag(file, options));
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const { buffer, mimeType } = await renderService.render(file, options);
+
+    res.setHeader("Content-Type", mimeType);
+    res.setHeader("Content-Length", buffer.length);
+    res.end(buffer);
   });
 
   /**
    * POST /api/files/download - Bulk download files as ZIP
+   * Optional `sidecars` (txt, json, xmp) add caption files next to each image;
+   * optional `manifest` (csv, json) lists every exported file;
+   * `embed: true` writes captions into each image's metadata
    */
   static bulkDownload = asyncHandler(async (req, res) => {
     const { ids } = req.body;
@@ -380,8 +538,22 @@ class FilesController {
       throw new ValidationError("Maximum 100 files allowed per download");
     }
 
+    const sidecars = parseFormats(
+      req.body.sidecars,
+      ExportService.SIDECAR_FORMATS,
+      "Sidecars"
+    );
+    const manifest = parseFormats(
+      req.body.manifest,
+      ExportService.MANIFEST_FORMATS,
+      "Manifest"
+    );
+
+    if (req.body.embed !== undefined && typeof req.body.embed !== "boolean") {
+      throw new ValidationError("Embed must be a boolean");
+    }
+
     const container = new ServiceContainer(userToken);
-    const supabase = container.getSupabaseClient();
     const fileRepository = container.getFileRepository();
 
     // Get all files and verify ownership
@@ -389,7 +561,8 @@ class FilesController {
       ids.map((id) => fileRepository.findById(id, userId))
     );
 
-    const validFiles = files.filter((f) => f !== null);
+    // Pending direct uploads have no checked bytes to export yet
+    const validFiles = files.filter((f) => f !== null && !f.isPending());
 
     if (validFiles.length === 0) {
       throw new ValidationError("No valid files found to download");
@@ -404,89 +577,21 @@ class FilesController {
       `attachment; filename="${zipFilename}"`
     );
 
-    // Create ZIP archive
-    const archive = archiver("zip", {
-      zlib: { level: 9 }, // Maximum compression
+    // Stream the archive; unreadable files are listed in download-errors.txt
+    await container.getExportService().writeZip(validFiles, res, {
+      sidecars,
+      manifest,
+      embed: req.body.embed === true,
     });
-
-    // Pipe archive to response
-    archive.pipe(res);
-
-    // Track errors and used filenames
-    const errors = [];
-    const usedFilenames = new Set();
-    let successCount = 0;
-
-    // Add files to archive
-    for (const file of validFiles) {
-      try {
-        // Download from storage
-        const { data: fileData, error } = await supabase.storage
-          .from("uploads")
-          .download(file.filePath);
-
-        if (error) {
-          errors.push({
-            id: file.id,
-            filename: file.filename,
-            error: error.message || "Download failed",
-          });
-          continue;
-        }
-
-        // Convert blob to buffer
-        const buffer = Buffer.from(await fileData.arrayBuffer());
-
-        // Add to archive with collision handling
-        let archiveFilename = file.filename;
-        let counter = 1;
-
-        // Handle filename collisions
-        while (usedFilenames.has(archiveFilename)) {
-          const extIndex = file.filename.lastIndexOf(".");
-          if (extIndex > 0) {
-            const name = file.filename.substring(0, extIndex);
-            const ext = file.filename.substring(extIndex);
-            archiveFilename = `${name}-${counter}${ext}`;
-          } else {
-            archiveFilename = `${file.filename}-${counter}`;
-          }
-          counter++;
-        }
-
-        usedFilenames.add(archiveFilename);
-        archive.append(buffer, { name: archiveFilename });
-        successCount++;
-      } catch (error) {
-        errors.push({
-          id: file.id,
-          filename: file.filename,
-          error: error.message || String(error),
-        });
-      }
-    }
-
-    // Add error summary if there were any errors
-    if (errors.length > 0) {
-      const errorSummary = `Download Summary:\n\nSuccessful: ${successCount} files\nFailed: ${
-        errors.length
-      } files\n\nErrors:\n${errors
-        .map((e) => `- ${e.filename}: ${e.error}`)
-        .join("\n")}`;
-      archive.append(Buffer.from(errorSummary), {
-        name: "download-errors.txt",
-      });
-    }
-
-    // Finalize archive
-    await archive.finalize();
   });
 
   /**
    * POST /api/files/regenerate - Bulk regenerate AI analysis
+   * Per-file progress is streamed on GET /api/upload/progress/:batchId;
+   * pass your own `batchId` (UUID) and subscribe before sending the request
    */
   static bulkRegenerateAI = asyncHandler(async (req, res) => {
-    const { ids, tagStyle = "neutral" } = req.body;
+    const { ids, tagStyle = "neutral", provider, language } = req.body;
     const userId = req.user.id;
     const userToken = req.token;
 
@@ -498,17 +603,45 @@ class FilesController {
       throw new ValidationError("Maximum 20 files can be regenerated at once");
     }
 
-    const container = new ServiceContainer(userToken);
+    const container = new ServiceContainer(userToken, {
+      aiProvider: provider,
+    });
     const uploadService = container.getUploadService();
+    const progressTracker = container.getProgressTracker();
+    const batchId = progressTracker.start(req.body.batchId, userId, {
+      type: "regenerate",
+      total: ids.length,
+    });
 
     // Process all files in parallel using Promise.allSettled
     const startTime = Date.now();
-    const promises = ids.map((id) =>
-      uploadService
-        .analyzeExistingFile(id, userId, tagStyle)
-        .then((result) => ({ status: "fulfilled", id, file: result.file }))
-        .catch((error) => ({ status: "rejected", id, error: error.message }))
-    );
+    const promises = ids.map((id, index) => {
+      progressTracker.publish(batchId, {
+        event: "analyzing",
+        index,
+        fileId: id,
+      });
+
+      return uploadService
+        .analyzeExistingFile(id, userId, tagStyle, { language })
+        .then((result) => {
+          progressTracker.publish(batchId, {
+            event: "completed",
+            index,
+            fileId: id,
+          });
+          return { status: "fulfilled", id, file: result.file };
+        })
+        .catch((error) => {
+          progressTracker.publish(batchId, {
+            event: "failed",
+            index,
+            fileId: id,
+            error: error.message,
+          });
+          return { status: "rejected", id, error: error.message };
+        });
+    });
 
     const settledResults = await Promise.all(promises);
     const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -519,12 +652,14 @@ class FilesController {
 
     settledResults.forEach((result) => {
       if (result.status === "fulfilled") {
-        results.push(result.file.toJSON());
+        results.push(result.file);
       } else {
         errors.push({ id: result.id, error: result.error });
       }
     });
 
+    await container.getSignedUrlService().attachUrls(results);
+
     const statusCode =
       errors.length > 0 ? (results.length > 0 ? 207 : 400) : 200;
 
@@ -532,7 +667,8 @@ class FilesController {
       success: results.length > 0,
       message: `${results.length} of ${ids.length} files regenerated successfully`,
       data: {
-        regenerated: results,
+        batchId,
+        regenerated: results.map((file) => file.toJSON()),
         errors,
         totalRegenerated: results.length,
         totalFailed: errors.length,
@@ -547,19 +683,24 @@ class FilesController {
    */
   static regenerateAI = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { tagStyle = "neutral" } = req.body;
+    const { tagStyle = "neutral", provider, language } = req.body;
     const userId = req.user.id;
     const userToken = req.token;
 
-    const container = new ServiceContainer(userToken);
+    const container = new ServiceContainer(userToken, {
+      aiProvider: provider,
+    });
     const uploadService = container.getUploadService();
 
     const { file } = await uploadService.analyzeExistingFile(
       id,
       userId,
-      tagStyle
+      tagStyle,
+      { language }
     );
 
+    await container.getSignedUrlService().attachUrls([file]);
+
     res.json({
       success: true,
       message: "AI analysis regenerated successfully",
@@ -585,6 +726,7 @@ class FilesController {
 
     const container = new ServiceContainer(userToken);
     const fileRepository = container.getFileRepository();
+    const webhookService = container.getWebhookService();
 
     const updated = [];
     const errors = [];
@@ -611,7 +753,14 @@ class FilesController {
         if (tags !== undefined) updateData.tags = tags;
 
         const updatedFile = await fileRepository.update(id, userId, updateData);
-        updated.push(updatedFile.toJSON());
+        updated.push(updatedFile);
+
+        await webhookService.emit(userId, "file.updated", {
+          file: updatedFile.toJSON(),
+          changes: Object.keys(updateData).filter(
+            (key) => key !== "updated_at"
+          ),
+        });
       } catch (error) {
         errors.push({
           id: fileUpdate?.id || null,
@@ -620,6 +769,8 @@ class FilesController {
       }
     }
 
+    await container.getSignedUrlService().attachUrls(updated);
+
     const statusCode =
       errors.length > 0 ? (updated.length > 0 ? 207 : 400) : 200;
 
@@ -627,7 +778,7 @@ class FilesController {
       success: updated.length > 0,
       message: `${updated.length} of ${files.length} files updated successfully`,
       data: {
-        updated,
+        updated: updated.map((file) => file.toJSON()),
         errors,
         totalUpdated: updated.length,
         totalFailed: errors.length,
@@ -0,0 +1,36 @@
+/**
+ * Jobs Controller
+ * Handles HTTP requests for background job status
+ * Thin layer that delegates to the job queue
+ */
+
+const ServiceContainer = require("../services/ServiceContainer");
+const UploadService = require("../services/UploadService");
+const { asyncHandler, NotFoundError } = require("../utils/errorHandler");
+
+class JobsController {
+  /**
+   * GET /api/jobs/:id - Get analysis job status
+   * Other job types (webhook deliveries) share the store but are internal
+   */
+  static getJob = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const jobQueue = container.getJobQueue();
+
+    const job = await jobQueue.getJob(id, userId);
+    if (!job || job.type !== UploadService.ANALYSIS_JOB) {
+      throw new NotFoundError("Job");
+    }
+
+    res.json({
+      success: true,
+      data: job.toJSON(),
+    });
+  });
+}
+
+module.exports = JobsController;
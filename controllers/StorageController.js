@@ -0,0 +1,129 @@
+/**
+ * Storage Controller
+ * Serves and receives files kept by the local disk storage provider through
+ * signed URLs
+ * The signature stands in for authentication, like Supabase signed URLs
+ */
+
+const ServiceContainer = require("../services/ServiceContainer");
+const LocalDiskStorageProvider = require("../services/implementations/LocalDiskStorageProvider");
+const FileService = require("../utils/fileService");
+const Logger = require("../utils/logger");
+const {
+  asyncHandler,
+  AuthorizationError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  ExternalServiceError,
+} = require("../utils/errorHandler");
+
+// Same limit as multipart uploads
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const UPLOAD_URL_USED_MESSAGE = "Upload URL has already been used";
+
+/**
+ * The local disk provider, or a 404 when another provider serves its own URLs
+ */
+function getLocalStorageProvider() {
+  const storageProvider = new ServiceContainer().getStorageProvider();
+  if (!(storageProvider instanceof LocalDiskStorageProvider)) {
+    throw new NotFoundError("File");
+  }
+  return storageProvider;
+}
+
+class StorageController {
+  /**
+   * GET /storage/* - Download a file from a signed URL
+   */
+  static serveFile = asyncHandler(async (req, res, next) => {
+    const path = req.params[0];
+    const { expires, signature } = req.query;
+
+    const storageProvider = getLocalStorageProvider();
+
+    if (!storageProvider.verifySignedUrl(path, expires, signature)) {
+      Logger.security("storage_signature_rejected", null, { path });
+      throw new AuthorizationError("Invalid or expired signature");
+    }
+
+    if (!(await storageProvider.fileExists(path))) {
+      throw new NotFoundError("File");
+    }
+
+    res.sendFile(
+      storageProvider.getAbsolutePath(path),
+      {
+        headers: {
+          "Cache-Control": "private, max-age=3600",
+          // Lets the frontend on another origin embed the image
+          "Cross-Origin-Resource-Policy": "cross-origin",
+        },
+      },
+      (error) => {
+        if (error && !res.headersSent) next(error);
+      }
+    );
+  });
+
+  /**
+   * PUT /storage/* - Receive a direct upload on a presigned URL
+   * The raw request body is the file; POST /api/upload/complete registers it.
+   * The URL writes once and stops working when the upload is completed or
+   * discarded, so the checked object cannot be replaced afterwards.
+   */
+  static receiveFile = asyncHandler(async (req, res) => {
+    const path = req.params[0];
+    const { expires, signature } = req.query;
+
+    const container = new ServiceContainer();
+    const storageProvider = getLocalStorageProvider();
+
+    if (!storageProvider.verifySignedUrl(path, expires, signature, "PUT")) {
+      Logger.security("storage_signature_rejected", null, {
+        path,
+        method: "PUT",
+      });
+      throw new AuthorizationError("Invalid or expired signature");
+    }
+
+    // No user token here: the signature authorizes the request, and row
+    // level security would hide the pending record from an anonymous client
+    if (!(await container.getAdminFileRepository().hasPendingUpload(path))) {
+      Logger.security("storage_upload_url_reused", null, { path });
+      throw new ConflictError(UPLOAD_URL_USED_MESSAGE);
+    }
+
+    const declaredSize = parseInt(req.headers["content-length"]);
+    if (declaredSize && !FileService.validateFileSize(declaredSize)) {
+      throw new ValidationError("File size exceeds limit", { maxSize: "10MB" });
+    }
+
+    let result;
+    try {
+      result = await storageProvider.writeStream(path, req, {
+        maxBytes: MAX_UPLOAD_BYTES,
+      });
+    } catch (error) {
+      if (error.message.includes("exceeds limit")) {
+        throw new ValidationError("File size exceeds limit", {
+          maxSize: "10MB",
+        });
+      }
+      if (error.message.includes("already exists")) {
+        Logger.security("storage_upload_url_reused", null, { path });
+        throw new ConflictError(UPLOAD_URL_USED_MESSAGE);
+      }
+      throw new ExternalServiceError("Storage", error.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  });
+}
+
+module.exports = StorageController;
@@ -0,0 +1,239 @@
+/**
+ * Tag Styles Controller
+ * Handles HTTP requests for user-defined tag styles
+ * Thin layer that delegates to repositories
+ */
+
+const ServiceContainer = require("../services/ServiceContainer");
+const { TAG_STYLES, DEFAULT_TAG_COUNT } = require("../services/aiPrompts");
+const {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errorHandler");
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_INSTRUCTION_LENGTH = 1000;
+const MAX_TAG_COUNT = 20;
+const MAX_EXAMPLES = 10;
+const MAX_EXAMPLE_LENGTH = 50;
+
+/**
+ * Validate tag style input and convert it to database columns
+ * @param {Object} input - Request body
+ * @param {boolean} partial - Allow missing fields (PATCH)
+ */
+function buildTagStyleData(input, partial = false) {
+  const { name, instruction, tagCount, examples } = input;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    const normalized =
+      typeof name === "string" ? name.trim().toLowerCase() : "";
+    if (!NAME_PATTERN.test(normalized)) {
+      throw new ValidationError(
+        "Name must be 1-40 characters: lowercase letters, numbers, hyphens or underscores"
+      );
+    }
+    if (TAG_STYLES[normalized]) {
+      throw new ConflictError(`"${normalized}" is a built-in tag style`);
+    }
+    data.name = normalized;
+  }
+
+  if (instruction !== undefined || !partial) {
+    const trimmed = typeof instruction === "string" ? instruction.trim() : "";
+    if (trimmed === "" || trimmed.length > MAX_INSTRUCTION_LENGTH) {
+      throw new ValidationError(
+        `Instruction is required and must be at most ${MAX_INSTRUCTION_LENGTH} characters`
+      );
+    }
+    data.instruction = trimmed;
+  }
+
+  if (tagCount !== undefined) {
+    const count = Number(tagCount);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TAG_COUNT) {
+      throw new ValidationError(
+        `Tag count must be an integer between 1 and ${MAX_TAG_COUNT}`
+      );
+    }
+    data.tag_count = count;
+  } else if (!partial) {
+    data.tag_count = DEFAULT_TAG_COUNT;
+  }
+
+  if (examples !== undefined) {
+    if (
+      !Array.isArray(examples) ||
+      examples.length > MAX_EXAMPLES ||
+      examples.some(
+        (e) =>
+          typeof e !== "string" ||
+          e.trim() === "" ||
+          e.length > MAX_EXAMPLE_LENGTH
+      )
+    ) {
+      throw new ValidationError(
+        `Examples must be an array of up to ${MAX_EXAMPLES} non-empty strings (max ${MAX_EXAMPLE_LENGTH} characters each)`
+      );
+    }
+    data.examples = examples.map((e) => e.trim());
+  } else if (!partial) {
+    data.examples = [];
+  }
+
+  return data;
+}
+
+/**
+ * Map unique constraint violations to a 409
+ */
+function rethrowDuplicate(error, name) {
+  if (error.code === "23505") {
+    throw new ConflictError(`Tag style "${name}" already exists`);
+  }
+  throw error;
+}
+
+class TagStylesController {
+  /**
+   * GET /api/tag-styles - List built-in and custom tag styles
+   */
+  static listTagStyles = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const tagStyleRepository = container.getTagStyleRepository();
+
+    const customStyles = await tagStyleRepository.findByUserId(userId);
+
+    const builtInStyles = Object.entries(TAG_STYLES).map(([key, style]) => ({
+      id: null,
+      name: key,
+      displayName: style.name,
+      instruction: style.instruction,
+      tagCount: DEFAULT_TAG_COUNT,
+      examples: [],
+      isCustom: false,
+    }));
+
+    res.json({
+      success: true,
+      data: [...builtInStyles, ...customStyles.map((s) => s.toJSON())],
+      summary: {
+        built_in: builtInStyles.length,
+        custom: customStyles.length,
+      },
+    });
+  });
+
+  /**
+   * GET /api/tag-styles/:id - Get a custom tag style
+   */
+  static getTagStyle = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const tagStyleRepository = container.getTagStyleRepository();
+
+    const style = await tagStyleRepository.findById(id, userId);
+    if (!style) {
+      throw new NotFoundError("Tag style");
+    }
+
+    res.json({
+      success: true,
+      data: style.toJSON(),
+    });
+  });
+
+  /**
+   * POST /api/tag-styles - Create a custom tag style
+   */
+  static createTagStyle = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const styleData = buildTagStyleData(req.body || {});
+
+    const container = new ServiceContainer(userToken);
+    const tagStyleRepository = container.getTagStyleRepository();
+
+    const style = await tagStyleRepository
+      .create({ ...styleData, user_id: userId })
+      .catch((error) => rethrowDuplicate(error, styleData.name));
+
+    res.status(201).json({
+      success: true,
+      message: "Tag style created successfully",
+      data: style.toJSON(),
+    });
+  });
+
+  /**
+   * PATCH /api/tag-styles/:id - Update a custom tag style
+   */
+  static updateTagStyle = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const styleData = buildTagStyleData(req.body || {}, true);
+    if (Object.keys(styleData).length === 0) {
+      throw new ValidationError("No updates provided");
+    }
+
+    const container = new ServiceContainer(userToken);
+    const tagStyleRepository = container.getTagStyleRepository();
+
+    const existing = await tagStyleRepository.findById(id, userId);
+    if (!existing) {
+      throw new NotFoundError("Tag style");
+    }
+
+    const style = await tagStyleRepository
+      .update(id, userId, {
+        ...styleData,
+        updated_at: new Date().toISOString(),
+      })
+      .catch((error) => rethrowDuplicate(error, styleData.name));
+
+    res.json({
+      success: true,
+      message: "Tag style updated successfully",
+      data: style.toJSON(),
+    });
+  });
+
+  /**
+   * DELETE /api/tag-styles/:id - Delete a custom tag style
+   */
+  static deleteTagStyle = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const tagStyleRepository = container.getTagStyleRepository();
+
+    const existing = await tagStyleRepository.findById(id, userId);
+    if (!existing) {
+      throw new NotFoundError("Tag style");
+    }
+
+    await tagStyleRepository.delete(id, userId);
+
+    res.json({
+      success: true,
+      message: "Tag style deleted successfully",
+      data: { id },
+    });
+  });
+}
+
+module.exports = TagStylesController;
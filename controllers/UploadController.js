@@ -5,7 +5,69 @@
  */
 
 const ServiceContainer = require("../services/ServiceContainer");
-const { asyncHandler } = require("../utils/errorHandler");
+const {
+  asyncHandler,
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+} = require("../utils/errorHandler");
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,termination,expiration";
+
+/**
+ * Parse a tus Upload-Metadata header ("key base64value,key2 base64value")
+ */
+function parseUploadMetadata(header = "") {
+  const metadata = {};
+  for (const pair of header.split(",")) {
+    const [key, value = ""] = pair.trim().split(" ");
+    if (key) {
+      metadata[key] = Buffer.from(value, "base64").toString("utf8");
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Parse a non-negative integer header
+ * @throws {ValidationError} When the header is missing or malformed
+ */
+function parseOffsetHeader(req, name) {
+  const value = req.get(name);
+  if (!/^\d+$/.test(value || "")) {
+    throw new ValidationError(`${name} must be a non-negative integer`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * The user's privacy setting: strip GPS and identifying metadata on upload
+ * Kept in Supabase Auth user_metadata (POST /api/user/update-profile)
+ */
+function stripsMetadata(user) {
+  return user.user_metadata?.strip_metadata === true;
+}
+
+/**
+ * The `analysis` field of an upload response; null when none was queued
+ * @param {Object} queued - Result of UploadService.queueAnalysisOrFail
+ */
+function analysisStatus({ job, error }) {
+  if (job) {
+    return { jobId: job.id, status: job.status };
+  }
+  return error ? { jobId: null, status: "failed", error } : null;
+}
+
+function setUploadHeaders(res, session) {
+  res.set({
+    "Upload-Offset": String(session.offset),
+    "Upload-Length": String(session.length),
+    "Upload-Expires": new Date(session.expiresAt).toUTCString(),
+    "Cache-Control": "no-store",
+  });
+}
 
 class UploadController {
   /**
@@ -22,29 +84,41 @@ class UploadController {
 
     const userId = req.user.id;
     const userToken = req.token;
-    const { tagStyle = "neutral" } = req.body;
+    const { tagStyle = "neutral", onDuplicate } = req.body;
 
     // Initialize service container with user context
     const container = new ServiceContainer(userToken);
     const uploadService = container.getUploadService();
 
     // Process upload
-    const { file, aiResult } = await uploadService.uploadAndProcess(
+    const { file, duplicate } = await uploadService.uploadAndProcess(
       req.file,
       userId,
-      { tagStyle, analyzeWithAI: false }
+      {
+        tagStyle,
+        analyzeWithAI: false,
+        onDuplicate,
+        stripMetadata: stripsMetadata(req.user),
+      }
     );
 
+    await container.getSignedUrlService().attachUrls([file]);
+
     res.json({
       success: true,
-      message: "Image uploaded successfully",
-      data: file.toJSON(),
+      message: duplicate
+        ? "Image was already uploaded"
+        : "Image uploaded successfully",
+      data: { ...file.toJSON(), duplicate },
     });
   });
 
   /**
-   * Upload and analyze image immediately
+   * Upload image and queue AI analysis
    * POST /api/upload/upload-and-analyze
+   * Returns 202 with the file in "processing"; poll GET /api/jobs/:id
+   * A duplicate returns 200 with the original's analysis and no job, unless
+   * the original was never analyzed
    */
   static uploadAndAnalyze = asyncHandler(async (req, res) => {
     if (!req.file) {
@@ -56,33 +130,59 @@ class UploadController {
 
     const userId = req.user.id;
     const userToken = req.token;
-    const { tagStyle = "neutral" } = req.body;
+    const { tagStyle = "neutral", provider, language, onDuplicate } = req.body;
 
-    const container = new ServiceContainer(userToken);
+    const container = new ServiceContainer(userToken, {
+      aiProvider: provider,
+    });
     const uploadService = container.getUploadService();
 
-    const { file, aiResult } = await uploadService.uploadAndProcess(
-      req.file,
+    const { file, duplicate, analysisRequired } =
+      await uploadService.uploadAndProcess(req.file, userId, {
+        tagStyle,
+        analyzeWithAI: true,
+        language,
+        onDuplicate,
+        stripMetadata: stripsMetadata(req.user),
+        deferAnalysis: true,
+      });
+
+    if (duplicate && !analysisRequired) {
+      await container.getSignedUrlService().attachUrls([file]);
+      return res.json({
+        success: true,
+        message: "Image was already uploaded",
+        data: { ...file.toJSON(), duplicate },
+      });
+    }
+
+    const queued = await uploadService.queueAnalysisOrFail(
+      file,
       userId,
-      { tagStyle, analyzeWithAI: true }
+      { tagStyle, language, provider },
+      { userToken }
     );
 
-    res.json({
+    await container.getSignedUrlService().attachUrls([queued.file]);
+
+    res.status(queued.job ? 202 : 200).json({
       success: true,
-      message: "Image uploaded and analyzed successfully",
+      message: queued.job
+        ? "Image uploaded, analysis queued"
+        : "Image uploaded, analysis could not be queued",
       data: {
-        ...file.toJSON(),
-        analysis: {
-          success: aiResult?.success || false,
-          error: aiResult?.error || null,
-        },
+        ...queued.file.toJSON(),
+        ...(duplicate && { duplicate }),
+        analysis: analysisStatus(queued),
       },
     });
   });
 
   /**
-   * Bulk upload with AI analysis
+   * Bulk upload and queue AI analysis for each image
    * POST /api/upload/bulk-upload-and-analyze
+   * Progress is streamed on GET /api/upload/progress/:batchId; pass your own
+   * `batchId` (UUID) to subscribe before the upload starts
    */
   static bulkUploadAndAnalyze = asyncHandler(async (req, res) => {
     if (!req.files || req.files.length === 0) {
@@ -101,36 +201,317 @@ class UploadController {
 
     const userId = req.user.id;
     const userToken = req.token;
-    const { tagStyle = "neutral" } = req.body;
+    const { tagStyle = "neutral", provider, language, onDuplicate } = req.body;
 
-    const container = new ServiceContainer(userToken);
+    const container = new ServiceContainer(userToken, {
+      aiProvider: provider,
+    });
     const uploadService = container.getUploadService();
+    const batchId = container
+      .getProgressTracker()
+      .start(req.body.batchId, userId, {
+        type: "upload",
+        total: req.files.length,
+      });
 
     const startTime = Date.now();
     const { results, errors } = await uploadService.bulkUploadAndProcess(
       req.files,
       userId,
-      { tagStyle, analyzeWithAI: true }
+      {
+        tagStyle,
+        analyzeWithAI: true,
+        language,
+        onDuplicate,
+        stripMetadata: stripsMetadata(req.user),
+        deferAnalysis: true,
+        batchId,
+      }
     );
 
+    // Duplicates keep the original's analysis when it has one
+    const queued = await Promise.all(
+      results.map(({ file, index, duplicate, analysisRequired }) =>
+        duplicate && !analysisRequired
+          ? { job: null, file, error: null }
+          : uploadService.queueAnalysisOrFail(
+              file,
+              userId,
+              { tagStyle, language, provider, batchId, batchIndex: index },
+              { userToken }
+            )
+      )
+    );
+    const unqueued = queued.filter(({ error }) => error).length;
+
     const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
-    const statusCode =
-      errors.length > 0 ? (results.length > 0 ? 207 : 500) : 200;
+    await container
+      .getSignedUrlService()
+      .attachUrls(queued.map(({ file }) => file));
+
+    const partial = errors.length > 0 || unqueued > 0;
+    const statusCode = partial ? (results.length > 0 ? 207 : 500) : 202;
 
     res.status(statusCode).json({
       success: results.length > 0,
-      message: `Processed ${results.length} of ${req.files.length} images`,
+      message: `Uploaded ${results.length} of ${req.files.length} images, analysis queued`,
       data: {
+        batchId,
         successfulUploads: results.length,
         totalAttempts: req.files.length,
         processingTimeSeconds: parseFloat(processingTime),
-        results: results.map((r) => r.file.toJSON()),
+        results: results.map((r, i) => ({
+          ...queued[i].file.toJSON(),
+          duplicate: r.duplicate,
+          analysis: analysisStatus(queued[i]),
+        })),
         errors,
       },
     });
   });
 
+  /**
+   * Start a direct upload to storage
+   * POST /api/upload/presign
+   * Returns a "pending" file and the request to send the file with; call
+   * POST /api/upload/complete once it succeeds
+   */
+  static presignUpload = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const userToken = req.token;
+    const { filename, mimeType, size } = req.body;
+
+    const container = new ServiceContainer(userToken);
+    const { file, upload } = await container
+      .getUploadService()
+      .createDirectUpload({ filename, mimeType, size }, userId);
+
+    res.status(201).json({
+      success: true,
+      message: "Upload URL created",
+      data: {
+        ...file.toJSON(),
+        upload,
+      },
+    });
+  });
+
+  /**
+   * Finish a direct upload, optionally queueing AI analysis
+   * POST /api/upload/complete
+   * Returns 202 with the file in "processing" when `analyze` is true
+   * A duplicate returns 200 with the original's analysis and no job, unless
+   * the original was never analyzed
+   */
+  static completeUpload = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const userToken = req.token;
+    const {
+      fileId,
+      analyze = false,
+      tagStyle = "neutral",
+      provider,
+      language,
+      onDuplicate,
+    } = req.body;
+
+    if (typeof fileId !== "string" || !fileId) {
+      throw new ValidationError("File ID is required");
+    }
+
+    if (typeof analyze !== "boolean") {
+      throw new ValidationError("Analyze must be a boolean");
+    }
+
+    const container = new ServiceContainer(userToken, {
+      aiProvider: provider,
+    });
+    const uploadService = container.getUploadService();
+
+    const { file, duplicate, analysisRequired } =
+      await uploadService.completeDirectUpload(fileId, userId, {
+        analyzeWithAI: analyze,
+        tagStyle,
+        language,
+        onDuplicate,
+        stripMetadata: stripsMetadata(req.user),
+      });
+
+    if (duplicate && !analysisRequired) {
+      await container.getSignedUrlService().attachUrls([file]);
+      return res.json({
+        success: true,
+        message: "Image was already uploaded",
+        data: { ...file.toJSON(), duplicate },
+      });
+    }
+
+    if (!analyze) {
+      await container.getSignedUrlService().attachUrls([file]);
+      return res.json({
+        success: true,
+        message: "Image uploaded successfully",
+        data: file.toJSON(),
+      });
+    }
+
+    const queued = await uploadService.queueAnalysisOrFail(
+      file,
+      userId,
+      { tagStyle, language, provider },
+      { userToken }
+    );
+
+    await container.getSignedUrlService().attachUrls([queued.file]);
+
+    res.status(queued.job ? 202 : 200).json({
+      success: true,
+      message: queued.job
+        ? "Image uploaded, analysis queued"
+        : "Image uploaded, analysis could not be queued",
+      data: {
+        ...queued.file.toJSON(),
+        ...(duplicate && { duplicate }),
+        analysis: analysisStatus(queued),
+      },
+    });
+  });
+
+  /**
+   * Check the tus protocol version of resumable upload requests
+   * Every response names the version the server speaks
+   */
+  static tusResumable(req, res, next) {
+    res.set("Tus-Resumable", TUS_VERSION);
+    if (req.get("Tus-Resumable") !== TUS_VERSION) {
+      res.set("Tus-Version", TUS_VERSION);
+      return next(new ApiError(412, "Unsupported tus version"));
+    }
+    next();
+  }
+
+  /**
+   * Start a resumable (tus) upload
+   * POST /api/upload/resumable
+   * Upload-Length is the file size; Upload-Metadata carries filename,
+   * filetype and optionally analyze ("true"), tagStyle, language, provider,
+   * onDuplicate
+   */
+  static createResumableUpload = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const userToken = req.token;
+    const size = parseOffsetHeader(req, "Upload-Length");
+    const metadata = parseUploadMetadata(req.get("Upload-Metadata"));
+
+    const container = new ServiceContainer(userToken);
+    const session = await container
+      .getUploadService()
+      .createUploadSession(
+        { filename: metadata.filename, mimeType: metadata.filetype, size },
+        userId,
+        {
+          analyzeWithAI: metadata.analyze === "true",
+          tagStyle: metadata.tagStyle,
+          language: metadata.language,
+          provider: metadata.provider,
+          onDuplicate: metadata.onDuplicate,
+          stripMetadata: stripsMetadata(req.user),
+        }
+      );
+
+    setUploadHeaders(res, session);
+    res
+      .status(201)
+      .set({
+        Location: `${req.baseUrl}/resumable/${session.id}`,
+        "Tus-Extension": TUS_EXTENSIONS,
+        "Tus-Max-Size": String(container.getUploadSessionStore().maxSize),
+      })
+      .end();
+  });
+
+  /**
+   * Get the offset to resume a resumable upload from
+   * HEAD /api/upload/resumable/:id
+   */
+  static getResumableUploadOffset = asyncHandler(async (req, res) => {
+    const container = new ServiceContainer(req.token);
+    const session = await container
+      .getUploadService()
+      .getUploadSession(req.params.id, req.user.id);
+
+    setUploadHeaders(res, session);
+    res.status(200).end();
+  });
+
+  /**
+   * Append a chunk to a resumable upload
+   * PATCH /api/upload/resumable/:id
+   * The chunk that completes the file stores it and queues analysis when the
+   * upload asked for it; GET the session for the file and job IDs
+   */
+  static appendResumableUpload = asyncHandler(async (req, res) => {
+    if (req.get("Content-Type") !== "application/offset+octet-stream") {
+      return res.status(415).json({
+        success: false,
+        error: "Content-Type must be application/offset+octet-stream",
+      });
+    }
+
+    const userId = req.user.id;
+    const userToken = req.token;
+    const offset = parseOffsetHeader(req, "Upload-Offset");
+
+    const container = new ServiceContainer(userToken);
+    const session = await container
+      .getUploadService()
+      .appendToUploadSession(req.params.id, userId, offset, req, {
+        userToken,
+      });
+
+    setUploadHeaders(res, session);
+    res.status(204).end();
+  });
+
+  /**
+   * Cancel a resumable upload
+   * DELETE /api/upload/resumable/:id
+   */
+  static cancelResumableUpload = asyncHandler(async (req, res) => {
+    const container = new ServiceContainer(req.token);
+    await container
+      .getUploadService()
+      .cancelUploadSession(req.params.id, req.user.id);
+
+    res.status(204).end();
+  });
+
+  /**
+   * Get a resumable upload's progress and, once complete, its file and job
+   * GET /api/upload/resumable/:id
+   */
+  static getResumableUpload = asyncHandler(async (req, res) => {
+    const container = new ServiceContainer(req.token);
+    const session = await container
+      .getUploadService()
+      .getUploadSession(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        id: session.id,
+        status: session.status,
+        filename: session.filename,
+        offset: session.offset,
+        length: session.length,
+        fileId: session.fileId,
+        jobId: session.jobId,
+        expiresAt: session.expiresAt,
+      },
+    });
+  });
+
   /**
    * Analyze existing file
    * POST /api/upload/analyze/:id
@@ -139,17 +520,22 @@ class UploadController {
     const { id } = req.params;
     const userId = req.user.id;
     const userToken = req.token;
-    const { tagStyle = "neutral" } = req.body;
+    const { tagStyle = "neutral", provider, language } = req.body;
 
-    const container = new ServiceContainer(userToken);
+    const container = new ServiceContainer(userToken, {
+      aiProvider: provider,
+    });
     const uploadService = container.getUploadService();
 
     const { file, aiResult } = await uploadService.analyzeExistingFile(
       id,
       userId,
-      tagStyle
+      tagStyle,
+      { language }
     );
 
+    await container.getSignedUrlService().attachUrls([file]);
+
     res.json({
       success: true,
       message: "Image analyzed successfully",
@@ -162,6 +548,105 @@ class UploadController {
       },
     });
   });
+
+  /**
+   * Issue a short-lived token for the progress stream
+   * POST /api/upload/progress/:batchId/token
+   * Reserves the batch, so it may be called before the batch starts
+   */
+  static createStreamToken = asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    const userId = req.user.id;
+
+    const container = new ServiceContainer(req.token);
+    const { token, expiresAt } = container
+      .getProgressTracker()
+      .createStreamToken(batchId, userId);
+
+    res.status(201).json({
+      success: true,
+      data: { batchId, token, expiresAt },
+    });
+  });
+
+  /**
+   * Authenticate a progress stream by its ?token= query parameter
+   * Requests without one continue to the Bearer-authenticated route
+   */
+  static authenticateStreamToken(req, res, next) {
+    if (!req.query.token) {
+      return next("route");
+    }
+
+    const container = new ServiceContainer();
+    const userId = container
+      .getProgressTracker()
+      .verifyStreamToken(req.params.batchId, req.query.token);
+    if (!userId) {
+      return next(new AuthenticationError("Invalid or expired stream token"));
+    }
+
+    req.user = { id: userId };
+    next();
+  }
+
+  /**
+   * Stream batch progress as Server-Sent Events
+   * GET /api/upload/progress/:batchId
+   * Replays past events, so it may be opened before or after the batch starts
+   */
+  static streamProgress = asyncHandler(async (req, res) => {
+    const { batchId } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const progressTracker = container.getProgressTracker();
+
+    // Validate ownership before switching to an event stream
+    progressTracker.open(batchId, userId);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(": connected\n\n");
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+    heartbeat.unref?.();
+
+    let unsubscribe = () => {};
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    unsubscribe = progressTracker.subscribe(
+      batchId,
+      userId,
+      (event) => {
+        res.write(
+          `id: ${event.seq}\nevent: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`
+        );
+        if (event.event === "done") {
+          close();
+          res.end();
+        }
+      },
+      {
+        after: parseInt(req.headers["last-event-id"]) || 0,
+        // Expired before it finished: nothing more will be sent
+        onExpire: () => {
+          close();
+          res.end();
+        },
+      }
+    );
+
+    req.on("close", close);
+  });
 }
 
 module.exports = UploadController;
@@ -61,6 +61,7 @@ class UserController {
           lastName: user.user_metadata?.last_name || null,
           fullName: user.user_metadata?.full_name || null,
           avatarUrl: user.user_metadata?.avatar_url || null,
+          stripMetadata: user.user_metadata?.strip_metadata === true,
           createdAt: user.created_at,
           updatedAt: user.updated_at,
           lastSignInAt: user.last_sign_in_at,
@@ -71,18 +72,28 @@ class UserController {
 
   /**
    * POST /api/user/update-profile - Update user profile metadata
+   * stripMetadata (boolean) removes GPS and identifying metadata from
+   * future uploads
    */
   static updateProfile = asyncHandler(async (req, res) => {
-    const { firstName, lastName } = req.body;
+    const { firstName, lastName, stripMetadata } = req.body;
     const userId = req.user.id;
 
     // Validate input
-    if (firstName === undefined && lastName === undefined) {
+    if (
+      firstName === undefined &&
+      lastName === undefined &&
+      stripMetadata === undefined
+    ) {
       throw new ValidationError(
-        "Please provide at least one field to update: firstName or lastName"
+        "Please provide at least one field to update: firstName, lastName or stripMetadata"
       );
     }
 
+    if (stripMetadata !== undefined && typeof stripMetadata !== "boolean") {
+      throw new ValidationError("stripMetadata must be a boolean");
+    }
+
     // Get current user metadata
     const { data: currentUser } = await supabase.auth.getUser(req.token);
     const currentMetadata = currentUser.user?.user_metadata || {};
@@ -98,6 +109,10 @@ class UserController {
       updatedMetadata.last_name = lastName.trim();
     }
 
+    if (stripMetadata !== undefined) {
+      updatedMetadata.strip_metadata = stripMetadata;
+    }
+
     // Update full_name
     const nameParts = [];
     if (updatedMetadata.first_name) nameParts.push(updatedMetadata.first_name);
@@ -128,6 +143,7 @@ class UserController {
           lastName: data.user.user_metadata?.last_name || null,
           fullName: data.user.user_metadata?.full_name || null,
           avatarUrl: data.user.user_metadata?.avatar_url || null,
+          stripMetadata: data.user.user_metadata?.strip_metadata === true,
           updatedAt: data.user.updated_at,
         },
       },
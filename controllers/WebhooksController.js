@@ -0,0 +1,295 @@
+/**
+ * Webhooks Controller
+ * Handles HTTP requests for webhook registration, delivery logs and test pings
+ * Thin layer that delegates to repositories and the webhook service
+ */
+
+const ServiceContainer = require("../services/ServiceContainer");
+const WebhookService = require("../services/WebhookService");
+const {
+  asyncHandler,
+  ValidationError,
+  NotFoundError,
+} = require("../utils/errorHandler");
+
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+/**
+ * Validate webhook input and convert it to database columns
+ * @param {Object} input - Request body
+ * @param {boolean} partial - Allow missing fields (PATCH)
+ */
+function buildWebhookData(input, partial = false) {
+  const { url, events, description, active } = input;
+  const data = {};
+
+  if (url !== undefined || !partial) {
+    // Plain http is only accepted outside production (e.g. local receivers)
+    const requireHttps = process.env.NODE_ENV === "production";
+    let parsed = null;
+    if (typeof url === "string" && url.length <= MAX_URL_LENGTH) {
+      try {
+        parsed = new URL(url);
+      } catch {
+        parsed = null;
+      }
+    }
+
+    const protocols = requireHttps ? ["https:"] : ["https:", "http:"];
+    if (!parsed || !protocols.includes(parsed.protocol)) {
+      throw new ValidationError(
+        `URL must be a valid ${requireHttps ? "https" : "http(s)"} URL of at most ${MAX_URL_LENGTH} characters`
+      );
+    }
+    data.url = parsed.toString();
+  }
+
+  if (events !== undefined) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !WebhookService.EVENTS.includes(event))
+    ) {
+      throw new ValidationError(
+        `Events must be a non-empty array of: ${WebhookService.EVENTS.join(", ")}`
+      );
+    }
+    data.events = [...new Set(events)];
+  } else if (!partial) {
+    data.events = [...WebhookService.EVENTS];
+  }
+
+  if (description !== undefined) {
+    if (
+      description !== null &&
+      (typeof description !== "string" ||
+        description.length > MAX_DESCRIPTION_LENGTH)
+    ) {
+      throw new ValidationError(
+        `Description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`
+      );
+    }
+    data.description = description ? description.trim() : null;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== "boolean") {
+      throw new ValidationError("Active must be a boolean");
+    }
+    data.active = active;
+  }
+
+  return data;
+}
+
+/**
+ * Load a webhook owned by the user or throw a 404
+ */
+async function findWebhookOrFail(webhookRepository, id, userId) {
+  const webhook = await webhookRepository.findById(id, userId);
+  if (!webhook) {
+    throw new NotFoundError("Webhook");
+  }
+  return webhook;
+}
+
+class WebhooksController {
+  /**
+   * GET /api/webhooks - List webhooks
+   */
+  static listWebhooks = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const webhooks = await container
+      .getWebhookRepository()
+      .findByUserId(userId);
+
+    res.json({
+      success: true,
+      data: webhooks.map((webhook) => webhook.toJSON()),
+      events: WebhookService.EVENTS,
+    });
+  });
+
+  /**
+   * GET /api/webhooks/:id - Get a webhook
+   */
+  static getWebhook = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const webhook = await findWebhookOrFail(
+      container.getWebhookRepository(),
+      id,
+      userId
+    );
+
+    res.json({
+      success: true,
+      data: webhook.toJSON(),
+    });
+  });
+
+  /**
+   * POST /api/webhooks - Register a webhook
+   * The signing secret is only returned here
+   */
+  static createWebhook = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const webhookData = buildWebhookData(req.body || {});
+
+    const container = new ServiceContainer(userToken);
+    await container.getWebhookService().validateUrl(webhookData.url);
+    const webhook = await container.getWebhookRepository().create({
+      ...webhookData,
+      user_id: userId,
+      secret: WebhookService.generateSecret(),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook created successfully",
+      data: {
+        ...webhook.toJSON(),
+        secret: webhook.secret,
+      },
+    });
+  });
+
+  /**
+   * PATCH /api/webhooks/:id - Update url, events, description or active
+   */
+  static updateWebhook = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const webhookData = buildWebhookData(req.body || {}, true);
+    if (Object.keys(webhookData).length === 0) {
+      throw new ValidationError("No updates provided");
+    }
+
+    const container = new ServiceContainer(userToken);
+    const webhookRepository = container.getWebhookRepository();
+    await findWebhookOrFail(webhookRepository, id, userId);
+    if (webhookData.url) {
+      await container.getWebhookService().validateUrl(webhookData.url);
+    }
+
+    const webhook = await webhookRepository.update(id, userId, {
+      ...webhookData,
+      updated_at: new Date().toISOString(),
+    });
+
+    res.json({
+      success: true,
+      message: "Webhook updated successfully",
+      data: webhook.toJSON(),
+    });
+  });
+
+  /**
+   * DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+   */
+  static deleteWebhook = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const webhookRepository = container.getWebhookRepository();
+    await findWebhookOrFail(webhookRepository, id, userId);
+
+    await webhookRepository.delete(id, userId);
+
+    res.json({
+      success: true,
+      message: "Webhook deleted successfully",
+      data: { id },
+    });
+  });
+
+  /**
+   * GET /api/webhooks/:id/deliveries - Delivery log, newest first
+   */
+  static listDeliveries = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+    const { page = 1, per_page = 20, status } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const perPageNum = Math.min(Math.max(parseInt(per_page) || 20, 1), 100);
+
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw new ValidationError(
+        `Status must be one of: ${DELIVERY_STATUSES.join(", ")}`
+      );
+    }
+
+    const container = new ServiceContainer(userToken);
+    const webhookRepository = container.getWebhookRepository();
+    await findWebhookOrFail(webhookRepository, id, userId);
+
+    const { deliveries, total } = await webhookRepository.findDeliveries(
+      id,
+      userId,
+      { page: pageNum, perPage: perPageNum, status }
+    );
+    const totalPages = Math.ceil(total / perPageNum);
+
+    res.json({
+      success: true,
+      data: deliveries.map((delivery) => delivery.toJSON()),
+      pagination: {
+        current_page: pageNum,
+        per_page: perPageNum,
+        total_items: total,
+        total_pages: totalPages,
+        has_next_page: pageNum < totalPages,
+        has_prev_page: pageNum > 1,
+      },
+    });
+  });
+
+  /**
+   * POST /api/webhooks/:id/test - Send a signed "ping" event once
+   * Only reports success or failure; the receiver's status and error stay in
+   * the delivery log
+   */
+  static testWebhook = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const userToken = req.token;
+
+    const container = new ServiceContainer(userToken);
+    const webhook = await findWebhookOrFail(
+      container.getWebhookRepository(),
+      id,
+      userId
+    );
+
+    const delivery = await container.getWebhookService().ping(webhook);
+
+    res.json({
+      success: delivery.isSucceeded(),
+      message: delivery.isSucceeded()
+        ? "Test event delivered"
+        : "Test event failed",
+      data: {
+        id: delivery.id,
+        event: delivery.event,
+        status: delivery.status,
+      },
+    });
+  });
+}
+
+module.exports = WebhooksController;
@@ -0,0 +1,55 @@
+-- Migration: Background AI Analysis Jobs
+-- Run this in your Supabase SQL Editor
+-- Only required when JOB_STORE=supabase (the default memory store needs no table)
+
+-- ==========================================
+-- Step 1: Create analysis_jobs table
+-- ==========================================
+CREATE TABLE IF NOT EXISTS analysis_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  file_id UUID REFERENCES uploaded_files(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  error TEXT,
+  result JSONB,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  -- Server process running the job; it renews the lease while the job is live
+  owner_id TEXT,
+  lease_expires_at TIMESTAMPTZ
+);
+
+-- Tables created before job leases
+ALTER TABLE analysis_jobs
+  ADD COLUMN IF NOT EXISTS owner_id TEXT,
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+-- ==========================================
+-- Step 2: Create indexes for performance
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_file_id
+ON analysis_jobs(file_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status
+ON analysis_jobs(status);
+
+-- ==========================================
+-- Step 3: Enable Row Level Security (RLS)
+-- ==========================================
+-- Jobs are written by the server with the service role key;
+-- users may only read their own
+ALTER TABLE analysis_jobs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own analysis jobs" ON analysis_jobs;
+
+CREATE POLICY "Users can view own analysis jobs"
+ON analysis_jobs
+FOR SELECT
+USING (auth.uid() = user_id);
@@ -0,0 +1,26 @@
+-- Migration: Content-hash deduplication
+-- Run this in your Supabase SQL Editor
+--
+-- Uploads store the SHA-256 of their bytes so a repeated upload can reuse
+-- the stored object and its analysis instead of being stored and analyzed
+-- again. Linked duplicates share one file_path; the object is deleted with
+-- the last record that uses it.
+
+-- ==========================================
+-- Step 1: Add the content hash column
+-- ==========================================
+ALTER TABLE uploaded_files
+  ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+COMMENT ON COLUMN uploaded_files.content_hash IS
+  'Hex SHA-256 of the stored bytes; NULL for pending direct uploads and older rows';
+
+-- ==========================================
+-- Step 2: Index duplicate lookups and shared objects
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_content_hash
+  ON uploaded_files(user_id, content_hash)
+  WHERE content_hash IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_file_path
+  ON uploaded_files(user_id, file_path);
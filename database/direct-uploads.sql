@@ -0,0 +1,27 @@
+-- Migration: Direct-to-storage uploads
+-- Run this in your Supabase SQL Editor
+--
+-- POST /api/upload/presign creates the file record before the client sends
+-- the file to storage. Such records have the status 'pending' until
+-- POST /api/upload/complete confirms the object was stored.
+
+-- ==========================================
+-- Step 1: Allow the 'pending' status
+-- ==========================================
+ALTER TABLE uploaded_files DROP CONSTRAINT IF EXISTS valid_status;
+
+ALTER TABLE uploaded_files
+  ADD CONSTRAINT valid_status
+  CHECK (status IN ('pending', 'uploaded', 'processing', 'completed', 'failed'));
+
+-- ==========================================
+-- Step 2: Find uploads that were never completed
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_uploaded_files_pending
+  ON uploaded_files(uploaded_at)
+  WHERE status = 'pending';
+
+-- Abandoned uploads can be removed with:
+--   DELETE FROM uploaded_files
+--     WHERE status = 'pending' AND uploaded_at < NOW() - INTERVAL '1 day';
+-- (delete any objects left at their file_path from the bucket as well)
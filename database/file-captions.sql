@@ -0,0 +1,9 @@
+-- Migration: Platform-specific caption variants
+-- Run this in your Supabase SQL Editor
+
+-- ==========================================
+-- Step 1: Add captions column to uploaded_files
+-- Shape: { "altText": "...", "instagram": "...", "x": "...", "linkedin": "..." }
+-- ==========================================
+ALTER TABLE uploaded_files
+  ADD COLUMN IF NOT EXISTS captions JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,9 @@
+-- Migration: Multi-language captions and tags
+-- Run this in your Supabase SQL Editor
+
+-- ==========================================
+-- Step 1: Add translations column to uploaded_files
+-- Shape: { "<language>": { description, tags, tagStyle, updatedAt } }
+-- ==========================================
+ALTER TABLE uploaded_files
+  ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,18 @@
+-- Migration: Image metadata
+-- Run this in your Supabase SQL Editor
+--
+-- Uploads now record what their EXIF, IPTC and XMP say: camera, lens,
+-- capture date, dimensions, orientation, GPS position and any caption or
+-- keywords written by another tool. Users who turn on strip_metadata (a
+-- profile setting kept in Supabase Auth user_metadata) have GPS and
+-- identifying fields removed from the stored original, and no GPS recorded.
+
+-- ==========================================
+-- Step 1: Add the metadata column
+-- ==========================================
+ALTER TABLE uploaded_files
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN uploaded_files.metadata IS
+  '{ camera, lens, capturedAt, width, height, orientation, gps, caption, keywords }; empty for older rows and unreadable images';
+
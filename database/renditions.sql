@@ -0,0 +1,15 @@
+-- Migration: Thumbnail and preview renditions
+-- Run this in your Supabase SQL Editor
+--
+-- Uploads now store resized WebP copies next to the original
+-- (images/<user>/<name>.thumbnail.webp and .preview.webp). Their paths and
+-- dimensions are kept per file; URLs are signed on read like the original's.
+
+-- ==========================================
+-- Step 1: Add the renditions column
+-- ==========================================
+ALTER TABLE uploaded_files
+  ADD COLUMN IF NOT EXISTS renditions JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN uploaded_files.renditions IS
+  'Rendition name -> { path, width, height, mimeType }; empty when none were made';
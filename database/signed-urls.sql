@@ -0,0 +1,19 @@
+-- Migration: Stop persisting signed file URLs
+-- Run this in your Supabase SQL Editor
+--
+-- File URLs are now signed when a response is built and expire after
+-- SIGNED_URL_EXPIRES_IN seconds. The one-year URLs stored so far are bearer
+-- links that keep working after access is revoked, so clear them.
+
+-- ==========================================
+-- Step 1: Clear stored signed URLs
+-- ==========================================
+UPDATE uploaded_files
+  SET public_url = NULL
+  WHERE public_url IS NOT NULL;
+
+-- ==========================================
+-- Step 2: Document the column as unused
+-- ==========================================
+COMMENT ON COLUMN uploaded_files.public_url IS
+  'Deprecated: URLs are signed on read and no longer stored';
@@ -0,0 +1,53 @@
+-- Migration: User-Defined Tag Styles
+-- Run this in your Supabase SQL Editor
+
+-- ==========================================
+-- Step 1: Create tag_styles table
+-- ==========================================
+CREATE TABLE IF NOT EXISTS tag_styles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  instruction TEXT NOT NULL,
+  tag_count INTEGER NOT NULL DEFAULT 5 CHECK (tag_count BETWEEN 1 AND 20),
+  examples TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+-- ==========================================
+-- Step 2: Create indexes for performance
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_tag_styles_user_id
+ON tag_styles(user_id);
+
+-- ==========================================
+-- Step 3: Enable Row Level Security (RLS)
+-- ==========================================
+ALTER TABLE tag_styles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own tag styles" ON tag_styles;
+DROP POLICY IF EXISTS "Users can insert own tag styles" ON tag_styles;
+DROP POLICY IF EXISTS "Users can update own tag styles" ON tag_styles;
+DROP POLICY IF EXISTS "Users can delete own tag styles" ON tag_styles;
+
+CREATE POLICY "Users can view own tag styles"
+ON tag_styles
+FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own tag styles"
+ON tag_styles
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own tag styles"
+ON tag_styles
+FOR UPDATE
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own tag styles"
+ON tag_styles
+FOR DELETE
+USING (auth.uid() = user_id);
@@ -0,0 +1,96 @@
+-- Migration: Outgoing Webhooks
+-- Run this in your Supabase SQL Editor
+
+-- ==========================================
+-- Step 1: Create webhooks table
+-- ==========================================
+CREATE TABLE IF NOT EXISTS webhooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  events TEXT[] NOT NULL DEFAULT '{}',
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ==========================================
+-- Step 2: Create webhook_deliveries table (delivery log)
+-- ==========================================
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ
+);
+
+-- ==========================================
+-- Step 3: Create indexes for performance
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id
+ON webhooks(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_events
+ON webhooks USING GIN (events);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+ON webhook_deliveries(webhook_id, created_at DESC);
+
+-- ==========================================
+-- Step 4: Enable Row Level Security (RLS)
+-- ==========================================
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own webhooks" ON webhooks;
+DROP POLICY IF EXISTS "Users can insert own webhooks" ON webhooks;
+DROP POLICY IF EXISTS "Users can update own webhooks" ON webhooks;
+DROP POLICY IF EXISTS "Users can delete own webhooks" ON webhooks;
+DROP POLICY IF EXISTS "Users can view own webhook deliveries" ON webhook_deliveries;
+DROP POLICY IF EXISTS "Users can insert own webhook deliveries" ON webhook_deliveries;
+DROP POLICY IF EXISTS "Users can update own webhook deliveries" ON webhook_deliveries;
+
+CREATE POLICY "Users can view own webhooks"
+ON webhooks
+FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own webhooks"
+ON webhooks
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own webhooks"
+ON webhooks
+FOR UPDATE
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own webhooks"
+ON webhooks
+FOR DELETE
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own webhook deliveries"
+ON webhook_deliveries
+FOR SELECT
+USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own webhook deliveries"
+ON webhook_deliveries
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own webhook deliveries"
+ON webhook_deliveries
+FOR UPDATE
+USING (auth.uid() = user_id);
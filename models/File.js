@@ -10,11 +10,20 @@ class File {
     this.filePath = data.file_path || data.filePath;
     this.fileSize = data.file_size || data.fileSize;
     this.mimeType = data.mime_type || data.mimeType;
-    this.publicUrl = data.public_url || data.publicUrl;
+    this.contentHash = data.content_hash || data.contentHash || null;
+    // Signed on read (SignedUrlService); older rows may still hold a stored URL
+    this.publicUrl = data.public_url || data.publicUrl || null;
     this.userId = data.user_id || data.userId;
     this.status = data.status || "uploaded";
     this.description = data.description;
     this.tags = data.tags || [];
+    this.captions = data.captions || {};
+    this.translations = data.translations || {};
+    // name → { path, width, height, mimeType }; url is set when signed
+    this.renditions = data.renditions || {};
+    // Read from the upload's EXIF/IPTC/XMP: camera, lens, capturedAt, width,
+    // height, orientation, gps, caption, keywords
+    this.metadata = data.metadata || {};
     this.uploadedAt = data.uploaded_at || data.uploadedAt;
     this.updatedAt = data.updated_at || data.updatedAt;
   }
@@ -28,10 +37,25 @@ class File {
     return !!(this.description || (this.tags && this.tags.length > 0));
   }
 
+  getLanguages() {
+    return Object.keys(this.translations || {});
+  }
+
+  /**
+   * Storage paths of the renditions generated for this file
+   */
+  getRenditionPaths() {
+    return Object.values(this.renditions || {}).map((r) => r.path);
+  }
+
   getSizeMB() {
     return this.fileSize ? (this.fileSize / (1024 * 1024)).toFixed(2) : null;
   }
 
+  isPending() {
+    return this.status === "pending";
+  }
+
   isProcessing() {
     return this.status === "processing";
   }
@@ -52,16 +76,32 @@ class File {
       filePath: this.filePath,
       fileSize: this.fileSize,
       mimeType: this.mimeType,
+      contentHash: this.contentHash,
       publicUrl: this.publicUrl,
       userId: this.userId,
       status: this.status,
       description: this.description,
       tags: this.tags,
+      captions: this.captions,
+      translations: this.translations,
+      renditions: Object.fromEntries(
+        Object.entries(this.renditions || {}).map(([name, rendition]) => [
+          name,
+          {
+            url: rendition.url || null,
+            width: rendition.width,
+            height: rendition.height,
+            mimeType: rendition.mimeType,
+          },
+        ])
+      ),
+      metadata: this.metadata,
       uploadedAt: this.uploadedAt,
       updatedAt: this.updatedAt,
       // Computed properties
       isImage: this.isImage(),
       hasAIAnalysis: this.hasAIAnalysis(),
+      languages: this.getLanguages(),
       fileSizeMB: this.getSizeMB(),
     };
   }
@@ -74,11 +114,21 @@ class File {
       file_path: this.filePath,
       file_size: this.fileSize,
       mime_type: this.mimeType,
-      public_url: this.publicUrl,
+      content_hash: this.contentHash,
       user_id: this.userId,
       status: this.status,
       description: this.description,
       tags: this.tags,
+      captions: this.captions,
+      translations: this.translations,
+      renditions: Object.fromEntries(
+        Object.entries(this.renditions || {}).map(([name, rendition]) => {
+          // Signed URLs are never persisted
+          const { url, ...stored } = rendition;
+          return [name, stored];
+        })
+      ),
+      metadata: this.metadata,
       uploaded_at: this.uploadedAt,
       updated_at: this.updatedAt,
     };
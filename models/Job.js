@@ -0,0 +1,85 @@
+/**
+ * Domain Model: Job
+ * Represents a background job (e.g. AI analysis of an uploaded file)
+ */
+
+const FINISHED_STATUSES = ["completed", "failed"];
+
+class Job {
+  constructor(data) {
+    this.id = data.id;
+    this.type = data.type;
+    this.userId = data.user_id || data.userId;
+    this.fileId = data.file_id || data.fileId || null;
+    this.status = data.status || "queued";
+    this.payload = data.payload || {};
+    this.attempts = data.attempts || 0;
+    this.maxAttempts = data.max_attempts || data.maxAttempts || 1;
+    this.error = data.error || null;
+    this.result = data.result || null;
+    this.runAt = data.run_at || data.runAt;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+    this.completedAt = data.completed_at || data.completedAt || null;
+    // Queue instance holding the job and when its hold lapses
+    this.ownerId = data.owner_id || data.ownerId || null;
+    this.leaseExpiresAt = data.lease_expires_at || data.leaseExpiresAt || null;
+  }
+
+  // Domain logic methods
+  isFinished() {
+    return FINISHED_STATUSES.includes(this.status);
+  }
+
+  isLastAttempt() {
+    return this.attempts >= this.maxAttempts;
+  }
+
+  isLeaseExpired(now = Date.now()) {
+    return !this.leaseExpiresAt || new Date(this.leaseExpiresAt) <= now;
+  }
+
+  // Convert to API response format
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      fileId: this.fileId,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      error: this.error,
+      result: this.result,
+      runAt: this.runAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      completedAt: this.completedAt,
+      // Computed properties
+      isFinished: this.isFinished(),
+    };
+  }
+
+  // Convert to database format
+  toDatabase() {
+    return {
+      id: this.id,
+      type: this.type,
+      user_id: this.userId,
+      file_id: this.fileId,
+      status: this.status,
+      payload: this.payload,
+      attempts: this.attempts,
+      max_attempts: this.maxAttempts,
+      error: this.error,
+      result: this.result,
+      run_at: this.runAt,
+      created_at: this.createdAt,
+      updated_at: this.updatedAt,
+      completed_at: this.completedAt,
+      owner_id: this.ownerId,
+      lease_expires_at: this.leaseExpiresAt,
+    };
+  }
+}
+
+module.exports = Job;
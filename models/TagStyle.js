@@ -0,0 +1,59 @@
+/**
+ * Domain Model: TagStyle
+ * Represents a user-defined tag style used to steer AI tag generation
+ */
+
+class TagStyle {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.name = data.name;
+    this.instruction = data.instruction;
+    this.tagCount = data.tag_count || data.tagCount || 5;
+    this.examples = data.examples || [];
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Convert to the style config consumed by AI services
+  toStyleConfig() {
+    return {
+      key: this.name,
+      name: this.name,
+      instruction: this.instruction,
+      tagCount: this.tagCount,
+      examples: this.examples,
+      custom: true,
+    };
+  }
+
+  // Convert to API response format
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      instruction: this.instruction,
+      tagCount: this.tagCount,
+      examples: this.examples,
+      isCustom: true,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  // Convert to database format
+  toDatabase() {
+    return {
+      id: this.id,
+      user_id: this.userId,
+      name: this.name,
+      instruction: this.instruction,
+      tag_count: this.tagCount,
+      examples: this.examples,
+      created_at: this.createdAt,
+      updated_at: this.updatedAt,
+    };
+  }
+}
+
+module.exports = TagStyle;
@@ -0,0 +1,53 @@
+/**
+ * Domain Model: Webhook
+ * Represents a user-registered URL that receives signed file lifecycle events
+ */
+
+class Webhook {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.url = data.url;
+    this.secret = data.secret;
+    this.events = data.events || [];
+    this.description = data.description || null;
+    this.active = data.active !== false;
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  // Domain logic methods
+  subscribesTo(event) {
+    return this.active && this.events.includes(event);
+  }
+
+  // Convert to API response format (the signing secret is only shown on create)
+  toJSON() {
+    return {
+      id: this.id,
+      url: this.url,
+      events: this.events,
+      description: this.description,
+      active: this.active,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+
+  // Convert to database format
+  toDatabase() {
+    return {
+      id: this.id,
+      user_id: this.userId,
+      url: this.url,
+      secret: this.secret,
+      events: this.events,
+      description: this.description,
+      active: this.active,
+      created_at: this.createdAt,
+      updated_at: this.updatedAt,
+    };
+  }
+}
+
+module.exports = Webhook;
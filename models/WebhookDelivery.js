@@ -0,0 +1,60 @@
+/**
+ * Domain Model: WebhookDelivery
+ * One event sent (or being retried) to a webhook, kept as a delivery log
+ */
+
+class WebhookDelivery {
+  constructor(data) {
+    this.id = data.id;
+    this.webhookId = data.webhook_id || data.webhookId;
+    this.userId = data.user_id || data.userId;
+    this.event = data.event;
+    this.payload = data.payload || {};
+    this.status = data.status || "pending";
+    this.attempts = data.attempts || 0;
+    this.responseStatus = data.response_status || data.responseStatus || null;
+    this.error = data.error || null;
+    this.createdAt = data.created_at || data.createdAt;
+    this.deliveredAt = data.delivered_at || data.deliveredAt || null;
+  }
+
+  // Domain logic methods
+  isSucceeded() {
+    return this.status === "succeeded";
+  }
+
+  // Convert to API response format
+  toJSON() {
+    return {
+      id: this.id,
+      webhookId: this.webhookId,
+      event: this.event,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      responseStatus: this.responseStatus,
+      error: this.error,
+      createdAt: this.createdAt,
+      deliveredAt: this.deliveredAt,
+    };
+  }
+
+  // Convert to database format
+  toDatabase() {
+    return {
+      id: this.id,
+      webhook_id: this.webhookId,
+      user_id: this.userId,
+      event: this.event,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      response_status: this.responseStatus,
+      error: this.error,
+      created_at: this.createdAt,
+      delivered_at: this.deliveredAt,
+    };
+  }
+}
+
+module.exports = WebhookDelivery;
@@ -41,6 +41,58 @@ class FileRepository {
     return data ? new File(data) : null;
   }
 
+  /**
+   * Find a user's file with the given content hash
+   * The earliest analyzed copy wins, so duplicates reuse an analysis rather
+   * than a failed or unanalyzed copy; otherwise the earliest copy. Pending
+   * direct uploads are ignored; their bytes are not checked yet
+   */
+  async findByContentHash(userId, contentHash) {
+    const { data, error } = await this.supabase
+      .from("uploaded_files")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("content_hash", contentHash)
+      .neq("status", "pending")
+      .order("uploaded_at", { ascending: true });
+
+    if (error) throw error;
+    if (!data || data.length === 0) return null;
+
+    const files = data.map((row) => new File(row));
+    return files.find((file) => file.hasAIAnalysis()) || files[0];
+  }
+
+  /**
+   * Count a user's files stored at a path
+   * Linked duplicates share one storage object
+   */
+  async countByPath(userId, filePath) {
+    const { count, error } = await this.supabase
+      .from("uploaded_files")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", userId)
+      .eq("file_path", filePath);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Whether a pending direct upload is waiting for its object at a path
+   * Upload URLs are signed for one path, so the path stands in for the user
+   */
+  async hasPendingUpload(filePath) {
+    const { count, error } = await this.supabase
+      .from("uploaded_files")
+      .select("id", { count: "exact", head: true })
+      .eq("file_path", filePath)
+      .eq("status", "pending");
+
+    if (error) throw error;
+    return count > 0;
+  }
+
   /**
    * Find all files for a user
    */
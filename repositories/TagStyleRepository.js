@@ -0,0 +1,102 @@
+/**
+ * Tag Style Repository
+ * Handles all database operations for user-defined tag styles
+ */
+
+const TagStyle = require("../models/TagStyle");
+
+class TagStyleRepository {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Create a new tag style
+   */
+  async create(styleData) {
+    const { data, error } = await this.supabase
+      .from("tag_styles")
+      .insert([styleData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new TagStyle(data);
+  }
+
+  /**
+   * Find all tag styles for a user
+   */
+  async findByUserId(userId) {
+    const { data, error } = await this.supabase
+      .from("tag_styles")
+      .select("*")
+      .eq("user_id", userId)
+      .order("name", { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map((style) => new TagStyle(style));
+  }
+
+  /**
+   * Find tag style by ID
+   */
+  async findById(id, userId) {
+    const { data, error } = await this.supabase
+      .from("tag_styles")
+      .select("*")
+      .eq("id", id)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new TagStyle(data) : null;
+  }
+
+  /**
+   * Find tag style by name
+   */
+  async findByName(userId, name) {
+    const { data, error } = await this.supabase
+      .from("tag_styles")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("name", name)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new TagStyle(data) : null;
+  }
+
+  /**
+   * Update a tag style
+   */
+  async update(id, userId, updates) {
+    const { data, error } = await this.supabase
+      .from("tag_styles")
+      .update(updates)
+      .eq("id", id)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new TagStyle(data);
+  }
+
+  /**
+   * Delete a tag style
+   */
+  async delete(id, userId) {
+    const { error } = await this.supabase
+      .from("tag_styles")
+      .delete()
+      .eq("id", id)
+      .eq("user_id", userId);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = TagStyleRepository;
@@ -0,0 +1,178 @@
+/**
+ * Webhook Repository
+ * Handles all database operations for webhooks and their delivery log
+ */
+
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+
+class WebhookRepository {
+  constructor(supabaseClient) {
+    this.supabase = supabaseClient;
+  }
+
+  /**
+   * Create a new webhook
+   */
+  async create(webhookData) {
+    const { data, error } = await this.supabase
+      .from("webhooks")
+      .insert([webhookData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new Webhook(data);
+  }
+
+  /**
+   * Find all webhooks for a user
+   */
+  async findByUserId(userId) {
+    const { data, error } = await this.supabase
+      .from("webhooks")
+      .select("*")
+      .eq("user_id", userId)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map((webhook) => new Webhook(webhook));
+  }
+
+  /**
+   * Find active webhooks subscribed to an event
+   */
+  async findSubscribed(userId, event) {
+    const { data, error } = await this.supabase
+      .from("webhooks")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("active", true)
+      .contains("events", [event]);
+
+    if (error) throw error;
+    return (data || []).map((webhook) => new Webhook(webhook));
+  }
+
+  /**
+   * Find webhook by ID
+   */
+  async findById(id, userId) {
+    const { data, error } = await this.supabase
+      .from("webhooks")
+      .select("*")
+      .eq("id", id)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Webhook(data) : null;
+  }
+
+  /**
+   * Update a webhook
+   */
+  async update(id, userId, updates) {
+    const { data, error } = await this.supabase
+      .from("webhooks")
+      .update(updates)
+      .eq("id", id)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new Webhook(data);
+  }
+
+  /**
+   * Delete a webhook (its deliveries cascade)
+   */
+  async delete(id, userId) {
+    const { error } = await this.supabase
+      .from("webhooks")
+      .delete()
+      .eq("id", id)
+      .eq("user_id", userId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Record a delivery
+   */
+  async createDelivery(deliveryData) {
+    const { data, error } = await this.supabase
+      .from("webhook_deliveries")
+      .insert([deliveryData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new WebhookDelivery(data);
+  }
+
+  /**
+   * Find delivery by ID
+   */
+  async findDeliveryById(id, userId) {
+    const { data, error } = await this.supabase
+      .from("webhook_deliveries")
+      .select("*")
+      .eq("id", id)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new WebhookDelivery(data) : null;
+  }
+
+  /**
+   * Find deliveries for a webhook, newest first
+   */
+  async findDeliveries(webhookId, userId, options = {}) {
+    let query = this.supabase
+      .from("webhook_deliveries")
+      .select("*", { count: "exact" })
+      .eq("webhook_id", webhookId)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false });
+
+    if (options.status) {
+      query = query.eq("status", options.status);
+    }
+
+    if (options.page && options.perPage) {
+      const offset = (options.page - 1) * options.perPage;
+      query = query.range(offset, offset + options.perPage - 1);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    return {
+      deliveries: (data || []).map((delivery) => new WebhookDelivery(delivery)),
+      total: count,
+    };
+  }
+
+  /**
+   * Update a delivery
+   */
+  async updateDelivery(id, userId, updates) {
+    const { data, error } = await this.supabase
+      .from("webhook_deliveries")
+      .update(updates)
+      .eq("id", id)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new WebhookDelivery(data);
+  }
+}
+
+module.exports = WebhookRepository;
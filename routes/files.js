@@ -29,6 +29,12 @@ router.post("/download", FilesController.bulkDownload);
 // GET /api/files/:id/download - Download single file
 router.get("/:id/download", FilesController.downloadFile);
 
+// GET /api/files/:id/render - Resized / converted image (width, height, fit, format, quality)
+router.get("/:id/render", FilesController.renderFile);
+
+// GET /api/files/:id/status - Get processing status and latest job
+router.get("/:id/status", FilesController.getFileStatus);
+
 // GET /api/files/:id - Get single file (must be after specific routes)
 router.get("/:id", FilesController.getFile);
 
@@ -0,0 +1,17 @@
+/**
+ * Jobs Routes
+ * Uses JobsController for all operations
+ */
+
+const express = require("express");
+const JobsController = require("../controllers/JobsController");
+const { authenticateUser } = require("../middleware/auth");
+const router = express.Router();
+
+// Protect all job routes with authentication
+router.use(authenticateUser);
+
+// GET /api/jobs/:id - Get background job status
+router.get("/:id", JobsController.getJob);
+
+module.exports = router;
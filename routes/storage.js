@@ -0,0 +1,17 @@
+/**
+ * Storage Routes
+ * Uses StorageController for all operations
+ */
+
+const express = require("express");
+const StorageController = require("../controllers/StorageController");
+const router = express.Router();
+
+// No authenticateUser: <img> tags cannot send a token, the URL is signed instead
+// GET /storage/* - Download a locally stored file
+router.get("/*", StorageController.serveFile);
+
+// PUT /storage/* - Receive a direct upload (see POST /api/upload/presign)
+router.put("/*", StorageController.receiveFile);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Tag Styles Routes
+ * Uses TagStylesController for all operations
+ */
+
+const express = require("express");
+const TagStylesController = require("../controllers/TagStylesController");
+const { authenticateUser } = require("../middleware/auth");
+const router = express.Router();
+
+// Protect all tag style routes with authentication
+router.use(authenticateUser);
+
+// GET /api/tag-styles - List built-in and custom tag styles
+router.get("/", TagStylesController.listTagStyles);
+
+// POST /api/tag-styles - Create a custom tag style
+router.post("/", TagStylesController.createTagStyle);
+
+// GET /api/tag-styles/:id - Get a custom tag style
+router.get("/:id", TagStylesController.getTagStyle);
+
+// PATCH /api/tag-styles/:id - Update a custom tag style
+router.patch("/:id", TagStylesController.updateTagStyle);
+
+// DELETE /api/tag-styles/:id - Delete a custom tag style
+router.delete("/:id", TagStylesController.deleteTagStyle);
+
+module.exports = router;
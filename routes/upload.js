@@ -6,6 +6,7 @@
 const express = require("express");
 const multer = require("multer");
 const UploadController = require("../controllers/UploadController");
+const FileService = require("../utils/fileService");
 const { authenticateUser } = require("../middleware/auth");
 const router = express.Router();
 
@@ -14,20 +15,12 @@ const storage = multer.memoryStorage();
 
 // File filter to validate file types
 const fileFilter = (req, file, cb) => {
-  const allowedMimeTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
-
-  if (allowedMimeTypes.includes(file.mimetype)) {
+  if (FileService.validateMimeType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(
       new Error(
-        "Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed."
+        "Invalid file type. Only JPEG, PNG, GIF, WebP, HEIC, AVIF, TIFF and SVG images are allowed."
       ),
       false
     );
@@ -42,6 +35,15 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+// GET /api/upload/progress/:batchId?token= - Progress stream for EventSource,
+// which cannot send an Authorization header; requests without a token fall
+// through to the authenticated route below
+router.get(
+  "/progress/:batchId",
+  UploadController.authenticateStreamToken,
+  UploadController.streamProgress
+);
+
 // Protect all upload routes with authentication
 router.use(authenticateUser);
 
@@ -62,6 +64,49 @@ router.post(
   UploadController.bulkUploadAndAnalyze
 );
 
+// POST /api/upload/presign - Get a URL to upload a file straight to storage
+router.post("/presign", UploadController.presignUpload);
+
+// POST /api/upload/complete - Register a presigned upload, optionally analyze it
+router.post("/complete", UploadController.completeUpload);
+
+// POST /api/upload/resumable - Start a resumable (tus) upload
+router.post(
+  "/resumable",
+  UploadController.tusResumable,
+  UploadController.createResumableUpload
+);
+
+// HEAD /api/upload/resumable/:id - Offset to resume a tus upload from
+router.head(
+  "/resumable/:id",
+  UploadController.tusResumable,
+  UploadController.getResumableUploadOffset
+);
+
+// PATCH /api/upload/resumable/:id - Append a chunk; the last one stores the file
+router.patch(
+  "/resumable/:id",
+  UploadController.tusResumable,
+  UploadController.appendResumableUpload
+);
+
+// DELETE /api/upload/resumable/:id - Cancel a tus upload
+router.delete(
+  "/resumable/:id",
+  UploadController.tusResumable,
+  UploadController.cancelResumableUpload
+);
+
+// GET /api/upload/resumable/:id - Resumable upload status, file and job IDs
+router.get("/resumable/:id", UploadController.getResumableUpload);
+
+// POST /api/upload/progress/:batchId/token - Short-lived token for the progress stream
+router.post("/progress/:batchId/token", UploadController.createStreamToken);
+
+// GET /api/upload/progress/:batchId - Stream bulk upload / regenerate progress (SSE)
+router.get("/progress/:batchId", UploadController.streamProgress);
+
 // POST /api/upload/analyze/:id - Analyze existing file
 router.post("/analyze/:id", UploadController.analyzeFile);
 
@@ -0,0 +1,35 @@
+/**
+ * Webhooks Routes
+ * Uses WebhooksController for all operations
+ */
+
+const express = require("express");
+const WebhooksController = require("../controllers/WebhooksController");
+const { authenticateUser } = require("../middleware/auth");
+const router = express.Router();
+
+// Protect all webhook routes with authentication
+router.use(authenticateUser);
+
+// GET /api/webhooks - List webhooks
+router.get("/", WebhooksController.listWebhooks);
+
+// POST /api/webhooks - Register a webhook
+router.post("/", WebhooksController.createWebhook);
+
+// GET /api/webhooks/:id/deliveries - Delivery log
+router.get("/:id/deliveries", WebhooksController.listDeliveries);
+
+// POST /api/webhooks/:id/test - Send a test ping
+router.post("/:id/test", WebhooksController.testWebhook);
+
+// GET /api/webhooks/:id - Get a webhook
+router.get("/:id", WebhooksController.getWebhook);
+
+// PATCH /api/webhooks/:id - Update a webhook
+router.patch("/:id", WebhooksController.updateWebhook);
+
+// DELETE /api/webhooks/:id - Delete a webhook
+router.delete("/:id", WebhooksController.deleteWebhook);
+
+module.exports = router;
@@ -52,7 +52,25 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-Requested-With",
+    "Tus-Resumable",
+    "Upload-Length",
+    "Upload-Offset",
+    "Upload-Metadata",
+  ],
+  exposedHeaders: [
+    "Location",
+    "Tus-Resumable",
+    "Tus-Version",
+    "Tus-Extension",
+    "Tus-Max-Size",
+    "Upload-Offset",
+    "Upload-Length",
+    "Upload-Expires",
+  ],
 };
 
 // Apply CORS
@@ -106,6 +124,23 @@ app.use("/api/upload", uploadRoutes);
 const filesRoutes = require("./routes/files");
 app.use("/api/files", filesRoutes);
 
+// Import and use tag style routes
+const tagStylesRoutes = require("./routes/tagStyles");
+app.use("/api/tag-styles", tagStylesRoutes);
+
+// Import and use job routes
+const jobsRoutes = require("./routes/jobs");
+app.use("/api/jobs", jobsRoutes);
+
+// Import and use webhook routes
+const webhooksRoutes = require("./routes/webhooks");
+app.use("/api/webhooks", webhooksRoutes);
+
+// Import and use local storage download and direct upload routes
+// Mounted outside /api so image galleries do not exhaust the API rate limit
+const storageRoutes = require("./routes/storage");
+app.use("/storage", storageRoutes);
+
 // Basic health check endpoint
 app.get("/", (req, res) => {
   res.json({
@@ -147,6 +182,18 @@ if (require.main === module) {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
   });
+
+  // Fail jobs whose process stopped renewing their lease (persistent job
+  // stores only); repeated so instances that stop later are caught too
+  const ServiceContainer = require("./services/ServiceContainer");
+  const Logger = require("./utils/logger");
+  const { jobQueue } = ServiceContainer;
+  const recoverJobs = () =>
+    jobQueue
+      .recover()
+      .catch((error) => Logger.error("job_recovery_failed", error));
+  recoverJobs();
+  setInterval(recoverJobs, jobQueue.leaseMs).unref();
 }
 
 module.exports = app;
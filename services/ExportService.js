@@ -0,0 +1,303 @@
+/**
+ * Export Service
+ * Streams stored files into ZIP archives, optionally with caption sidecar
+ * files next to each image, a manifest of everything exported and captions
+ * embedded in the images themselves.
+ * Reads are opened a few files ahead of the archiver so storage latency
+ * overlaps with compression, while memory stays bounded by that window.
+ */
+
+const { once } = require("events");
+const { Readable } = require("stream");
+const archiver = require("archiver");
+const Logger = require("../utils/logger");
+const { buildXmp } = require("../utils/xmp");
+const { canEmbedMetadata, embedMetadata } = require("../utils/imageMetadata");
+
+const DEFAULT_PREFETCH = 4;
+const ERRORS_NAME = "download-errors.txt";
+
+/**
+ * Metadata written to JSON sidecars
+ */
+function fileMetadata(file, name) {
+  return {
+    id: file.id,
+    filename: name,
+    originalFilename: file.filename,
+    mimeType: file.mimeType,
+    fileSize: file.fileSize,
+    status: file.status,
+    description: file.description || null,
+    tags: file.tags,
+    captions: file.captions,
+    translations: file.translations,
+    uploadedAt: file.uploadedAt,
+    updatedAt: file.updatedAt,
+  };
+}
+
+// Per-image sidecar files, named after the image ("photo.jpg" → "photo.xmp")
+const SIDECAR_FORMATS = {
+  txt: (file) => file.description || "",
+  json: (file, name) => JSON.stringify(fileMetadata(file, name), null, 2),
+  xmp: (file) => buildXmp(file),
+};
+
+/**
+ * Quote a CSV field; a leading formula character is neutralized so
+ * spreadsheets do not evaluate AI-written text
+ */
+function csvField(value) {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Manifests of every file in the archive, written after the last file
+const MANIFEST_FORMATS = {
+  csv: (entries) =>
+    [
+      "id,filename,description,tags,status",
+      ...entries.map(({ file, name }) =>
+        [file.id, name, file.description, file.tags.join(", "), file.status]
+          .map(csvField)
+          .join(",")
+      ),
+    ].join("\r\n") + "\r\n",
+  json: (entries) =>
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        count: entries.length,
+        files: entries.map(({ file, name }) => ({
+          id: file.id,
+          filename: name,
+          description: file.description || null,
+          tags: file.tags,
+          status: file.status,
+        })),
+      },
+      null,
+      2
+    ),
+};
+
+const stemOf = (name) => {
+  const extIndex = name.lastIndexOf(".");
+  return extIndex > 0 ? name.substring(0, extIndex) : name;
+};
+
+/**
+ * Pick an archive name that is not taken yet ("photo.jpg" → "photo-1.jpg")
+ * @param {Function} keyOf - What must be unique (the stem when sidecars share it)
+ */
+function uniqueName(filename, usedNames, keyOf = (name) => name) {
+  let name = filename;
+  let counter = 1;
+
+  while (usedNames.has(keyOf(name))) {
+    const extIndex = filename.lastIndexOf(".");
+    name =
+      extIndex > 0
+        ? `${filename.substring(0, extIndex)}-${counter}${filename.substring(extIndex)}`
+        : `${filename}-${counter}`;
+    counter++;
+  }
+
+  usedNames.add(keyOf(name));
+  return name;
+}
+
+class ExportService {
+  static SIDECAR_FORMATS = Object.keys(SIDECAR_FORMATS);
+
+  static MANIFEST_FORMATS = Object.keys(MANIFEST_FORMATS);
+
+  /**
+   * @param {IStorageProvider} storageProvider
+   * @param {Object} options
+   * @param {number|string} options.prefetch - Files opened ahead of the archiver (default 4)
+   */
+  constructor(storageProvider, options = {}) {
+    this.storageProvider = storageProvider;
+    this.prefetch = Math.max(parseInt(options.prefetch) || DEFAULT_PREFETCH, 1);
+  }
+
+  /**
+   * Open a stored file for download
+   * With `embed`, supported images are read into memory and get their
+   * description and tags written into EXIF/IPTC/XMP. Other files, and images
+   * that cannot be parsed, are sent as stored.
+   * @param {File} file
+   * @param {Object} options
+   * @param {boolean} options.embed - Embed captions into the image metadata
+   * @returns {Promise<Readable>}
+   */
+  async openFile(file, options = {}) {
+    const stream = await this.storageProvider.getReadStream(file.filePath);
+    if (!options.embed || !canEmbedMetadata(file.mimeType)) {
+      return stream;
+    }
+
+    const original = Buffer.concat(await stream.toArray());
+    try {
+      return Readable.from([embedMetadata(original, file.mimeType, file)]);
+    } catch (error) {
+      Logger.warn("metadata_embed_skipped", {
+        fileId: file.id,
+        error: error.message,
+      });
+      return Readable.from([original]);
+    }
+  }
+
+  /**
+   * Stream files as a ZIP archive into a writable (e.g. an HTTP response)
+   * Files that cannot be read are listed in download-errors.txt.
+   * Never rejects: once bytes are sent, a failure can only abort the output.
+   * @param {File[]} files
+   * @param {Writable} output
+   * @param {Object} options
+   * @param {string[]} options.sidecars - Sidecar formats per image (txt, json, xmp)
+   * @param {string[]} options.manifest - Manifest formats (csv, json)
+   * @param {boolean} options.embed - Embed captions into each image's metadata
+   * @returns {Promise<{added: number, errors: Object[], aborted: boolean}>}
+   */
+  async writeZip(files, output, options = {}) {
+    const { sidecars = [], manifest = [], embed = false } = options;
+    const archive = archiver("zip", {
+      zlib: { level: 9 }, // Maximum compression
+    });
+    const abort = new AbortController();
+    const errors = [];
+    const exported = [];
+    let current = null;
+
+    // Sidecars share their image's stem, so stems must be unique too
+    const keyOf = sidecars.length > 0 ? stemOf : undefined;
+    const usedNames = new Set(
+      [ERRORS_NAME, ...manifest.map((format) => `manifest.${format}`)].map(
+        keyOf || ((name) => name)
+      )
+    );
+
+    // A client disconnect or archive error stops reading further files
+    const onClose = () => {
+      if (!output.writableFinished) abort.abort();
+    };
+    output.on("close", onClose);
+    const fail = (error) => {
+      if (!abort.signal.aborted) {
+        Logger.error("zip_export_failed", error, { files: files.length });
+        abort.abort(error);
+        output.destroy();
+      }
+    };
+    archive.on("error", fail);
+    archive.pipe(output);
+
+    // Names the archiver has finished writing
+    const written = new Set();
+    archive.on("entry", (entry) => written.add(entry.name));
+    const entryWritten = async (name) => {
+      while (!written.has(name)) {
+        await once(archive, "entry", { signal: abort.signal });
+      }
+    };
+
+    // Index → pending read stream, at most `prefetch` ahead of the archiver
+    const opening = new Map();
+    const open = (index) => {
+      if (index < files.length) {
+        opening.set(
+          index,
+          this.openFile(files[index], { embed }).then(
+            (stream) => ({ stream }),
+            (error) => ({ error })
+          )
+        );
+      }
+    };
+
+    for (let i = 0; i < this.prefetch; i++) open(i);
+
+    try {
+      for (let i = 0; i < files.length && !abort.signal.aborted; i++) {
+        const file = files[i];
+        const { stream, error } = await opening.get(i);
+        opening.delete(i);
+
+        if (error) {
+          errors.push({
+            id: file.id,
+            filename: file.filename,
+            error: error.message || String(error),
+          });
+        } else if (!abort.signal.aborted) {
+          const name = uniqueName(file.filename, usedNames, keyOf);
+          current = stream;
+          // The archiver does not surface source errors, so watch the read itself
+          stream.once("error", fail);
+          archive.append(stream, { name });
+          // The archiver reads entries one at a time; wait for this one
+          await entryWritten(name);
+          current = null;
+
+          for (const format of sidecars) {
+            archive.append(Buffer.from(SIDECAR_FORMATS[format](file, name)), {
+              name: `${stemOf(name)}.${format}`,
+            });
+          }
+          exported.push({ file, name });
+        } else {
+          stream.destroy();
+        }
+
+        open(i + this.prefetch);
+      }
+
+      if (!abort.signal.aborted) {
+        for (const format of manifest) {
+          archive.append(Buffer.from(MANIFEST_FORMATS[format](exported)), {
+            name: `manifest.${format}`,
+          });
+        }
+
+        if (errors.length > 0) {
+          archive.append(
+            Buffer.from(
+              `Download Summary:\n\nSuccessful: ${exported.length} files\nFailed: ${
+                errors.length
+              } files\n\nErrors:\n${errors
+                .map((e) => `- ${e.filename}: ${e.error}`)
+                .join("\n")}`
+            ),
+            { name: ERRORS_NAME }
+          );
+        }
+        await archive.finalize();
+      }
+    } catch {
+      // Already logged by fail(), or the client went away
+      archive.abort();
+      current?.destroy();
+    } finally {
+      output.off("close", onClose);
+      // Release reads opened ahead that will not be used
+      for (const pending of opening.values()) {
+        pending.then(({ stream }) => stream?.destroy());
+      }
+    }
+
+    return {
+      added: exported.length,
+      errors,
+      aborted: abort.signal.aborted,
+    };
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,193 @@
+/**
+ * Image Render Service
+ * Produces resized / re-encoded copies of stored images on request
+ * (GET /api/files/:id/render). Results are kept in a process-wide cache
+ * bounded by total bytes; stored objects never change, so a result stays
+ * valid for as long as its file exists.
+ */
+
+const crypto = require("crypto");
+const Logger = require("../utils/logger");
+const {
+  TRANSFORM_FORMATS,
+  FITS,
+  transformImage,
+} = require("../utils/imageRenditions");
+const { toWebFriendly } = require("../utils/imageConversion");
+const { ValidationError } = require("../utils/errorHandler");
+
+const DEFAULT_MAX_DIMENSION = 4096;
+const DEFAULT_CACHE_MAX_MB = 64;
+const DEFAULT_QUALITY = 80;
+
+// Output format when none is requested: the original's, else JPEG
+const FORMAT_BY_MIME_TYPE = {
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/avif": "avif",
+  // Drawings usually have transparency, which JPEG would fill in
+  "image/svg+xml": "png",
+};
+
+class ImageRenderService {
+  /**
+   * @param {IStorageProvider} storageProvider
+   * @param {Map} cache - Shared between requests; render key → pending result
+   * @param {Object} options
+   * @param {number|string} options.maxDimension - Largest width or height accepted (default 4096)
+   * @param {number|string} options.cacheMaxMB - Rendered bytes kept before the oldest is dropped (default 64)
+   */
+  constructor(storageProvider, cache, options = {}) {
+    this.storageProvider = storageProvider;
+    this.cache = cache;
+    this.maxDimension = parseInt(options.maxDimension) || DEFAULT_MAX_DIMENSION;
+    this.cacheMaxBytes =
+      (parseInt(options.cacheMaxMB) || DEFAULT_CACHE_MAX_MB) * 1024 * 1024;
+  }
+
+  /**
+   * Validate render query parameters
+   * @param {Object} query - { width, height, fit, format, quality } as strings
+   * @param {File} file - The image to render
+   * @returns {{width: number|null, height: number|null, fit: string, format: string, quality: number}}
+   * @throws {ValidationError}
+   */
+  parseOptions(query, file) {
+    const width = this._parseInteger(
+      query.width,
+      "Width",
+      1,
+      this.maxDimension
+    );
+    const height = this._parseInteger(
+      query.height,
+      "Height",
+      1,
+      this.maxDimension
+    );
+    const quality =
+      this._parseInteger(query.quality, "Quality", 1, 100) || DEFAULT_QUALITY;
+
+    const fit = query.fit || "cover";
+    if (!FITS.includes(fit)) {
+      throw new ValidationError("Invalid fit", { fit, allowed: FITS });
+    }
+
+    const format = query.format || FORMAT_BY_MIME_TYPE[file.mimeType] || "jpeg";
+    if (!TRANSFORM_FORMATS[format]) {
+      throw new ValidationError("Invalid format", {
+        format,
+        allowed: Object.keys(TRANSFORM_FORMATS),
+      });
+    }
+
+    return { width, height, fit, format, quality };
+  }
+
+  /**
+   * Entity tag of a render, known before rendering
+   * @returns {string} A strong ETag, quoted
+   */
+  getETag(file, options) {
+    const digest = crypto
+      .createHash("sha1")
+      .update(this._cacheKey(file, options))
+      .digest("base64url");
+    return `"${digest}"`;
+  }
+
+  /**
+   * Render a file, reusing a cached result
+   * Concurrent requests for the same render share one transformation.
+   * @param {File} file
+   * @param {Object} options - From parseOptions()
+   * @returns {Promise<{buffer: Buffer, width: number, height: number, mimeType: string}>}
+   * @throws {ValidationError} When the stored file is not a renderable image
+   */
+  async render(file, options) {
+    const key = this._cacheKey(file, options);
+    const cached = this.cache.get(key);
+    if (cached) {
+      // Re-inserting keeps the Map in least-recently-used order
+      this.cache.delete(key);
+      this.cache.set(key, cached);
+      return cached.result;
+    }
+
+    const entry = {
+      result: this._transform(file, options),
+      size: 0,
+    };
+    this.cache.set(key, entry);
+
+    try {
+      const rendered = await entry.result;
+      entry.size = rendered.buffer.length;
+      this._evict();
+      return rendered;
+    } catch (error) {
+      if (this.cache.get(key) === entry) {
+        this.cache.delete(key);
+      }
+      throw error;
+    }
+  }
+
+  async _transform(file, options) {
+    const original = await this.storageProvider.downloadFile(file.filePath);
+
+    try {
+      // HEIC and SVG originals are decoded into a raster sharp can resize
+      const { buffer } = await toWebFriendly(original, file.mimeType);
+      return await transformImage(buffer, options);
+    } catch (error) {
+      Logger.warn("image_render_failed", {
+        fileId: file.id,
+        error: error.message,
+      });
+      throw new ValidationError("File cannot be rendered as an image");
+    }
+  }
+
+  /**
+   * Drop the least recently used renders until the cache fits its budget
+   */
+  _evict() {
+    let total = 0;
+    for (const entry of this.cache.values()) {
+      total += entry.size;
+    }
+
+    for (const [key, entry] of this.cache) {
+      if (total <= this.cacheMaxBytes) break;
+      // Renders still in progress have no size yet and are kept
+      if (entry.size > 0) {
+        this.cache.delete(key);
+        total -= entry.size;
+      }
+    }
+  }
+
+  _cacheKey(file, { width, height, fit, format, quality }) {
+    // Paths are unique per upload and stored objects are never rewritten
+    return [file.filePath, width, height, fit, format, quality].join("|");
+  }
+
+  _parseInteger(value, label, min, max) {
+    if (value === undefined || value === "") {
+      return null;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new ValidationError(
+        `${label} must be an integer from ${min} to ${max}`
+      );
+    }
+    return number;
+  }
+}
+
+module.exports = ImageRenderService;
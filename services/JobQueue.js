@@ -0,0 +1,334 @@
+/**
+ * Job Queue
+ * In-process background job runner with bounded concurrency and retries.
+ * Job records live in a pluggable IJobStore; per-job context (such as the
+ * user's access token) is kept in memory only and never persisted.
+ * Each queue holds a renewable lease on the jobs it enqueued, so several
+ * processes can share one store without failing each other's jobs.
+ */
+
+const crypto = require("crypto");
+const Logger = require("../utils/logger");
+
+/**
+ * Thrown by handlers for failures another attempt cannot fix
+ */
+class NonRetryableJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NonRetryableJobError";
+  }
+}
+
+function parseInteger(value, fallback, min) {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+}
+
+class JobQueue {
+  /**
+   * @param {IJobStore} store - Job persistence backend
+   * @param {Object} options
+   * @param {number|string} options.concurrency - Jobs run at the same time (default 2)
+   * @param {number|string} options.maxAttempts - Attempts per job including the first (default 3)
+   * @param {number|string} options.backoffMs - Delay before the first retry, doubled each retry (default 1000)
+   * @param {number|string} options.leaseMs - How long a job stays owned without a heartbeat (default 60000)
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.concurrency = parseInteger(options.concurrency, 2, 1);
+    this.maxAttempts = parseInteger(options.maxAttempts, 3, 1);
+    this.backoffMs = parseInteger(options.backoffMs, 1000, 0);
+    this.leaseMs = parseInteger(options.leaseMs, 60000, 1);
+    this.instanceId = crypto.randomUUID();
+
+    this.handlers = new Map();
+    this.contexts = new Map();
+    this.ready = [];
+    this.timers = new Set();
+    this.heartbeat = null;
+    this.running = 0;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Whether a failed attempt is worth retrying
+   * Client errors (4xx ApiErrors such as a deleted file) will fail again
+   */
+  static isRetryable(error) {
+    if (error instanceof NonRetryableJobError) return false;
+    return !(error.statusCode >= 400 && error.statusCode < 500);
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, context) => result
+   * @param {Object} options - Per-type { maxAttempts, backoffMs } overriding the queue defaults;
+   *   { onFail } is called as async (job, error) once a job fails for good,
+   *   including jobs failed by recover(). It gets no context.
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      run: handler,
+      maxAttempts: parseInteger(options.maxAttempts, this.maxAttempts, 1),
+      backoffMs: parseInteger(options.backoffMs, this.backoffMs, 0),
+      onFail: options.onFail || null,
+    });
+    return this;
+  }
+
+  /**
+   * Persist a job and schedule it to run
+   * @param {string} type - Registered job type
+   * @param {{userId: string, fileId?: string, payload?: Object}} data
+   * @param {Object} context - In-memory only data for the handler (e.g. userToken)
+   * @returns {Promise<Job>}
+   */
+  async enqueue(type, data, context = {}) {
+    const handler = this.handlers.get(type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const job = await this.store.create({
+      type,
+      user_id: data.userId,
+      file_id: data.fileId || null,
+      payload: data.payload || {},
+      status: "queued",
+      attempts: 0,
+      max_attempts: handler.maxAttempts,
+      run_at: new Date().toISOString(),
+      owner_id: this.instanceId,
+      lease_expires_at: this._leaseExpiry(),
+    });
+
+    this._track(job.id, context);
+    this._schedule(job.id, 0);
+
+    Logger.info("job_enqueued", { jobId: job.id, type, userId: data.userId });
+    return job;
+  }
+
+  /**
+   * Get a job owned by a user
+   * @returns {Promise<Job|null>}
+   */
+  async getJob(id, userId) {
+    const job = await this.store.findById(id);
+    return job && job.userId === userId ? job : null;
+  }
+
+  /**
+   * Get the most recent job for a file
+   * @returns {Promise<Job|null>}
+   */
+  async getLatestJobForFile(fileId, userId) {
+    return this.store.findLatestByFileId(fileId, userId);
+  }
+
+  /**
+   * Fail unfinished jobs whose owner stopped renewing their lease
+   * Their in-memory context died with that process (or was dropped by this
+   * queue), so they cannot be resumed. Jobs held by live queues, including
+   * this one, are left alone.
+   * @returns {Promise<number>} Number of jobs marked failed
+   */
+  async recover() {
+    const jobs = await this.store.findUnfinished();
+    const now = Date.now();
+    const orphaned = jobs.filter(
+      (job) => !this.contexts.has(job.id) && job.isLeaseExpired(now)
+    );
+
+    for (const job of orphaned) {
+      await this._fail(job, new Error("Interrupted by server restart"));
+    }
+
+    if (orphaned.length > 0) {
+      Logger.warn("jobs_interrupted", { count: orphaned.length });
+    }
+    return orphaned.length;
+  }
+
+  /**
+   * Resolve once no jobs are running, ready or waiting for a retry
+   */
+  onIdle() {
+    if (this._isIdle()) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  _leaseExpiry() {
+    return new Date(Date.now() + this.leaseMs).toISOString();
+  }
+
+  /**
+   * Keep a job's context and renew its lease until it finishes
+   */
+  _track(id, context) {
+    this.contexts.set(id, context);
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(
+      () => {
+        this.store
+          .renewLeases(
+            this.instanceId,
+            [...this.contexts.keys()],
+            this._leaseExpiry()
+          )
+          .catch((error) => Logger.error("job_lease_renewal_failed", error));
+      },
+      Math.max(1, Math.floor(this.leaseMs / 3))
+    );
+    this.heartbeat.unref?.();
+  }
+
+  _release(id) {
+    this.contexts.delete(id);
+    if (this.contexts.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  _isIdle() {
+    return (
+      this.running === 0 && this.ready.length === 0 && this.timers.size === 0
+    );
+  }
+
+  _schedule(id, delayMs) {
+    if (delayMs <= 0) {
+      this.ready.push(id);
+      this._drain();
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.ready.push(id);
+      this._drain();
+    }, delayMs);
+    timer.unref?.();
+    this.timers.add(timer);
+  }
+
+  _drain() {
+    while (this.running < this.concurrency && this.ready.length > 0) {
+      const id = this.ready.shift();
+      this.running++;
+      this._run(id).finally(() => {
+        this.running--;
+        this._drain();
+        if (this._isIdle()) {
+          this.idleWaiters.splice(0).forEach((resolve) => resolve());
+        }
+      });
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   * When the store fails, the job is dropped rather than kept (and its lease
+   * renewed) forever; recover() fails it once the lease lapses
+   */
+  async _run(id) {
+    try {
+      await this._attempt(id);
+    } catch (error) {
+      this._release(id);
+      Logger.error("job_runner_error", error, { jobId: id });
+    }
+  }
+
+  async _attempt(id) {
+    const queued = await this.store.findById(id);
+    if (!queued || queued.isFinished()) {
+      this._release(id);
+      return;
+    }
+
+    const job = await this.store.update(id, {
+      status: "running",
+      attempts: queued.attempts + 1,
+      lease_expires_at: this._leaseExpiry(),
+    });
+    const handler = this.handlers.get(job.type);
+
+    let result;
+    try {
+      result = await handler.run(job, this.contexts.get(id));
+    } catch (error) {
+      await this._handleFailure(job, error);
+      return;
+    }
+
+    await this.store.update(id, {
+      status: "completed",
+      result: result || null,
+      error: null,
+      completed_at: new Date().toISOString(),
+    });
+    this._release(id);
+
+    Logger.info("job_completed", { jobId: id, type: job.type });
+  }
+
+  /**
+   * Retry with exponential backoff, or fail the job on its last attempt
+   */
+  async _handleFailure(job, error) {
+    if (JobQueue.isRetryable(error) && !job.isLastAttempt()) {
+      const { backoffMs } = this.handlers.get(job.type);
+      const delayMs = backoffMs * 2 ** (job.attempts - 1);
+      await this.store.update(job.id, {
+        status: "queued",
+        error: error.message,
+        run_at: new Date(Date.now() + delayMs).toISOString(),
+      });
+      this._schedule(job.id, delayMs);
+
+      Logger.warn("job_retry_scheduled", {
+        jobId: job.id,
+        type: job.type,
+        attempt: job.attempts,
+        delayMs,
+        error: error.message,
+      });
+      return;
+    }
+
+    await this._fail(job, error);
+  }
+
+  /**
+   * Mark a job failed for good and run its type's onFail hook
+   */
+  async _fail(job, error) {
+    await this.store.update(job.id, {
+      status: "failed",
+      error: error.message,
+      completed_at: new Date().toISOString(),
+    });
+    this._release(job.id);
+
+    Logger.error("job_failed", error, { jobId: job.id, type: job.type });
+
+    const onFail = this.handlers.get(job.type)?.onFail;
+    if (!onFail) return;
+    try {
+      await onFail(job, error);
+    } catch (hookError) {
+      Logger.error("job_fail_hook_failed", hookError, { jobId: job.id });
+    }
+  }
+}
+
+JobQueue.NonRetryableJobError = NonRetryableJobError;
+
+module.exports = JobQueue;
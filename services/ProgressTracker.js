@@ -0,0 +1,228 @@
+/**
+ * Progress Tracker
+ * In-process event log for bulk uploads and regeneration batches.
+ * Every event is kept until the batch expires, so a client that subscribes
+ * late (or reconnects with Last-Event-ID) gets a full replay.
+ * Stream tokens let EventSource, which cannot send an Authorization header,
+ * subscribe to one batch for a short time.
+ */
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+} = require("../utils/errorHandler");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Per-file events after which a file no longer changes
+const FINAL_EVENTS = ["completed", "failed"];
+
+class ProgressTracker {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttlMs - How long a batch is kept after it is opened (default 1 hour)
+   * @param {number} options.maxOpenBatches - Unfinished batches one user may hold (default 20)
+   * @param {number} options.tokenTtlMs - How long a stream token is accepted (default 5 minutes)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 60 * 60 * 1000;
+    this.maxOpenBatches = options.maxOpenBatches || 20;
+    this.tokenTtlMs = options.tokenTtlMs || 5 * 60 * 1000;
+    this.batches = new Map();
+    // Tokens only have to outlive batches, which are kept in memory too
+    this.tokenSecret = crypto.randomBytes(32);
+  }
+
+  /**
+   * Get or reserve a batch owned by a user
+   * Clients may choose the id themselves and subscribe before starting the batch
+   * @param {string} [batchId] - Client-chosen UUID; generated when omitted
+   * @throws {ValidationError} When batchId is not a UUID
+   * @throws {NotFoundError} When the batch belongs to another user
+   * @throws {RateLimitError} When the user already holds too many unfinished batches
+   */
+  open(batchId, userId) {
+    const id = batchId || crypto.randomUUID();
+    if (typeof id !== "string" || !UUID_PATTERN.test(id)) {
+      throw new ValidationError("batchId must be a UUID");
+    }
+
+    let batch = this.batches.get(id);
+    if (batch && batch.userId !== userId) {
+      throw new NotFoundError("Batch");
+    }
+
+    if (!batch) {
+      const open = [...this.batches.values()].filter(
+        (existing) => existing.userId === userId && !existing.done
+      ).length;
+      if (open >= this.maxOpenBatches) {
+        throw new RateLimitError("Too many open progress batches");
+      }
+
+      batch = {
+        id,
+        userId,
+        type: null,
+        total: null,
+        events: [],
+        finished: new Map(),
+        emitter: new EventEmitter(),
+        done: false,
+      };
+      this.batches.set(id, batch);
+
+      const timer = setTimeout(() => this._expire(id), this.ttlMs);
+      timer.unref?.();
+    }
+
+    return batch;
+  }
+
+  /**
+   * Start a batch of `total` files
+   * @param {string} [batchId] - Client-chosen UUID; generated when omitted
+   * @param {{type: string, total: number}} info - type is "upload" or "regenerate"
+   * @returns {string} The batch id
+   * @throws {ConflictError} When the batch was already started
+   */
+  start(batchId, userId, { type, total }) {
+    const batch = this.open(batchId, userId);
+    if (batch.total !== null) {
+      throw new ConflictError("Batch already started");
+    }
+
+    batch.type = type;
+    batch.total = total;
+    this._append(batch, { event: "started", type, total });
+    return batch.id;
+  }
+
+  /**
+   * Record a per-file event
+   * Once every file has completed or failed a final "done" event is added
+   * @param {string} batchId
+   * @param {{event: string, index: number}} data - event is uploaded, analyzing, completed or failed
+   */
+  publish(batchId, { event, index, ...data }) {
+    const batch = this.batches.get(batchId);
+    if (!batch || batch.total === null || batch.done) {
+      return;
+    }
+
+    this._append(batch, { event, index, ...data });
+
+    if (FINAL_EVENTS.includes(event)) {
+      batch.finished.set(index, event);
+    }
+
+    if (batch.finished.size >= batch.total) {
+      const failed = [...batch.finished.values()].filter(
+        (status) => status === "failed"
+      ).length;
+
+      batch.done = true;
+      this._append(batch, {
+        event: "done",
+        total: batch.total,
+        completed: batch.total - failed,
+        failed,
+      });
+      batch.emitter.removeAllListeners();
+    }
+  }
+
+  /**
+   * Issue a token that lets one user stream one batch without a Bearer header
+   * Reserves the batch like open()
+   * @returns {{token: string, expiresAt: string}}
+   */
+  createStreamToken(batchId, userId) {
+    const batch = this.open(batchId, userId);
+    const expires = Date.now() + this.tokenTtlMs;
+
+    return {
+      token: `${expires}.${this._signToken(batch, expires)}`,
+      expiresAt: new Date(expires).toISOString(),
+    };
+  }
+
+  /**
+   * Check a stream token against an existing batch
+   * @returns {string|null} The batch owner's user id, or null when invalid
+   */
+  verifyStreamToken(batchId, token) {
+    const batch = this.batches.get(batchId);
+    const [expires, signature] = String(token || "").split(".");
+    if (!batch || !signature || !(parseInt(expires) > Date.now())) {
+      return null;
+    }
+
+    const expected = Buffer.from(this._signToken(batch, expires));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected)
+      ? batch.userId
+      : null;
+  }
+
+  /**
+   * Replay past events and listen for new ones
+   * @param {Function} listener - Called with each event
+   * @param {Object} options - { after } skips events up to this sequence
+   *   number; { onExpire } is called if the batch expires before it is done
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(batchId, userId, listener, options = {}) {
+    const batch = this.open(batchId, userId);
+    const after = options.after || 0;
+
+    batch.events
+      .filter((event) => event.seq > after)
+      .forEach((event) => listener(event));
+
+    if (batch.done) {
+      return () => {};
+    }
+
+    const onExpire = options.onExpire || (() => {});
+    batch.emitter.on("event", listener);
+    batch.emitter.once("expired", onExpire);
+    return () => {
+      batch.emitter.off("event", listener);
+      batch.emitter.off("expired", onExpire);
+    };
+  }
+
+  _expire(id) {
+    const batch = this.batches.get(id);
+    this.batches.delete(id);
+    batch.emitter.emit("expired");
+    batch.emitter.removeAllListeners();
+  }
+
+  _signToken(batch, expires) {
+    return crypto
+      .createHmac("sha256", this.tokenSecret)
+      .update(`${batch.id}.${batch.userId}.${expires}`)
+      .digest("hex");
+  }
+
+  _append(batch, data) {
+    const event = {
+      seq: batch.events.length + 1,
+      batchId: batch.id,
+      ...data,
+      timestamp: new Date().toISOString(),
+    };
+    batch.events.push(event);
+    batch.emitter.emit("event", event);
+  }
+}
+
+module.exports = ProgressTracker;
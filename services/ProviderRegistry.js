@@ -0,0 +1,52 @@
+/**
+ * Provider Registry
+ * Maps provider names to factories so implementations can be selected by configuration
+ */
+
+const { ValidationError } = require("../utils/errorHandler");
+
+class ProviderRegistry {
+  constructor(kind) {
+    this.kind = kind;
+    this._factories = new Map();
+  }
+
+  /**
+   * Register a provider factory
+   * @param {string} name - Provider name (case-insensitive)
+   * @param {Function} factory - Returns a new provider instance
+   */
+  register(name, factory) {
+    this._factories.set(name.toLowerCase(), factory);
+    return this;
+  }
+
+  /**
+   * Check if a provider is registered
+   */
+  has(name) {
+    return typeof name === "string" && this._factories.has(name.toLowerCase());
+  }
+
+  /**
+   * List registered provider names
+   */
+  list() {
+    return Array.from(this._factories.keys());
+  }
+
+  /**
+   * Create a provider instance
+   */
+  create(name, ...args) {
+    if (!this.has(name)) {
+      throw new ValidationError(`Unknown ${this.kind} provider`, {
+        provider: name,
+        available: this.list(),
+      });
+    }
+    return this._factories.get(name.toLowerCase())(...args);
+  }
+}
+
+module.exports = ProviderRegistry;
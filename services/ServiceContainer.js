@@ -3,15 +3,129 @@
  * Simple dependency injection container
  */
 
-const { getSupabaseClient } = require("../config/supabase");
+const { getSupabaseClient, getSupabaseAdmin } = require("../config/supabase");
+const { getS3Client } = require("../config/s3");
 const FileRepository = require("../repositories/FileRepository");
+const TagStyleRepository = require("../repositories/TagStyleRepository");
+const WebhookRepository = require("../repositories/WebhookRepository");
 const SupabaseStorageProvider = require("./implementations/SupabaseStorageProvider");
+const LocalDiskStorageProvider = require("./implementations/LocalDiskStorageProvider");
+const S3StorageProvider = require("./implementations/S3StorageProvider");
 const OpenAIService = require("./implementations/OpenAIService");
+const AnthropicService = require("./implementations/AnthropicService");
+const MockAIService = require("./implementations/MockAIService");
+const LocalModelService = require("./implementations/LocalModelService");
+const MemoryJobStore = require("./implementations/MemoryJobStore");
+const SupabaseJobStore = require("./implementations/SupabaseJobStore");
+const ProviderRegistry = require("./ProviderRegistry");
+const JobQueue = require("./JobQueue");
+const ProgressTracker = require("./ProgressTracker");
+const UploadSessionStore = require("./UploadSessionStore");
 const UploadService = require("./UploadService");
+const ExportService = require("./ExportService");
+const SignedUrlService = require("./SignedUrlService");
+const ImageRenderService = require("./ImageRenderService");
+const WebhookService = require("./WebhookService");
+
+// AI providers selectable via AI_PROVIDER or a per-request `provider` parameter
+const aiProviders = new ProviderRegistry("AI")
+  .register(
+    "openai",
+    () =>
+      new OpenAIService(process.env.OPENAI_API_KEY, {
+        model: process.env.OPENAI_MODEL,
+        maxRepairAttempts: process.env.AI_MAX_REPAIR_ATTEMPTS,
+      })
+  )
+  .register(
+    "anthropic",
+    () =>
+      new AnthropicService(process.env.ANTHROPIC_API_KEY, {
+        model: process.env.ANTHROPIC_MODEL,
+        maxRepairAttempts: process.env.AI_MAX_REPAIR_ATTEMPTS,
+      })
+  )
+  .register(
+    "local",
+    () =>
+      new LocalModelService({
+        baseUrl: process.env.LOCAL_AI_BASE_URL,
+        model: process.env.LOCAL_AI_MODEL,
+        apiStyle: process.env.LOCAL_AI_API_STYLE,
+        apiKey: process.env.LOCAL_AI_API_KEY,
+        timeoutMs: parseInt(process.env.LOCAL_AI_TIMEOUT_MS) || undefined,
+        maxRepairAttempts: process.env.AI_MAX_REPAIR_ATTEMPTS,
+      })
+  )
+  .register("mock", () => new MockAIService());
+
+// Storage backends selectable via STORAGE_PROVIDER
+const storageProviders = new ProviderRegistry("storage")
+  .register(
+    "supabase",
+    (container) => new SupabaseStorageProvider(container.getSupabaseClient())
+  )
+  .register(
+    "local",
+    () =>
+      new LocalDiskStorageProvider({
+        rootDir: process.env.LOCAL_STORAGE_ROOT,
+        baseUrl: process.env.LOCAL_STORAGE_BASE_URL,
+        signingSecret: process.env.LOCAL_STORAGE_SIGNING_SECRET,
+        urlExpiresIn: process.env.SIGNED_URL_EXPIRES_IN,
+      })
+  )
+  .register(
+    "s3",
+    () =>
+      new S3StorageProvider(getS3Client(), process.env.S3_BUCKET, {
+        urlExpiresIn: process.env.SIGNED_URL_EXPIRES_IN,
+      })
+  );
+
+// Job persistence backends selectable via JOB_STORE
+const jobStores = new ProviderRegistry("job store")
+  .register("memory", () => new MemoryJobStore())
+  .register("supabase", () => new SupabaseJobStore(getSupabaseAdmin()));
+
+// One queue per process; jobs outlive the request that created them
+const jobQueue = new JobQueue(
+  jobStores.create(process.env.JOB_STORE || "memory"),
+  {
+    concurrency: process.env.AI_JOB_CONCURRENCY,
+    maxAttempts: process.env.AI_JOB_MAX_ATTEMPTS,
+    backoffMs: process.env.AI_JOB_BACKOFF_MS,
+    leaseMs: process.env.JOB_LEASE_MS,
+  }
+);
+
+// Bulk upload / regeneration progress, streamed over SSE
+const progressTracker = new ProgressTracker();
+
+// Resumable upload sessions; chunks are kept on local disk until assembled
+const uploadSessions = new UploadSessionStore({
+  directory: process.env.UPLOAD_SESSION_DIR,
+  maxSizeMB: process.env.RESUMABLE_UPLOAD_MAX_SIZE_MB,
+  expiresIn: process.env.RESUMABLE_UPLOAD_EXPIRES_IN,
+});
+
+// Signed URLs reused across requests, one cache per storage backend
+const signedUrlCaches = new Map();
+
+// Rendered images reused across requests
+const renderCache = new Map();
 
 class ServiceContainer {
-  constructor(userToken) {
+  /**
+   * @param {string} userToken - Access token of the authenticated user
+   * @param {Object} options - Per-request overrides ({ aiProvider }); with
+   *   { serviceRole: true } every repository uses the service-role client,
+   *   for background work with no user token. Repositories still filter by
+   *   user id.
+   */
+  constructor(userToken, options = {}) {
     this.userToken = userToken;
+    this.options = options;
     this._services = {};
   }
 
@@ -20,7 +134,9 @@ class ServiceContainer {
    */
   getSupabaseClient() {
     if (!this._services.supabaseClient) {
-      this._services.supabaseClient = getSupabaseClient(this.userToken);
+      this._services.supabaseClient = this.options.serviceRole
+        ? getSupabaseAdmin()
+        : getSupabaseClient(this.userToken);
     }
     return this._services.supabaseClient;
   }
@@ -37,26 +153,156 @@ class ServiceContainer {
   }
 
   /**
-   * Get Storage Provider
+   * Get a File Repository on the service-role client
+   * Bypasses row level security: only for requests without a user token
+   * that are authorized otherwise, such as signed storage URLs
+   */
+  getAdminFileRepository() {
+    if (!this._services.adminFileRepository) {
+      this._services.adminFileRepository = new FileRepository(
+        getSupabaseAdmin()
+      );
+    }
+    return this._services.adminFileRepository;
+  }
+
+  /**
+   * Get Tag Style Repository
+   */
+  getTagStyleRepository() {
+    if (!this._services.tagStyleRepository) {
+      const supabase = this.getSupabaseClient();
+      this._services.tagStyleRepository = new TagStyleRepository(supabase);
+    }
+    return this._services.tagStyleRepository;
+  }
+
+  /**
+   * Get Webhook Repository
+   */
+  getWebhookRepository() {
+    if (!this._services.webhookRepository) {
+      const supabase = this.getSupabaseClient();
+      this._services.webhookRepository = new WebhookRepository(supabase);
+    }
+    return this._services.webhookRepository;
+  }
+
+  /**
+   * Get Storage Provider for the configured backend
    */
   getStorageProvider() {
     if (!this._services.storageProvider) {
-      const supabase = this.getSupabaseClient();
-      this._services.storageProvider = new SupabaseStorageProvider(supabase);
+      this._services.storageProvider = storageProviders.create(
+        process.env.STORAGE_PROVIDER || "supabase",
+        this
+      );
     }
     return this._services.storageProvider;
   }
 
   /**
-   * Get AI Service
+   * Get AI Service for the requested or configured provider
    */
   getAIService() {
     if (!this._services.aiService) {
-      this._services.aiService = new OpenAIService(process.env.OPENAI_API_KEY);
+      const provider =
+        this.options.aiProvider || process.env.AI_PROVIDER || "openai";
+      this._services.aiService = aiProviders.create(provider);
     }
     return this._services.aiService;
   }
 
+  /**
+   * Get the process-wide background job queue
+   */
+  getJobQueue() {
+    return jobQueue;
+  }
+
+  /**
+   * Get the process-wide batch progress tracker
+   */
+  getProgressTracker() {
+    return progressTracker;
+  }
+
+  /**
+   * Get the process-wide resumable upload session store
+   */
+  getUploadSessionStore() {
+    return uploadSessions;
+  }
+
+  /**
+   * Get Webhook Service
+   */
+  getWebhookService() {
+    if (!this._services.webhookService) {
+      this._services.webhookService = new WebhookService(
+        this.getWebhookRepository(),
+        this.getJobQueue(),
+        {
+          userToken: this.userToken,
+          serviceRole: this.options.serviceRole,
+          timeoutMs: process.env.WEBHOOK_TIMEOUT_MS,
+          allowPrivateNetworks:
+            process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === "true",
+        }
+      );
+    }
+    return this._services.webhookService;
+  }
+
+  /**
+   * Get Export Service
+   */
+  getExportService() {
+    if (!this._services.exportService) {
+      this._services.exportService = new ExportService(
+        this.getStorageProvider(),
+        { prefetch: process.env.EXPORT_PREFETCH }
+      );
+    }
+    return this._services.exportService;
+  }
+
+  /**
+   * Get Signed URL Service for serializing files
+   */
+  getSignedUrlService() {
+    if (!this._services.signedUrlService) {
+      const backend = process.env.STORAGE_PROVIDER || "supabase";
+      if (!signedUrlCaches.has(backend)) {
+        signedUrlCaches.set(backend, new Map());
+      }
+
+      this._services.signedUrlService = new SignedUrlService(
+        this.getStorageProvider(),
+        signedUrlCaches.get(backend),
+        { expiresIn: process.env.SIGNED_URL_EXPIRES_IN }
+      );
+    }
+    return this._services.signedUrlService;
+  }
+
+  /**
+   * Get Image Render Service for on-the-fly transformations
+   */
+  getImageRenderService() {
+    if (!this._services.imageRenderService) {
+      this._services.imageRenderService = new ImageRenderService(
+        this.getStorageProvider(),
+        renderCache,
+        {
+          maxDimension: process.env.RENDER_MAX_DIMENSION,
+          cacheMaxMB: process.env.RENDER_CACHE_MAX_MB,
+        }
+      );
+    }
+    return this._services.imageRenderService;
+  }
+
   /**
    * Get Upload Service (with all dependencies injected)
    */
@@ -65,15 +311,77 @@ class ServiceContainer {
       const storageProvider = this.getStorageProvider();
       const aiService = this.getAIService();
       const fileRepository = this.getFileRepository();
+      const tagStyleRepository = this.getTagStyleRepository();
 
       this._services.uploadService = new UploadService(
         storageProvider,
         aiService,
-        fileRepository
+        fileRepository,
+        tagStyleRepository,
+        this.getJobQueue(),
+        this.getProgressTracker(),
+        this.getWebhookService(),
+        this.getUploadSessionStore()
       );
     }
     return this._services.uploadService;
   }
 }
 
+/**
+ * Container for a job's in-memory context
+ * @throws {NonRetryableJobError} When the context was lost
+ */
+function containerForJob(context = {}, options = {}) {
+  if (context.serviceRole) {
+    return new ServiceContainer(null, { ...options, serviceRole: true });
+  }
+  if (!context.userToken) {
+    throw new JobQueue.NonRetryableJobError("Job context unavailable");
+  }
+  return new ServiceContainer(context.userToken, options);
+}
+
+// Analysis jobs run with the uploading user's token and chosen provider.
+// A job that fails for good marks its file failed; that may happen after the
+// user's token is gone (see JobQueue#recover), so it uses the service role
+jobQueue.register(
+  UploadService.ANALYSIS_JOB,
+  async (job, context) => {
+    const container = containerForJob(context, {
+      aiProvider: job.payload.provider,
+    });
+    return container.getUploadService().runAnalysisJob(job);
+  },
+  {
+    onFail: (job, error) => {
+      const container = new ServiceContainer(null, {
+        aiProvider: job.payload.provider,
+        serviceRole: true,
+      });
+      return container.getUploadService().failAnalysisJob(job, error);
+    },
+  }
+);
+
+// Webhook deliveries retry on their own, slower schedule
+jobQueue.register(
+  WebhookService.DELIVERY_JOB,
+  async (job, context) => {
+    const container = containerForJob(context);
+    return container.getWebhookService().runDeliveryJob(job);
+  },
+  {
+    maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS || 5,
+    backoffMs: process.env.WEBHOOK_BACKOFF_MS || 10000,
+  }
+);
+
+ServiceContainer.aiProviders = aiProviders;
+ServiceContainer.storageProviders = storageProviders;
+ServiceContainer.jobStores = jobStores;
+ServiceContainer.jobQueue = jobQueue;
+ServiceContainer.progressTracker = progressTracker;
+ServiceContainer.uploadSessions = uploadSessions;
+
 module.exports = ServiceContainer;
@@ -0,0 +1,108 @@
+/**
+ * Signed URL Service
+ * Mints short-lived storage URLs when files are serialized instead of
+ * persisting long-lived ones. URLs are cached across requests and reused
+ * until half their lifetime has passed, so a client always receives a URL
+ * that stays valid for at least half the TTL.
+ */
+
+const Logger = require("../utils/logger");
+
+const DEFAULT_EXPIRES_IN = 3600;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+class SignedUrlService {
+  /**
+   * @param {IStorageProvider} storageProvider
+   * @param {Map} cache - Shared between requests; storage path → pending URL
+   * @param {Object} options
+   * @param {number|string} options.expiresIn - URL lifetime in seconds (default 3600)
+   * @param {number} options.maxEntries - Cached URLs kept before the oldest is dropped
+   */
+  constructor(storageProvider, cache, options = {}) {
+    this.storageProvider = storageProvider;
+    this.cache = cache;
+    this.expiresIn = parseInt(options.expiresIn) || DEFAULT_EXPIRES_IN;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  }
+
+  /**
+   * Get a signed URL for a storage path, reusing a cached one while fresh
+   * Concurrent requests for the same path share one signing call.
+   * @param {string} path
+   * @returns {Promise<string>}
+   */
+  async getUrl(path) {
+    const cached = this.cache.get(path);
+    if (cached && cached.refreshAt > Date.now()) {
+      return cached.url;
+    }
+
+    const url = this.storageProvider.getPublicUrl(path, {
+      expiresIn: this.expiresIn,
+    });
+    const entry = {
+      url,
+      refreshAt: Date.now() + (this.expiresIn * 1000) / 2,
+    };
+
+    // Re-inserting keeps the Map in least-recently-signed order
+    this.cache.delete(path);
+    this.cache.set(path, entry);
+    if (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    try {
+      return await url;
+    } catch (error) {
+      if (this.cache.get(path) === entry) {
+        this.cache.delete(path);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set a fresh publicUrl on each file, and a url on each of its renditions,
+   * before it is serialized
+   * A file that cannot be signed gets a null URL rather than failing the list.
+   * @param {File[]} files
+   * @returns {Promise<File[]>} The same files
+   */
+  async attachUrls(files) {
+    await Promise.all(
+      files.map(async (file) => {
+        const [publicUrl, renditions] = await Promise.all([
+          this._signOrNull(file.filePath, file.id),
+          Promise.all(
+            Object.entries(file.renditions || {}).map(
+              async ([name, rendition]) => [
+                name,
+                {
+                  ...rendition,
+                  url: await this._signOrNull(rendition.path, file.id),
+                },
+              ]
+            )
+          ),
+        ]);
+
+        file.publicUrl = publicUrl;
+        file.renditions = Object.fromEntries(renditions);
+      })
+    );
+    return files;
+  }
+
+  async _signOrNull(path, fileId) {
+    try {
+      return await this.getUrl(path);
+    } catch (error) {
+      Logger.error("signed_url_failed", error, { fileId });
+      return null;
+    }
+  }
+}
+
+module.exports = SignedUrlService;
@@ -4,24 +4,172 @@
  */
 
 const FileService = require("../utils/fileService");
+const {
+  renditionPath,
+  renderRenditions,
+  renderForAnalysis,
+} = require("../utils/imageRenditions");
+const {
+  canStripMetadata,
+  stripIdentifyingMetadata,
+} = require("../utils/imageMetadata");
+const { readImageMetadata } = require("../utils/imageMetadataReader");
+const {
+  SVG_MIME_TYPE,
+  toWebFriendly,
+  sanitizeSvg,
+} = require("../utils/imageConversion");
 const Logger = require("../utils/logger");
+const { TAG_STYLES, resolveTagStyle, resolveLanguage } = require("./aiPrompts");
 const {
   ValidationError,
+  ConflictError,
   ExternalServiceError,
 } = require("../utils/errorHandler");
 
+const ANALYSIS_JOB = "analyze_file";
+// What uploadAndProcess does with bytes the user already uploaded
+const DUPLICATE_ACTIONS = ["link", "return", "reject"];
+// Size limit for uploads unless the caller sets options.maxSizeMB
+const DEFAULT_MAX_SIZE_MB = 10;
+const CONTENT_MISMATCH_MESSAGE = "File content is not a supported image type";
+
 class UploadService {
-  constructor(storageProvider, aiService, fileRepository) {
+  static ANALYSIS_JOB = ANALYSIS_JOB;
+
+  constructor(
+    storageProvider,
+    aiService,
+    fileRepository,
+    tagStyleRepository,
+    jobQueue,
+    progressTracker,
+    webhookService,
+    uploadSessions
+  ) {
     this.storageProvider = storageProvider;
     this.aiService = aiService;
     this.fileRepository = fileRepository;
+    this.tagStyleRepository = tagStyleRepository;
+    this.jobQueue = jobQueue;
+    this.progressTracker = progressTracker;
+    this.webhookService = webhookService;
+    this.uploadSessions = uploadSessions;
+  }
+
+  /**
+   * Resolve a tag style name to a prompt config
+   * Checks built-in styles first, then the user's custom styles
+   * @throws {ValidationError} When the style does not exist
+   */
+  async resolveTagStyle(tagStyle = "neutral", userId) {
+    const resolved = resolveTagStyle(tagStyle);
+    if (resolved) {
+      return resolved;
+    }
+
+    if (typeof tagStyle === "string" && this.tagStyleRepository) {
+      const customStyle = await this.tagStyleRepository.findByName(
+        userId,
+        tagStyle.trim().toLowerCase()
+      );
+      if (customStyle) {
+        return customStyle.toStyleConfig();
+      }
+    }
+
+    throw new ValidationError("Unknown tag style", {
+      tagStyle,
+      builtInStyles: Object.keys(TAG_STYLES),
+    });
+  }
+
+  /**
+   * Validate an optional output language
+   * @returns {string|null} Canonical language code, or null when not requested
+   * @throws {ValidationError} When the language is not recognised
+   */
+  resolveLanguage(language) {
+    if (language === undefined || language === null || language === "") {
+      return null;
+    }
+
+    const resolved = resolveLanguage(language);
+    if (!resolved) {
+      throw new ValidationError("Unsupported language", { language });
+    }
+    return resolved.code;
+  }
+
+  /**
+   * Build a translation entry to merge into a file's translations
+   */
+  buildTranslations(existing, language, aiResult) {
+    if (!language) {
+      return existing || {};
+    }
+
+    return {
+      ...(existing || {}),
+      [language]: {
+        description: aiResult.description,
+        tags: aiResult.tags,
+        captions: aiResult.captions || {},
+        tagStyle: aiResult.tagStyle,
+        updatedAt: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Validate an onDuplicate option
+   * @returns {string} "link" (default), "return" or "reject"
+   * @throws {ValidationError}
+   */
+  resolveDuplicateAction(onDuplicate) {
+    if (
+      onDuplicate === undefined ||
+      onDuplicate === null ||
+      onDuplicate === ""
+    ) {
+      return "link";
+    }
+
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      throw new ValidationError("Invalid onDuplicate option", {
+        onDuplicate,
+        allowed: DUPLICATE_ACTIONS,
+      });
+    }
+    return onDuplicate;
   }
 
   /**
    * Upload and process a single file
+   * With options.deferAnalysis the file is stored as "processing" and the
+   * caller queues the analysis (see queueAnalysis). options.maxSizeMB
+   * raises the size limit for uploads that did not pass through multer.
+   * With options.stripMetadata GPS and identifying fields are removed
+   * before the file is stored (the owner's privacy setting). The recorded
+   * type is the one detected from the file's bytes, not the declared one.
+   *
+   * Bytes the user already uploaded are handled per options.onDuplicate:
+   * "link" (default) creates a record for the existing storage object,
+   * "return" returns the existing file and "reject" throws. Duplicates reuse
+   * the original's analysis, so the result's `duplicate` tells the caller not
+   * to queue one, unless `analysisRequired` is set: the linked original was
+   * never analyzed, so the new record is "processing" like any other upload.
+   * @returns {Promise<{file: File, aiResult: Object|null, duplicate: Object|null, analysisRequired: boolean}>}
+   * @throws {ConflictError} When onDuplicate is "reject" and the file exists
    */
   async uploadAndProcess(file, userId, options = {}) {
-    const { tagStyle = "neutral", analyzeWithAI = true } = options;
+    const {
+      analyzeWithAI = true,
+      deferAnalysis = false,
+      maxSizeMB = DEFAULT_MAX_SIZE_MB,
+      stripMetadata = false,
+    } = options;
+    const onDuplicate = this.resolveDuplicateAction(options.onDuplicate);
 
     // Validate file
     const fileMetadata = FileService.getFileMetadata(file);
@@ -37,27 +185,123 @@ class UploadService {
     }
 
     // Validate file size
-    if (!FileService.validateFileSize(fileMetadata.size)) {
+    if (!FileService.validateFileSize(fileMetadata.size, maxSizeMB)) {
       Logger.security("file_too_large", userId, { size: fileMetadata.size });
-      throw new ValidationError("File size exceeds limit", { maxSize: "10MB" });
+      throw new ValidationError("File size exceeds limit", {
+        maxSize: `${maxSizeMB}MB`,
+      });
     }
 
+    // The filename and mimetype come from the client; the bytes decide
+    const detectedType = FileService.detectMimeType(fileMetadata.buffer);
+    if (!detectedType) {
+      Logger.security("file_content_mismatch", userId, {
+        filename,
+        extension,
+        mimeType: fileMetadata.mimeType,
+      });
+      throw new ValidationError(CONTENT_MISMATCH_MESSAGE, {
+        mimeType: fileMetadata.mimeType,
+      });
+    }
+    if (detectedType !== fileMetadata.mimeType?.toLowerCase()) {
+      Logger.warn("file_type_corrected", {
+        userId,
+        filename,
+        mimeType: fileMetadata.mimeType,
+        detectedType,
+      });
+    }
+    fileMetadata.mimeType = detectedType;
+
+    // Resolve tag style before storing anything so unknown styles fail fast
+    const tagStyle = analyzeWithAI
+      ? await this.resolveTagStyle(options.tagStyle, userId)
+      : null;
+    const language = analyzeWithAI
+      ? this.resolveLanguage(options.language)
+      : null;
+
     Logger.security("file_upload_attempt", userId, {
       filename,
       size: fileMetadata.size,
       mimeType: fileMetadata.mimeType,
     });
 
+    // Everything after this point (hash, storage, metadata) sees the
+    // sanitized and stripped bytes
+    if (fileMetadata.mimeType === SVG_MIME_TYPE) {
+      try {
+        fileMetadata.buffer = this._sanitizeSvg(fileMetadata.buffer, userId, {
+          filename,
+        });
+      } catch (error) {
+        Logger.security("svg_rejected", userId, { filename });
+        throw error;
+      }
+      fileMetadata.size = fileMetadata.buffer.length;
+    }
+
+    if (stripMetadata) {
+      try {
+        fileMetadata.buffer = this._stripMetadata(
+          fileMetadata.buffer,
+          fileMetadata.mimeType
+        );
+      } catch (error) {
+        Logger.security("metadata_strip_failed", userId, {
+          filename,
+          mimeType: fileMetadata.mimeType,
+        });
+        throw error;
+      }
+      fileMetadata.size = fileMetadata.buffer.length;
+    }
+
+    const contentHash = FileService.computeContentHash(fileMetadata.buffer);
+    const existing = await this.fileRepository.findByContentHash(
+      userId,
+      contentHash
+    );
+
+    if (existing) {
+      const result = await this._handleDuplicate(
+        existing,
+        fileMetadata,
+        userId,
+        onDuplicate,
+        { analyzeWithAI }
+      );
+
+      if (result.analysisRequired && !deferAnalysis) {
+        const web = await this._webFriendly(
+          fileMetadata.buffer,
+          fileMetadata.mimeType,
+          userId
+        );
+        result.aiResult = await this._analyzeUpload(result.file, web, userId, {
+          tagStyle,
+          language,
+        });
+        result.analysisRequired = false;
+      }
+      return result;
+    }
+
     try {
       // Upload to storage
-      const { publicUrl } = await this.storageProvider.uploadFile(
+      await this.storageProvider.uploadFile(fileMetadata.buffer, path, {
+        contentType: fileMetadata.mimeType,
+        cacheControl: "3600",
+      });
+
+      const web = await this._webFriendly(
         fileMetadata.buffer,
-        path,
-        {
-          contentType: fileMetadata.mimeType,
-          cacheControl: "3600",
-        }
+        fileMetadata.mimeType,
+        userId
       );
+      const renditions = await this._storeRenditions(web.buffer, path, userId);
+      const metadata = await this._readMetadata(fileMetadata.buffer, userId);
 
       // Create database record
       const fileRecord = await this.fileRepository.create({
@@ -65,7 +309,9 @@ class UploadService {
         file_path: path,
         file_size: fileMetadata.size,
         mime_type: fileMetadata.mimeType,
-        public_url: publicUrl,
+        content_hash: contentHash,
+        renditions,
+        metadata,
         user_id: userId,
         status: analyzeWithAI ? "processing" : "uploaded",
       });
@@ -75,34 +321,24 @@ class UploadService {
         filename,
         size: fileMetadata.size,
       });
+      await this._notify(userId, "file.uploaded", {
+        file: fileRecord.toJSON(),
+      });
 
-      // Analyze with AI if requested
-      let aiResult = null;
-      if (analyzeWithAI && fileRecord.isImage()) {
-        aiResult = await this.aiService.analyzeImage(publicUrl, tagStyle);
-
-        if (aiResult.success) {
-          await this.fileRepository.update(fileRecord.id, userId, {
-            description: aiResult.description,
-            tags: aiResult.tags,
-            status: "completed",
-            updated_at: new Date().toISOString(),
-          });
-
-          fileRecord.description = aiResult.description;
-          fileRecord.tags = aiResult.tags;
-          fileRecord.status = "completed";
-        } else {
-          await this.fileRepository.update(fileRecord.id, userId, {
-            status: "failed",
-          });
-          fileRecord.status = "failed";
-        }
-      }
+      // Analyze with AI if requested (send the bytes we already hold, not a URL)
+      const aiResult =
+        analyzeWithAI && !deferAnalysis && fileRecord.isImage()
+          ? await this._analyzeUpload(fileRecord, web, userId, {
+              tagStyle,
+              language,
+            })
+          : null;
 
       return {
         file: fileRecord,
         aiResult,
+        duplicate: null,
+        analysisRequired: false,
       };
     } catch (error) {
       Logger.error("file_upload_failed", error, { userId, filename });
@@ -115,23 +351,731 @@ class UploadService {
     }
   }
 
+  /**
+   * Analyze a just-stored upload and record the result on its file
+   * @param {{buffer: Buffer, mimeType: string}} image - A web-friendly copy
+   * @returns {Promise<Object>} The AI result, successful or not
+   */
+  async _analyzeUpload(fileRecord, image, userId, { tagStyle, language }) {
+    const copy = await this._analysisCopy(image, userId);
+    const aiResult = await this.aiService.analyzeImage(
+      FileService.toDataUrl(copy.buffer, copy.mimeType),
+      tagStyle,
+      { language }
+    );
+
+    if (aiResult.success) {
+      const translations = this.buildTranslations(
+        fileRecord.translations,
+        language,
+        aiResult
+      );
+
+      await this.fileRepository.update(fileRecord.id, userId, {
+        description: aiResult.description,
+        tags: aiResult.tags,
+        captions: aiResult.captions || {},
+        translations,
+        status: "completed",
+        updated_at: new Date().toISOString(),
+      });
+
+      fileRecord.description = aiResult.description;
+      fileRecord.tags = aiResult.tags;
+      fileRecord.captions = aiResult.captions || {};
+      fileRecord.translations = translations;
+      fileRecord.status = "completed";
+      await this._notify(userId, "file.analysis_completed", {
+        file: fileRecord.toJSON(),
+      });
+    } else {
+      await this.fileRepository.update(fileRecord.id, userId, {
+        status: "failed",
+      });
+      fileRecord.status = "failed";
+      await this._notify(userId, "file.analysis_failed", {
+        file: fileRecord.toJSON(),
+        error: aiResult.error,
+      });
+    }
+
+    return aiResult;
+  }
+
+  /**
+   * Render and store an image's thumbnail and preview next to the original
+   * Renditions are an optimization: when they cannot be made the upload
+   * still succeeds and clients fall back to the original
+   * @returns {Promise<Object>} name → { path, width, height, mimeType }
+   */
+  async _storeRenditions(buffer, path, userId) {
+    const stored = [];
+    try {
+      const renditions = {};
+      for (const rendition of await renderRenditions(buffer)) {
+        const target = renditionPath(path, rendition.name);
+        await this.storageProvider.uploadFile(rendition.buffer, target, {
+          contentType: rendition.mimeType,
+          cacheControl: "3600",
+        });
+        stored.push(target);
+        renditions[rendition.name] = {
+          path: target,
+          width: rendition.width,
+          height: rendition.height,
+          mimeType: rendition.mimeType,
+        };
+      }
+      return renditions;
+    } catch (error) {
+      Logger.warn("rendition_failed", { userId, path, error: error.message });
+      if (stored.length > 0) {
+        await this.storageProvider.deleteFiles(stored).catch(() => {});
+      }
+      return {};
+    }
+  }
+
+  /**
+   * The image, or a JPEG/PNG conversion of it when its format is one
+   * browsers and AI providers cannot read (HEIC, AVIF, TIFF, SVG)
+   * A failed conversion returns the original; renditions and analysis of it
+   * then fail on their own
+   * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+   */
+  async _webFriendly(buffer, mimeType, userId) {
+    try {
+      return await toWebFriendly(buffer, mimeType);
+    } catch (error) {
+      Logger.warn("image_conversion_failed", {
+        userId,
+        mimeType,
+        error: error.message,
+      });
+      return { buffer, mimeType };
+    }
+  }
+
+  /**
+   * A copy of a web-friendly image scaled down for the AI provider, or the
+   * image itself when it cannot be decoded
+   * @param {{buffer: Buffer, mimeType: string}} image
+   * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+   */
+  async _analysisCopy(image, userId) {
+    try {
+      return await renderForAnalysis(image.buffer, image.mimeType);
+    } catch (error) {
+      Logger.warn("analysis_resize_failed", {
+        userId,
+        mimeType: image.mimeType,
+        error: error.message,
+      });
+      return image;
+    }
+  }
+
+  /**
+   * Remove scripts and external references from an SVG before it is stored
+   * @returns {Buffer}
+   * @throws {ValidationError} When nothing of the drawing is left
+   */
+  _sanitizeSvg(buffer, userId, details) {
+    let sanitized;
+    try {
+      sanitized = sanitizeSvg(buffer);
+    } catch (error) {
+      throw new ValidationError("SVG could not be sanitized", {
+        reason: error.message,
+      });
+    }
+
+    if (sanitized.removed > 0) {
+      Logger.security("svg_sanitized", userId, {
+        ...details,
+        removed: sanitized.removed,
+      });
+    }
+    return sanitized.buffer;
+  }
+
+  /**
+   * Remove GPS and identifying metadata from an image before it is stored
+   * Formats that do not carry such metadata are returned unchanged
+   * @returns {Buffer}
+   * @throws {ValidationError} When the image is too malformed to strip
+   */
+  _stripMetadata(buffer, mimeType) {
+    if (!canStripMetadata(mimeType)) {
+      return buffer;
+    }
+
+    try {
+      return stripIdentifyingMetadata(buffer, mimeType);
+    } catch (error) {
+      throw new ValidationError("Image metadata could not be removed", {
+        reason: error.message,
+      });
+    }
+  }
+
+  /**
+   * Read an image's EXIF/IPTC/XMP metadata for its file record
+   * Like renditions, metadata is optional: unreadable images get none
+   * @returns {Promise<Object>}
+   */
+  async _readMetadata(buffer, userId) {
+    try {
+      return await readImageMetadata(buffer);
+    } catch (error) {
+      Logger.warn("metadata_read_failed", { userId, error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Apply the onDuplicate action to an upload whose bytes match `existing`
+   * With options.analyzeWithAI a link to an original without analysis is
+   * left "processing" and `analysisRequired` is set for the caller
+   */
+  async _handleDuplicate(existing, fileMetadata, userId, onDuplicate, options) {
+    const { analyzeWithAI = false } = options || {};
+    const duplicate = { action: onDuplicate, fileId: existing.id };
+
+    Logger.audit("duplicate_upload", userId, {
+      fileId: existing.id,
+      filename: fileMetadata.originalName,
+      action: onDuplicate,
+    });
+
+    if (onDuplicate === "reject") {
+      throw new ConflictError("File has already been uploaded", {
+        fileId: existing.id,
+      });
+    }
+
+    if (onDuplicate === "return") {
+      return {
+        file: existing,
+        aiResult: null,
+        duplicate,
+        analysisRequired: false,
+      };
+    }
+
+    // Link: a new record sharing the stored object and the analysis
+    const analyzed = existing.hasAIAnalysis();
+    const analysisRequired = analyzeWithAI && !analyzed;
+    const fileRecord = await this.fileRepository.create({
+      filename: fileMetadata.originalName,
+      file_path: existing.filePath,
+      file_size: existing.fileSize,
+      mime_type: existing.mimeType,
+      content_hash: existing.contentHash,
+      renditions: existing.renditions,
+      metadata: existing.metadata,
+      user_id: userId,
+      status: analyzed
+        ? "completed"
+        : analysisRequired
+          ? "processing"
+          : "uploaded",
+      ...(analyzed && {
+        description: existing.description,
+        tags: existing.tags,
+        captions: existing.captions,
+        translations: existing.translations,
+      }),
+    });
+
+    await this._notify(userId, "file.uploaded", {
+      file: fileRecord.toJSON(),
+    });
+
+    return { file: fileRecord, aiResult: null, duplicate, analysisRequired };
+  }
+
+  /**
+   * Validate a file the client declares before sending its bytes
+   * @param {Object} declared - { filename, mimeType, size }
+   * @param {Object} options - { maxSizeMB }
+   * @returns {{path: string, contentType: string}} Storage path and normalized type
+   * @throws {ValidationError}
+   */
+  validateDeclaredFile(declared, userId, options = {}) {
+    const { filename, mimeType, size } = declared;
+    const { maxSizeMB = DEFAULT_MAX_SIZE_MB } = options;
+
+    if (typeof filename !== "string" || !filename.trim()) {
+      throw new ValidationError("Filename is required");
+    }
+
+    const { path, extension } = FileService.generateSecureFilename(
+      filename,
+      userId
+    );
+
+    if (!FileService.validateFileExtension(extension)) {
+      Logger.security("invalid_file_extension", userId, { extension });
+      throw new ValidationError("Invalid file extension", { extension });
+    }
+
+    if (!FileService.validateMimeType(mimeType)) {
+      Logger.security("invalid_file_type", userId, { mimeType });
+      throw new ValidationError("Invalid file type", { mimeType });
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new ValidationError("Size must be a positive integer");
+    }
+
+    if (!FileService.validateFileSize(size, maxSizeMB)) {
+      Logger.security("file_too_large", userId, { size });
+      throw new ValidationError("File size exceeds limit", {
+        maxSize: `${maxSizeMB}MB`,
+      });
+    }
+
+    return { path, contentType: mimeType.toLowerCase() };
+  }
+
+  /**
+   * Reserve a storage path and a "pending" file record for a direct upload
+   * The client sends the file to the returned target, then calls
+   * completeDirectUpload
+   * @param {Object} upload - { filename, mimeType, size } as declared by the client
+   * @returns {Promise<{file: File, upload: Object}>}
+   */
+  async createDirectUpload(upload, userId) {
+    const { filename, size } = upload;
+    const { path, contentType } = this.validateDeclaredFile(upload, userId);
+
+    let target;
+    try {
+      target = await this.storageProvider.createUploadUrl(path, {
+        contentType,
+      });
+    } catch (error) {
+      Logger.error("direct_upload_presign_failed", error, { userId });
+      throw new ExternalServiceError("Storage", error.message);
+    }
+
+    const fileRecord = await this.fileRepository.create({
+      filename,
+      file_path: path,
+      file_size: size,
+      mime_type: contentType,
+      user_id: userId,
+      status: "pending",
+    });
+
+    Logger.security("file_upload_attempt", userId, {
+      fileId: fileRecord.id,
+      filename,
+      size,
+      mimeType: contentType,
+      direct: true,
+    });
+
+    return { file: fileRecord, upload: target };
+  }
+
+  /**
+   * Register a direct upload once the client has stored the object
+   * Checks the stored object rather than the client's declaration; an object
+   * that breaks the size or type rules is deleted along with its record. An
+   * image stored under the wrong content type is rewritten with the type its
+   * bytes show.
+   * With options.analyzeWithAI the file moves to "processing" and the caller
+   * queues the analysis (see queueAnalysis). With options.stripMetadata the
+   * stored object is replaced by a copy without GPS and identifying fields.
+   *
+   * The final bytes are hashed like those of uploadAndProcess. When the user
+   * already has them, the upload's object and pending record are removed and
+   * options.onDuplicate decides the result, as it does there. options.maxSizeMB
+   * must match the limit given to createDirectUpload.
+   * @returns {Promise<{file: File, duplicate: Object|null, analysisRequired: boolean}>}
+   * @throws {ConflictError} When the upload was already completed, or when
+   *   onDuplicate is "reject" and the file exists
+   */
+  async completeDirectUpload(fileId, userId, options = {}) {
+    const {
+      analyzeWithAI = false,
+      stripMetadata = false,
+      maxSizeMB = DEFAULT_MAX_SIZE_MB,
+    } = options;
+    const onDuplicate = this.resolveDuplicateAction(options.onDuplicate);
+    const file = await this.fileRepository.findById(fileId, userId);
+
+    if (!file) {
+      throw new ValidationError("File not found");
+    }
+
+    if (!file.isPending()) {
+      throw new ConflictError("File upload is already complete");
+    }
+
+    // Validate analysis options before changing anything
+    if (analyzeWithAI) {
+      await this.resolveTagStyle(options.tagStyle, userId);
+      this.resolveLanguage(options.language);
+    }
+
+    let info;
+    try {
+      // Leave the record pending so the client can retry the upload
+      if (!(await this.storageProvider.fileExists(file.filePath))) {
+        throw new ValidationError("File has not been uploaded");
+      }
+      info = await this.storageProvider.getFileInfo(file.filePath);
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new ExternalServiceError("Storage", error.message);
+    }
+
+    let size = info?.size ?? file.fileSize;
+    const contentType = info?.contentType?.toLowerCase() || file.mimeType;
+
+    if (!FileService.validateFileSize(size, maxSizeMB)) {
+      await this._discardDirectUpload(file, "file_too_large", { size });
+      throw new ValidationError("File size exceeds limit", {
+        maxSize: `${maxSizeMB}MB`,
+      });
+    }
+
+    if (contentType !== file.mimeType) {
+      await this._discardDirectUpload(file, "invalid_file_type", {
+        mimeType: contentType,
+      });
+      throw new ValidationError("Invalid file type", {
+        mimeType: contentType,
+      });
+    }
+
+    // The bytes went straight to storage, so read them back to check what
+    // they are. Leave the record pending so the client can retry.
+    let buffer;
+    try {
+      buffer = await this.storageProvider.downloadFile(file.filePath);
+    } catch (error) {
+      throw new ExternalServiceError("Storage", error.message);
+    }
+
+    const detectedType = FileService.detectMimeType(buffer);
+    if (!detectedType) {
+      await this._discardDirectUpload(file, "file_content_mismatch", {
+        mimeType: file.mimeType,
+      });
+      throw new ValidationError(CONTENT_MISMATCH_MESSAGE, {
+        mimeType: file.mimeType,
+      });
+    }
+
+    let stored = buffer;
+    if (detectedType === SVG_MIME_TYPE) {
+      try {
+        stored = this._sanitizeSvg(buffer, userId, { fileId });
+      } catch (error) {
+        await this._discardDirectUpload(file, "svg_rejected", {});
+        throw error;
+      }
+    }
+
+    if (stripMetadata) {
+      try {
+        stored = this._stripMetadata(stored, detectedType);
+      } catch (error) {
+        await this._discardDirectUpload(file, "metadata_strip_failed", {
+          mimeType: detectedType,
+        });
+        throw error;
+      }
+    }
+
+    const contentHash = FileService.computeContentHash(stored);
+    const existing = await this.fileRepository.findByContentHash(
+      userId,
+      contentHash
+    );
+
+    if (existing) {
+      try {
+        await this.storageProvider.deleteFile(file.filePath);
+      } catch (error) {
+        throw new ExternalServiceError("Storage", error.message);
+      }
+      await this.fileRepository.delete(file.id, userId);
+      return this._handleDuplicate(
+        existing,
+        { originalName: file.filename },
+        userId,
+        onDuplicate,
+        { analyzeWithAI }
+      );
+    }
+
+    // Rewrite the object when its bytes or its content type change
+    if (detectedType !== file.mimeType || !stored.equals(buffer)) {
+      if (detectedType !== file.mimeType) {
+        Logger.warn("file_type_corrected", {
+          userId,
+          fileId,
+          mimeType: file.mimeType,
+          detectedType,
+        });
+      }
+
+      try {
+        await this.storageProvider.uploadFile(stored, file.filePath, {
+          contentType: detectedType,
+          cacheControl: "3600",
+          upsert: true,
+        });
+      } catch (error) {
+        throw new ExternalServiceError("Storage", error.message);
+      }
+      buffer = stored;
+      size = stored.length;
+    }
+
+    const web = await this._webFriendly(buffer, detectedType, userId);
+    const renditions = await this._storeRenditions(
+      web.buffer,
+      file.filePath,
+      userId
+    );
+    const metadata = await this._readMetadata(buffer, userId);
+
+    const updatedFile = await this.fileRepository.update(fileId, userId, {
+      file_size: size,
+      mime_type: detectedType,
+      content_hash: contentHash,
+      renditions,
+      metadata,
+      status: analyzeWithAI ? "processing" : "uploaded",
+      updated_at: new Date().toISOString(),
+    });
+
+    Logger.security("file_upload_success", userId, {
+      fileId,
+      filename: file.filename,
+      size,
+      direct: true,
+    });
+    await this._notify(userId, "file.uploaded", {
+      file: updatedFile.toJSON(),
+    });
+
+    return { file: updatedFile, duplicate: null, analysisRequired: false };
+  }
+
+  /**
+   * Start a resumable upload session
+   * The client appends the file in chunks (appendToUploadSession); once the
+   * last byte arrives the file goes through uploadAndProcess
+   * @param {Object} upload - { filename, mimeType, size } as declared by the client
+   * @param {Object} options - { analyzeWithAI, tagStyle, language, provider,
+   *   onDuplicate, stripMetadata }
+   * @returns {Promise<Object>} The session
+   */
+  async createUploadSession(upload, userId, options = {}) {
+    const { filename, size } = upload;
+    const { contentType } = this.validateDeclaredFile(upload, userId, {
+      maxSizeMB: this.uploadSessions.maxSizeMB,
+    });
+
+    const analyzeWithAI = options.analyzeWithAI === true;
+    if (analyzeWithAI) {
+      await this.resolveTagStyle(options.tagStyle, userId);
+      this.resolveLanguage(options.language);
+    }
+
+    const session = await this.uploadSessions.create(userId, {
+      length: size,
+      filename,
+      mimeType: contentType,
+      options: {
+        analyzeWithAI,
+        tagStyle: options.tagStyle || "neutral",
+        language: options.language || null,
+        provider: options.provider || null,
+        onDuplicate: this.resolveDuplicateAction(options.onDuplicate),
+        stripMetadata: options.stripMetadata === true,
+      },
+    });
+
+    Logger.security("file_upload_attempt", userId, {
+      sessionId: session.id,
+      filename,
+      size,
+      mimeType: contentType,
+      resumable: true,
+    });
+
+    return session;
+  }
+
+  /**
+   * Get a resumable upload session with its current offset
+   * @throws {NotFoundError} When the session is unknown or expired
+   */
+  async getUploadSession(sessionId, userId) {
+    return this.uploadSessions.get(sessionId, userId);
+  }
+
+  /**
+   * Append a chunk to a resumable upload
+   * The chunk that completes the file also stores it and, when the session
+   * asked for analysis, queues the job. If storing fails the bytes are kept:
+   * an empty chunk at the final offset retries it.
+   * @param {number} offset - Where the chunk starts
+   * @param {import("stream").Readable} stream - The chunk
+   * @param {Object} context - In-memory job context ({ userToken })
+   * @returns {Promise<Object>} The session with its new offset
+   * @throws {ConflictError} When the offset is stale or another chunk is in flight
+   */
+  async appendToUploadSession(sessionId, userId, offset, stream, context = {}) {
+    const session = await this.uploadSessions.get(sessionId, userId);
+    const release = this.uploadSessions.lock(session.id);
+
+    try {
+      const updated = await this.uploadSessions.append(session, offset, stream);
+
+      if (updated.offset < updated.length) {
+        return updated;
+      }
+
+      return await this._finishUploadSession(updated, userId, context);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Store the assembled file of a session and mark the session complete
+   * A file that fails validation discards the session
+   */
+  async _finishUploadSession(session, userId, context) {
+    const { options } = session;
+    const buffer = await this.uploadSessions.readData(session);
+
+    let file;
+    let duplicate;
+    let analysisRequired;
+    try {
+      ({ file, duplicate, analysisRequired } = await this.uploadAndProcess(
+        {
+          originalname: session.filename,
+          mimetype: session.mimeType,
+          size: buffer.length,
+          buffer,
+        },
+        userId,
+        {
+          analyzeWithAI: options.analyzeWithAI,
+          tagStyle: options.tagStyle,
+          language: options.language,
+          onDuplicate: options.onDuplicate,
+          stripMetadata: options.stripMetadata,
+          deferAnalysis: true,
+          maxSizeMB: this.uploadSessions.maxSizeMB,
+        }
+      ));
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof ConflictError) {
+        await this.uploadSessions.remove(session);
+      }
+      throw error;
+    }
+
+    const { job } =
+      options.analyzeWithAI && (!duplicate || analysisRequired)
+        ? await this.queueAnalysisOrFail(file, userId, options, context)
+        : { job: null };
+
+    return this.uploadSessions.complete(session, {
+      fileId: file.id,
+      jobId: job ? job.id : null,
+    });
+  }
+
+  /**
+   * Cancel a resumable upload and delete the bytes received
+   * A completed session is only forgotten; its file is kept
+   * @throws {ConflictError} When a chunk is in flight
+   */
+  async cancelUploadSession(sessionId, userId) {
+    const session = await this.uploadSessions.get(sessionId, userId);
+    const release = this.uploadSessions.lock(session.id);
+
+    try {
+      await this.uploadSessions.remove(session);
+    } finally {
+      release();
+    }
+
+    Logger.audit("upload_session_cancelled", userId, { sessionId });
+    return true;
+  }
+
+  /**
+   * Remove a rejected direct upload from storage and the database
+   */
+  async _discardDirectUpload(file, event, details) {
+    Logger.security(event, file.userId, { fileId: file.id, ...details });
+    await this.storageProvider.deleteFile(file.filePath);
+    await this.fileRepository.delete(file.id, file.userId);
+  }
+
   /**
    * Bulk upload and process multiple files
+   * With options.batchId an "uploaded" or "failed" progress event is
+   * published per file, and "completed" for duplicates; each result carries
+   * its index in the batch
    */
   async bulkUploadAndProcess(files, userId, options = {}) {
     const results = [];
     const errors = [];
 
+    options = {
+      ...options,
+      onDuplicate: this.resolveDuplicateAction(options.onDuplicate),
+    };
+
+    // Resolve the tag style and language once for the whole batch
+    if (options.analyzeWithAI !== false) {
+      options = {
+        ...options,
+        tagStyle: await this.resolveTagStyle(options.tagStyle, userId),
+        language: this.resolveLanguage(options.language),
+      };
+    }
+
     const uploadPromises = files.map(async (file, index) => {
       try {
         const result = await this.uploadAndProcess(file, userId, options);
-        return { success: true, data: result };
+        this._reportProgress(options.batchId, index, "uploaded", {
+          fileId: result.file.id,
+          filename: file.originalname,
+        });
+        // Duplicates are not analyzed again, so they finish here
+        if (result.duplicate && !result.analysisRequired) {
+          this._reportProgress(options.batchId, index, "completed", {
+            fileId: result.file.id,
+            duplicate: result.duplicate,
+          });
+        }
+        return { success: true, data: { ...result, index } };
       } catch (error) {
         Logger.error("bulk_upload_file_failed", error, {
           userId,
           filename: file.originalname,
           index,
         });
+        this._reportProgress(options.batchId, index, "failed", {
+          filename: file.originalname,
+          error: error.message,
+        });
         return {
           success: false,
           filename: file.originalname,
@@ -156,10 +1100,139 @@ class UploadService {
     return { results, errors };
   }
 
+  /**
+   * Queue AI analysis of an uploaded file as a background job
+   * @param {File} file - Uploaded file record
+   * @param {Object} options - { tagStyle, language, provider, batchId, batchIndex }
+   * @param {Object} context - In-memory job context ({ userToken })
+   * @returns {Promise<Job>}
+   */
+  async queueAnalysis(file, userId, options = {}, context = {}) {
+    return this.jobQueue.enqueue(
+      ANALYSIS_JOB,
+      {
+        userId,
+        fileId: file.id,
+        payload: {
+          tagStyle: options.tagStyle || "neutral",
+          language: options.language || null,
+          provider: options.provider || null,
+          batch: options.batchId
+            ? { id: options.batchId, index: options.batchIndex }
+            : null,
+        },
+      },
+      context
+    );
+  }
+
+  /**
+   * Queue AI analysis of a stored upload, or mark its file failed when the
+   * job cannot be queued
+   * The upload is kept either way, so callers can still return it
+   * @returns {Promise<{job: Job|null, file: File, error: string|null}>}
+   */
+  async queueAnalysisOrFail(file, userId, options = {}, context = {}) {
+    try {
+      const job = await this.queueAnalysis(file, userId, options, context);
+      return { job, file, error: null };
+    } catch (error) {
+      Logger.error("analysis_queue_failed", error, { userId, fileId: file.id });
+      const failure = new Error("Analysis could not be queued");
+      const failedFile = await this.failAnalysis(
+        file.id,
+        userId,
+        failure,
+        options.batchId
+          ? { id: options.batchId, index: options.batchIndex }
+          : null
+      );
+      return { job: null, file: failedFile || file, error: failure.message };
+    }
+  }
+
+  /**
+   * Run a queued analysis job
+   * The file stays "processing" on failure; the queue retries the job or
+   * fails it through failAnalysisJob
+   */
+  async runAnalysisJob(job) {
+    const { tagStyle, language, batch } = job.payload;
+    const report = (event, data) =>
+      this._reportProgress(batch?.id, batch?.index, event, data);
+
+    report("analyzing", { fileId: job.fileId, attempt: job.attempts });
+
+    const { file } = await this.analyzeExistingFile(
+      job.fileId,
+      job.userId,
+      tagStyle,
+      { language, markFailed: false }
+    );
+    report("completed", { fileId: file.id });
+    return { fileId: file.id, status: file.status };
+  }
+
+  /**
+   * Mark the file of an analysis job that failed for good as failed
+   * Called by the job queue after the last attempt, for errors that are not
+   * worth retrying, and for jobs interrupted by a stopped server
+   */
+  async failAnalysisJob(job, error) {
+    await this.failAnalysis(job.fileId, job.userId, error, job.payload.batch);
+  }
+
+  /**
+   * Mark a file whose analysis failed or could not be queued as failed
+   * Reports the failure to its batch and to webhooks
+   * @param {Object} [batch] - { id, index } of the upload batch
+   * @returns {Promise<File|null>} The failed file, or null when it could not
+   *   be updated
+   */
+  async failAnalysis(fileId, userId, error, batch = null) {
+    const failedFile = await this.fileRepository
+      .update(fileId, userId, { status: "failed" })
+      .catch(() => null);
+    this._reportProgress(batch?.id, batch?.index, "failed", {
+      fileId,
+      error: error.message,
+    });
+    await this._notify(userId, "file.analysis_failed", {
+      file: failedFile ? failedFile.toJSON() : { id: fileId },
+      error: error.message,
+    });
+    return failedFile;
+  }
+
+  /**
+   * Send a lifecycle event to the user's webhooks
+   */
+  async _notify(userId, event, data) {
+    if (this.webhookService) {
+      await this.webhookService.emit(userId, event, data);
+    }
+  }
+
+  /**
+   * Publish a per-file progress event when the work belongs to a batch
+   */
+  _reportProgress(batchId, index, event, data = {}) {
+    if (batchId && this.progressTracker) {
+      this.progressTracker.publish(batchId, { event, index, ...data });
+    }
+  }
+
   /**
    * Analyze an existing file with AI
+   * When options.language is set the result is also stored as a translation
+   * Pass options.markFailed = false to leave the status alone on failure
    */
-  async analyzeExistingFile(fileId, userId, tagStyle = "neutral") {
+  async analyzeExistingFile(
+    fileId,
+    userId,
+    tagStyle = "neutral",
+    options = {}
+  ) {
     const file = await this.fileRepository.findById(fileId, userId);
 
     if (!file) {
@@ -170,29 +1243,51 @@ class UploadService {
       throw new ValidationError("File is not an image");
     }
 
-    Logger.audit("ai_analysis_requested", userId, { fileId });
+    const style = await this.resolveTagStyle(tagStyle, userId);
+    const language = this.resolveLanguage(options.language);
 
-    // Generate fresh signed URL for AI analysis (old URL might be expired)
-    const freshUrl = await this.storageProvider.getPublicUrl(file.filePath);
+    Logger.audit("ai_analysis_requested", userId, { fileId, language });
 
-    const aiResult = await this.aiService.analyzeImage(freshUrl, tagStyle);
+    // Send the stored bytes to the AI so no signed URL leaves our system
+    const buffer = await this.storageProvider.downloadFile(file.filePath);
+    const web = await this._webFriendly(buffer, file.mimeType, userId);
+    const copy = await this._analysisCopy(web, userId);
+    const aiResult = await this.aiService.analyzeImage(
+      FileService.toDataUrl(copy.buffer, copy.mimeType),
+      style,
+      { language }
+    );
 
     if (aiResult.success) {
-      // Update with new signed URL and AI results
       const updatedFile = await this.fileRepository.update(fileId, userId, {
         description: aiResult.description,
         tags: aiResult.tags,
-        public_url: freshUrl, // Update with fresh signed URL
+        captions: aiResult.captions || {},
+        translations: this.buildTranslations(
+          file.translations,
+          language,
+          aiResult
+        ),
         status: "completed",
         updated_at: new Date().toISOString(),
       });
 
       Logger.audit("ai_analysis_success", userId, { fileId });
+      await this._notify(userId, "file.analysis_completed", {
+        file: updatedFile.toJSON(),
+      });
       return { file: updatedFile, aiResult };
     } else {
-      await this.fileRepository.update(fileId, userId, {
-        status: "failed",
-      });
+      // Background jobs report the failure once they stop retrying
+      if (options.markFailed !== false) {
+        const failedFile = await this.fileRepository.update(fileId, userId, {
+          status: "failed",
+        });
+        await this._notify(userId, "file.analysis_failed", {
+          file: failedFile.toJSON(),
+          error: aiResult.error,
+        });
+      }
 
       Logger.error("ai_analysis_failed", new Error(aiResult.error), {
         userId,
@@ -203,56 +1298,6 @@ class UploadService {
     }
   }
 
-  /**
-   * Refresh signed URL for a file
-   */
-  async refreshFileUrl(fileId, userId) {
-    const file = await this.fileRepository.findById(fileId, userId);
-
-    if (!file) {
-      throw new ValidationError("File not found");
-    }
-
-    // Generate fresh signed URL
-    const freshUrl = await this.storageProvider.getPublicUrl(file.filePath);
-
-    // Update database with fresh URL
-    const updatedFile = await this.fileRepository.update(fileId, userId, {
-      public_url: freshUrl,
-      updated_at: new Date().toISOString(),
-    });
-
-    return updatedFile;
-  }
-
-  /**
-   * Refresh signed URLs for multiple files
-   */
-  async refreshFileUrls(files, userId) {
-    const refreshedFiles = [];
-
-    for (const file of files) {
-      try {
-        const freshUrl = await this.storageProvider.getPublicUrl(file.filePath);
-        file.publicUrl = freshUrl;
-
-        // Update database with fresh URL
-        await this.fileRepository.update(file.id, userId, {
-          public_url: freshUrl,
-        });
-
-        refreshedFiles.push(file);
-      } catch (error) {
-        Logger.error("Failed to refresh URL", error, {
-          userId,
-          fileId: file.id,
-        });
-      }
-    }
-
-    return refreshedFiles;
-  }
-
   /**
    * Delete a file (storage + database)
    */
@@ -263,13 +1308,23 @@ class UploadService {
       throw new ValidationError("File not found");
     }
 
-    // Delete from storage
-    await this.storageProvider.deleteFile(file.filePath);
+    // Delete from storage unless a linked duplicate still uses the object
+    const references = await this.fileRepository.countByPath(
+      userId,
+      file.filePath
+    );
+    if (references <= 1) {
+      await this.storageProvider.deleteFile(file.filePath);
+      if (file.getRenditionPaths().length > 0) {
+        await this.storageProvider.deleteFiles(file.getRenditionPaths());
+      }
+    }
 
     // Delete from database
     await this.fileRepository.delete(fileId, userId);
 
     Logger.audit("file_deleted", userId, { fileId, filename: file.filename });
+    await this._notify(userId, "file.deleted", { file: file.toJSON() });
 
     return true;
   }
@@ -289,14 +1344,36 @@ class UploadService {
       throw new ValidationError("No valid files to delete");
     }
 
-    // Delete from storage
-    const paths = validFiles.map((f) => f.filePath);
-    await this.storageProvider.deleteFiles(paths);
+    // Delete from storage the objects no remaining file links to
+    const deletedPerPath = new Map();
+    for (const file of validFiles) {
+      deletedPerPath.set(
+        file.filePath,
+        (deletedPerPath.get(file.filePath) || 0) + 1
+      );
+    }
+
+    const paths = [];
+    for (const [path, deleted] of deletedPerPath) {
+      const references = await this.fileRepository.countByPath(userId, path);
+      if (references <= deleted) {
+        // Linked duplicates share renditions as well as the original
+        const file = validFiles.find((f) => f.filePath === path);
+        paths.push(path, ...file.getRenditionPaths());
+      }
+    }
+
+    if (paths.length > 0) {
+      await this.storageProvider.deleteFiles(paths);
+    }
 
     // Delete from database
     await this.fileRepository.bulkDelete(fileIds, userId);
 
     Logger.audit("bulk_delete", userId, { count: validFiles.length });
+    for (const file of validFiles) {
+      await this._notify(userId, "file.deleted", { file: file.toJSON() });
+    }
 
     return validFiles.length;
   }
@@ -0,0 +1,274 @@
+/**
+ * Upload Session Store
+ * Keeps resumable (tus) upload sessions on local disk. Each session is a
+ * metadata file plus a data file that chunks are appended to; the data
+ * file's size is the session offset, so bytes that arrived before a
+ * disconnect are kept and the client resumes from there.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { createWriteStream } = require("fs");
+const os = require("os");
+const nodePath = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const Logger = require("../utils/logger");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errorHandler");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_MAX_SIZE_MB = 100;
+const DEFAULT_EXPIRES_IN = 86400;
+// Expired sessions are swept at most this often
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class UploadSessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Where session data is kept (default: OS temp dir)
+   * @param {number|string} options.maxSizeMB - Largest file a session may hold (default 100)
+   * @param {number|string} options.expiresIn - Session lifetime in seconds (default 24 hours)
+   */
+  constructor(options = {}) {
+    this.directory = nodePath.resolve(
+      options.directory || nodePath.join(os.tmpdir(), "caption-uploads")
+    );
+    this.maxSizeMB = parseInt(options.maxSizeMB) || DEFAULT_MAX_SIZE_MB;
+    this.expiresIn = parseInt(options.expiresIn) || DEFAULT_EXPIRES_IN;
+    this.locks = new Set();
+    this.lastSweep = 0;
+  }
+
+  get maxSize() {
+    return this.maxSizeMB * 1024 * 1024;
+  }
+
+  /**
+   * Start a session for a file of `length` bytes
+   * @param {Object} upload - { length, filename, mimeType, options } where
+   *   options holds the analysis settings applied once the file is assembled
+   * @returns {Promise<Object>} The session
+   */
+  async create(userId, { length, filename, mimeType, options = {} }) {
+    await this.sweep();
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      length,
+      filename,
+      mimeType,
+      options,
+      status: "active",
+      fileId: null,
+      jobId: null,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiresIn * 1000).toISOString(),
+    };
+
+    await fs.writeFile(this._dataPath(session.id), "", { flag: "wx" });
+    await this._save(session);
+
+    return { ...session, offset: 0 };
+  }
+
+  /**
+   * Get a user's session with its current offset
+   * @throws {NotFoundError} When the session is unknown, expired or another user's
+   */
+  async get(id, userId) {
+    if (typeof id !== "string" || !UUID_PATTERN.test(id)) {
+      throw new NotFoundError("Upload session");
+    }
+
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(this._metaPath(id), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") throw new NotFoundError("Upload session");
+      throw error;
+    }
+
+    if (session.userId !== userId || this._isExpired(session)) {
+      throw new NotFoundError("Upload session");
+    }
+
+    return {
+      ...session,
+      offset:
+        session.status === "active"
+          ? await this._dataSize(id)
+          : session.length,
+    };
+  }
+
+  /**
+   * Reserve a session for one request at a time
+   * @returns {Function} Releases the session
+   * @throws {ConflictError} When another request holds it
+   */
+  lock(id) {
+    if (this.locks.has(id)) {
+      throw new ConflictError("Upload session is busy");
+    }
+    this.locks.add(id);
+    return () => this.locks.delete(id);
+  }
+
+  /**
+   * Append a chunk at `offset`
+   * When the stream breaks off, the bytes received so far are kept.
+   * @param {Object} session - From get()
+   * @param {number} offset - Where the client says the chunk starts
+   * @param {import("stream").Readable} stream - The chunk
+   * @returns {Promise<Object>} The session with its new offset
+   * @throws {ConflictError} When offset is not the session's offset
+   * @throws {ValidationError} When the chunk runs past the declared length
+   */
+  async append(session, offset, stream) {
+    if (session.status !== "active") {
+      throw new ConflictError("Upload is already complete");
+    }
+
+    if (offset !== session.offset) {
+      throw new ConflictError("Upload-Offset does not match the session");
+    }
+
+    const remaining = session.length - session.offset;
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          callback(new ValidationError("Chunk exceeds Upload-Length"));
+        } else {
+          callback(null, chunk);
+        }
+      },
+    });
+
+    try {
+      await pipeline(
+        stream,
+        limit,
+        createWriteStream(this._dataPath(session.id), { flags: "a" })
+      );
+    } catch (error) {
+      const newOffset = await this._dataSize(session.id);
+      Logger.warn("upload_chunk_interrupted", {
+        sessionId: session.id,
+        offset: newOffset,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    return { ...session, offset: await this._dataSize(session.id) };
+  }
+
+  /**
+   * Read the assembled file of a session whose offset reached its length
+   * @returns {Promise<Buffer>}
+   */
+  async readData(session) {
+    return fs.readFile(this._dataPath(session.id));
+  }
+
+  /**
+   * Mark a session complete and drop its data
+   * The metadata is kept until the session expires so its status stays readable
+   * @param {Object} result - { fileId, jobId }
+   */
+  async complete(session, { fileId, jobId = null }) {
+    const completed = { ...session, status: "completed", fileId, jobId };
+
+    await this._save(completed);
+    await fs.rm(this._dataPath(session.id), { force: true });
+
+    return { ...completed, offset: completed.length };
+  }
+
+  /**
+   * Delete a session and any data received
+   */
+  async remove(session) {
+    await fs.rm(this._dataPath(session.id), { force: true });
+    await fs.rm(this._metaPath(session.id), { force: true });
+  }
+
+  /**
+   * Delete expired sessions
+   * @returns {Promise<number>} Sessions deleted
+   */
+  async sweep() {
+    if (Date.now() - this.lastSweep < SWEEP_INTERVAL_MS) return 0;
+    this.lastSweep = Date.now();
+
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const name of names.filter((n) => n.endsWith(".json"))) {
+      const id = name.slice(0, -".json".length);
+      try {
+        const session = JSON.parse(
+          await fs.readFile(this._metaPath(id), "utf8")
+        );
+        if (this._isExpired(session) && !this.locks.has(id)) {
+          await this.remove(session);
+          removed++;
+        }
+      } catch (error) {
+        Logger.warn("upload_session_sweep_failed", {
+          sessionId: id,
+          error: error.message,
+        });
+      }
+    }
+
+    return removed;
+  }
+
+  async _save(session) {
+    // The offset lives in the data file's size
+    const meta = { ...session };
+    delete meta.offset;
+    await fs.writeFile(this._metaPath(session.id), JSON.stringify(meta));
+  }
+
+  async _dataSize(id) {
+    try {
+      return (await fs.stat(this._dataPath(id))).size;
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+  }
+
+  _isExpired(session) {
+    return Date.parse(session.expiresAt) <= Date.now();
+  }
+
+  _metaPath(id) {
+    return nodePath.join(this.directory, `${id}.json`);
+  }
+
+  _dataPath(id) {
+    return nodePath.join(this.directory, `${id}.bin`);
+  }
+}
+
+module.exports = UploadSessionStore;
@@ -0,0 +1,303 @@
+/**
+ * Webhook Service
+ * Sends signed file lifecycle events to user-registered webhooks.
+ * Every delivery is logged; the job queue sends it and retries failed
+ * attempts with exponential backoff. Receivers must be on public addresses,
+ * checked when a webhook is saved and again on every connection.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const Logger = require("../utils/logger");
+const { ValidationError } = require("../utils/errorHandler");
+const {
+  BLOCKED_MESSAGE,
+  isPublicAddress,
+  assertPublicHost,
+  publicLookup,
+} = require("../utils/publicAddress");
+
+const DELIVERY_JOB = "deliver_webhook";
+
+class WebhookService {
+  // Events a webhook can subscribe to
+  static EVENTS = [
+    "file.uploaded",
+    "file.analysis_completed",
+    "file.analysis_failed",
+    "file.updated",
+    "file.deleted",
+  ];
+
+  static DELIVERY_JOB = DELIVERY_JOB;
+
+  /**
+   * @param {WebhookRepository} webhookRepository
+   * @param {JobQueue} jobQueue
+   * @param {Object} options
+   * @param {string} options.userToken - Passed to delivery jobs as in-memory context
+   * @param {boolean} options.serviceRole - Delivery jobs run on the service-role
+   *   client instead, for events raised outside a user request
+   * @param {number|string} options.timeoutMs - Receiver response timeout (default 10000)
+   * @param {boolean} options.allowPrivateNetworks - Allow loopback and private
+   *   receivers, for local development
+   */
+  constructor(webhookRepository, jobQueue, options = {}) {
+    this.webhookRepository = webhookRepository;
+    this.jobQueue = jobQueue;
+    this.jobContext = options.serviceRole
+      ? { serviceRole: true }
+      : { userToken: options.userToken };
+    this.timeoutMs = parseInt(options.timeoutMs) || 10000;
+    this.allowPrivateNetworks = options.allowPrivateNetworks === true;
+  }
+
+  /**
+   * Generate a signing secret for a new webhook
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  }
+
+  /**
+   * HMAC-SHA256 signature sent in X-Webhook-Signature
+   * Receivers recompute it over `${timestamp}.${rawBody}` with their secret
+   */
+  static sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Check that a receiver URL's host resolves to public addresses only
+   * @throws {ValidationError}
+   */
+  async validateUrl(url) {
+    if (this.allowPrivateNetworks) return;
+
+    try {
+      await assertPublicHost(new URL(url).hostname);
+    } catch (error) {
+      throw new ValidationError("URL must resolve to a public address", {
+        reason: error.message,
+      });
+    }
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it
+   * Never throws: a webhook problem must not fail the action that raised it
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async emit(userId, event, data) {
+    try {
+      const webhooks = await this.webhookRepository.findSubscribed(
+        userId,
+        event
+      );
+
+      for (const webhook of webhooks) {
+        const delivery = await this._createDelivery(webhook, event, data);
+        await this.jobQueue.enqueue(
+          DELIVERY_JOB,
+          {
+            userId,
+            payload: { webhookId: webhook.id, deliveryId: delivery.id },
+          },
+          this.jobContext
+        );
+      }
+
+      return webhooks.length;
+    } catch (error) {
+      Logger.error("webhook_emit_failed", error, { userId, event });
+      return 0;
+    }
+  }
+
+  /**
+   * Send a test event once, without retries
+   * @returns {Promise<WebhookDelivery>} The logged delivery
+   */
+  async ping(webhook) {
+    const delivery = await this._createDelivery(webhook, "ping", {
+      webhookId: webhook.id,
+    });
+    return this._attempt(webhook, delivery, 1, true);
+  }
+
+  /**
+   * Run a queued delivery job
+   * @throws When the receiver did not accept the event, so the queue retries it
+   */
+  async runDeliveryJob(job) {
+    const { webhookId, deliveryId } = job.payload;
+    const [webhook, delivery] = await Promise.all([
+      this.webhookRepository.findById(webhookId, job.userId),
+      this.webhookRepository.findDeliveryById(deliveryId, job.userId),
+    ]);
+
+    // Deleting a webhook also deletes its deliveries
+    if (!delivery) {
+      return null;
+    }
+
+    if (!webhook || !webhook.active) {
+      await this.webhookRepository.updateDelivery(deliveryId, job.userId, {
+        status: "failed",
+        error: "Webhook is disabled",
+      });
+      return { deliveryId, status: "failed" };
+    }
+
+    const updated = await this._attempt(
+      webhook,
+      delivery,
+      job.attempts,
+      job.isLastAttempt()
+    );
+
+    if (!updated.isSucceeded()) {
+      throw new Error(updated.error);
+    }
+
+    return {
+      deliveryId,
+      status: updated.status,
+      responseStatus: updated.responseStatus,
+    };
+  }
+
+  async _createDelivery(webhook, event, data) {
+    // The id is generated here so the payload can carry it
+    const id = crypto.randomUUID();
+
+    return this.webhookRepository.createDelivery({
+      id,
+      webhook_id: webhook.id,
+      user_id: webhook.userId,
+      event,
+      payload: {
+        id,
+        event,
+        createdAt: new Date().toISOString(),
+        data,
+      },
+      status: "pending",
+      attempts: 0,
+    });
+  }
+
+  /**
+   * POST the delivery once and record the outcome
+   * A failed attempt stays "pending" unless it is the last one
+   */
+  async _attempt(webhook, delivery, attempt, isLastAttempt) {
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await this._post(webhook, delivery);
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error =
+        err.name === "TimeoutError" || err.cause?.name === "TimeoutError"
+          ? `Receiver did not respond within ${this.timeoutMs} ms`
+          : `Request failed: ${err.cause?.message || err.message}`;
+    }
+
+    const status = error ? (isLastAttempt ? "failed" : "pending") : "succeeded";
+    const updated = await this.webhookRepository.updateDelivery(
+      delivery.id,
+      delivery.userId,
+      {
+        status,
+        attempts: attempt,
+        response_status: responseStatus,
+        error,
+        delivered_at: error ? null : new Date().toISOString(),
+      }
+    );
+
+    const details = {
+      webhookId: webhook.id,
+      deliveryId: delivery.id,
+      event: delivery.event,
+      attempt,
+      responseStatus,
+    };
+    if (error) {
+      Logger.warn("webhook_delivery_failed", { ...details, error });
+    } else {
+      Logger.info("webhook_delivered", details);
+    }
+
+    return updated;
+  }
+
+  /**
+   * POST the payload and resolve with the receiver's status
+   * Redirects are not followed: a 3xx counts as a failed delivery
+   * @returns {Promise<{status: number, ok: boolean}>}
+   */
+  _post(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const url = new URL(webhook.url);
+    const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+
+    return new Promise((resolve, reject) => {
+      // IP literals never go through the lookup
+      if (
+        !this.allowPrivateNetworks &&
+        net.isIP(host) &&
+        !isPublicAddress(host)
+      ) {
+        return reject(new Error(BLOCKED_MESSAGE));
+      }
+
+      const client = url.protocol === "https:" ? https : http;
+      const request = client.request(
+        url,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+            "User-Agent": "CaptionStudio-Webhooks/1.0",
+            "X-Webhook-Id": delivery.id,
+            "X-Webhook-Event": delivery.event,
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": `sha256=${WebhookService.sign(
+              webhook.secret,
+              timestamp,
+              body
+            )}`,
+          },
+          lookup: this.allowPrivateNetworks ? undefined : publicLookup,
+          signal: AbortSignal.timeout(this.timeoutMs),
+        },
+        (response) => {
+          // The body is not used
+          response.resume();
+          resolve({
+            status: response.statusCode,
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+          });
+        }
+      );
+
+      request.on("error", reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = WebhookService;
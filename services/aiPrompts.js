@@ -0,0 +1,455 @@
+/**
+ * AI Prompts
+ * Tag style and caption format definitions plus prompt/response helpers
+ * shared by all AI providers
+ */
+
+const TAG_STYLES = {
+  neutral: {
+    name: "Neutral",
+    instruction:
+      "Generate a concise list of 5 neutral tags that accurately describe the content, setting, and main objects in the image. Use short, clear, factual terms. Avoid emotional, opinionated, or marketing words. Example tags: mountain, sunset, lake, reflection, trees, nature, landscape.",
+  },
+  playful: {
+    name: "Playful",
+    instruction:
+      "Generate 5 playful tags, expressive tags that describe this image with energy or humor. Feel free to include slang or short phrases if appropriate. Combine literal and imaginative tags. Example tags: sunset vibes, wanderlust, weekend chill, good times, nature mood.",
+  },
+  seo: {
+    name: "SEO",
+    instruction:
+      "Generate 5 SEO-friendly tags for this image. Use specific, searchable keywords and long-tail phrases that people might use to find this image online. Include variations of relevant terms (synonyms, categories, etc.). Avoid hashtags or emojis. Example tags: cozy coffee shop interior, cafe with warm lighting, people drinking coffee, modern cafe design.",
+  },
+};
+
+const DEFAULT_TAG_COUNT = 5;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_TAG_LENGTH = 50;
+const MAX_REPAIR_ECHO_LENGTH = 2000;
+
+// Platform caption variants generated next to the description.
+// maxLength is the platform limit; longer model output is sent back for
+// repair, and only truncated when repair attempts run out.
+const CAPTION_FORMATS = {
+  altText: {
+    name: "Alt text",
+    instruction:
+      "Literal alt text for screen readers: what is visible, no hashtags, no emojis, no 'image of'.",
+    // Kept under the 125 characters screen readers announce in one go
+    maxLength: 124,
+  },
+  instagram: {
+    name: "Instagram",
+    instruction:
+      "An engaging Instagram caption with a hook, ending with 3-6 relevant hashtags.",
+    maxLength: 2200,
+  },
+  x: {
+    name: "X",
+    instruction: "A punchy post for X (Twitter), at most 1-2 hashtags.",
+    // Kept under X's 280-character post limit
+    maxLength: 279,
+  },
+  linkedin: {
+    name: "LinkedIn",
+    instruction:
+      "A professional LinkedIn caption of 2-3 sentences with a takeaway, no more than 3 hashtags.",
+    maxLength: 3000,
+  },
+};
+
+const languageNames = new Intl.DisplayNames(["en"], {
+  type: "language",
+  fallback: "none",
+});
+
+/**
+ * Resolve a BCP 47 language tag (e.g. "fr", "pt-BR")
+ * Returns null for malformed or unknown languages.
+ * @returns {{code: string, name: string}|null}
+ */
+function resolveLanguage(language) {
+  if (typeof language !== "string" || language.trim() === "") {
+    return null;
+  }
+
+  let code;
+  try {
+    [code] = Intl.getCanonicalLocales(language.trim());
+  } catch {
+    return null;
+  }
+
+  const name = languageNames.of(code);
+  return name ? { code, name } : null;
+}
+
+/**
+ * Resolve a tag style into a prompt config
+ * Accepts a built-in style name, in any case, or an already-resolved style
+ * object (e.g. a user-defined style). Returns null for unknown styles.
+ * @returns {{key: string, name: string, instruction: string, tagCount: number, examples: string[], custom: boolean}|null}
+ */
+function resolveTagStyle(tagStyle) {
+  if (tagStyle && typeof tagStyle === "object" && tagStyle.instruction) {
+    return {
+      key: tagStyle.key || tagStyle.name,
+      name: tagStyle.name,
+      instruction: tagStyle.instruction,
+      tagCount: tagStyle.tagCount || DEFAULT_TAG_COUNT,
+      examples: tagStyle.examples || [],
+      custom: tagStyle.custom !== false,
+    };
+  }
+
+  const key =
+    typeof tagStyle === "string" ? tagStyle.trim().toLowerCase() : null;
+  if (key && Object.hasOwn(TAG_STYLES, key)) {
+    return {
+      key,
+      ...TAG_STYLES[key],
+      tagCount: DEFAULT_TAG_COUNT,
+      examples: [],
+      custom: false,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build the analysis prompt for a resolved tag style
+ * @param {Object} style - Resolved tag style
+ * @param {Object} options - { language: {code, name} } to request a specific output language
+ */
+function buildAnalysisPrompt(style, options = {}) {
+  let instruction = style.instruction;
+
+  // Built-in instructions already state their count and examples
+  if (style.custom) {
+    instruction += ` Generate exactly ${style.tagCount} tags.`;
+    if (style.examples.length > 0) {
+      instruction += ` Example tags: ${style.examples.join(", ")}.`;
+    }
+  }
+
+  const tagPlaceholders = Array.from(
+    { length: style.tagCount },
+    (_, i) => `"tag${i + 1}"`
+  ).join(", ");
+
+  const captionLines = Object.entries(CAPTION_FORMATS)
+    .map(
+      ([key, format]) =>
+        `   - ${key}: ${format.instruction} Max ${format.maxLength} characters.`
+    )
+    .join("\n");
+  const captionPlaceholders = Object.keys(CAPTION_FORMATS)
+    .map((key) => `    "${key}": "..."`)
+    .join(",\n");
+
+  const languageLine = options.language
+    ? `\nWrite the description, every tag and every caption in ${options.language.name} (${options.language.code}).\n`
+    : "";
+
+  return `Analyze this image and provide:
+1. A detailed, engaging description of what you see (1-2 sentences)
+2. ${instruction}
+3. Captions for each platform:
+${captionLines}
+${languageLine}
+Format your response as JSON:
+{
+  "description": "Your description here",
+  "tags": [${tagPlaceholders}],
+  "captions": {
+${captionPlaceholders}
+  }
+}`;
+}
+
+/**
+ * Cut text to maxLength characters, ending with an ellipsis
+ * The cut falls between words, so no word or hashtag is split, unless the
+ * first word alone is too long.
+ */
+function truncateAtWord(text, maxLength) {
+  const cut = text.substring(0, maxLength - 1);
+  const boundary = /\s/.test(text[maxLength - 1])
+    ? cut.length
+    : cut.search(/\s\S*$/);
+  const kept = boundary > 0 ? cut.substring(0, boundary) : cut;
+  return `${kept.trimEnd()}…`;
+}
+
+/**
+ * Keep known caption formats only, trimmed and cut to the platform limit
+ */
+function normalizeCaptions(captions) {
+  const normalized = {};
+  if (!captions || typeof captions !== "object") {
+    return normalized;
+  }
+
+  for (const [key, format] of Object.entries(CAPTION_FORMATS)) {
+    const value = captions[key];
+    if (typeof value !== "string" || value.trim() === "") {
+      continue;
+    }
+
+    const trimmed = value.trim();
+    normalized[key] =
+      trimmed.length > format.maxLength
+        ? truncateAtWord(trimmed, format.maxLength)
+        : trimmed;
+  }
+
+  return normalized;
+}
+
+/**
+ * Missing and over-long captions, worded for the repair prompt
+ * @returns {string[]}
+ */
+function captionProblems(captions) {
+  if (!captions || typeof captions !== "object" || Array.isArray(captions)) {
+    return ['"captions" must be an object'];
+  }
+
+  const problems = [];
+  for (const [key, format] of Object.entries(CAPTION_FORMATS)) {
+    const value = captions[key];
+    if (typeof value !== "string" || value.trim() === "") {
+      problems.push(`"captions.${key}" must be a non-empty string`);
+    } else if (value.trim().length > format.maxLength) {
+      problems.push(
+        `"captions.${key}" must be at most ${format.maxLength} characters`
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * JSON schema of a valid analysis for a resolved tag style
+ * Passed to providers that support structured output / JSON mode
+ */
+function buildAnalysisSchema(style) {
+  const captionProperties = {};
+  for (const [key, format] of Object.entries(CAPTION_FORMATS)) {
+    captionProperties[key] = { type: "string", maxLength: format.maxLength };
+  }
+
+  return {
+    type: "object",
+    properties: {
+      description: { type: "string", maxLength: MAX_DESCRIPTION_LENGTH },
+      tags: {
+        type: "array",
+        items: { type: "string", maxLength: MAX_TAG_LENGTH },
+        minItems: style.tagCount,
+        maxItems: style.tagCount,
+      },
+      captions: {
+        type: "object",
+        properties: captionProperties,
+        required: Object.keys(CAPTION_FORMATS),
+        additionalProperties: false,
+      },
+    },
+    required: ["description", "tags", "captions"],
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Raised when model output does not match the analysis schema
+ * `problems` lists every violation so the model can be asked to repair them
+ */
+class InvalidAnalysisError extends Error {
+  constructor(problems) {
+    super(`Invalid AI response: ${problems.join("; ")}`);
+    this.name = "InvalidAnalysisError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Extract a JSON object from model output
+ * Accepts bare JSON, fenced code blocks, or the first object embedded in prose
+ * @returns {Object|null}
+ */
+function extractJson(content) {
+  if (typeof content !== "string") {
+    return null;
+  }
+
+  const text = content
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  const candidates = [text];
+  const start = text.indexOf("{");
+  if (start !== -1) {
+    // Walk to the matching closing brace, ignoring braces inside strings
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === "\\") i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "}" && --depth === 0) {
+        candidates.push(text.substring(start, i + 1));
+        break;
+      }
+    }
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lowercase, trim and collapse whitespace in a tag
+ */
+function normalizeTag(tag) {
+  return tag.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Validate parsed output against the analysis schema
+ * Normalizes tags (lowercase, dedupe) and trims extra tags to the style's count
+ * @param {Object} [options] - { truncateCaptions }: accept missing and
+ *   over-long captions, dropping or truncating them, instead of reporting
+ *   them; for the last attempt, when the model can no longer repair them
+ * @returns {{value: Object, problems: string[]}}
+ */
+function validateAnalysis(data, style, options = {}) {
+  const problems = [];
+
+  const description =
+    typeof data.description === "string" ? data.description.trim() : "";
+  if (description === "") {
+    problems.push('"description" must be a non-empty string');
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    problems.push(
+      `"description" must be at most ${MAX_DESCRIPTION_LENGTH} characters`
+    );
+  }
+
+  let tags = [];
+  if (!Array.isArray(data.tags)) {
+    problems.push('"tags" must be an array of strings');
+  } else {
+    if (data.tags.some((tag) => typeof tag !== "string")) {
+      problems.push('"tags" must only contain strings');
+    }
+
+    tags = [
+      ...new Set(
+        data.tags
+          .filter((tag) => typeof tag === "string")
+          .map(normalizeTag)
+          .filter(Boolean)
+      ),
+    ];
+
+    const tooLong = tags.filter((tag) => tag.length > MAX_TAG_LENGTH);
+    if (tooLong.length > 0) {
+      problems.push(
+        `tags must be at most ${MAX_TAG_LENGTH} characters: ${tooLong.join(", ")}`
+      );
+    }
+    if (tags.length < style.tagCount) {
+      problems.push(
+        `expected ${style.tagCount} unique tags, got ${tags.length}`
+      );
+    }
+    tags = tags.slice(0, style.tagCount);
+  }
+
+  if (!options.truncateCaptions) {
+    problems.push(...captionProblems(data.captions));
+  }
+
+  return {
+    value: { description, tags, captions: normalizeCaptions(data.captions) },
+    problems,
+  };
+}
+
+/**
+ * Parse raw model output into the analysis result shape
+ * @param {string} content - Raw model output
+ * @param {Object} style - Resolved tag style
+ * @param {Object} [options] - Passed to validateAnalysis
+ * @throws {InvalidAnalysisError} When the output is not valid JSON or fails validation
+ */
+function parseAnalysisResponse(content, style, options = {}) {
+  const data = extractJson(content);
+  if (!data) {
+    throw new InvalidAnalysisError(["response is not a valid JSON object"]);
+  }
+
+  const { value, problems } = validateAnalysis(data, style, options);
+  if (problems.length > 0) {
+    throw new InvalidAnalysisError(problems);
+  }
+
+  return {
+    success: true,
+    ...value,
+    tagStyle: style.key,
+  };
+}
+
+/**
+ * Ask the model to fix a response that failed validation
+ */
+function buildRepairPrompt(prompt, content, problems) {
+  const previous = String(content ?? "").substring(0, MAX_REPAIR_ECHO_LENGTH);
+
+  return `${prompt}
+
+Your previous response could not be used:
+${problems.map((problem) => `- ${problem}`).join("\n")}
+
+Previous response:
+${previous}
+
+Reply again with only the corrected JSON object.`;
+}
+
+module.exports = {
+  TAG_STYLES,
+  DEFAULT_TAG_COUNT,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_TAG_LENGTH,
+  CAPTION_FORMATS,
+  InvalidAnalysisError,
+  resolveTagStyle,
+  resolveLanguage,
+  buildAnalysisPrompt,
+  buildAnalysisSchema,
+  buildRepairPrompt,
+  extractJson,
+  normalizeCaptions,
+  validateAnalysis,
+  parseAnalysisResponse,
+};
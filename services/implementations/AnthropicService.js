@@ -0,0 +1,66 @@
+/**
+ * Anthropic Service Implementation
+ * Implements IAIService interface for Claude vision models
+ * Forces a tool call so the analysis arrives as schema-shaped JSON
+ */
+
+const Anthropic = require("@anthropic-ai/sdk");
+const BaseAIService = require("./BaseAIService");
+
+const ANALYSIS_TOOL = "record_image_analysis";
+
+class AnthropicService extends BaseAIService {
+  constructor(apiKey, options = {}) {
+    super(options);
+    this.anthropic = new Anthropic({ apiKey });
+    this.model = options.model || "claude-haiku-4-5";
+  }
+
+  async requestAnalysis(prompt, image, schema) {
+    const response = await this.anthropic.messages.create({
+      model: this.model,
+      max_tokens: 1000,
+      tools: [
+        {
+          name: ANALYSIS_TOOL,
+          description: "Record the image description, tags and captions",
+          input_schema: schema,
+        },
+      ],
+      tool_choice: { type: "tool", name: ANALYSIS_TOOL },
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "image",
+              source: {
+                type: "base64",
+                media_type: image.mimeType,
+                data: image.base64,
+              },
+            },
+            {
+              type: "text",
+              text: prompt,
+            },
+          ],
+        },
+      ],
+    });
+
+    const toolUse = response.content.find(
+      (block) => block.type === "tool_use" && block.name === ANALYSIS_TOOL
+    );
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
+    }
+
+    return response.content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+}
+
+module.exports = AnthropicService;
@@ -0,0 +1,135 @@
+/**
+ * Base AI Service
+ * Shared analysis flow for IAIService implementations.
+ * Subclasses only implement requestAnalysis() for their vendor API.
+ * Responses are validated against the analysis schema; invalid output is sent
+ * back to the model for repair a bounded number of times before failing.
+ */
+
+const IAIService = require("../interfaces/IAIService");
+const FileService = require("../../utils/fileService");
+const {
+  resolveTagStyle,
+  resolveLanguage,
+  buildAnalysisPrompt,
+  buildAnalysisSchema,
+  buildRepairPrompt,
+  parseAnalysisResponse,
+  InvalidAnalysisError,
+} = require("../aiPrompts");
+
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+class BaseAIService extends IAIService {
+  /**
+   * @param {Object} options
+   * @param {number|string} options.maxRepairAttempts - Extra requests allowed to fix invalid output (default 2)
+   */
+  constructor(options = {}) {
+    super();
+    const attempts = parseInt(options.maxRepairAttempts);
+    this.maxRepairAttempts =
+      Number.isInteger(attempts) && attempts >= 0
+        ? attempts
+        : DEFAULT_MAX_REPAIR_ATTEMPTS;
+  }
+
+  /**
+   * Send the prompt and image to the provider
+   * @param {string} prompt - Analysis prompt
+   * @param {{dataUrl: string, mimeType: string, base64: string}} image - Inline image data
+   * @param {Object} schema - JSON schema of the expected output, for structured output / JSON mode
+   * @returns {Promise<string>} Raw model output
+   */
+  async requestAnalysis(prompt, image, schema) {
+    throw new Error("Method not implemented");
+  }
+
+  async analyzeImage(imageDataUrl, tagStyle = "neutral", options = {}) {
+    try {
+      // Validate image data (remote URLs are never forwarded to the provider)
+      const image = FileService.parseDataUrl(imageDataUrl);
+      if (!image || !image.mimeType.startsWith("image/")) {
+        throw new Error("Invalid image data");
+      }
+
+      // Validate tag style (built-in name or resolved user-defined style)
+      const style = resolveTagStyle(tagStyle);
+      if (!style) {
+        throw new Error(`Unknown tag style: ${tagStyle}`);
+      }
+
+      // Validate output language
+      const language = options.language
+        ? resolveLanguage(options.language)
+        : null;
+      if (options.language && !language) {
+        throw new Error(`Unsupported language: ${options.language}`);
+      }
+
+      const result = await this._requestValidAnalysis(
+        buildAnalysisPrompt(style, { language }),
+        { dataUrl: imageDataUrl, ...image },
+        style
+      );
+      if (language) {
+        result.language = language.code;
+      }
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        description: null,
+        tags: [],
+      };
+    }
+  }
+
+  /**
+   * Request an analysis, asking the model to repair invalid output
+   * @throws {InvalidAnalysisError} When output is still invalid after all repair attempts
+   */
+  async _requestValidAnalysis(prompt, image, style) {
+    const schema = buildAnalysisSchema(style);
+    let attemptPrompt = prompt;
+
+    for (let attempt = 0; ; attempt++) {
+      const content = await this.requestAnalysis(attemptPrompt, image, schema);
+
+      // Out of repairs, captions are truncated or dropped rather than
+      // failing a valid description and tags
+      const lastAttempt = attempt >= this.maxRepairAttempts;
+      try {
+        return parseAnalysisResponse(content, style, {
+          truncateCaptions: lastAttempt,
+        });
+      } catch (error) {
+        if (!(error instanceof InvalidAnalysisError) || lastAttempt) {
+          throw error;
+        }
+        attemptPrompt = buildRepairPrompt(prompt, content, error.problems);
+      }
+    }
+  }
+
+  async generateTags(imageDataUrl, tagStyle = "neutral") {
+    const result = await this.analyzeImage(imageDataUrl, tagStyle);
+    return {
+      success: result.success,
+      tags: result.tags,
+      error: result.error,
+    };
+  }
+
+  async generateDescription(imageDataUrl) {
+    const result = await this.analyzeImage(imageDataUrl, "neutral");
+    return {
+      success: result.success,
+      description: result.description,
+      error: result.error,
+    };
+  }
+}
+
+module.exports = BaseAIService;
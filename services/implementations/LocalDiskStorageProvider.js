@@ -0,0 +1,261 @@
+/**
+ * Local Disk Storage Provider Implementation
+ * Implements IStorageProvider interface on the local filesystem.
+ * Files are served (and direct uploads received) by the /storage route
+ * through HMAC-signed URLs that expire like Supabase signed URLs.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { createWriteStream } = require("fs");
+const nodePath = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const IStorageProvider = require("../interfaces/IStorageProvider");
+
+// Signed URL lifetime when the caller does not choose one; matches
+// SignedUrlService, which always chooses
+const DEFAULT_URL_EXPIRES_IN = 3600;
+// Upload URLs only need to outlive the client's PUT
+const UPLOAD_URL_EXPIRES_IN = 900;
+
+class LocalDiskStorageProvider extends IStorageProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.rootDir - Directory files are stored under (default ./storage)
+   * @param {string} options.baseUrl - Public origin of this server, used in signed URLs
+   * @param {string} options.signingSecret - HMAC key for signed URLs
+   * @param {number|string} options.urlExpiresIn - Signed URL lifetime in seconds
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.signingSecret) {
+      throw new Error(
+        "Local storage requires a signing secret (LOCAL_STORAGE_SIGNING_SECRET)"
+      );
+    }
+
+    this.rootDir = nodePath.resolve(options.rootDir || "storage");
+    this.baseUrl = (
+      options.baseUrl || `http://localhost:${process.env.PORT || 3000}`
+    ).replace(/\/+$/, "");
+    this.signingSecret = options.signingSecret;
+    this.urlExpiresIn =
+      parseInt(options.urlExpiresIn) || DEFAULT_URL_EXPIRES_IN;
+  }
+
+  async uploadFile(buffer, path, options = {}) {
+    const fullPath = this.getAbsolutePath(path);
+
+    try {
+      await fs.mkdir(nodePath.dirname(fullPath), { recursive: true });
+      // "wx" refuses to overwrite, like a Supabase upload without upsert
+      await fs.writeFile(fullPath, buffer, {
+        flag: options.upsert ? "w" : "wx",
+      });
+    } catch (error) {
+      const reason =
+        error.code === "EEXIST" ? "The resource already exists" : error.message;
+      throw new Error(`Storage upload failed: ${reason}`);
+    }
+
+    return { path };
+  }
+
+  async deleteFile(path) {
+    const fullPath = this.getAbsolutePath(path);
+
+    try {
+      // Missing files are not an error, matching Supabase remove()
+      await fs.rm(fullPath, { force: true });
+    } catch (error) {
+      throw new Error(`Storage delete failed: ${error.message}`);
+    }
+
+    return true;
+  }
+
+  async deleteFiles(paths) {
+    const fullPaths = paths.map((path) => this.getAbsolutePath(path));
+
+    try {
+      await Promise.all(
+        fullPaths.map((fullPath) => fs.rm(fullPath, { force: true }))
+      );
+    } catch (error) {
+      throw new Error(`Bulk storage delete failed: ${error.message}`);
+    }
+
+    return true;
+  }
+
+  async downloadFile(path) {
+    const fullPath = this.getAbsolutePath(path);
+
+    try {
+      return await fs.readFile(fullPath);
+    } catch (error) {
+      const reason =
+        error.code === "ENOENT" ? "Object not found" : error.message;
+      throw new Error(`Storage download failed: ${reason}`);
+    }
+  }
+
+  async getReadStream(path) {
+    const fullPath = this.getAbsolutePath(path);
+
+    try {
+      // Open first so a missing file rejects here, not on the stream
+      const handle = await fs.open(fullPath, "r");
+      return handle.createReadStream();
+    } catch (error) {
+      const reason =
+        error.code === "ENOENT" ? "Object not found" : error.message;
+      throw new Error(`Storage download failed: ${reason}`);
+    }
+  }
+
+  async getPublicUrl(path, options = {}) {
+    this.getAbsolutePath(path);
+    return this.createSignedUrl(path, options.expiresIn);
+  }
+
+  async createUploadUrl(path, options = {}) {
+    this.getAbsolutePath(path);
+    const expiresIn = options.expiresIn || UPLOAD_URL_EXPIRES_IN;
+
+    return {
+      method: "PUT",
+      url: this.createSignedUrl(path, expiresIn, "PUT"),
+      headers: options.contentType
+        ? { "Content-Type": options.contentType }
+        : {},
+      expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Write a stream to a file, which only appears once every byte has arrived
+   * An existing file is never replaced, so an upload URL writes once, like a
+   * Supabase signed upload URL
+   * @param {number} options.maxBytes - Discard the upload once it grows past this
+   * @returns {Promise<{path: string, size: number}>}
+   */
+  async writeStream(path, stream, options = {}) {
+    const fullPath = this.getAbsolutePath(path);
+    const tempPath = `${fullPath}.${crypto.randomBytes(6).toString("hex")}.part`;
+
+    let size = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (options.maxBytes && size > options.maxBytes) {
+          callback(new Error("File size exceeds limit"));
+        } else {
+          callback(null, chunk);
+        }
+      },
+    });
+
+    try {
+      await fs.mkdir(nodePath.dirname(fullPath), { recursive: true });
+      await pipeline(stream, limit, createWriteStream(tempPath));
+      // Unlike rename, link fails when the file already exists
+      await fs.link(tempPath, fullPath);
+    } catch (error) {
+      const reason =
+        error.code === "EEXIST" ? "The resource already exists" : error.message;
+      throw new Error(`Storage upload failed: ${reason}`);
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+
+    return { path, size };
+  }
+
+  async getFileInfo(path) {
+    try {
+      const stats = await fs.stat(this.getAbsolutePath(path));
+      // The filesystem keeps no content type
+      return stats.isFile() ? { size: stats.size, contentType: null } : null;
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw new Error(`Storage lookup failed: ${error.message}`);
+    }
+  }
+
+  async fileExists(path) {
+    try {
+      const stats = await fs.stat(this.getAbsolutePath(path));
+      return stats.isFile();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Build a URL for the /storage route that stops working after expiresIn seconds
+   * @param {string} method - HTTP method the URL is valid for (GET or PUT)
+   */
+  createSignedUrl(path, expiresIn = this.urlExpiresIn, method = "GET") {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedPath = path.split("/").map(encodeURIComponent).join("/");
+    const signature = this._sign(path, expires, method);
+
+    return `${this.baseUrl}/storage/${encodedPath}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Check a signed URL's query parameters
+   * @returns {boolean} True when the signature matches and has not expired
+   */
+  verifySignedUrl(path, expires, signature, method = "GET") {
+    const expiresAt = Number(expires);
+    if (
+      !Number.isInteger(expiresAt) ||
+      expiresAt < Math.floor(Date.now() / 1000) ||
+      typeof signature !== "string"
+    ) {
+      return false;
+    }
+
+    const expected = Buffer.from(this._sign(path, expiresAt, method));
+    const actual = Buffer.from(signature);
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+
+  /**
+   * Resolve a storage path inside the root directory
+   * @throws When the path is empty or escapes the root (e.g. "../")
+   */
+  getAbsolutePath(path) {
+    if (typeof path !== "string" || !path || path.includes("\0")) {
+      throw new Error("Invalid storage path");
+    }
+
+    const fullPath = nodePath.resolve(this.rootDir, path);
+    if (!fullPath.startsWith(this.rootDir + nodePath.sep)) {
+      throw new Error("Invalid storage path");
+    }
+
+    return fullPath;
+  }
+
+  _sign(path, expires, method = "GET") {
+    // GET keeps the original payload so download URLs already issued stay valid
+    const payload =
+      method === "GET"
+        ? `${path}\n${expires}`
+        : `${method}\n${path}\n${expires}`;
+    return crypto
+      .createHmac("sha256", this.signingSecret)
+      .update(payload)
+      .digest("hex");
+  }
+}
+
+module.exports = LocalDiskStorageProvider;
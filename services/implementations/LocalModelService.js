@@ -0,0 +1,91 @@
+/**
+ * Local Model Service Implementation
+ * Implements IAIService interface for self-hosted vision models.
+ * Supports Ollama (/api/chat) and OpenAI-compatible (/chat/completions) servers
+ * such as LM Studio, vLLM or llama.cpp, so images never leave your network.
+ */
+
+const BaseAIService = require("./BaseAIService");
+
+const API_STYLES = ["ollama", "openai"];
+
+class LocalModelService extends BaseAIService {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Server URL (e.g. http://localhost:11434 or http://localhost:1234/v1)
+   * @param {string} options.model - Model name (e.g. llava)
+   * @param {string} options.apiStyle - "ollama" or "openai"
+   * @param {string} options.apiKey - Optional bearer token for OpenAI-compatible servers
+   * @param {number} options.timeoutMs - Request timeout
+   * @param {number|string} options.maxRepairAttempts - Extra requests allowed to fix invalid output
+   */
+  constructor(options = {}) {
+    super(options);
+    this.baseUrl = (options.baseUrl || "http://localhost:11434").replace(
+      /\/+$/,
+      ""
+    );
+    this.model = options.model || "llava";
+    this.apiStyle = (options.apiStyle || "ollama").toLowerCase();
+    this.apiKey = options.apiKey;
+    this.timeoutMs = options.timeoutMs || 120000;
+
+    if (!API_STYLES.includes(this.apiStyle)) {
+      throw new Error(`Unsupported local AI API style: ${this.apiStyle}`);
+    }
+  }
+
+  async requestAnalysis(prompt, image, schema) {
+    if (this.apiStyle === "openai") {
+      const data = await this._post("/chat/completions", {
+        model: this.model,
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              { type: "image_url", image_url: { url: image.dataUrl } },
+            ],
+          },
+        ],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: "image_analysis", schema },
+        },
+        max_tokens: 1000,
+      });
+      return data.choices?.[0]?.message?.content;
+    }
+
+    // Ollama expects raw base64 image data without the data URL prefix
+    const data = await this._post("/api/chat", {
+      model: this.model,
+      stream: false,
+      format: schema,
+      messages: [{ role: "user", content: prompt, images: [image.base64] }],
+    });
+    return data.message?.content;
+  }
+
+  async _post(path, body) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Local model request failed: HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+module.exports = LocalModelService;
@@ -0,0 +1,73 @@
+/**
+ * Memory Job Store Implementation
+ * Implements IJobStore in process memory. Jobs are lost on restart,
+ * which is fine for development and single-instance deployments.
+ */
+
+const crypto = require("crypto");
+const IJobStore = require("../interfaces/IJobStore");
+const Job = require("../../models/Job");
+
+class MemoryJobStore extends IJobStore {
+  constructor() {
+    super();
+    this.jobs = new Map();
+  }
+
+  async create(jobData) {
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      created_at: now,
+      updated_at: now,
+      ...jobData,
+    };
+    this.jobs.set(row.id, row);
+    return new Job(row);
+  }
+
+  async findById(id) {
+    const row = this.jobs.get(id);
+    return row ? new Job(row) : null;
+  }
+
+  async update(id, updates) {
+    const row = this.jobs.get(id);
+    if (!row) {
+      throw new Error(`Job not found: ${id}`);
+    }
+
+    Object.assign(row, updates, { updated_at: new Date().toISOString() });
+    return new Job(row);
+  }
+
+  async findLatestByFileId(fileId, userId) {
+    let latest = null;
+    for (const row of this.jobs.values()) {
+      if (row.file_id === fileId && row.user_id === userId) {
+        // Later insertions win ties on created_at
+        if (!latest || row.created_at >= latest.created_at) {
+          latest = row;
+        }
+      }
+    }
+    return latest ? new Job(latest) : null;
+  }
+
+  async findUnfinished() {
+    return [...this.jobs.values()]
+      .filter((row) => row.status === "queued" || row.status === "running")
+      .map((row) => new Job(row));
+  }
+
+  async renewLeases(ownerId, ids, leaseExpiresAt) {
+    for (const id of ids) {
+      const row = this.jobs.get(id);
+      if (row && row.owner_id === ownerId) {
+        row.lease_expires_at = leaseExpiresAt;
+      }
+    }
+  }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,73 @@
+/**
+ * Mock AI Service Implementation
+ * Deterministic, offline IAIService for local development and tests.
+ * The same image and prompt always produce the same description and tags.
+ */
+
+const crypto = require("crypto");
+const BaseAIService = require("./BaseAIService");
+
+const SUBJECTS = [
+  "landscape",
+  "portrait",
+  "city street",
+  "still life",
+  "animal",
+  "interior",
+  "beach",
+  "forest",
+];
+
+const TAG_VOCABULARY = [
+  "nature",
+  "outdoors",
+  "light",
+  "color",
+  "texture",
+  "people",
+  "architecture",
+  "sky",
+  "water",
+  "travel",
+  "detail",
+  "composition",
+];
+
+class MockAIService extends BaseAIService {
+  async requestAnalysis(prompt, image, schema) {
+    const digest = crypto
+      .createHash("sha256")
+      .update(`${prompt}\n${image.base64}`)
+      .digest();
+
+    const subject = SUBJECTS[digest[0] % SUBJECTS.length];
+    const tagCount = schema?.properties.tags.maxItems || 5;
+    const tags = [];
+    for (let i = 1; tags.length < tagCount && i < digest.length; i++) {
+      const tag = TAG_VOCABULARY[digest[i] % TAG_VOCABULARY.length];
+      if (!tags.includes(tag)) tags.push(tag);
+    }
+    // Pad with numbered tags when the vocabulary runs out
+    while (tags.length < tagCount) {
+      tags.push(`${subject} ${tags.length + 1}`);
+    }
+
+    const description = `A mock ${subject} image (ref ${digest
+      .toString("hex")
+      .substring(0, 8)}).`;
+    const hashtags = tags.map((tag) => `#${tag}`);
+
+    return JSON.stringify({
+      description,
+      tags,
+      captions: {
+        altText: `A ${subject} featuring ${tags[0]} and ${tags[1]}.`,
+        instagram: `${description}\n\n${hashtags.join(" ")}`,
+        x: `${description} ${hashtags[0]}`,
+        linkedin: `${description} A closer look at ${tags[0]}, ${tags[1]} and ${tags[2]}.`,
+      },
+    });
+  }
+}
+
+module.exports = MockAIService;
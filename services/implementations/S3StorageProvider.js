@@ -0,0 +1,232 @@
+/**
+ * S3 Storage Provider Implementation
+ * Implements IStorageProvider interface for S3-compatible object stores
+ * (AWS S3, MinIO, Cloudflare R2)
+ */
+
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const IStorageProvider = require("../interfaces/IStorageProvider");
+
+// SigV4 presigned URLs are valid for at most 7 days
+const MAX_URL_EXPIRES_IN = 604800;
+// Presigned URL lifetime when the caller does not choose one; matches
+// SignedUrlService, which always chooses
+const DEFAULT_URL_EXPIRES_IN = 3600;
+// Presigned upload URLs only need to outlive the client's PUT
+const UPLOAD_URL_EXPIRES_IN = 900;
+// DeleteObjects accepts up to 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+class S3StorageProvider extends IStorageProvider {
+  /**
+   * @param {S3Client} s3Client
+   * @param {string} bucketName
+   * @param {Object} options
+   * @param {number|string} options.urlExpiresIn - Presigned URL lifetime in seconds (max 7 days)
+   */
+  constructor(s3Client, bucketName, options = {}) {
+    super();
+
+    if (!bucketName) {
+      throw new Error("S3 storage requires a bucket name (S3_BUCKET)");
+    }
+
+    this.s3 = s3Client;
+    this.bucketName = bucketName;
+    this.urlExpiresIn = Math.min(
+      parseInt(options.urlExpiresIn) || DEFAULT_URL_EXPIRES_IN,
+      MAX_URL_EXPIRES_IN
+    );
+  }
+
+  async uploadFile(buffer, path, options = {}) {
+    try {
+      await this.s3.send(
+        new PutObjectCommand({
+          Bucket: this.bucketName,
+          Key: path,
+          Body: buffer,
+          ContentType: options.contentType || "application/octet-stream",
+          CacheControl: `max-age=${options.cacheControl || "3600"}`,
+          // Conditional write refuses to overwrite, like a Supabase upload without upsert
+          IfNoneMatch: options.upsert ? undefined : "*",
+        })
+      );
+    } catch (error) {
+      const reason =
+        error.name === "PreconditionFailed"
+          ? "The resource already exists"
+          : error.message;
+      throw new Error(`Storage upload failed: ${reason}`);
+    }
+
+    return { path };
+  }
+
+  async deleteFile(path) {
+    try {
+      await this.s3.send(
+        new DeleteObjectCommand({ Bucket: this.bucketName, Key: path })
+      );
+    } catch (error) {
+      throw new Error(`Storage delete failed: ${error.message}`);
+    }
+
+    return true;
+  }
+
+  async deleteFiles(paths) {
+    for (let i = 0; i < paths.length; i += DELETE_BATCH_SIZE) {
+      const batch = paths.slice(i, i + DELETE_BATCH_SIZE);
+
+      let result;
+      try {
+        result = await this.s3.send(
+          new DeleteObjectsCommand({
+            Bucket: this.bucketName,
+            Delete: {
+              Objects: batch.map((Key) => ({ Key })),
+              Quiet: true,
+            },
+          })
+        );
+      } catch (error) {
+        throw new Error(`Bulk storage delete failed: ${error.message}`);
+      }
+
+      // A 200 response can still report per-key failures
+      if (result.Errors && result.Errors.length > 0) {
+        const [first] = result.Errors;
+        throw new Error(
+          `Bulk storage delete failed: ${result.Errors.length} object(s) not deleted (${first.Key}: ${first.Message || first.Code})`
+        );
+      }
+    }
+
+    return true;
+  }
+
+  async downloadFile(path) {
+    try {
+      const { Body } = await this.s3.send(
+        new GetObjectCommand({ Bucket: this.bucketName, Key: path })
+      );
+      return Buffer.from(await Body.transformToByteArray());
+    } catch (error) {
+      const reason =
+        error.name === "NoSuchKey" ? "Object not found" : error.message;
+      throw new Error(`Storage download failed: ${reason}`);
+    }
+  }
+
+  async getReadStream(path) {
+    try {
+      const { Body } = await this.s3.send(
+        new GetObjectCommand({ Bucket: this.bucketName, Key: path })
+      );
+      return Body;
+    } catch (error) {
+      const reason =
+        error.name === "NoSuchKey" ? "Object not found" : error.message;
+      throw new Error(`Storage download failed: ${reason}`);
+    }
+  }
+
+  async getPublicUrl(path, options = {}) {
+    const expiresIn = Math.min(
+      options.expiresIn || this.urlExpiresIn,
+      MAX_URL_EXPIRES_IN
+    );
+
+    try {
+      return await getSignedUrl(
+        this.s3,
+        new GetObjectCommand({ Bucket: this.bucketName, Key: path }),
+        { expiresIn }
+      );
+    } catch (error) {
+      throw new Error(`Failed to generate signed URL: ${error.message}`);
+    }
+  }
+
+  async createUploadUrl(path, options = {}) {
+    const expiresIn = Math.min(
+      options.expiresIn || UPLOAD_URL_EXPIRES_IN,
+      MAX_URL_EXPIRES_IN
+    );
+
+    try {
+      // The content type and the conditional write are signed, so the client
+      // must send the same headers and the URL cannot replace the object once
+      // it exists
+      const url = await getSignedUrl(
+        this.s3,
+        new PutObjectCommand({
+          Bucket: this.bucketName,
+          Key: path,
+          ContentType: options.contentType,
+          IfNoneMatch: "*",
+        }),
+        {
+          expiresIn,
+          signableHeaders: new Set(["content-type", "if-none-match"]),
+        }
+      );
+
+      return {
+        method: "PUT",
+        url,
+        headers: {
+          ...(options.contentType && { "Content-Type": options.contentType }),
+          "If-None-Match": "*",
+        },
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      };
+    } catch (error) {
+      throw new Error(`Failed to generate upload URL: ${error.message}`);
+    }
+  }
+
+  async getFileInfo(path) {
+    try {
+      const { ContentLength, ContentType } = await this.s3.send(
+        new HeadObjectCommand({ Bucket: this.bucketName, Key: path })
+      );
+      return { size: ContentLength, contentType: ContentType || null };
+    } catch (error) {
+      if (
+        error.name === "NotFound" ||
+        error.$metadata?.httpStatusCode === 404
+      ) {
+        return null;
+      }
+      throw new Error(`Storage lookup failed: ${error.message}`);
+    }
+  }
+
+  async fileExists(path) {
+    try {
+      await this.s3.send(
+        new HeadObjectCommand({ Bucket: this.bucketName, Key: path })
+      );
+      return true;
+    } catch (error) {
+      if (
+        error.name === "NotFound" ||
+        error.$metadata?.httpStatusCode === 404
+      ) {
+        return false;
+      }
+      throw new Error(`Storage lookup failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = S3StorageProvider;
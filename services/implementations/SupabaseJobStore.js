@@ -0,0 +1,88 @@
+/**
+ * Supabase Job Store Implementation
+ * Implements IJobStore on the analysis_jobs table so job status survives
+ * restarts. Uses the service-role client because jobs are read and written
+ * by the background worker, outside any user request.
+ */
+
+const IJobStore = require("../interfaces/IJobStore");
+const Job = require("../../models/Job");
+
+class SupabaseJobStore extends IJobStore {
+  constructor(supabaseClient) {
+    super();
+    this.supabase = supabaseClient;
+  }
+
+  async create(jobData) {
+    const { data, error } = await this.supabase
+      .from("analysis_jobs")
+      .insert([jobData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new Job(data);
+  }
+
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from("analysis_jobs")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Job(data) : null;
+  }
+
+  async update(id, updates) {
+    const { data, error } = await this.supabase
+      .from("analysis_jobs")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return new Job(data);
+  }
+
+  async findLatestByFileId(fileId, userId) {
+    const { data, error } = await this.supabase
+      .from("analysis_jobs")
+      .select("*")
+      .eq("file_id", fileId)
+      .eq("user_id", userId)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Job(data) : null;
+  }
+
+  async findUnfinished() {
+    const { data, error } = await this.supabase
+      .from("analysis_jobs")
+      .select("*")
+      .in("status", ["queued", "running"]);
+
+    if (error) throw error;
+    return (data || []).map((row) => new Job(row));
+  }
+
+  async renewLeases(ownerId, ids, leaseExpiresAt) {
+    if (ids.length === 0) return;
+
+    const { error } = await this.supabase
+      .from("analysis_jobs")
+      .update({ lease_expires_at: leaseExpiresAt })
+      .eq("owner_id", ownerId)
+      .in("id", ids);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = SupabaseJobStore;
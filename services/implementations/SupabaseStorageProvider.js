@@ -3,8 +3,19 @@
  * Implements IStorageProvider interface for Supabase
  */
 
+const { Readable } = require("stream");
 const IStorageProvider = require("../interfaces/IStorageProvider");
 
+// Lifetime of the internal URL used to stream a download
+const STREAM_URL_EXPIRES_IN = 60;
+
+// Signed URL lifetime when the caller does not choose one; matches
+// SignedUrlService, which always chooses
+const DEFAULT_URL_EXPIRES_IN = 3600;
+
+// Supabase signed upload URLs have a fixed lifetime of 2 hours
+const UPLOAD_URL_EXPIRES_IN = 7200;
+
 class SupabaseStorageProvider extends IStorageProvider {
   constructor(supabaseClient, bucketName = "uploads") {
     super();
@@ -25,19 +36,7 @@ class SupabaseStorageProvider extends IStorageProvider {
       throw new Error(`Storage upload failed: ${error.message}`);
     }
 
-    // Use signed URL for private buckets (expires in 1 year)
-    const { data: urlData, error: urlError } = await this.supabase.storage
-      .from(this.bucketName)
-      .createSignedUrl(path, 31536000); // 1 year in seconds
-
-    if (urlError) {
-      throw new Error(`Failed to generate signed URL: ${urlError.message}`);
-    }
-
-    return {
-      path: data.path,
-      publicUrl: urlData.signedUrl,
-    };
+    return { path: data.path };
   }
 
   async deleteFile(path) {
@@ -64,11 +63,43 @@ class SupabaseStorageProvider extends IStorageProvider {
     return true;
   }
 
-  async getPublicUrl(path) {
-    // Use signed URL for private buckets (expires in 1 year)
+  async downloadFile(path) {
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .download(path);
+
+    if (error) {
+      throw new Error(`Storage download failed: ${error.message}`);
+    }
+
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  async getReadStream(path) {
+    // supabase-js buffers downloads into a Blob, so fetch a short-lived
+    // signed URL instead and hand the body over as it arrives
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .createSignedUrl(path, STREAM_URL_EXPIRES_IN);
+
+    if (error) {
+      throw new Error(`Storage download failed: ${error.message}`);
+    }
+
+    const response = await fetch(data.signedUrl);
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new Error(`Storage download failed: HTTP ${response.status}`);
+    }
+
+    return Readable.fromWeb(response.body);
+  }
+
+  async getPublicUrl(path, options = {}) {
+    // Use signed URL for private buckets
     const { data, error } = await this.supabase.storage
       .from(this.bucketName)
-      .createSignedUrl(path, 31536000); // 1 year in seconds
+      .createSignedUrl(path, options.expiresIn || DEFAULT_URL_EXPIRES_IN);
 
     if (error) {
       throw new Error(`Failed to generate signed URL: ${error.message}`);
@@ -77,6 +108,47 @@ class SupabaseStorageProvider extends IStorageProvider {
     return data.signedUrl;
   }
 
+  async createUploadUrl(path, options = {}) {
+    // Without upsert the URL cannot replace the object once it exists
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .createSignedUploadUrl(path);
+
+    if (error) {
+      throw new Error(`Failed to generate upload URL: ${error.message}`);
+    }
+
+    return {
+      method: "PUT",
+      url: data.signedUrl,
+      headers: options.contentType
+        ? { "Content-Type": options.contentType }
+        : {},
+      expiresAt: new Date(
+        Date.now() + UPLOAD_URL_EXPIRES_IN * 1000
+      ).toISOString(),
+    };
+  }
+
+  async getFileInfo(path) {
+    const filename = path.split("/").pop();
+    const { data, error } = await this.supabase.storage
+      .from(this.bucketName)
+      .list(path.split("/").slice(0, -1).join("/"), { search: filename });
+
+    if (error) {
+      throw new Error(`Storage lookup failed: ${error.message}`);
+    }
+
+    const file = (data || []).find((entry) => entry.name === filename);
+    if (!file) return null;
+
+    return {
+      size: file.metadata?.size ?? null,
+      contentType: file.metadata?.mimetype || null,
+    };
+  }
+
   async fileExists(path) {
     try {
       const { data, error } = await this.supabase.storage
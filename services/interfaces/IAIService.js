@@ -6,30 +6,32 @@
 class IAIService {
   /**
    * Analyze an image and generate description and tags
-   * @param {string} imageUrl - URL of the image to analyze
-   * @param {string} tagStyle - Style of tags (neutral, playful, seo)
-   * @returns {Promise<{success: boolean, description: string, tags: string[], error?: string}>}
+   * Images are passed inline so no storage URL is ever shared with the vendor.
+   * @param {string} imageDataUrl - Base64 data URL of the image (data:image/...;base64,...)
+   * @param {string|Object} tagStyle - Built-in style name (neutral, playful, seo) or a resolved custom style
+   * @param {Object} options - { language: BCP 47 tag for the description and tags, e.g. "fr" }
+   * @returns {Promise<{success: boolean, description: string, tags: string[], captions?: Object<string, string>, tagStyle?: string, language?: string, error?: string}>}
    */
-  async analyzeImage(imageUrl, tagStyle = "neutral") {
+  async analyzeImage(imageDataUrl, tagStyle = "neutral", options = {}) {
     throw new Error("Method not implemented");
   }
 
   /**
    * Generate tags for an image
-   * @param {string} imageUrl - URL of the image
-   * @param {string} tagStyle - Style of tags
+   * @param {string} imageDataUrl - Base64 data URL of the image
+   * @param {string|Object} tagStyle - Style of tags
    * @returns {Promise<{success: boolean, tags: string[], error?: string}>}
    */
-  async generateTags(imageUrl, tagStyle = "neutral") {
+  async generateTags(imageDataUrl, tagStyle = "neutral") {
     throw new Error("Method not implemented");
   }
 
   /**
    * Generate description for an image
-   * @param {string} imageUrl - URL of the image
+   * @param {string} imageDataUrl - Base64 data URL of the image
    * @returns {Promise<{success: boolean, description: string, error?: string}>}
    */
-  async generateDescription(imageUrl) {
+  async generateDescription(imageDataUrl) {
     throw new Error("Method not implemented");
   }
 }
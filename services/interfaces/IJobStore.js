@@ -0,0 +1,66 @@
+/**
+ * Job Store Interface
+ * Defines contract for job persistence backends (memory, Supabase, etc.)
+ * Data passed to create/update uses database (snake_case) column names.
+ */
+
+class IJobStore {
+  /**
+   * Persist a new job
+   * @param {Object} jobData - Job columns (type, user_id, file_id, payload, ...)
+   * @returns {Promise<Job>}
+   */
+  async create(jobData) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Job|null>}
+   */
+  async findById(id) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Update a job
+   * @param {string} id - Job ID
+   * @param {Object} updates - Columns to change
+   * @returns {Promise<Job>}
+   */
+  async update(id, updates) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find the most recent job for a file
+   * @param {string} fileId - File ID
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Job|null>}
+   */
+  async findLatestByFileId(fileId, userId) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Find jobs that are queued or running
+   * @returns {Promise<Job[]>}
+   */
+  async findUnfinished() {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Extend the lease on jobs still held by a queue instance
+   * @param {string} ownerId - Queue instance ID
+   * @param {string[]} ids - Job IDs
+   * @param {string} leaseExpiresAt - New expiry (ISO timestamp)
+   * @returns {Promise<void>}
+   */
+  async renewLeases(ownerId, ids, leaseExpiresAt) {
+    throw new Error("Method not implemented");
+  }
+}
+
+module.exports = IJobStore;
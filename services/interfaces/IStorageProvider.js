@@ -6,10 +6,12 @@
 class IStorageProvider {
   /**
    * Upload a file to storage
+   * Clients get URLs from SignedUrlService when files are read, so none is
+   * signed here
    * @param {Buffer} buffer - File buffer
    * @param {string} path - Storage path
    * @param {Object} options - Upload options (contentType, cacheControl)
-   * @returns {Promise<{path: string, publicUrl: string}>}
+   * @returns {Promise<{path: string}>}
    */
   async uploadFile(buffer, path, options) {
     throw new Error("Method not implemented");
@@ -34,11 +36,51 @@ class IStorageProvider {
   }
 
   /**
-   * Get public URL for a file
+   * Download a file's contents
    * @param {string} path - File path
+   * @returns {Promise<Buffer>}
+   */
+  async downloadFile(path) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Open a file's contents as a stream, for responses and archives
+   * Rejects before any data is read when the file cannot be opened
+   * @param {string} path - File path
+   * @returns {Promise<import("stream").Readable>}
+   */
+  async getReadStream(path) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Get a URL clients can load the file from (signed for private storage)
+   * @param {string} path - File path
+   * @param {Object} options - URL options (expiresIn, in seconds)
    * @returns {Promise<string>}
    */
-  async getPublicUrl(path) {
+  async getPublicUrl(path, options) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Create a URL clients can upload a file to directly, bypassing this server
+   * The URL writes once: it must not replace an object that already exists
+   * @param {string} path - Storage path the object will be written to
+   * @param {Object} options - { contentType, expiresIn (seconds) }
+   * @returns {Promise<{method: string, url: string, headers: Object, expiresAt: string}>}
+   */
+  async createUploadUrl(path, options) {
+    throw new Error("Method not implemented");
+  }
+
+  /**
+   * Get a stored file's size and content type
+   * @param {string} path - File path
+   * @returns {Promise<{size: number, contentType: string|null}|null>} null when missing
+   */
+  async getFileInfo(path) {
     throw new Error("Method not implemented");
   }
 
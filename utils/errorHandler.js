@@ -42,8 +42,8 @@ class NotFoundError extends ApiError {
 }
 
 class ConflictError extends ApiError {
-  constructor(message = "Resource conflict") {
-    super(409, message);
+  constructor(message = "Resource conflict", details = null) {
+    super(409, message, details);
     this.name = "ConflictError";
   }
 }
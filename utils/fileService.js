@@ -5,6 +5,56 @@
 
 const crypto = require("crypto");
 
+// Leading bytes of each accepted image format. WebP is a RIFF container
+// whose "WEBP" form type follows the 4-byte chunk size.
+const SIGNATURES = [
+  { mimeType: "image/jpeg", bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+  { mimeType: "image/png", bytes: Buffer.from("\x89PNG\r\n\x1a\n", "latin1") },
+  { mimeType: "image/gif", bytes: Buffer.from("GIF87a", "latin1") },
+  { mimeType: "image/gif", bytes: Buffer.from("GIF89a", "latin1") },
+  {
+    mimeType: "image/webp",
+    bytes: Buffer.from("RIFF", "latin1"),
+    formType: "WEBP",
+  },
+  { mimeType: "image/tiff", bytes: Buffer.from("II*\0", "latin1") },
+  { mimeType: "image/tiff", bytes: Buffer.from("MM\0*", "latin1") },
+];
+
+// HEIF files start with an ISO-BMFF "ftyp" box listing brands. AVIF comes
+// first: AVIF files also carry the generic HEIF brands.
+const HEIF_BRANDS = [
+  { mimeType: "image/avif", brands: ["avif", "avis"] },
+  {
+    mimeType: "image/heic",
+    brands: ["heic", "heix", "heim", "heis", "hevc", "hevx"],
+  },
+  { mimeType: "image/heif", brands: ["mif1", "msf1"] },
+];
+
+// SVG is text: an optional XML declaration, comments and doctype, then the
+// <svg> root. A doctype with an internal subset (entity declarations) does
+// not match.
+const SVG_PATTERN =
+  /^\uFEFF?\s*(?:<\?xml[^>]*\?>\s*)?(?:(?:<!--[\s\S]*?-->|<!DOCTYPE svg[^[>]*>)\s*)*<svg[\s/>]/i;
+const SVG_SNIFF_BYTES = 4096;
+
+/**
+ * Brands of an ISO-BMFF file: the major brand, then the compatible ones
+ */
+function ftypBrands(buffer) {
+  if (buffer.length < 16 || buffer.toString("latin1", 4, 8) !== "ftyp") {
+    return [];
+  }
+
+  const end = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString("latin1", 8, 12)];
+  for (let at = 16; at + 4 <= end; at += 4) {
+    brands.push(buffer.toString("latin1", at, at + 4));
+  }
+  return brands;
+}
+
 class FileService {
   /**
    * Generate cryptographically secure random filename
@@ -40,10 +90,73 @@ class FileService {
    * Validate file extension
    */
   static validateFileExtension(extension) {
-    const allowedExtensions = ["jpg", "jpeg", "png", "gif", "webp"];
+    const allowedExtensions = [
+      "jpg",
+      "jpeg",
+      "png",
+      "gif",
+      "webp",
+      "heic",
+      "heif",
+      "avif",
+      "tif",
+      "tiff",
+      "svg",
+    ];
     return allowedExtensions.includes(extension.toLowerCase());
   }
 
+  /**
+   * Validate a declared MIME type against the accepted image types
+   */
+  static validateMimeType(mimeType) {
+    const allowedMimeTypes = [
+      "image/jpeg",
+      "image/jpg",
+      "image/png",
+      "image/gif",
+      "image/webp",
+      "image/heic",
+      "image/heif",
+      "image/avif",
+      "image/tiff",
+      "image/svg+xml",
+    ];
+    return (
+      typeof mimeType === "string" &&
+      allowedMimeTypes.includes(mimeType.toLowerCase())
+    );
+  }
+
+  /**
+   * Detect an image's real format from its magic bytes
+   * Clients choose both the filename and the declared type, so neither says
+   * what the bytes are
+   * @returns {string|null} The MIME type, or null when the bytes are not an
+   *   accepted image format
+   */
+  static detectMimeType(buffer) {
+    if (!Buffer.isBuffer(buffer)) return null;
+
+    const signature = SIGNATURES.find(
+      ({ bytes, formType }) =>
+        buffer.subarray(0, bytes.length).equals(bytes) &&
+        (!formType || buffer.toString("latin1", 8, 12) === formType)
+    );
+
+    if (signature) return signature.mimeType;
+
+    const brands = ftypBrands(buffer);
+    const heif = HEIF_BRANDS.find((format) =>
+      format.brands.some((brand) => brands.includes(brand))
+    );
+    if (heif) return heif.mimeType;
+
+    return SVG_PATTERN.test(buffer.toString("utf8", 0, SVG_SNIFF_BYTES))
+      ? "image/svg+xml"
+      : null;
+  }
+
   /**
    * Validate file size
    */
@@ -52,6 +165,36 @@ class FileService {
     return size <= maxSizeBytes;
   }
 
+  /**
+   * SHA-256 of a file's bytes, hex encoded
+   */
+  static computeContentHash(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+  }
+
+  /**
+   * Encode a file buffer as a base64 data URL
+   */
+  static toDataUrl(buffer, mimeType) {
+    return `data:${mimeType || "application/octet-stream"};base64,${Buffer.from(
+      buffer
+    ).toString("base64")}`;
+  }
+
+  /**
+   * Split a base64 data URL into its MIME type and payload
+   * Returns null for anything that is not a base64 data URL
+   */
+  static parseDataUrl(dataUrl) {
+    const match =
+      typeof dataUrl === "string" &&
+      dataUrl.match(/^data:([a-z0-9.+-]+\/[a-z0-9.+-]+);base64,(.+)$/i);
+
+    if (!match) return null;
+
+    return { mimeType: match[1].toLowerCase(), base64: match[2] };
+  }
+
   /**
    * Get file metadata
    */
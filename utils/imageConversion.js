@@ -0,0 +1,143 @@
+/**
+ * Image Conversion
+ * HEIC, AVIF, TIFF and SVG uploads are stored as sent, but browsers and AI
+ * providers only take JPEG, PNG, GIF and WebP. toWebFriendly decodes the
+ * other formats into a JPEG (or a PNG, when the image has transparency) for
+ * analysis, renditions and renders. SVG is also sanitized before it is
+ * stored: the original is served to browsers, which run its scripts.
+ */
+
+const sharp = require("sharp");
+const decodeHeic = require("heic-decode");
+const createDOMPurify = require("dompurify");
+const { JSDOM } = require("jsdom");
+const { RENDITIONS } = require("./imageRenditions");
+
+const WEB_FRIENDLY_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+
+// HEVC-coded HEIF; sharp's prebuilt libvips only decodes the AV1 (AVIF) kind
+const HEIC_TYPES = ["image/heic", "image/heif"];
+
+const SVG_MIME_TYPE = "image/svg+xml";
+
+// Vector images are rasterized at least this large, so small icons still
+// fill a preview
+const SVG_MIN_SIZE = RENDITIONS.preview.size;
+const SVG_BASE_DENSITY = 72;
+
+const JPEG_QUALITY = 90;
+
+/**
+ * Whether browsers and AI providers can read this type as it is
+ */
+function isWebFriendly(mimeType) {
+  return WEB_FRIENDLY_TYPES.includes(mimeType);
+}
+
+/**
+ * Open an image of any accepted type with sharp
+ */
+async function open(buffer, mimeType) {
+  if (HEIC_TYPES.includes(mimeType)) {
+    // libheif applies the image's rotation and mirroring while decoding
+    const { width, height, data } = await decodeHeic({ buffer });
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+      raw: { width, height, channels: 4 },
+    });
+  }
+
+  if (mimeType === SVG_MIME_TYPE) {
+    const { width, height } = await sharp(buffer).metadata();
+    const longest = Math.max(width, height);
+    const density =
+      longest < SVG_MIN_SIZE
+        ? (SVG_BASE_DENSITY * SVG_MIN_SIZE) / longest
+        : SVG_BASE_DENSITY;
+    return sharp(buffer, { density, failOn: "error" });
+  }
+
+  // TIFF and AVIF carry an EXIF orientation
+  return sharp(buffer, { failOn: "error" }).rotate();
+}
+
+/**
+ * An image browsers and AI providers can read
+ * Web-friendly images are returned as they are. Others are decoded upright
+ * and re-encoded as JPEG, or as PNG when they have transparency; the copy
+ * carries no metadata.
+ * @param {Buffer} buffer
+ * @param {string} mimeType - The detected type
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ * @throws When the image cannot be decoded
+ */
+async function toWebFriendly(buffer, mimeType) {
+  if (isWebFriendly(mimeType)) {
+    return { buffer, mimeType };
+  }
+
+  const image = await open(buffer, mimeType);
+  const { hasAlpha } = await image.metadata();
+  const transparent = hasAlpha && !(await image.clone().stats()).isOpaque;
+
+  return transparent
+    ? { buffer: await image.png().toBuffer(), mimeType: "image/png" }
+    : {
+        buffer: await image.jpeg({ quality: JPEG_QUALITY }).toBuffer(),
+        mimeType: "image/jpeg",
+      };
+}
+
+let purify = null;
+
+/**
+ * Remove scripts, event handlers and foreign content from an SVG
+ * Links and image references must point inside the document (#id) or embed
+ * raster data (data:image/...); others are dropped.
+ * @param {Buffer} buffer
+ * @returns {{buffer: Buffer, removed: number}} The sanitized SVG and how
+ *   many elements and attributes were dropped
+ * @throws When no <svg> root is left
+ */
+function sanitizeSvg(buffer) {
+  if (!purify) {
+    purify = createDOMPurify(new JSDOM("").window);
+    purify.addHook("afterSanitizeAttributes", (node) => {
+      for (const name of ["href", "xlink:href"]) {
+        const value = node.getAttribute(name);
+        if (
+          value &&
+          !/^(?:#|data:image\/(?:png|jpeg|gif|webp)[;,])/i.test(value)
+        ) {
+          node.removeAttribute(name);
+          purify.removed.push({ attribute: name, from: node });
+        }
+      }
+    });
+  }
+
+  const svg = purify.sanitize(buffer.toString("utf8"), {
+    USE_PROFILES: { svg: true, svgFilters: true },
+  });
+  if (!/^<svg[\s>]/i.test(svg)) {
+    throw new Error("SVG has no drawing left after sanitizing");
+  }
+
+  // DOMPurify also reports the <body> it parsed the document into
+  const removed = purify.removed.filter(
+    ({ element }) => element?.nodeName !== "BODY"
+  );
+  return { buffer: Buffer.from(svg, "utf8"), removed: removed.length };
+}
+
+module.exports = {
+  SVG_MIME_TYPE,
+  isWebFriendly,
+  toWebFriendly,
+  sanitizeSvg,
+};
@@ -0,0 +1,1212 @@
+/**
+ * Image Metadata Writer
+ * Embeds a file's description and tags into the image itself so they travel
+ * with exported copies:
+ * - JPEG: EXIF ImageDescription, IPTC Caption-Abstract/Keywords, XMP
+ * - PNG: XMP and the Description text chunk
+ * - WebP: EXIF ImageDescription and XMP
+ * Only metadata blocks are rewritten; image data is copied byte for byte.
+ * An existing XMP packet is replaced, other EXIF and IPTC fields are kept.
+ *
+ * Also strips location and identifying fields (GPS, serial numbers, owner
+ * and creator names) from uploads whose owner asked for it, in JPEG, PNG,
+ * WebP, TIFF and HEIF (HEIC and AVIF) files.
+ */
+
+const crypto = require("crypto");
+const { buildXmp } = require("./xmp");
+
+const IMAGE_DESCRIPTION_TAG = 0x010e;
+const ASCII_TYPE = 2;
+
+// IPTC IIM limits for the fields we write
+const CAPTION_MAX_BYTES = 2000;
+const KEYWORD_MAX_BYTES = 64;
+
+// ============================================
+// EXIF (TIFF structure)
+// ============================================
+
+/**
+ * Set ImageDescription in IFD0 of a TIFF/EXIF block, or create a minimal block
+ * The rewritten IFD0 is appended and the header pointed at it, so every other
+ * offset (sub-IFDs, thumbnails, maker notes) stays valid.
+ * @param {Buffer|null} tiff - Existing block, starting at the byte order mark
+ * @param {string} description
+ * @returns {Buffer}
+ */
+function setImageDescription(tiff, description) {
+  const base = tiff || Buffer.from("4d4d002a00000000", "hex");
+  const order = base.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") {
+    throw new Error("Corrupt EXIF header");
+  }
+
+  const little = order === "II";
+  const readU16 = (buf, at) =>
+    little ? buf.readUInt16LE(at) : buf.readUInt16BE(at);
+  const readU32 = (buf, at) =>
+    little ? buf.readUInt32LE(at) : buf.readUInt32BE(at);
+  const writeU16 = (buf, value, at) =>
+    little ? buf.writeUInt16LE(value, at) : buf.writeUInt16BE(value, at);
+  const writeU32 = (buf, value, at) =>
+    little ? buf.writeUInt32LE(value, at) : buf.writeUInt32BE(value, at);
+
+  // Existing IFD0 entries (12 bytes each) and its next-IFD pointer
+  let entries = [];
+  let next = Buffer.alloc(4);
+  if (tiff) {
+    const ifdOffset = readU32(tiff, 4);
+    const count = ifdOffset + 2 <= tiff.length ? readU16(tiff, ifdOffset) : 0;
+    if (ifdOffset < 8 || ifdOffset + 2 + count * 12 + 4 > tiff.length) {
+      throw new Error("Corrupt EXIF IFD0");
+    }
+    for (let i = 0; i < count; i++) {
+      const at = ifdOffset + 2 + i * 12;
+      entries.push(tiff.subarray(at, at + 12));
+    }
+    next = tiff.subarray(
+      ifdOffset + 2 + count * 12,
+      ifdOffset + 6 + count * 12
+    );
+  }
+
+  const text = Buffer.from(`${description}\0`, "utf8");
+  const start = base.length + (base.length % 2);
+  const ifdSize = 2 + (entries.length + 1) * 12 + 4;
+
+  const entry = Buffer.alloc(12);
+  writeU16(entry, IMAGE_DESCRIPTION_TAG, 0);
+  writeU16(entry, ASCII_TYPE, 2);
+  writeU32(entry, text.length, 4);
+  if (text.length <= 4) {
+    text.copy(entry, 8);
+  } else {
+    writeU32(entry, start + ifdSize, 8);
+  }
+
+  // IFD entries must be sorted by tag
+  entries = entries
+    .filter((existing) => readU16(existing, 0) !== IMAGE_DESCRIPTION_TAG)
+    .concat(entry)
+    .sort((a, b) => readU16(a, 0) - readU16(b, 0));
+
+  const ifd = Buffer.alloc(ifdSize);
+  writeU16(ifd, entries.length, 0);
+  entries.forEach((existing, i) => existing.copy(ifd, 2 + i * 12));
+  next.copy(ifd, 2 + entries.length * 12);
+
+  const header = Buffer.from(base);
+  writeU32(header, start, 4);
+
+  return Buffer.concat([
+    header,
+    Buffer.alloc(start - base.length),
+    ifd,
+    text.length > 4 ? text : Buffer.alloc(0),
+  ]);
+}
+
+const EXIF_IFD_TAG = 0x8769;
+const GPS_IFD_TAG = 0x8825;
+
+// Fields naming the photographer, owner or device, in IFD0 and the Exif IFD
+const IDENTIFYING_EXIF_TAGS = [
+  0x013b, // Artist
+  0x013c, // HostComputer
+  0x927c, // MakerNote: vendor data, often serial numbers and location
+  0xa420, // ImageUniqueID
+  0xa430, // CameraOwnerName
+  0xa431, // BodySerialNumber
+  0xa435, // LensSerialNumber
+];
+
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  6: 1, // SBYTE
+  7: 1, // UNDEFINED
+  8: 2, // SSHORT
+  9: 4, // SLONG
+  10: 8, // SRATIONAL
+  11: 4, // FLOAT
+  12: 8, // DOUBLE
+  13: 4, // IFD
+};
+
+/**
+ * Blank the GPS and identifying fields of a TIFF/EXIF block in place
+ * Values are zeroed rather than removed so every offset stays valid, and the
+ * GPS IFD is left without entries. A block too damaged to walk is zeroed
+ * entirely; readers skip it as corrupt.
+ * @param {Buffer} tiff - Starting at the byte order mark
+ */
+function scrubExif(tiff) {
+  try {
+    scrubExifFields(tiff);
+  } catch {
+    tiff.fill(0);
+  }
+}
+
+/**
+ * @returns {Array<{tag: number, valueAt: number, size: number}>} IFD0 entries
+ * @throws When the block is malformed
+ */
+function scrubExifFields(tiff) {
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") {
+    throw new Error("Corrupt EXIF header");
+  }
+
+  const little = order === "II";
+  const readU16 = (at) =>
+    little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at);
+  const readU32 = (at) =>
+    little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at);
+
+  const readIfd = (offset) => {
+    if (offset < 8 || offset + 2 > tiff.length) {
+      throw new Error("Corrupt EXIF IFD");
+    }
+    const count = readU16(offset);
+    return Array.from({ length: count }, (_, i) => {
+      const at = offset + 2 + i * 12;
+      if (at + 12 > tiff.length) {
+        throw new Error("Corrupt EXIF IFD");
+      }
+      const size = (TYPE_SIZES[readU16(at + 2)] || 1) * readU32(at + 4);
+      const valueAt = size <= 4 ? at + 8 : readU32(at + 8);
+      if (valueAt + size > tiff.length) {
+        throw new Error("Corrupt EXIF value");
+      }
+      return { tag: readU16(at), valueAt, size };
+    });
+  };
+  const subIfd = (entries, tag) => {
+    const entry = entries.find((e) => e.tag === tag);
+    return entry ? readU32(entry.valueAt) : 0;
+  };
+  const blank = ({ valueAt, size }) => tiff.fill(0, valueAt, valueAt + size);
+
+  const ifd0 = readIfd(readU32(4));
+  const exifOffset = subIfd(ifd0, EXIF_IFD_TAG);
+  const gpsOffset = subIfd(ifd0, GPS_IFD_TAG);
+
+  const entries = exifOffset ? ifd0.concat(readIfd(exifOffset)) : ifd0;
+  entries
+    .filter(({ tag }) => IDENTIFYING_EXIF_TAGS.includes(tag))
+    .forEach(blank);
+
+  if (gpsOffset) {
+    const gps = readIfd(gpsOffset);
+    gps.forEach(blank);
+    // A zero entry count followed by a zero next-IFD pointer
+    tiff.fill(
+      0,
+      gpsOffset,
+      Math.min(tiff.length, gpsOffset + 6 + gps.length * 12)
+    );
+  }
+
+  return ifd0;
+}
+
+// ============================================
+// IPTC IIM inside Photoshop image resources
+// ============================================
+
+const IPTC_RESOURCE = 0x0404;
+const IPTC_DIGEST_RESOURCE = 0x0425;
+const RESOURCE_SIGNATURE = "8BIM";
+const UTF8_CHARSET = Buffer.from([0x1b, 0x25, 0x47]); // ESC % G
+
+/**
+ * Cut UTF-8 text to a byte limit without splitting a character
+ */
+function truncateUtf8(text, maxBytes) {
+  const bytes = Buffer.from(text, "utf8");
+  if (bytes.length <= maxBytes) {
+    return bytes;
+  }
+
+  let end = maxBytes;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) {
+    end--;
+  }
+  return bytes.subarray(0, end);
+}
+
+function readIptcDatasets(data) {
+  const datasets = [];
+  let offset = 0;
+
+  while (offset + 5 <= data.length && data[offset] === 0x1c) {
+    const record = data[offset + 1];
+    const dataset = data[offset + 2];
+    let size = data.readUInt16BE(offset + 3);
+    offset += 5;
+
+    // Extended dataset: the low bits give the length of the size field
+    if (size & 0x8000) {
+      const sizeLength = size & 0x7fff;
+      if (sizeLength < 1 || sizeLength > 4) {
+        throw new Error("Corrupt IPTC dataset");
+      }
+      size = data.readUIntBE(offset, sizeLength);
+      offset += sizeLength;
+    }
+
+    if (offset + size > data.length) {
+      throw new Error("Corrupt IPTC dataset");
+    }
+    datasets.push({
+      record,
+      dataset,
+      value: data.subarray(offset, offset + size),
+    });
+    offset += size;
+  }
+
+  return datasets;
+}
+
+function writeIptcDatasets(datasets) {
+  return Buffer.concat(
+    datasets.flatMap(({ record, dataset, value }) => {
+      if (value.length <= 0x7fff) {
+        const header = Buffer.from([0x1c, record, dataset, 0, 0]);
+        header.writeUInt16BE(value.length, 3);
+        return [header, value];
+      }
+
+      const header = Buffer.from([
+        0x1c,
+        record,
+        dataset,
+        0x80,
+        0x04,
+        0,
+        0,
+        0,
+        0,
+      ]);
+      header.writeUInt32BE(value.length, 5);
+      return [header, value];
+    })
+  );
+}
+
+/**
+ * Replace caption, keywords and character set in an IPTC block
+ * @param {Buffer|null} existing
+ * @param {{description: string, tags: string[]}} metadata
+ */
+function setIptcFields(existing, { description, tags }) {
+  const replaced = (record, dataset) =>
+    (record === 1 && dataset === 90) ||
+    (record === 2 && dataset === 0) ||
+    (record === 2 && dataset === 25 && tags.length > 0) ||
+    (record === 2 && dataset === 120 && description);
+
+  const datasets = (existing ? readIptcDatasets(existing) : []).filter(
+    ({ record, dataset }) => !replaced(record, dataset)
+  );
+
+  datasets.push(
+    { record: 1, dataset: 90, value: UTF8_CHARSET },
+    { record: 2, dataset: 0, value: Buffer.from([0x00, 0x04]) }
+  );
+  if (description) {
+    datasets.push({
+      record: 2,
+      dataset: 120,
+      value: truncateUtf8(description, CAPTION_MAX_BYTES),
+    });
+  }
+  for (const tag of tags) {
+    datasets.push({
+      record: 2,
+      dataset: 25,
+      value: truncateUtf8(tag, KEYWORD_MAX_BYTES),
+    });
+  }
+
+  // Records and datasets in ascending order (Array#sort is stable)
+  datasets.sort((a, b) => a.record - b.record || a.dataset - b.dataset);
+  return writeIptcDatasets(datasets);
+}
+
+function readResources(data) {
+  const resources = [];
+  let offset = 0;
+
+  while (
+    offset + 12 <= data.length &&
+    data.toString("latin1", offset, offset + 4) === RESOURCE_SIGNATURE
+  ) {
+    const id = data.readUInt16BE(offset + 4);
+    // Pascal string name, padded to an even length
+    const nameSize = (data[offset + 6] + 2) & ~1;
+    const name = data.subarray(offset + 6, offset + 6 + nameSize);
+    const sizeAt = offset + 6 + nameSize;
+    if (sizeAt + 4 > data.length) {
+      throw new Error("Corrupt Photoshop resource");
+    }
+    const size = data.readUInt32BE(sizeAt);
+    if (sizeAt + 4 + size > data.length) {
+      throw new Error("Corrupt Photoshop resource");
+    }
+    resources.push({
+      id,
+      name,
+      value: data.subarray(sizeAt + 4, sizeAt + 4 + size),
+    });
+    offset = sizeAt + 4 + size + (size % 2);
+  }
+
+  return resources;
+}
+
+function writeResources(resources) {
+  return Buffer.concat(
+    resources.flatMap(({ id, name, value }) => {
+      const header = Buffer.alloc(6);
+      header.write(RESOURCE_SIGNATURE, 0, "latin1");
+      header.writeUInt16BE(id, 4);
+      const size = Buffer.alloc(4);
+      size.writeUInt32BE(value.length);
+      return [header, name, size, value, Buffer.alloc(value.length % 2)];
+    })
+  );
+}
+
+/**
+ * Write the IPTC fields into Photoshop image resources, keeping the others
+ */
+function setPhotoshopIptc(existing, metadata) {
+  const resources = existing ? readResources(existing) : [];
+  const current = resources.find(({ id }) => id === IPTC_RESOURCE);
+  const iptc = setIptcFields(current ? current.value : null, metadata);
+
+  if (current) {
+    current.value = iptc;
+  } else {
+    resources.push({ id: IPTC_RESOURCE, name: Buffer.alloc(2), value: iptc });
+  }
+
+  // Readers ignore IPTC whose digest no longer matches, so keep it in step
+  const digest = resources.find(({ id }) => id === IPTC_DIGEST_RESOURCE);
+  if (digest) {
+    digest.value = crypto.createHash("md5").update(iptc).digest();
+  }
+
+  return writeResources(resources);
+}
+
+// By-line, By-line Title, City, Sub-location, Province/State, Country Code,
+// Country Name and Contact (record 2)
+const IDENTIFYING_IPTC_DATASETS = [80, 85, 90, 92, 95, 100, 101, 118];
+
+/**
+ * Blank identifying IPTC datasets in place, with spaces
+ * @throws When the datasets are malformed
+ */
+function scrubIptcDatasets(data) {
+  for (const { record, dataset, value } of readIptcDatasets(data)) {
+    if (record === 2 && IDENTIFYING_IPTC_DATASETS.includes(dataset)) {
+      value.fill(0x20);
+    }
+  }
+}
+
+/**
+ * Blank identifying IPTC fields in Photoshop image resources, in place
+ * Values are overwritten with spaces so no offset moves. Resources too
+ * damaged to walk are zeroed entirely.
+ */
+function scrubPhotoshopIptc(data) {
+  try {
+    const resources = readResources(data);
+    const iptc = resources.find(({ id }) => id === IPTC_RESOURCE);
+    if (!iptc) return;
+
+    scrubIptcDatasets(iptc.value);
+
+    const digest = resources.find(({ id }) => id === IPTC_DIGEST_RESOURCE);
+    if (digest && digest.value.length === 16) {
+      crypto.createHash("md5").update(iptc.value).digest().copy(digest.value);
+    }
+  } catch {
+    data.fill(0);
+  }
+}
+
+/**
+ * IPTC datasets of a JPEG APP13 block
+ * @param {Buffer} data - Photoshop image resources, with or without the
+ *   "Photoshop 3.0" header
+ * @returns {Array<{record: number, dataset: number, value: Buffer}>}
+ * @throws When the resources are malformed
+ */
+function readPhotoshopIptc(data) {
+  const resources = startsWith(data, PHOTOSHOP_HEADER)
+    ? data.subarray(PHOTOSHOP_HEADER.length)
+    : data;
+  const iptc = readResources(resources).find(({ id }) => id === IPTC_RESOURCE);
+  return iptc ? readIptcDatasets(iptc.value) : [];
+}
+
+// ============================================
+// XMP
+// ============================================
+
+// Location, creator and device properties, under their conventional prefixes
+const IDENTIFYING_XMP_PROPERTIES = [
+  "exif:GPS\\w+",
+  "exifEX:(?:BodySerialNumber|LensSerialNumber|CameraOwnerName)",
+  "aux:(?:SerialNumber|LensSerialNumber|OwnerName)",
+  "dc:creator",
+  "photoshop:(?:City|State|Country|AuthorsPosition)",
+  "Iptc4xmpCore:(?:Location|CountryCode|CreatorContactInfo)",
+  "Iptc4xmpExt:(?:LocationCreated|LocationShown)",
+].join("|");
+
+const IDENTIFYING_XMP_PATTERN = new RegExp(
+  `\\s(?:${IDENTIFYING_XMP_PROPERTIES})=(?:"[^"]*"|'[^']*')` +
+    `|<(${IDENTIFYING_XMP_PROPERTIES})\\b[^>]*?(?:/>|>[\\s\\S]*?</\\1>)`,
+  "g"
+);
+
+/**
+ * Blank identifying properties of an XMP packet in place
+ * Properties are overwritten with spaces, which XML treats as padding.
+ * @param {Buffer} packet
+ */
+function scrubXmp(packet) {
+  // latin1 maps bytes to characters one to one, so match indexes are offsets
+  for (const match of packet
+    .toString("latin1")
+    .matchAll(IDENTIFYING_XMP_PATTERN)) {
+    packet.fill(0x20, match.index, match.index + match[0].length);
+  }
+}
+
+// ============================================
+// JPEG
+// ============================================
+
+const APP0 = 0xe0;
+const APP1 = 0xe1;
+const APP13 = 0xed;
+const START_OF_SCAN = 0xda;
+const MAX_SEGMENT_DATA = 65533; // The 16-bit length includes itself
+
+const EXIF_HEADER = Buffer.from("Exif\0\0", "latin1");
+const XMP_HEADER = Buffer.from("http://ns.adobe.com/xap/1.0/\0", "latin1");
+const EXTENDED_XMP_HEADER = Buffer.from(
+  "http://ns.adobe.com/xmp/extension/\0",
+  "latin1"
+);
+const PHOTOSHOP_HEADER = Buffer.from("Photoshop 3.0\0", "latin1");
+
+const startsWith = (data, prefix) =>
+  data.length >= prefix.length &&
+  data.subarray(0, prefix.length).equals(prefix);
+
+/**
+ * Split a JPEG into its marker segments and everything from start of scan on
+ */
+function readJpegSegments(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) {
+    throw new Error("Not a JPEG image");
+  }
+
+  const segments = [];
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error("Corrupt JPEG segment");
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    if (marker === START_OF_SCAN) {
+      break;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (length < 2 || offset + 2 + length > buffer.length) {
+      throw new Error("Corrupt JPEG segment");
+    }
+    segments.push({
+      marker,
+      data: buffer.subarray(offset + 4, offset + 2 + length),
+    });
+    offset += 2 + length;
+  }
+
+  return { segments, rest: buffer.subarray(offset) };
+}
+
+function jpegSegment(marker, data) {
+  if (data.length > MAX_SEGMENT_DATA) {
+    throw new Error("Metadata too large for a JPEG segment");
+  }
+
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+function embedJpeg(buffer, metadata) {
+  const isApp = (marker, prefix) => (segment) =>
+    segment.marker === marker && startsWith(segment.data, prefix);
+
+  const isExif = isApp(APP1, EXIF_HEADER);
+  const isXmp = isApp(APP1, XMP_HEADER);
+  const isExtendedXmp = isApp(APP1, EXTENDED_XMP_HEADER);
+  const isPhotoshop = isApp(APP13, PHOTOSHOP_HEADER);
+
+  // Extended XMP belongs to the packet being replaced
+  const { segments: all, rest } = readJpegSegments(buffer);
+  const segments = all.filter((segment) => !isExtendedXmp(segment));
+
+  // New segments go after JFIF/JFXX, which must stay first
+  let insertAt = 0;
+  while (insertAt < segments.length && segments[insertAt].marker === APP0) {
+    insertAt++;
+  }
+
+  const replaceOrInsert = (match, marker, data) => {
+    const index = segments.findIndex(match);
+    if (index === -1) {
+      segments.splice(insertAt, 0, { marker, data });
+      insertAt++;
+    } else {
+      segments[index] = { marker, data };
+      insertAt = index + 1;
+    }
+  };
+
+  if (metadata.description) {
+    const exif = segments.find(isExif);
+    const tiff = setImageDescription(
+      exif ? exif.data.subarray(EXIF_HEADER.length) : null,
+      metadata.description
+    );
+    replaceOrInsert(isExif, APP1, Buffer.concat([EXIF_HEADER, tiff]));
+  }
+
+  replaceOrInsert(
+    isXmp,
+    APP1,
+    Buffer.concat([XMP_HEADER, Buffer.from(metadata.xmp, "utf8")])
+  );
+
+  if (metadata.description || metadata.tags.length > 0) {
+    const photoshop = segments.find(isPhotoshop);
+    const resources = setPhotoshopIptc(
+      photoshop ? photoshop.data.subarray(PHOTOSHOP_HEADER.length) : null,
+      metadata
+    );
+    replaceOrInsert(
+      isPhotoshop,
+      APP13,
+      Buffer.concat([PHOTOSHOP_HEADER, resources])
+    );
+  }
+
+  return Buffer.concat([
+    buffer.subarray(0, 2),
+    ...segments.map(({ marker, data }) => jpegSegment(marker, data)),
+    rest,
+  ]);
+}
+
+/**
+ * Scrub the EXIF, XMP and IPTC segments of a JPEG in place
+ */
+function stripJpeg(buffer) {
+  for (const { marker, data } of readJpegSegments(buffer).segments) {
+    if (marker === APP1 && startsWith(data, EXIF_HEADER)) {
+      scrubExif(data.subarray(EXIF_HEADER.length));
+    } else if (
+      marker === APP1 &&
+      (startsWith(data, XMP_HEADER) || startsWith(data, EXTENDED_XMP_HEADER))
+    ) {
+      scrubXmp(data);
+    } else if (marker === APP13 && startsWith(data, PHOTOSHOP_HEADER)) {
+      scrubPhotoshopIptc(data.subarray(PHOTOSHOP_HEADER.length));
+    }
+  }
+
+  return buffer;
+}
+
+// ============================================
+// PNG
+// ============================================
+
+const PNG_SIGNATURE = Buffer.from("89504e470d0a1a0a", "hex");
+const TEXT_CHUNKS = ["tEXt", "zTXt", "iTXt"];
+const XMP_KEYWORD = "XML:com.adobe.xmp";
+const DESCRIPTION_KEYWORD = "Description";
+const RAW_PROFILE_KEYWORD = "Raw profile type";
+
+let crcTable = null;
+
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = -1;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Uncompressed international text chunk (UTF-8)
+ */
+function iTXtChunk(keyword, text) {
+  return pngChunk(
+    "iTXt",
+    Buffer.concat([
+      Buffer.from(`${keyword}\0\0\0\0\0`, "latin1"),
+      Buffer.from(text, "utf8"),
+    ])
+  );
+}
+
+function readPngChunks(buffer) {
+  if (!startsWith(buffer, PNG_SIGNATURE)) {
+    throw new Error("Not a PNG image");
+  }
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new Error("Corrupt PNG chunk");
+    }
+    chunks.push({
+      type: buffer.toString("latin1", offset + 4, offset + 8),
+      data: buffer.subarray(offset + 8, offset + 8 + length),
+      raw: buffer.subarray(offset, end),
+    });
+    offset = end;
+  }
+
+  return chunks;
+}
+
+function textKeyword({ type, data }) {
+  if (!TEXT_CHUNKS.includes(type)) return null;
+  const keywordEnd = data.indexOf(0);
+  return data.toString("latin1", 0, keywordEnd === -1 ? 0 : keywordEnd);
+}
+
+function embedPng(buffer, metadata) {
+  const chunks = readPngChunks(buffer);
+
+  const replacedKeywords = [XMP_KEYWORD];
+  if (metadata.description) {
+    replacedKeywords.push(DESCRIPTION_KEYWORD);
+  }
+  const isReplaced = (chunk) => replacedKeywords.includes(textKeyword(chunk));
+
+  const added = [iTXtChunk(XMP_KEYWORD, metadata.xmp)];
+  if (metadata.description) {
+    added.push(iTXtChunk(DESCRIPTION_KEYWORD, metadata.description));
+  }
+
+  // Text goes before the image data so streaming readers see it
+  const kept = chunks.filter((chunk) => !isReplaced(chunk));
+  const dataIndex = kept.findIndex(({ type }) => type === "IDAT");
+  if (dataIndex === -1) {
+    throw new Error("Corrupt PNG: no image data");
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    ...kept.slice(0, dataIndex).map(({ raw }) => raw),
+    ...added,
+    ...kept.slice(dataIndex).map(({ raw }) => raw),
+  ]);
+}
+
+/**
+ * Scrub EXIF and XMP chunks in place, refreshing their CRCs
+ * Compressed XMP and ImageMagick's hex-encoded raw profiles cannot be
+ * scrubbed in place, so those chunks are dropped.
+ */
+function stripPng(buffer) {
+  const kept = [];
+
+  for (const chunk of readPngChunks(buffer)) {
+    const keyword = textKeyword(chunk);
+    // iTXt: keyword\0, then the compression flag
+    const compressed =
+      chunk.type === "zTXt" ||
+      (chunk.type === "iTXt" && chunk.data[keyword.length + 1] === 1);
+
+    if (
+      keyword?.startsWith(RAW_PROFILE_KEYWORD) ||
+      (keyword === XMP_KEYWORD && compressed)
+    ) {
+      continue;
+    }
+
+    if (chunk.type === "eXIf" || keyword === XMP_KEYWORD) {
+      if (chunk.type === "eXIf") {
+        scrubExif(chunk.data);
+      } else {
+        scrubXmp(chunk.data);
+      }
+      const { raw } = chunk;
+      raw.writeUInt32BE(crc32(raw.subarray(4, raw.length - 4)), raw.length - 4);
+    }
+    kept.push(chunk.raw);
+  }
+
+  return Buffer.concat([PNG_SIGNATURE, ...kept]);
+}
+
+// ============================================
+// WebP
+// ============================================
+
+const VP8X_EXIF = 0x08;
+const VP8X_XMP = 0x04;
+const VP8X_ALPHA = 0x10;
+
+function readWebpChunks(buffer) {
+  if (
+    buffer.length < 12 ||
+    buffer.toString("latin1", 0, 4) !== "RIFF" ||
+    buffer.toString("latin1", 8, 12) !== "WEBP"
+  ) {
+    throw new Error("Not a WebP image");
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const size = buffer.readUInt32LE(offset + 4);
+    if (offset + 8 + size > buffer.length) {
+      throw new Error("Corrupt WebP chunk");
+    }
+    chunks.push({
+      type: buffer.toString("latin1", offset, offset + 4),
+      data: buffer.subarray(offset + 8, offset + 8 + size),
+    });
+    offset += 8 + size + (size % 2);
+  }
+
+  return chunks;
+}
+
+/**
+ * Extended-format header for a simple (VP8/VP8L only) WebP
+ */
+function vp8xFor(image) {
+  let width;
+  let height;
+  let flags = 0;
+
+  if (image.type === "VP8 " && image.data.length >= 10) {
+    width = image.data.readUInt16LE(6) & 0x3fff;
+    height = image.data.readUInt16LE(8) & 0x3fff;
+  } else if (image.type === "VP8L" && image.data.length >= 5) {
+    const bits = image.data.readUInt32LE(1);
+    width = (bits & 0x3fff) + 1;
+    height = ((bits >>> 14) & 0x3fff) + 1;
+    if ((bits >>> 28) & 1) flags |= VP8X_ALPHA;
+  } else {
+    throw new Error("Corrupt WebP image data");
+  }
+
+  const data = Buffer.alloc(10);
+  data[0] = flags;
+  data.writeUIntLE(width - 1, 4, 3);
+  data.writeUIntLE(height - 1, 7, 3);
+  return { type: "VP8X", data };
+}
+
+function embedWebp(buffer, metadata) {
+  let chunks = readWebpChunks(buffer);
+  if (chunks.length === 0) {
+    throw new Error("Corrupt WebP: no image data");
+  }
+  if (chunks[0].type !== "VP8X") {
+    chunks.unshift(vp8xFor(chunks[0]));
+  }
+
+  const vp8x = { type: "VP8X", data: Buffer.from(chunks[0].data) };
+  vp8x.data[0] |= VP8X_XMP;
+  chunks[0] = vp8x;
+
+  if (metadata.description) {
+    vp8x.data[0] |= VP8X_EXIF;
+    const index = chunks.findIndex(({ type }) => type === "EXIF");
+    // Some writers keep the JPEG "Exif\0\0" prefix in the chunk
+    const existing = index === -1 ? null : chunks[index].data;
+    const prefix =
+      existing && startsWith(existing, EXIF_HEADER)
+        ? EXIF_HEADER
+        : Buffer.alloc(0);
+    const exif = {
+      type: "EXIF",
+      data: Buffer.concat([
+        prefix,
+        setImageDescription(
+          existing ? existing.subarray(prefix.length) : null,
+          metadata.description
+        ),
+      ]),
+    };
+    if (index === -1) {
+      const xmpIndex = chunks.findIndex(({ type }) => type === "XMP ");
+      chunks.splice(xmpIndex === -1 ? chunks.length : xmpIndex, 0, exif);
+    } else {
+      chunks[index] = exif;
+    }
+  }
+
+  // XMP comes after the image data and EXIF
+  chunks = chunks.filter(({ type }) => type !== "XMP ");
+  chunks.push({ type: "XMP ", data: Buffer.from(metadata.xmp, "utf8") });
+
+  const body = Buffer.concat(
+    chunks.flatMap(({ type, data }) => {
+      const header = Buffer.alloc(8);
+      header.write(type, 0, "latin1");
+      header.writeUInt32LE(data.length, 4);
+      return [header, data, Buffer.alloc(data.length % 2)];
+    })
+  );
+  const riff = Buffer.alloc(12);
+  riff.write("RIFF", 0, "latin1");
+  riff.writeUInt32LE(body.length + 4, 4);
+  riff.write("WEBP", 8, "latin1");
+
+  return Buffer.concat([riff, body]);
+}
+
+/**
+ * Scrub the EXIF and XMP chunks of a WebP in place
+ */
+function stripWebp(buffer) {
+  for (const { type, data } of readWebpChunks(buffer)) {
+    if (type === "EXIF") {
+      // Some writers keep the JPEG "Exif\0\0" prefix in the chunk
+      scrubExif(
+        startsWith(data, EXIF_HEADER) ? data.subarray(EXIF_HEADER.length) : data
+      );
+    } else if (type === "XMP ") {
+      scrubXmp(data);
+    }
+  }
+
+  return buffer;
+}
+
+// ============================================
+// TIFF
+// ============================================
+
+const XMP_TAG = 700;
+const IPTC_TAG = 33723;
+const PHOTOSHOP_TAG = 34377;
+
+/**
+ * Scrub a TIFF's EXIF fields, GPS IFD, XMP and IPTC in place
+ * A TIFF file is laid out like an EXIF block, with the identifying tags in
+ * its first IFD. Only that IFD is walked; the pages after it are not. Unlike
+ * an EXIF block a damaged TIFF is refused rather than zeroed, since its IFDs
+ * also locate the image data.
+ */
+function stripTiff(buffer) {
+  for (const { tag, valueAt, size } of scrubExifFields(buffer)) {
+    const value = buffer.subarray(valueAt, valueAt + size);
+    if (tag === XMP_TAG) {
+      scrubXmp(value);
+    } else if (tag === PHOTOSHOP_TAG) {
+      scrubPhotoshopIptc(value);
+    } else if (tag === IPTC_TAG) {
+      try {
+        scrubIptcDatasets(value);
+      } catch {
+        value.fill(0);
+      }
+    }
+  }
+
+  return buffer;
+}
+
+// ============================================
+// HEIF (HEIC and AVIF)
+// ============================================
+
+const XMP_CONTENT_TYPE = "application/rdf+xml";
+
+/**
+ * Split ISO-BMFF data into boxes
+ * @returns {Array<{type: string, data: Buffer}>} data is the box body
+ */
+function readBoxes(buffer) {
+  const boxes = [];
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      // 64-bit size after the type
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = buffer.length - offset; // Extends to the end
+    }
+
+    if (size < header || offset + size > buffer.length) {
+      throw new Error("Corrupt HEIF box");
+    }
+    boxes.push({
+      type: buffer.toString("latin1", offset + 4, offset + 8),
+      data: buffer.subarray(offset + header, offset + size),
+    });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Items listed by an iinf box
+ * @returns {Array<{id: number, type: string, contentType: string|null}>}
+ */
+function readItemInfos(iinf) {
+  // Full box header, then a 16-bit (version 0) or 32-bit entry count
+  const entries = readBoxes(iinf.subarray(iinf[0] === 0 ? 6 : 8));
+
+  return entries
+    .filter(({ type, data }) => type === "infe" && data[0] >= 2)
+    .map(({ data }) => {
+      // Version 2 has 16-bit item IDs, version 3 32-bit ones
+      const idSize = data[0] === 2 ? 2 : 4;
+      const id = data.readUIntBE(4, idSize);
+      const typeAt = 4 + idSize + 2; // After the protection index
+      const type = data.toString("latin1", typeAt, typeAt + 4);
+      // item_name\0, then for "mime" items content_type\0
+      const [, contentType = null] = data
+        .toString("latin1", typeAt + 4)
+        .split("\0");
+
+      return { id, type, contentType: type === "mime" ? contentType : null };
+    });
+}
+
+/**
+ * Where each item's data lives, from an iloc box
+ * @returns {Map<number, {method: number, extents: Array<{offset: number, length: number}>}>}
+ */
+function readItemLocations(iloc) {
+  const version = iloc[0];
+  const offsetSize = iloc[4] >> 4;
+  const lengthSize = iloc[4] & 0x0f;
+  const baseOffsetSize = iloc[5] >> 4;
+  const indexSize = version === 1 || version === 2 ? iloc[5] & 0x0f : 0;
+
+  let at = 6;
+  const read = (size) => {
+    if (size === 0) return 0;
+    const value =
+      size === 8 ? Number(iloc.readBigUInt64BE(at)) : iloc.readUIntBE(at, size);
+    at += size;
+    return value;
+  };
+
+  const locations = new Map();
+  const itemCount = read(version < 2 ? 2 : 4);
+  for (let i = 0; i < itemCount; i++) {
+    const id = read(version < 2 ? 2 : 4);
+    const method = version === 1 || version === 2 ? read(2) & 0x0f : 0;
+    read(2); // Data reference index
+    const baseOffset = read(baseOffsetSize);
+    const extents = Array.from({ length: read(2) }, () => {
+      read(indexSize);
+      return {
+        offset: baseOffset + read(offsetSize),
+        length: read(lengthSize),
+      };
+    });
+    locations.set(id, { method, extents });
+  }
+
+  return locations;
+}
+
+/**
+ * The bytes of an item, as a view into the file or its idat box
+ * Only single-extent items stored in the file (method 0) or in idat
+ * (method 1) are supported; metadata items are written that way.
+ */
+function itemData(buffer, idat, location) {
+  if (!location || location.extents.length !== 1 || location.method > 1) {
+    throw new Error("Unsupported HEIF item location");
+  }
+
+  const source = location.method === 1 ? idat : buffer;
+  const { offset, length } = location.extents[0];
+  // A length of 0 means the rest of the source
+  const end = length === 0 ? source?.length : offset + length;
+  if (!source || end > source.length) {
+    throw new Error("Corrupt HEIF item");
+  }
+  return source.subarray(offset, end);
+}
+
+/**
+ * Scrub the Exif and XMP items of a HEIC or AVIF in place
+ */
+function stripHeif(buffer) {
+  const meta = readBoxes(buffer).find(({ type }) => type === "meta");
+  if (!meta) return buffer;
+
+  const children = readBoxes(meta.data.subarray(4)); // After the full box header
+  const find = (type) => children.find((box) => box.type === type)?.data;
+  const iinf = find("iinf");
+  const iloc = find("iloc");
+  if (!iinf || !iloc) return buffer;
+
+  const locations = readItemLocations(iloc);
+  for (const { id, type, contentType } of readItemInfos(iinf)) {
+    if (type === "Exif") {
+      const data = itemData(buffer, find("idat"), locations.get(id));
+      // A 32-bit offset to the TIFF header, which usually follows "Exif\0\0"
+      const tiffAt = data.length >= 4 ? 4 + data.readUInt32BE(0) : data.length;
+      if (tiffAt < data.length) {
+        scrubExif(data.subarray(tiffAt));
+      } else {
+        data.fill(0);
+      }
+    } else if (type === "mime" && contentType === XMP_CONTENT_TYPE) {
+      scrubXmp(itemData(buffer, find("idat"), locations.get(id)));
+    }
+  }
+
+  return buffer;
+}
+
+// ============================================
+// Public API
+// ============================================
+
+const WRITERS = {
+  "image/jpeg": embedJpeg,
+  "image/jpg": embedJpeg,
+  "image/png": embedPng,
+  "image/webp": embedWebp,
+};
+
+/**
+ * Whether metadata can be embedded in images of this MIME type
+ */
+function canEmbedMetadata(mimeType) {
+  return Object.hasOwn(WRITERS, mimeType);
+}
+
+/**
+ * Write a file's description and tags into its image bytes
+ * @param {Buffer} buffer - Original image
+ * @param {string} mimeType
+ * @param {File} file - Supplies description, tags, translations and alt text
+ * @returns {Buffer} A new image; the input is not modified
+ * @throws When the format is unsupported or the image is malformed
+ */
+function embedMetadata(buffer, mimeType, file) {
+  if (!canEmbedMetadata(mimeType)) {
+    throw new Error(`Cannot embed metadata in ${mimeType} files`);
+  }
+
+  return WRITERS[mimeType](buffer, {
+    description: file.description || "",
+    tags: file.tags || [],
+    xmp: buildXmp(file),
+  });
+}
+
+const STRIPPERS = {
+  "image/jpeg": stripJpeg,
+  "image/jpg": stripJpeg,
+  "image/png": stripPng,
+  "image/webp": stripWebp,
+  "image/tiff": stripTiff,
+  "image/heic": stripHeif,
+  "image/heif": stripHeif,
+  "image/avif": stripHeif,
+};
+
+/**
+ * Whether identifying metadata can be stripped from images of this MIME type
+ */
+function canStripMetadata(mimeType) {
+  return Object.hasOwn(STRIPPERS, mimeType);
+}
+
+/**
+ * Remove GPS and identifying fields, keeping the rest of the metadata
+ * Camera, lens, capture date, orientation, captions and keywords survive;
+ * GPS, serial numbers, owner, creator and location names do not. Image data
+ * is copied byte for byte.
+ * @param {Buffer} buffer - Original image
+ * @param {string} mimeType
+ * @returns {Buffer} A new image; the input is not modified
+ * @throws When the format is unsupported or the image is malformed
+ */
+function stripIdentifyingMetadata(buffer, mimeType) {
+  if (!canStripMetadata(mimeType)) {
+    throw new Error(`Cannot strip metadata from ${mimeType} files`);
+  }
+
+  return STRIPPERS[mimeType](Buffer.from(buffer));
+}
+
+module.exports = {
+  canEmbedMetadata,
+  embedMetadata,
+  canStripMetadata,
+  stripIdentifyingMetadata,
+  readPhotoshopIptc,
+};
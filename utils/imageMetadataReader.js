@@ -0,0 +1,142 @@
+/**
+ * Image Metadata Reader
+ * Extracts what an upload says about itself from its EXIF, IPTC and XMP:
+ * camera, lens, capture date, dimensions, orientation, GPS position and any
+ * caption or keywords written by another tool
+ */
+
+const sharp = require("sharp");
+const exifReader = require("exif-reader");
+const { readPhotoshopIptc } = require("./imageMetadata");
+const { parseXmp } = require("./xmp");
+
+const UTF8_CHARSET = Buffer.from([0x1b, 0x25, 0x47]); // ESC % G
+
+/**
+ * Trimmed text of a metadata field, or null when empty
+ */
+function text(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.replace(/\0+$/, "").trim();
+  return trimmed || null;
+}
+
+/**
+ * Parse a metadata block, ignoring one that is malformed
+ * @returns {*} The parsed block, or null
+ */
+function tryRead(block, parse) {
+  if (!block) return null;
+  try {
+    return parse(block);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * EXIF date as local ISO 8601, with the recorded UTC offset when there is one
+ * exif-reader returns wall-clock time as if it were UTC
+ */
+function captureDate(date, offset) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+  const local = date.toISOString().slice(0, 19);
+  return /^[+-]\d{2}:\d{2}$/.test(offset) ? `${local}${offset}` : local;
+}
+
+/**
+ * Decimal degrees from EXIF GPS fields
+ * @returns {{latitude: number, longitude: number, altitude: number|null}|null}
+ */
+function gpsPosition(gps) {
+  if (!Array.isArray(gps?.GPSLatitude) || !Array.isArray(gps?.GPSLongitude)) {
+    return null;
+  }
+
+  const degrees = ([d = 0, m = 0, s = 0], negative) =>
+    Math.round((d + m / 60 + s / 3600) * (negative ? -1 : 1) * 1e6) / 1e6;
+  const latitude = degrees(gps.GPSLatitude, gps.GPSLatitudeRef === "S");
+  const longitude = degrees(gps.GPSLongitude, gps.GPSLongitudeRef === "W");
+
+  if (
+    !Number.isFinite(latitude) ||
+    !Number.isFinite(longitude) ||
+    Math.abs(latitude) > 90 ||
+    Math.abs(longitude) > 180
+  ) {
+    return null;
+  }
+
+  // Altitude reference 1 means below sea level
+  const altitude = Number.isFinite(gps.GPSAltitude)
+    ? gps.GPSAltitude * (gps.GPSAltitudeRef === 1 ? -1 : 1)
+    : null;
+
+  return { latitude, longitude, altitude };
+}
+
+/**
+ * Caption and keywords from IPTC datasets
+ * Values are UTF-8 when the envelope says so, Latin-1 otherwise
+ */
+function iptcFields(datasets) {
+  const utf8 = datasets.some(
+    ({ record, dataset, value }) =>
+      record === 1 && dataset === 90 && value.equals(UTF8_CHARSET)
+  );
+  const decode = (value) => text(value.toString(utf8 ? "utf8" : "latin1"));
+  const values = (dataset) =>
+    datasets
+      .filter((d) => d.record === 2 && d.dataset === dataset)
+      .map(({ value }) => decode(value))
+      .filter(Boolean);
+
+  return { caption: values(120)[0] || null, keywords: values(25) };
+}
+
+/**
+ * Read an image's metadata
+ * Malformed EXIF, IPTC or XMP blocks are skipped; their fields read as null.
+ * Width and height are as stored; an orientation of 5-8 means the image is
+ * displayed rotated by 90 degrees.
+ * @param {Buffer} buffer - The image
+ * @returns {Promise<Object>} { camera, lens, capturedAt, width, height,
+ *   orientation, gps, caption, keywords }
+ * @throws When the buffer is not a supported image
+ */
+async function readImageMetadata(buffer) {
+  const info = await sharp(buffer).metadata();
+
+  // A TIFF file is laid out like an EXIF block, so it is read as one
+  const exif =
+    tryRead(info.exif || (info.format === "tiff" && buffer), exifReader) || {};
+  const image = exif.Image || {};
+  const photo = exif.Photo || {};
+  const iptc = tryRead(info.iptc, (block) =>
+    iptcFields(readPhotoshopIptc(block))
+  );
+  const xmp = tryRead(info.xmp, (block) => parseXmp(block.toString("utf8")));
+
+  const make = text(image.Make);
+  const model = text(image.Model);
+
+  return {
+    camera: make || model ? { make, model } : null,
+    lens: text(photo.LensModel),
+    capturedAt: captureDate(
+      photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime,
+      photo.OffsetTimeOriginal
+    ),
+    width: info.width,
+    height: info.height,
+    orientation: info.orientation || null,
+    gps: gpsPosition(exif.GPSInfo),
+    // XMP is what current tools write; IPTC and EXIF are older
+    caption: xmp?.description || iptc?.caption || text(image.ImageDescription),
+    keywords: xmp?.subjects.length > 0 ? xmp.subjects : iptc?.keywords || [],
+  };
+}
+
+module.exports = {
+  readImageMetadata,
+};
@@ -0,0 +1,172 @@
+/**
+ * Image Renditions
+ * Resized WebP copies of an upload for grids and previews, so clients do not
+ * load the full-size original for every tile. Renditions are stored next to
+ * the original: images/u/123-abc.jpg → images/u/123-abc.thumbnail.webp
+ * transformImage produces other sizes and formats on request, and
+ * renderForAnalysis the copy sent to AI providers.
+ */
+
+const sharp = require("sharp");
+
+// Longest edge in pixels; images smaller than this are not enlarged
+const RENDITIONS = {
+  thumbnail: { size: 256, quality: 75 },
+  preview: { size: 1024, quality: 80 },
+};
+
+const RENDITION_MIME_TYPE = "image/webp";
+
+// Output formats of transformImage
+const TRANSFORM_FORMATS = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+const FITS = ["cover", "contain", "fill", "inside", "outside"];
+
+// Longest edge of the copy sent to AI providers; Anthropic scales larger
+// images down to this anyway and rejects base64 images over 5 MB
+const ANALYSIS_SIZE = 1568;
+const ANALYSIS_QUALITY = 85;
+// Base64 adds a third, so this keeps the data URL under 5 MB
+const ANALYSIS_MAX_BYTES = 3 * 1024 * 1024;
+
+/**
+ * Storage path of a rendition, derived from the original's path
+ * @param {string} path - Path of the original
+ * @param {string} name - Rendition name (thumbnail, preview)
+ * @returns {string}
+ */
+function renditionPath(path, name) {
+  const slash = path.lastIndexOf("/");
+  const dot = path.lastIndexOf(".");
+  const base = dot > slash ? path.slice(0, dot) : path;
+  return `${base}.${name}.webp`;
+}
+
+/**
+ * Render every rendition of an image
+ * The image is rotated upright from its EXIF orientation and its metadata
+ * (including GPS) is not copied.
+ * @param {Buffer} buffer - The original image
+ * @returns {Promise<Array<{name: string, buffer: Buffer, width: number, height: number, mimeType: string}>>}
+ * @throws When the image cannot be decoded
+ */
+async function renderRenditions(buffer) {
+  const image = sharp(buffer, { failOn: "error" }).rotate();
+
+  return Promise.all(
+    Object.entries(RENDITIONS).map(async ([name, { size, quality }]) => {
+      const { data, info } = await image
+        .clone()
+        .resize({
+          width: size,
+          height: size,
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality })
+        .toBuffer({ resolveWithObject: true });
+
+      return {
+        name,
+        buffer: data,
+        width: info.width,
+        height: info.height,
+        mimeType: RENDITION_MIME_TYPE,
+      };
+    })
+  );
+}
+
+/**
+ * Resize and re-encode an image
+ * Like renditions, the output is upright, never enlarged and carries no
+ * metadata. `contain` letterboxes with transparent (or, for JPEG, white) bars.
+ * @param {Buffer} buffer - The original image
+ * @param {Object} options - { width, height, fit, format, quality }
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, mimeType: string}>}
+ * @throws When the image cannot be decoded
+ */
+async function transformImage(buffer, options) {
+  const { width, height, fit, format, quality } = options;
+  let image = sharp(buffer, { failOn: "error" }).rotate();
+
+  if (width || height) {
+    image = image.resize({
+      width: width || undefined,
+      height: height || undefined,
+      fit,
+      withoutEnlargement: true,
+      background:
+        format === "jpeg"
+          ? { r: 255, g: 255, b: 255, alpha: 1 }
+          : { r: 0, g: 0, b: 0, alpha: 0 },
+    });
+  }
+
+  if (format === "jpeg") {
+    image = image.flatten({ background: "#ffffff" });
+  }
+
+  // PNG is lossless; sharp's PNG quality would switch to a reduced palette
+  const { data, info } = await image
+    .toFormat(format, format === "png" ? {} : { quality })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    mimeType: TRANSFORM_FORMATS[format],
+  };
+}
+
+/**
+ * A copy of an image small enough to send to an AI provider
+ * Images within ANALYSIS_SIZE and ANALYSIS_MAX_BYTES are returned as they
+ * are. Larger ones are scaled down upright and re-encoded as WebP without
+ * metadata.
+ * @param {Buffer} buffer - A web-friendly image
+ * @param {string} mimeType - Its type
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ * @throws When the image cannot be decoded
+ */
+async function renderForAnalysis(buffer, mimeType) {
+  const image = sharp(buffer, { failOn: "error" });
+  const { width, height } = await image.metadata();
+
+  if (
+    Math.max(width, height) <= ANALYSIS_SIZE &&
+    buffer.length <= ANALYSIS_MAX_BYTES
+  ) {
+    return { buffer, mimeType };
+  }
+
+  const data = await image
+    .rotate()
+    .resize({
+      width: ANALYSIS_SIZE,
+      height: ANALYSIS_SIZE,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .webp({ quality: ANALYSIS_QUALITY })
+    .toBuffer();
+
+  return { buffer: data, mimeType: RENDITION_MIME_TYPE };
+}
+
+module.exports = {
+  RENDITIONS,
+  ANALYSIS_SIZE,
+  TRANSFORM_FORMATS,
+  FITS,
+  renditionPath,
+  renderRenditions,
+  transformImage,
+  renderForAnalysis,
+};
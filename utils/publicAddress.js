@@ -0,0 +1,85 @@
+/**
+ * Public Address Checks
+ * Outbound requests to user-supplied URLs (webhooks) must not reach this
+ * server's own network: loopback, private ranges, link-local addresses and
+ * cloud metadata endpoints such as 169.254.169.254.
+ */
+
+const dns = require("dns");
+const net = require("net");
+
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, cloud metadata
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // Protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, broadcast
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128], // Unspecified
+  ["::1", 128], // Loopback
+  ["64:ff9b::", 96], // NAT64 (embeds IPv4)
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, "ipv6"));
+
+const BLOCKED_MESSAGE = "Address is not public";
+
+/**
+ * Whether an IP address is reachable on the public internet
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Resolve a URL hostname and check every address it resolves to
+ * @throws When the host does not resolve or any address is not public
+ */
+async function assertPublicHost(hostname) {
+  // URL keeps IPv6 literals in brackets
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+
+  if (!addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(BLOCKED_MESSAGE);
+  }
+}
+
+/**
+ * dns.lookup replacement for http(s).request that refuses non-public
+ * addresses. The check runs on the addresses the socket connects to, so a
+ * host cannot resolve to a public address when validated and to a private
+ * one when used (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (!addresses.every((entry) => isPublicAddress(entry.address))) {
+      return callback(new Error(BLOCKED_MESSAGE));
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  BLOCKED_MESSAGE,
+  isPublicAddress,
+  assertPublicHost,
+  publicLookup,
+};
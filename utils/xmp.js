@@ -0,0 +1,144 @@
+/**
+ * XMP Builder
+ * Serializes captions and tags as an XMP packet (Dublin Core + IPTC Core),
+ * the format Lightroom, Bridge, digiKam and most DAMs read, and reads them
+ * back from packets written by other tools
+ */
+
+/**
+ * Escape text for XML content and attributes
+ * Characters XML 1.0 cannot represent are dropped
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Language alternatives (rdf:Alt), x-default first
+ * @param {Object<string, string>} values - Language code → text
+ */
+function langAlt(values) {
+  const items = Object.entries(values)
+    .filter(([, text]) => text)
+    .map(
+      ([lang, text]) =>
+        `     <rdf:li xml:lang="${escapeXml(lang)}">${escapeXml(text)}</rdf:li>`
+    );
+
+  return items.length > 0
+    ? `    <rdf:Alt>\n${items.join("\n")}\n    </rdf:Alt>`
+    : null;
+}
+
+/**
+ * Build an XMP packet for a file
+ * - dc:description: description (x-default) plus translated descriptions
+ * - dc:subject: tags
+ * - Iptc4xmpCore:AltTextAccessibility: the alt text caption, when generated
+ * @param {File} file
+ * @returns {string}
+ */
+function buildXmp(file) {
+  const descriptions = { "x-default": file.description };
+  for (const [lang, translation] of Object.entries(file.translations || {})) {
+    descriptions[lang] = translation?.description;
+  }
+
+  const properties = [];
+  const description = langAlt(descriptions);
+  if (description) {
+    properties.push(
+      `   <dc:description>\n${description}\n   </dc:description>`
+    );
+  }
+
+  if (file.tags && file.tags.length > 0) {
+    const tags = file.tags
+      .map((tag) => `     <rdf:li>${escapeXml(tag)}</rdf:li>`)
+      .join("\n");
+    properties.push(
+      `   <dc:subject>\n    <rdf:Bag>\n${tags}\n    </rdf:Bag>\n   </dc:subject>`
+    );
+  }
+
+  const altText = langAlt({ "x-default": file.captions?.altText });
+  if (altText) {
+    properties.push(
+      `   <Iptc4xmpCore:AltTextAccessibility>\n${altText}\n   </Iptc4xmpCore:AltTextAccessibility>`
+    );
+  }
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '  <rdf:Description rdf:about=""',
+    '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    '    xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/">',
+    ...properties,
+    "  </rdf:Description>",
+    " </rdf:RDF>",
+    "</x:xmpmeta>",
+    '<?xpacket end="w"?>',
+  ].join("\n");
+}
+
+function unescapeXml(value) {
+  return value.replace(
+    /&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi,
+    (_, hex, decimal, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+      return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[name];
+    }
+  );
+}
+
+/**
+ * Items of an rdf container property, e.g. dc:subject
+ * @returns {Array<{lang: string|null, text: string}>}
+ */
+function readItems(packet, property) {
+  const match = packet.match(
+    new RegExp(`<${property}\\b[^>]*>([\\s\\S]*?)</${property}>`)
+  );
+  if (!match) return [];
+
+  return [
+    ...match[1].matchAll(/<rdf:li\b([^>]*?)(?:\/>|>([\s\S]*?)<\/rdf:li>)/g),
+  ].map(([, attributes, text = ""]) => ({
+    lang: attributes.match(/xml:lang="([^"]*)"/)?.[1] || null,
+    text: unescapeXml(text).trim(),
+  }));
+}
+
+/**
+ * Read the description and keywords of an XMP packet
+ * Only the common serialization (rdf:Alt / rdf:Bag items) is understood;
+ * this is not a general RDF parser.
+ * @param {string} packet
+ * @returns {{description: string|null, subjects: string[]}}
+ */
+function parseXmp(packet) {
+  const descriptions = readItems(packet, "dc:description");
+  const description =
+    descriptions.find(({ lang }) => lang === "x-default") || descriptions[0];
+
+  return {
+    description: description?.text || null,
+    subjects: readItems(packet, "dc:subject")
+      .map(({ text }) => text)
+      .filter(Boolean),
+  };
+}
+
+module.exports = {
+  buildXmp,
+  parseXmp,
+  escapeXml,
+};